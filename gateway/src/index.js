@@ -58,13 +58,75 @@ const limiter = rateLimit({
 });
 app.use(limiter);
 
+// Tighter limit on the endpoints that take credentials; auth-service also throttles
+// failed logins per account and per IP
+const authLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: parseInt(process.env.AUTH_RATE_LIMIT_MAX || '100', 10),
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn('Auth rate limit exceeded', { ip: req.ip, path: req.path });
+    res.status(429).json({ error: 'Too many requests' });
+  }
+});
+app.use(['/api/auth/login', '/api/auth/forgot-password', '/api/auth/unlock', '/api/auth/me/password', '/api/auth/me/email'], authLimiter);
+
+// Revocation check - sessions are revoked in the auth service, so ask it whether
+// the token's session is still active. Results are cached briefly per token.
+const AUTH_SERVICE_URL = process.env.AUTH_SERVICE_URL || 'http://localhost:4001';
+const REVOCATION_CACHE_TTL_MS = parseInt(process.env.REVOCATION_CACHE_TTL_MS || '30000', 10);
+const sessionCache = new Map();
+
+async function isSessionActive(token) {
+  const cached = sessionCache.get(token);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.active;
+  }
+
+  const response = await fetch(`${AUTH_SERVICE_URL}/api/auth/validate`, {
+    headers: { Authorization: `Bearer ${token}` },
+    signal: AbortSignal.timeout(5000)
+  });
+  if (response.status >= 500) {
+    throw new Error(`Auth service responded with ${response.status}`);
+  }
+
+  const active = response.ok;
+  sessionCache.set(token, { active, expiresAt: Date.now() + REVOCATION_CACHE_TTL_MS });
+  return active;
+}
+
+// Drop expired cache entries so the map doesn't grow without bound
+setInterval(() => {
+  const now = Date.now();
+  for (const [token, entry] of sessionCache) {
+    if (entry.expiresAt <= now) sessionCache.delete(token);
+  }
+}, REVOCATION_CACHE_TTL_MS).unref();
+
+const CHAT_SOCKET_PATH = '/api/service-provider/socket.io/';
+
 // JWT validation middleware
-function jwtMiddleware(req, res, next) {
+async function jwtMiddleware(req, res, next) {
   // Explicitly define public endpoints that don't require authentication
   const publicPaths = [
     '/api/health',
     '/api/auth/login', 
-    '/api/auth/register'
+    '/api/auth/register',
+    '/api/auth/refresh',
+    '/api/auth/logout',
+    '/api/auth/forgot-password',
+    '/api/auth/reset-password',
+    '/api/auth/verify-email',
+    '/api/auth/confirm-email-change',
+    '/api/auth/unlock',
+    '/api/auth/unlock/request',
+    '/api/auth/login/2fa',
+    // Two-factor enrollment during login uses the login challenge; auth-service checks either
+    '/api/auth/2fa/setup',
+    '/api/auth/2fa/enable',
+    '/api/service-provider/payments/webhook'
   ];
   
   // Skip auth only for explicitly defined public endpoints with exact matching
@@ -72,6 +134,12 @@ function jwtMiddleware(req, res, next) {
     logger.info(`Accessing public endpoint: ${req.path}`);
     return next();
   }
+  
+  // The chat socket authenticates its own handshake (JWT and session), since browsers
+  // cannot set headers on socket connections
+  if (req.path.startsWith(CHAT_SOCKET_PATH)) {
+    return next();
+  }
 
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
@@ -80,14 +148,26 @@ function jwtMiddleware(req, res, next) {
   }
 
   const token = authHeader.split(' ')[1];
+  let decoded;
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
+    decoded = jwt.verify(token, JWT_SECRET);
   } catch (err) {
     logger.warn('JWT validation failed', { error: err.message });
     return res.status(401).json({ error: 'Invalid token' });
   }
+
+  try {
+    if (!(await isSessionActive(token))) {
+      logger.warn('Rejected token for revoked session', { userId: decoded.id });
+      return res.status(401).json({ error: 'Session revoked' });
+    }
+  } catch (err) {
+    logger.error('Session revocation check failed', { error: err.message });
+    return res.status(503).json({ error: 'Authentication service unavailable' });
+  }
+
+  req.user = decoded;
+  next();
 }
 app.use(jwtMiddleware);
 
@@ -112,10 +192,13 @@ Object.entries(routes).forEach(([service, url]) => {
 });
 
 // Proxy configuration
+const proxies = {};
 Object.entries(routes).forEach(([service, target]) => {
   const proxyOptions = {
     target,
     changeOrigin: true,
+    // X-Forwarded-For carries the client IP, which auth-service uses to throttle failed logins
+    xfwd: true,
     pathRewrite: {
       [`^/api/${service}`]: ''
     },
@@ -143,10 +226,14 @@ Object.entries(routes).forEach(([service, target]) => {
       if (req.user) {
         proxyReq.setHeader('X-User-Id', req.user.id);
         proxyReq.setHeader('X-User-Role', req.user.role);
+        // Permissions of the user's role, from the token (see auth-service permissions.js)
+        proxyReq.setHeader('X-User-Permissions', (req.user.permissions || []).join(','));
+        proxyReq.setHeader('X-User-Email-Verified', String(Boolean(req.user.emailVerified)));
       }
 
       if (['POST', 'PUT', 'PATCH'].includes(req.method) && req.body && Object.keys(req.body).length > 0) {
-        const bodyData = JSON.stringify(req.body);
+        // Forward the original bytes so signed payloads (payment webhooks) still verify
+        const bodyData = req.rawBody || JSON.stringify(req.body);
         proxyReq.setHeader('Content-Type', 'application/json');
         proxyReq.setHeader('Content-Length', Buffer.byteLength(bodyData));
         proxyReq.write(bodyData);
@@ -176,12 +263,15 @@ Object.entries(routes).forEach(([service, target]) => {
       }
     },
     logLevel: 'warn',
-    ws: true,
+    // Only the service-provider service serves WebSockets (chat)
+    ws: service === 'service-provider',
     secure: false,
     followRedirects: true
   };
 
-  const proxy = createProxyMiddleware(proxyOptions);
+  // The context keeps WebSocket upgrades to this service's own paths
+  const proxy = createProxyMiddleware(`/api/${service}`, proxyOptions);
+  proxies[service] = proxy;
   app.use(`/api/${service}`, proxy);
 });
 
@@ -199,7 +289,10 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
+const server = app.listen(PORT, '0.0.0.0', () => {
   logger.info(`API Gateway running on port ${PORT}`);
   logger.info('Configured routes:', Object.keys(routes).map(service => `/api/${service}`));
-});
\ No newline at end of file
+});
+
+// Forward WebSocket upgrades even before the first HTTP request reaches the proxy
+server.on('upgrade', proxies['service-provider'].upgrade);
\ No newline at end of file
@@ -5,6 +5,7 @@ const { Sequelize, DataTypes } = require('sequelize');
 const winston = require('winston');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const { requirePermission } = require('./permissions');
 
 const app = express();
 const PORT = process.env.ADMIN_SERVICE_PORT || 4004; // Changed from 4001 to 4004 to avoid conflict with auth service
@@ -80,7 +81,7 @@ app.get('/api/admin/health', (req, res) => res.json({ status: 'ok' }));
 // REMOVED duplicate endpoint /api/vendor/vendors that overlaps with vendor service
 // Use appropriate endpoints via the vendor service
 
-// Admin JWT authentication middleware
+// JWT authentication middleware; each route then requires the permission it needs
 function authenticateJWT(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
@@ -108,11 +109,6 @@ function authenticateJWT(req, res, next) {
     }
     
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      logger.warn(`Access denied for non-admin user (role: ${decoded.role})`);
-      return res.status(403).json({ error: 'Admin access required' });
-    }
-    
     req.user = decoded;
     next();
   } catch (err) {
@@ -122,7 +118,7 @@ function authenticateJWT(req, res, next) {
 }
 
 // Get dashboard analytics data
-app.get('/api/admin/dashboard', authenticateJWT, async (req, res) => {
+app.get('/api/admin/dashboard', authenticateJWT, requirePermission('reports:read'), async (req, res) => {
   try {
     // Get user counts by role
     const totalUsers = await User.count();
@@ -167,7 +163,7 @@ app.get('/api/admin/dashboard', authenticateJWT, async (req, res) => {
 });
 
 // Update user (admin endpoint)
-app.put('/api/admin/users/:id', authenticateJWT, async (req, res) => {
+app.put('/api/admin/users/:id', authenticateJWT, requirePermission('users:manage'), async (req, res) => {
   try {
     const userId = req.params.id;
     const { name, email, role, kycStatus } = req.body;
@@ -178,11 +174,27 @@ app.put('/api/admin/users/:id', authenticateJWT, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
+    // Role changes go through auth-service, which checks them against the caller's own
+    // permissions and logs the user out of their sessions
+    if (role && role !== user.role) {
+      try {
+        await authService.put(`/api/auth/users/${userId}`, { role }, {
+          headers: { Authorization: req.headers.authorization }
+        });
+      } catch (authErr) {
+        if (authErr.response) {
+          return res.status(authErr.response.status).json(authErr.response.data);
+        }
+        logger.error(`Failed to change role in auth service: ${authErr.message}`);
+        return res.status(503).json({ error: 'Auth service unavailable' });
+      }
+      await user.reload();
+    }
+    
     // Update allowed fields
     const updates = {};
     if (name) updates.name = name;
     if (email) updates.email = email;
-    if (role && ['user', 'vendor', 'admin'].includes(role)) updates.role = role;
     if (kycStatus && ['pending', 'approved', 'rejected'].includes(kycStatus)) updates.kycStatus = kycStatus;
     
     // Apply updates
@@ -205,7 +217,7 @@ app.put('/api/admin/users/:id', authenticateJWT, async (req, res) => {
 });
 
 // Delete user (admin endpoint)
-app.delete('/api/admin/users/:id', authenticateJWT, async (req, res) => {
+app.delete('/api/admin/users/:id', authenticateJWT, requirePermission('users:manage'), async (req, res) => {
   try {
     const userId = req.params.id;
     
@@ -226,7 +238,7 @@ app.delete('/api/admin/users/:id', authenticateJWT, async (req, res) => {
 });
 
 // List users (admin endpoint)
-app.get('/api/admin/users', authenticateJWT, async (req, res) => {
+app.get('/api/admin/users', authenticateJWT, requirePermission('users:read'), async (req, res) => {
   try {
     const users = await User.findAll({
       attributes: ['id', 'name', 'email', 'role', 'kycStatus', 'createdAt', 'updatedAt'],
@@ -240,7 +252,7 @@ app.get('/api/admin/users', authenticateJWT, async (req, res) => {
 });
 
 // List vendors (admin endpoint)
-app.get('/api/admin/vendors', authenticateJWT, async (req, res) => {
+app.get('/api/admin/vendors', authenticateJWT, requirePermission('vendors:read'), async (req, res) => {
   try {
     const vendors = await Vendor.findAll({
       attributes: ['id', 'name', 'email', 'kycStatus', 'createdAt', 'updatedAt'],
@@ -254,7 +266,7 @@ app.get('/api/admin/vendors', authenticateJWT, async (req, res) => {
 });
 
 // Get a single user by ID
-app.get('/api/admin/users/:id', authenticateJWT, async (req, res) => {
+app.get('/api/admin/users/:id', authenticateJWT, requirePermission('users:read'), async (req, res) => {
   try {
     const userId = req.params.id;
     const user = await User.findByPk(userId, {
@@ -273,7 +285,7 @@ app.get('/api/admin/users/:id', authenticateJWT, async (req, res) => {
 });
 
 // Get a single vendor by ID
-app.get('/api/admin/vendors/:id', authenticateJWT, async (req, res) => {
+app.get('/api/admin/vendors/:id', authenticateJWT, requirePermission('vendors:read'), async (req, res) => {
   try {
     const vendorId = req.params.id;
     const vendor = await Vendor.findByPk(vendorId, {
@@ -307,7 +319,7 @@ async function updateUserInAuthService(userId, updates, token) {
 }
 
 // Approve vendor KYC
-app.put('/api/admin/vendors/:id/approve', authenticateJWT, async (req, res) => {
+app.put('/api/admin/vendors/:id/approve', authenticateJWT, requirePermission('vendors:approve'), async (req, res) => {
   try {
     const vendorId = req.params.id;
     
@@ -361,7 +373,7 @@ app.put('/api/admin/vendors/:id/approve', authenticateJWT, async (req, res) => {
 });
 
 // Reject vendor KYC
-app.put('/api/admin/vendors/:id/reject', authenticateJWT, async (req, res) => {
+app.put('/api/admin/vendors/:id/reject', authenticateJWT, requirePermission('vendors:approve'), async (req, res) => {
   try {
     const vendorId = req.params.id;
     
@@ -415,7 +427,7 @@ app.put('/api/admin/vendors/:id/reject', authenticateJWT, async (req, res) => {
 });
 
 // Get statistics for admin dashboard
-app.get('/api/admin/stats', authenticateJWT, async (req, res) => {
+app.get('/api/admin/stats', authenticateJWT, requirePermission('reports:read'), async (req, res) => {
   try {
     // Count users by role
     const totalUsers = await User.count();
@@ -0,0 +1,24 @@
+// Permission checks. Permissions come from the user's role and are defined in auth-service
+// (src/permissions.js); admin-service reads them from the access token.
+
+function hasPermission(user, permission) {
+  return Boolean(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+}
+
+// Middleware allowing the request only when the authenticated user has the permission
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions', details: { required: permission } });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  hasPermission,
+  requirePermission
+};
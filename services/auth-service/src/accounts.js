@@ -0,0 +1,143 @@
+// Account tokens and the flows that use them
+// Emailed links (email verification, password reset, account unlock, email change) and
+// two-factor challenges are signed tokens whose jti names an AccountToken record. The record
+// makes each token single-use: using a token marks it used, and issuing another for the same
+// purpose marks the earlier ones used.
+const { validateNewPassword } = require('./profile');
+
+function tokenError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+/**
+ * Check an account token's signature and purpose. Throws with a client-safe message.
+ *
+ * @param {Function} verify - Checks the signature and returns the claims (jwt.verify with the secret)
+ * @param {string} token - Signed token
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Object} The token's claims
+ */
+function verifyAccountToken(verify, token, purpose) {
+  let decoded;
+  try {
+    decoded = verify(token);
+  } catch (err) {
+    throw tokenError(err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token');
+  }
+  if (!decoded || decoded.purpose !== purpose || !decoded.jti) {
+    throw tokenError('Invalid token');
+  }
+  return decoded;
+}
+
+/**
+ * Check an account token and mark it used. The conditional update lets only one of two
+ * concurrent uses of the same token through. Throws with a client-safe message.
+ *
+ * @param {Object} deps - { AccountToken, verify }
+ * @param {string} token - Signed token
+ * @param {string} purpose - Purpose the token must have been issued for
+ * @returns {Promise<Object>} The AccountToken record
+ */
+async function useAccountToken({ AccountToken, verify }, token, purpose) {
+  const decoded = verifyAccountToken(verify, token, purpose);
+
+  const [updated] = await AccountToken.update(
+    { usedAt: new Date() },
+    { where: { id: decoded.jti, purpose, usedAt: null } }
+  );
+  if (!updated) {
+    throw tokenError('Token already used or invalid');
+  }
+  return AccountToken.findByPk(decoded.jti);
+}
+
+/**
+ * Email a password reset link to the account with the address, if there is one. Callers respond
+ * the same way either way, so addresses can't be enumerated.
+ *
+ * @param {Object} deps - { User, issueAccountToken(user, purpose, expiresIn), sendEmail(to, subject, message) }
+ * @param {string} email - Address as entered
+ * @param {Object} options - { appBaseUrl, expiresIn }
+ * @returns {Promise<Object|null>} The user the link was sent to
+ */
+async function requestPasswordReset({ User, issueAccountToken, sendEmail }, email, { appBaseUrl, expiresIn }) {
+  const user = await User.findOne({ where: { email } });
+  if (!user) return null;
+
+  const token = await issueAccountToken(user, 'password_reset', expiresIn);
+  const link = `${appBaseUrl}/reset-password?token=${encodeURIComponent(token)}`;
+  await sendEmail(
+    user.email,
+    'Reset your password',
+    `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n${link}\n\nThe link expires in ${expiresIn}. If you didn't request this, you can ignore this email.`
+  );
+  return user;
+}
+
+/**
+ * Set a new password with a password reset token. The password is checked before the token is
+ * used, so a rejected password leaves the link working. A reset proves control of the address
+ * the link was sent to, which verifies it if it is still the user's email.
+ *
+ * @param {Object} deps - { AccountToken, User, verify }
+ * @param {string} token - Password reset token
+ * @param {string} password - New password
+ * @returns {Promise<Object>} The user
+ */
+async function resetPassword({ AccountToken, User, verify }, token, password) {
+  validateNewPassword(password);
+  const record = await useAccountToken({ AccountToken, verify }, token, 'password_reset');
+
+  const user = await User.findByPk(record.userId);
+  if (!user) {
+    throw tokenError('Invalid token');
+  }
+  // Password is hashed by the User model's beforeUpdate hook
+  const changes = { password };
+  if (!user.emailVerified && user.email === record.email) {
+    Object.assign(changes, { emailVerified: true, emailVerifiedAt: new Date() });
+  }
+  await user.update(changes);
+  return user;
+}
+
+/**
+ * Verify a user's email with an email verification token. Tokens issued for an address the
+ * user has since changed are refused.
+ *
+ * @param {Object} deps - { AccountToken, User, verify }
+ * @param {string} token - Email verification token
+ * @returns {Promise<Object>} The user
+ */
+async function verifyEmail({ AccountToken, User, verify }, token) {
+  const record = await useAccountToken({ AccountToken, verify }, token, 'email_verification');
+
+  const user = await User.findByPk(record.userId);
+  if (!user || user.email !== record.email) {
+    throw tokenError('Invalid token');
+  }
+  await user.update({ emailVerified: true, emailVerifiedAt: new Date() });
+  return user;
+}
+
+// Accounts created before email verification was introduced are treated as verified. Returns
+// whether the users table exists without the emailVerified column, before the schema sync adds it.
+async function needsEmailVerifiedBackfill(sequelize, User) {
+  try {
+    const columns = await sequelize.getQueryInterface().describeTable(User.getTableName());
+    return !columns.emailVerified;
+  } catch (err) {
+    // No users table yet
+    return false;
+  }
+}
+
+module.exports = {
+  verifyAccountToken,
+  useAccountToken,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  needsEmailVerifiedBackfill
+};
@@ -6,11 +6,38 @@ const cors = require('cors');
 const { Sequelize, DataTypes } = require('sequelize');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const winston = require('winston');
+const axios = require('axios');
+const QRCode = require('qrcode');
+const {
+  generateSecret,
+  verifyCode,
+  otpauthUrl,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  encryptSecret,
+  decryptSecret
+} = require('./totp');
+const { lockoutPolicy, normalizeEmail, attemptBlockedUntil, registerFailure } = require('./lockout');
+const { PERMISSIONS, BUILT_IN_ROLES, validateRole, missingPermissions, requirePermission } = require('./permissions');
+const { validateProfileUpdate, validateNewPassword, validateNewEmail, serializeProfile } = require('./profile');
+const { hashToken, isSessionActive, rotateRefreshToken } = require('./sessions');
+const {
+  verifyAccountToken,
+  useAccountToken,
+  requestPasswordReset,
+  resetPassword,
+  verifyEmail,
+  needsEmailVerifiedBackfill
+} = require('./accounts');
 
 const app = express();
 const PORT = process.env.AUTH_SERVICE_PORT || 4001;
 
+// Requests arrive through the gateway; take the client IP from X-Forwarded-For set by trusted proxies
+app.set('trust proxy', process.env.TRUST_PROXY || 'loopback, uniquelocal');
+
 // Logger setup
 const logger = winston.createLogger({
   level: 'debug',
@@ -28,6 +55,35 @@ if (!JWT_SECRET) {
   process.exit(1); // Fail fast
 }
 
+// Token lifetimes - access tokens are short-lived, refresh tokens rotate on every use
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+// Account action tokens (email verification, password reset, email change)
+const EMAIL_VERIFICATION_TTL = process.env.EMAIL_VERIFICATION_TTL || '24h';
+const PASSWORD_RESET_TTL = process.env.PASSWORD_RESET_TTL || '1h';
+const EMAIL_CHANGE_TTL = process.env.EMAIL_CHANGE_TTL || '24h';
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+
+// Two-factor authentication - TOTP secrets are encrypted at rest
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Banquet App';
+const TWO_FACTOR_ENCRYPTION_KEY = process.env.TWO_FACTOR_ENCRYPTION_KEY || JWT_SECRET;
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+const TWO_FACTOR_SETUP_TTL = '15m';
+const TWO_FACTOR_MAX_ATTEMPTS = 5;
+// Built-in roles an admin can require two-factor authentication for, besides custom roles
+const TWO_FACTOR_ROLES = ['admin', 'vendor'];
+
+// Failed login throttling and account lockout
+const LOGIN_LOCKOUT_POLICY = lockoutPolicy();
+const ACCOUNT_UNLOCK_TTL = process.env.ACCOUNT_UNLOCK_TTL || '24h';
+
+// Service API clients
+const notificationService = axios.create({
+  baseURL: process.env.NOTIFICATION_SERVICE_URL || 'http://notification-service:4007',
+  timeout: 5000
+});
+
 // Global error handlers
 process.on('uncaughtException', (err) => {
   logger.error('Uncaught Exception:', err);
@@ -138,9 +194,7 @@ const initializeUserModel = (sequelize) => {
     role: { 
       type: DataTypes.STRING,
       defaultValue: 'user',
-      validate: {
-        isIn: [['user', 'vendor', 'admin', 'service_provider']]
-      }
+      comment: 'Name of a Role'
     },
     kycStatus: { 
       type: DataTypes.ENUM('pending', 'approved', 'rejected'), 
@@ -149,6 +203,44 @@ const initializeUserModel = (sequelize) => {
     kycDetails: { 
       type: DataTypes.JSONB, 
       allowNull: true 
+    },
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    twoFactorEnabled: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    twoFactorSecret: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Encrypted TOTP secret'
+    },
+    twoFactorPendingSecret: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Encrypted TOTP secret awaiting confirmation during enrollment'
+    },
+    twoFactorLastStep: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Time step of the last accepted code, so a code cannot be replayed'
+    },
+    twoFactorRecoveryCodes: {
+      type: DataTypes.JSONB,
+      allowNull: true,
+      comment: 'SHA-256 hashes of the unused recovery codes'
+    },
+    twoFactorEnabledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
   }, {
     hooks: {
@@ -156,12 +248,545 @@ const initializeUserModel = (sequelize) => {
         if (user.password) {
           user.password = await bcrypt.hash(user.password, 10);
         }
+      },
+      beforeUpdate: async (user) => {
+        if (user.changed('password')) {
+          user.password = await bcrypt.hash(user.password, 10);
+        }
       }
     }
   });
   return User;
 };
 
+// Session and refresh token models
+let Session;
+let RefreshToken;
+
+const initializeSessionModels = (sequelize) => {
+  // One session per login (device); access tokens carry the session ID as `sid`
+  const Session = sequelize.define('Session', {
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    userAgent: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    ipAddress: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    lastUsedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    revokedReason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    }
+  }, {
+    indexes: [{ fields: ['userId'] }]
+  });
+
+  // Only the SHA-256 hash of a refresh token is stored
+  const RefreshToken = sequelize.define('RefreshToken', {
+    sessionId: {
+      type: DataTypes.UUID,
+      allowNull: false
+    },
+    tokenHash: {
+      type: DataTypes.STRING(64),
+      allowNull: false,
+      unique: true
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Set when the token is exchanged; a second use means the token was stolen'
+    }
+  });
+
+  Session.hasMany(RefreshToken, { foreignKey: 'sessionId' });
+  RefreshToken.belongsTo(Session, { foreignKey: 'sessionId' });
+
+  return { Session, RefreshToken };
+};
+
+// Account token model - records issued action tokens so each can be used only once
+let AccountToken;
+
+const initializeAccountTokenModel = (sequelize) => {
+  return sequelize.define('AccountToken', {
+    id: {
+      type: DataTypes.UUID,
+      primaryKey: true,
+      comment: 'Matches the jti claim of the signed token'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    purpose: {
+      type: DataTypes.ENUM('email_verification', 'password_reset', 'two_factor_login', 'two_factor_setup', 'account_unlock', 'email_change'),
+      allowNull: false
+    },
+    email: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Address the token was issued for; for an email change, the new address'
+    },
+    expiresAt: {
+      type: DataTypes.DATE,
+      allowNull: false
+    },
+    usedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Failed code entries against a two-factor challenge'
+    }
+  }, {
+    indexes: [{ fields: ['userId', 'purpose'] }]
+  });
+};
+
+// Roles that must use two-factor authentication, one row per role
+let TwoFactorRequirement;
+
+const initializeTwoFactorRequirementModel = (sequelize) => {
+  return sequelize.define('TwoFactorRequirement', {
+    role: {
+      type: DataTypes.STRING,
+      primaryKey: true
+    },
+    requiredBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Admin who made two-factor authentication required'
+    }
+  });
+};
+
+// Roles as named permission sets: the built-in roles, kept in step with permissions.js at
+// startup, and custom roles created by admins
+let Role;
+
+const initializeRoleModel = (sequelize) => {
+  return sequelize.define('Role', {
+    name: {
+      type: DataTypes.STRING(40),
+      primaryKey: true
+    },
+    description: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    permissions: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: []
+    },
+    builtIn: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    }
+  });
+};
+
+// Create or update the built-in roles from permissions.js
+async function seedBuiltInRoles() {
+  for (const [name, role] of Object.entries(BUILT_IN_ROLES)) {
+    await Role.upsert({ name, description: role.description, permissions: role.permissions, builtIn: true });
+  }
+}
+
+// Failed login attempts per account (keyed by normalized email) and per client IP
+let LoginThrottle;
+
+const initializeLoginThrottleModel = (sequelize) => {
+  return sequelize.define('LoginThrottle', {
+    scope: {
+      type: DataTypes.ENUM('account', 'ip'),
+      allowNull: false
+    },
+    key: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Normalized email for accounts, address for IPs'
+    },
+    failures: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    windowStartedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lastFailureAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    lockedUntil: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    indexes: [
+      { unique: true, fields: ['scope', 'key'] },
+      { fields: ['lockedUntil'] }
+    ]
+  });
+};
+
+// Sign a short-lived access token bound to a session. It carries the permissions of the
+// user's role, so changes to a role reach its users when their tokens are refreshed.
+async function signAccessToken(user, sessionId) {
+  const role = await Role.findByPk(user.role);
+  return jwt.sign(
+    { 
+      id: user.id, 
+      role: user.role, 
+      permissions: role ? role.permissions : [],
+      kycStatus: user.kycStatus,
+      // Don't include full email in JWT, just an identifier
+      email: user.email.charAt(0) + '***@' + user.email.split('@')[1],
+      name: user.name, // Include name for display purposes
+      emailVerified: user.emailVerified,
+      sid: sessionId
+    }, 
+    JWT_SECRET, 
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// Create a new refresh token for a session and return the raw value
+async function issueRefreshToken(sessionId, transaction) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({ sessionId, tokenHash: hashToken(refreshToken) }, { transaction });
+  return refreshToken;
+}
+
+function refreshExpiryDate() {
+  return new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// The session if it is still active, otherwise null
+async function findActiveSession(sessionId) {
+  if (!sessionId) return null;
+  const session = await Session.findByPk(sessionId);
+  return isSessionActive(session) ? session : null;
+}
+
+// A refresh token that was already exchanged is being replayed - kill the whole session
+async function revokeReusedSession(sessionId) {
+  logger.warn(`Token refresh failed: Reuse detected for session ${sessionId}, revoking session`);
+  await Session.update(
+    { revokedAt: new Date(), revokedReason: 'refresh_token_reuse' },
+    { where: { id: sessionId, revokedAt: null } }
+  );
+}
+
+// Issue a signed, single-use account token. Earlier unused tokens for the same purpose are invalidated.
+async function issueAccountToken(user, purpose, expiresIn, email = user.email) {
+  await AccountToken.update(
+    { usedAt: new Date() },
+    { where: { userId: user.id, purpose, usedAt: null } }
+  );
+  
+  const jti = crypto.randomUUID();
+  const token = jwt.sign({ id: user.id, purpose }, JWT_SECRET, { expiresIn, jwtid: jti });
+  const { exp } = jwt.decode(token);
+  await AccountToken.create({
+    id: jti,
+    userId: user.id,
+    purpose,
+    email,
+    expiresAt: new Date(exp * 1000)
+  });
+  return token;
+}
+
+// Models and signature check used by the account token flows (see accounts.js)
+function accountTokenDeps() {
+  return { AccountToken, User, verify: token => jwt.verify(token, JWT_SECRET) };
+}
+
+// Verify an account token's signature and purpose. Throws with a client-safe message.
+function decodeAccountToken(token, purpose) {
+  return verifyAccountToken(accountTokenDeps().verify, token, purpose);
+}
+
+// Verify an account token and mark it used. Returns the token record or throws with a client-safe message.
+async function consumeAccountToken(token, purpose) {
+  return useAccountToken(accountTokenDeps(), token, purpose);
+}
+
+// Look up an unused two-factor challenge without using it up, so a mistyped code can be retried
+async function findChallenge(token, purpose) {
+  const decoded = decodeAccountToken(token, purpose);
+  const record = await AccountToken.findByPk(decoded.jti);
+  if (!record || record.purpose !== purpose || record.usedAt || record.attempts >= TWO_FACTOR_MAX_ATTEMPTS) {
+    throw new Error('Token already used or invalid');
+  }
+  return record;
+}
+
+// Count a wrong code against a challenge; the challenge is used up after TWO_FACTOR_MAX_ATTEMPTS
+async function recordFailedChallenge(record) {
+  await record.increment('attempts');
+  await AccountToken.update(
+    { usedAt: new Date() },
+    { where: { id: record.id, usedAt: null, attempts: { [Sequelize.Op.gte]: TWO_FACTOR_MAX_ATTEMPTS } } }
+  );
+}
+
+// Mark a challenge used; false when another request used it first
+async function completeChallenge(record) {
+  const [updated] = await AccountToken.update(
+    { usedAt: new Date() },
+    { where: { id: record.id, usedAt: null } }
+  );
+  return updated === 1;
+}
+
+async function isTwoFactorRequired(role) {
+  return Boolean(await TwoFactorRequirement.findByPk(role));
+}
+
+// Current permissions of a user, from their role in the database rather than their token
+async function permissionsOf(userId) {
+  const user = await User.findByPk(userId, { attributes: ['id', 'role'] });
+  const role = user ? await Role.findByPk(user.role) : null;
+  return role ? role.permissions : [];
+}
+
+// Roles can only be built from, or stripped of, permissions the user editing them holds
+async function checkGrantablePermissions(userId, permissions) {
+  const missing = missingPermissions(await permissionsOf(userId), permissions);
+  if (missing.length > 0) {
+    throw Object.assign(new Error('You can only manage permissions you hold yourself'), {
+      status: 403,
+      details: { missing: [...new Set(missing)] }
+    });
+  }
+}
+
+// Roles the two-factor policy can cover
+async function twoFactorEligibleRoles() {
+  const customRoles = await Role.findAll({ where: { builtIn: false }, attributes: ['name'] });
+  return [...TWO_FACTOR_ROLES, ...customRoles.map(role => role.name)];
+}
+
+/**
+ * Check a second factor for a user with two-factor authentication enabled: a code from their
+ * authenticator app, or one of their recovery codes, which is then used up.
+ *
+ * @param {Object} user - User
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<string|null>} 'totp' or 'recovery', or null when the factor is wrong
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  return User.sequelize.transaction(async (t) => {
+    // Locked so the same code or recovery code cannot be accepted twice
+    const locked = await User.findByPk(user.id, { lock: t.LOCK.UPDATE, transaction: t });
+    if (!locked || !locked.twoFactorEnabled) return null;
+    
+    if (recoveryCode) {
+      const remaining = consumeRecoveryCode(locked.twoFactorRecoveryCodes, recoveryCode);
+      if (!remaining) return null;
+      await locked.update({ twoFactorRecoveryCodes: remaining }, { transaction: t });
+      user.twoFactorRecoveryCodes = remaining;
+      return 'recovery';
+    }
+    
+    const lastUsedStep = locked.twoFactorLastStep === null ? null : Number(locked.twoFactorLastStep);
+    const step = verifyCode(decryptSecret(locked.twoFactorSecret, TWO_FACTOR_ENCRYPTION_KEY), code, { lastUsedStep });
+    if (step === null) return null;
+    await locked.update({ twoFactorLastStep: step }, { transaction: t });
+    return 'totp';
+  });
+}
+
+/**
+ * Whether a login attempt for an email from an IP must wait.
+ *
+ * @param {string} email - Email as entered
+ * @param {string} ip - Client IP
+ * @returns {Promise<Object|null>} { until, locked, scope }, or null when the attempt may go ahead
+ */
+async function checkLoginThrottle(email, ip) {
+  const records = await LoginThrottle.findAll({
+    where: {
+      [Sequelize.Op.or]: [
+        { scope: 'account', key: normalizeEmail(email) },
+        { scope: 'ip', key: ip }
+      ]
+    }
+  });
+  
+  const now = new Date();
+  let blocked = null;
+  for (const record of records) {
+    const result = attemptBlockedUntil(record, now, LOGIN_LOCKOUT_POLICY);
+    if (result && (!blocked || result.until > blocked.until)) {
+      blocked = { ...result, scope: record.scope };
+    }
+  }
+  return blocked;
+}
+
+// Respond to a throttled login attempt
+function loginThrottledResponse(res, blocked) {
+  const retryAfter = Math.max(Math.ceil((blocked.until.getTime() - Date.now()) / 1000), 1);
+  res.set('Retry-After', String(retryAfter));
+  
+  if (blocked.locked && blocked.scope === 'account') {
+    return errorResponse(res, 429, 'Account temporarily locked after too many failed login attempts. Use the unlock link sent by email or try again later.', { retryAfter, locked: true });
+  }
+  return errorResponse(res, 429, 'Too many failed login attempts. Please wait before trying again.', { retryAfter, locked: blocked.locked });
+}
+
+/**
+ * Count a failed login (wrong password or second factor) against the account and the IP.
+ * When this locks the account, its owner is emailed an unlock link.
+ *
+ * @param {string} email - Email as entered
+ * @param {string} ip - Client IP
+ * @param {Object|null} user - The account, when the email belongs to one
+ */
+async function recordLoginFailure(email, ip, user) {
+  const now = new Date();
+  const accountLocked = await LoginThrottle.sequelize.transaction(async (t) => {
+    let locked = false;
+    for (const [scope, key] of [['account', normalizeEmail(email)], ['ip', ip]]) {
+      const [created] = await LoginThrottle.findOrCreate({ where: { scope, key }, transaction: t });
+      const record = await LoginThrottle.findByPk(created.id, { lock: t.LOCK.UPDATE, transaction: t });
+      const failure = registerFailure(record, now, LOGIN_LOCKOUT_POLICY);
+      await record.update(failure.changes, { transaction: t });
+      
+      if (failure.locked) {
+        logger.warn(`Login locked out for ${scope} after ${failure.changes.failures} failed attempts`, { scope, userId: user ? user.id : null });
+        if (scope === 'account') locked = true;
+      }
+    }
+    return locked;
+  });
+  
+  if (accountLocked && user) {
+    await sendUnlockEmail(user);
+  }
+}
+
+// Forget an account's failed logins, after a successful login, password reset or unlock
+async function clearAccountThrottle(email) {
+  await LoginThrottle.destroy({ where: { scope: 'account', key: normalizeEmail(email) } });
+}
+
+// Start a session for a user who has passed login and build the login response
+async function startSession(user, req) {
+  await clearAccountThrottle(user.email);
+  const session = await Session.create({
+    userId: user.id,
+    userAgent: req.headers['user-agent'] ? req.headers['user-agent'].substring(0, 255) : null,
+    ipAddress: req.ip,
+    expiresAt: refreshExpiryDate(),
+    lastUsedAt: new Date()
+  });
+  const refreshToken = await issueRefreshToken(session.id);
+  
+  return {
+    token: await signAccessToken(user, session.id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL,
+    user: {
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      kycStatus: user.kycStatus,
+      emailVerified: user.emailVerified,
+      twoFactorEnabled: user.twoFactorEnabled
+    }
+  };
+}
+
+// Short-lived token identifying auth-service to other services
+function signServiceToken() {
+  return jwt.sign({ id: 0, role: 'service', service: 'auth-service' }, JWT_SECRET, { expiresIn: '5m' });
+}
+
+// Send an email through notification-service. Failures are logged, not thrown.
+async function sendEmail(to, subject, message) {
+  try {
+    await notificationService.post('/api/notification/send', { to, subject, message }, {
+      headers: { Authorization: `Bearer ${signServiceToken()}` }
+    });
+    return true;
+  } catch (err) {
+    logger.error(`Failed to send "${subject}" email: ${err.message}`);
+    return false;
+  }
+}
+
+async function sendVerificationEmail(user) {
+  const token = await issueAccountToken(user, 'email_verification', EMAIL_VERIFICATION_TTL);
+  const link = `${APP_BASE_URL}/verify-email?token=${encodeURIComponent(token)}`;
+  return sendEmail(
+    user.email,
+    'Verify your email address',
+    `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n${link}\n\nThe link expires in ${EMAIL_VERIFICATION_TTL}.`
+  );
+}
+
+async function sendUnlockEmail(user) {
+  const token = await issueAccountToken(user, 'account_unlock', ACCOUNT_UNLOCK_TTL);
+  const link = `${APP_BASE_URL}/unlock-account?token=${encodeURIComponent(token)}`;
+  return sendEmail(
+    user.email,
+    'Your account has been locked',
+    `Hi ${user.name},\n\nYour account was locked after several failed login attempts. If this was you, open the link below to unlock it now:\n${link}\n\nIf it wasn't you, someone may be trying to guess your password; consider resetting it. The lock also lifts by itself after a while.`
+  );
+}
+
+// The address a user has asked to change their email to, while the link is still valid
+async function findPendingEmail(userId) {
+  const record = await AccountToken.findOne({
+    where: { userId, purpose: 'email_change', usedAt: null, expiresAt: { [Sequelize.Op.gt]: new Date() } }
+  });
+  return record ? record.email : null;
+}
+
+// Revoke every active session of a user, optionally keeping one
+async function revokeUserSessions(userId, reason, exceptSessionId = null) {
+  const where = { userId, revokedAt: null };
+  if (exceptSessionId) {
+    where.id = { [Sequelize.Op.ne]: exceptSessionId };
+  }
+  const [count] = await Session.update({ revokedAt: new Date(), revokedReason: reason }, { where });
+  return count;
+}
+
 // Health check
 app.get('/api/auth/health', (req, res) => res.json({ status: 'ok' }));
 
@@ -194,6 +819,12 @@ app.post('/api/auth/register', async (req, res) => {
       return errorResponse(res, 400, 'Password must be at least 8 characters long');
     }
     
+    // Custom roles are assigned by admins, not chosen at registration
+    if (role && !BUILT_IN_ROLES[role]) {
+      logger.warn('Invalid role during registration');
+      return errorResponse(res, 400, `Role must be one of: ${Object.keys(BUILT_IN_ROLES).join(', ')}`);
+    }
+    
     // Check if user already exists
     const existingUser = await User.findOne({ where: { email } });
     if (existingUser) {
@@ -211,11 +842,14 @@ app.post('/api/auth/register', async (req, res) => {
     });
     
     logger.info(`User registered successfully with ID: ${user.id}`);
+    await sendVerificationEmail(user);
+    
     res.status(201).json({ 
       id: user.id, 
       name: user.name, 
       email: user.email, 
-      role: user.role 
+      role: user.role,
+      emailVerified: user.emailVerified
     });
   } catch (err) {
     console.error('Registration error:', err);
@@ -262,13 +896,21 @@ app.post('/api/auth/login', async (req, res) => {
       return errorResponse(res, 400, 'Email and password are required');
     }
     
+    // Checked before the password so a locked-out guesser learns nothing
+    const blocked = await checkLoginThrottle(email, req.ip);
+    if (blocked) {
+      logger.warn(`Login throttled (${blocked.scope}${blocked.locked ? ', locked' : ''})`);
+      return loginThrottledResponse(res, blocked);
+    }
+    
     logger.debug(`Querying database for user login attempt`);
     const user = await User.findOne({ where: { email } });
     logger.debug(`Database query completed. User found: ${!!user}`);
     
     if (!user) {
-      // Don't reveal whether the email exists for security
+      // Don't reveal whether the email exists for security; unknown emails are throttled too
       logger.warn(`Login failed: Invalid credentials`);
+      await recordLoginFailure(email, req.ip, null);
       return errorResponse(res, 401, 'Invalid credentials');
     }
     
@@ -277,36 +919,31 @@ app.post('/api/auth/login', async (req, res) => {
     
     if (!match) {
       logger.warn(`Login failed: Invalid password`);
+      await recordLoginFailure(email, req.ip, user);
       // Add a slight delay to prevent timing attacks
       await new Promise(resolve => setTimeout(resolve, 200 + Math.floor(Math.random() * 200)));
       return errorResponse(res, 401, 'Invalid credentials');
     }
     
-    logger.debug(`Generating JWT for user ID: ${user.id}`);
-    const token = jwt.sign(
-      { 
-        id: user.id, 
-        role: user.role, 
-        kycStatus: user.kycStatus,
-        // Don't include full email in JWT, just an identifier
-        email: user.email.charAt(0) + '***@' + email.split('@')[1],
-        name: user.name // Include name for display purposes
-      }, 
-      JWT_SECRET, 
-      { expiresIn: '1d' }
-    );
+    // With two-factor authentication the password only earns a challenge for the second step
+    if (user.twoFactorEnabled) {
+      const challengeToken = await issueAccountToken(user, 'two_factor_login', TWO_FACTOR_CHALLENGE_TTL);
+      logger.info(`Login for user ID ${user.id} awaiting second factor`);
+      return res.json({ twoFactorRequired: true, challengeToken, expiresIn: TWO_FACTOR_CHALLENGE_TTL });
+    }
+    
+    // Users whose role requires two-factor authentication must enroll before they get a session
+    if (await isTwoFactorRequired(user.role)) {
+      const challengeToken = await issueAccountToken(user, 'two_factor_setup', TWO_FACTOR_SETUP_TTL);
+      logger.info(`Login for user ID ${user.id} awaiting two-factor enrollment`);
+      return res.json({ twoFactorSetupRequired: true, challengeToken, expiresIn: TWO_FACTOR_SETUP_TTL });
+    }
+    
+    logger.debug(`Creating session for user ID: ${user.id}`);
+    const response = await startSession(user, req);
     logger.info(`Login successful for user ID: ${user.id}`);
     
-    res.json({ 
-      token, 
-      user: { 
-        id: user.id, 
-        name: user.name, 
-        email: user.email, 
-        role: user.role, 
-        kycStatus: user.kycStatus 
-      } 
-    });
+    res.json(response);
   } catch (err) {
     console.error('Login error:', err);
     logger.error(`Login error for email ${req.body?.email}: ${err.message}`, { stack: err.stack });
@@ -314,6 +951,57 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
+// Login, second step - exchange the challenge and a code (or a recovery code) for tokens
+app.post('/api/auth/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return errorResponse(res, 400, 'challengeToken and code or recoveryCode are required');
+    }
+    
+    let challenge;
+    try {
+      challenge = await findChallenge(challengeToken, 'two_factor_login');
+    } catch (tokenErr) {
+      logger.warn(`Two-factor login failed: ${tokenErr.message}`);
+      return errorResponse(res, 401, tokenErr.message);
+    }
+    
+    const user = await User.findByPk(challenge.userId);
+    if (!user || !user.twoFactorEnabled) {
+      return errorResponse(res, 401, 'Invalid token');
+    }
+    
+    const blocked = await checkLoginThrottle(user.email, req.ip);
+    if (blocked) {
+      return loginThrottledResponse(res, blocked);
+    }
+    
+    // Wrong codes count as failed logins, so new challenges cannot be used to keep guessing
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      await recordFailedChallenge(challenge);
+      await recordLoginFailure(user.email, req.ip, user);
+      logger.warn(`Two-factor login failed: Invalid code for user ID ${user.id}`);
+      return errorResponse(res, 401, 'Invalid authentication code');
+    }
+    if (!(await completeChallenge(challenge))) {
+      return errorResponse(res, 401, 'Token already used or invalid');
+    }
+    
+    const response = await startSession(user, req);
+    if (method === 'recovery') {
+      response.recoveryCodesRemaining = user.twoFactorRecoveryCodes.length;
+      logger.info(`User ID ${user.id} logged in with a recovery code (${response.recoveryCodesRemaining} left)`);
+    }
+    logger.info(`Login successful for user ID: ${user.id} (two-factor)`);
+    res.json(response);
+  } catch (err) {
+    logger.error(`Two-factor login error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during login');
+  }
+});
+
 // Validate token
 app.get('/api/auth/validate', async (req, res) => {
   try {
@@ -340,6 +1028,13 @@ app.get('/api/auth/validate', async (req, res) => {
     // Verify the token
     const decoded = jwt.verify(token, JWT_SECRET);
     
+    // Reject tokens whose session has been logged out or revoked
+    const session = await findActiveSession(decoded.sid);
+    if (!session) {
+      logger.warn(`Token validation failed: Session for user ID ${decoded.id} is revoked or expired`);
+      return errorResponse(res, 401, 'Session revoked');
+    }
+    
     // Check if user still exists and is active in the database
     const user = await User.findByPk(decoded.id);
     if (!user) {
@@ -355,7 +1050,9 @@ app.get('/api/auth/validate', async (req, res) => {
       user: {
         id: decoded.id,
         role: decoded.role,
-        kycStatus: user.kycStatus // Use fresh data from the database
+        permissions: decoded.permissions || [],
+        kycStatus: user.kycStatus, // Use fresh data from the database
+        emailVerified: user.emailVerified
       }
     });
   } catch (err) {
@@ -372,71 +1069,753 @@ app.get('/api/auth/validate', async (req, res) => {
   }
 });
 
-// Admin middleware
-function requireAdmin(req, res, next) {
+// Refresh - exchange a refresh token for a new access token and a rotated refresh token
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) {
-      logger.warn('Admin authorization failed: No token provided');
-      return res.status(401).json({ error: 'No token provided' });
+    const { refreshToken } = req.body;
+    if (!refreshToken) {
+      return errorResponse(res, 400, 'refreshToken is required');
     }
     
-    const decoded = jwt.verify(token, JWT_SECRET);
-    if (decoded.role !== 'admin') {
-      logger.warn('Admin authorization failed: Not an admin');
-      return res.status(403).json({ error: 'Admin access required' });
+    const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(refreshToken) } });
+    if (!stored) {
+      logger.warn('Token refresh failed: Unknown refresh token');
+      return errorResponse(res, 401, 'Invalid refresh token');
     }
     
-    req.user = decoded;
-    next();
+    if (stored.usedAt) {
+      await revokeReusedSession(stored.sessionId);
+      return errorResponse(res, 401, 'Invalid refresh token');
+    }
+    
+    const session = await findActiveSession(stored.sessionId);
+    if (!session) {
+      logger.warn(`Token refresh failed: Session ${stored.sessionId} is revoked or expired`);
+      return errorResponse(res, 401, 'Session revoked');
+    }
+    
+    const user = await User.findByPk(session.userId);
+    if (!user) {
+      logger.warn(`Token refresh failed: User ID ${session.userId} no longer exists`);
+      return errorResponse(res, 401, 'User not found');
+    }
+    
+    // Sessions started before two-factor authentication became required for the role end here
+    if (!user.twoFactorEnabled && await isTwoFactorRequired(user.role)) {
+      await session.update({ revokedAt: new Date(), revokedReason: 'two_factor_required' });
+      logger.warn(`Token refresh refused: User ID ${user.id} must enroll in two-factor authentication`);
+      return errorResponse(res, 403, 'Two-factor authentication is required for your role. Log in again to set it up.');
+    }
+    
+    // Rotate: mark the presented token as used and issue a new one in the same session. A
+    // concurrent exchange of the same token loses here and is treated as reuse.
+    let newRefreshToken;
+    try {
+      newRefreshToken = await rotateRefreshToken({ sequelize: User.sequelize, RefreshToken }, stored, async (t) => {
+        await session.update({ lastUsedAt: new Date(), expiresAt: refreshExpiryDate() }, { transaction: t });
+        return issueRefreshToken(session.id, t);
+      });
+    } catch (err) {
+      if (!err.reused) throw err;
+      await revokeReusedSession(stored.sessionId);
+      return errorResponse(res, 401, 'Invalid refresh token');
+    }
+    
+    logger.info(`Tokens refreshed for user ID: ${user.id}`);
+    res.json({
+      token: await signAccessToken(user, session.id),
+      refreshToken: newRefreshToken,
+      expiresIn: ACCESS_TOKEN_TTL
+    });
   } catch (err) {
-    logger.error(`Admin authorization error: ${err.message}`);
-    res.status(401).json({ error: 'Invalid token' });
+    logger.error(`Token refresh error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during token refresh');
   }
-}
+});
 
-// Get all users
-app.get('/api/auth/users', async (req, res) => {
+// Logout - revoke the session identified by the refresh token or the current access token
+app.post('/api/auth/logout', async (req, res) => {
   try {
-    // Get query parameters for filtering
-    const { role, kycStatus } = req.query;
+    let sessionId = null;
     
-    // Build where clause based on filters
-    const whereClause = {};
-    if (role && ['user', 'vendor', 'admin'].includes(role)) {
-      whereClause.role = role;
+    if (req.body && req.body.refreshToken) {
+      const stored = await RefreshToken.findOne({ where: { tokenHash: hashToken(req.body.refreshToken) } });
+      sessionId = stored ? stored.sessionId : null;
+    } else if (req.headers.authorization && req.headers.authorization.startsWith('Bearer ')) {
+      try {
+        // Expired access tokens may still be used to end their own session
+        const decoded = jwt.verify(req.headers.authorization.split(' ')[1], JWT_SECRET, { ignoreExpiration: true });
+        sessionId = decoded.sid || null;
+      } catch (err) {
+        logger.warn(`Logout failed: ${err.message}`);
+        return errorResponse(res, 401, 'Invalid token');
+      }
+    } else {
+      return errorResponse(res, 400, 'refreshToken or Authorization header is required');
     }
-    if (kycStatus && ['pending', 'approved', 'rejected'].includes(kycStatus)) {
-      whereClause.kycStatus = kycStatus;
+    
+    if (!sessionId) {
+      return errorResponse(res, 401, 'Invalid refresh token');
     }
     
-    // Fetch users with filters and without returning password
-    const users = await User.findAll({
-      where: whereClause,
-      attributes: ['id', 'name', 'email', 'role', 'kycStatus', 'createdAt', 'updatedAt'],
-      order: [['createdAt', 'DESC']]
-    });
+    await Session.update(
+      { revokedAt: new Date(), revokedReason: 'logout' },
+      { where: { id: sessionId, revokedAt: null } }
+    );
     
-    logger.info(`Fetched ${users.length} users`);
-    res.json(users);
+    logger.info(`Session ${sessionId} logged out`);
+    res.json({ success: true, message: 'Logged out successfully' });
   } catch (err) {
-    logger.error(`Get all users error: ${err.message}`);
-    res.status(500).json({ error: 'Internal server error' });
+    logger.error(`Logout error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during logout');
   }
 });
 
-// Update user (admin only)
-app.put('/api/auth/users/:id', requireAdmin, async (req, res) => {
+// Authenticated user middleware - verifies the access token and that its session is still active
+async function authenticateJWT(req, res, next) {
   try {
-    const userId = req.params.id;
-    const { kycStatus, role } = req.body;
-    
-    // Validate allowed fields
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return errorResponse(res, 401, 'No token provided');
+    }
+    
+    const decoded = jwt.verify(authHeader.split(' ')[1], JWT_SECRET);
+    const session = await findActiveSession(decoded.sid);
+    if (!session) {
+      logger.warn(`Authentication failed: Session for user ID ${decoded.id} is revoked or expired`);
+      return errorResponse(res, 401, 'Session revoked');
+    }
+    
+    req.user = decoded;
+    req.session = session;
+    next();
+  } catch (err) {
+    logger.warn(`Authentication error: ${err.message}`);
+    return errorResponse(res, 401, 'Invalid token');
+  }
+}
+
+// Logout from all devices - revoke every session of the current user
+app.post('/api/auth/logout-all', authenticateJWT, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, 'logout_all');
+    logger.info(`User ${req.user.id} logged out of ${revoked} session(s)`);
+    res.json({ success: true, message: 'Logged out from all devices', sessionsRevoked: revoked });
+  } catch (err) {
+    logger.error(`Logout all error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during logout');
+  }
+});
+
+// Forgot password - email a reset link. Always responds the same way so emails can't be enumerated.
+app.post('/api/auth/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return errorResponse(res, 400, 'Email is required');
+    }
+    
+    const user = await requestPasswordReset(
+      { User, issueAccountToken, sendEmail },
+      email,
+      { appBaseUrl: APP_BASE_URL, expiresIn: PASSWORD_RESET_TTL }
+    );
+    if (user) {
+      logger.info(`Password reset requested for user ID: ${user.id}`);
+    } else {
+      logger.warn('Password reset requested for unknown email');
+    }
+    
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (err) {
+    logger.error(`Forgot password error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during password reset request');
+  }
+});
+
+// Reset password - set a new password using a reset token
+app.post('/api/auth/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return errorResponse(res, 400, 'Token and password are required');
+    }
+    
+    // The password is checked before the token is used, so a rejected password leaves the link working
+    let user;
+    try {
+      user = await resetPassword(accountTokenDeps(), token, password);
+    } catch (resetErr) {
+      if (!resetErr.status) throw resetErr;
+      logger.warn(`Password reset failed: ${resetErr.message}`);
+      return errorResponse(res, resetErr.status, resetErr.message);
+    }
+    
+    // Every existing session must go
+    await revokeUserSessions(user.id, 'password_reset');
+    await clearAccountThrottle(user.email);
+    
+    logger.info(`Password reset completed for user ID: ${user.id}`);
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (err) {
+    logger.error(`Reset password error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during password reset');
+  }
+});
+
+// Verify email - confirm the address using the emailed token
+app.get('/api/auth/verify-email', async (req, res) => {
+  try {
+    const { token } = req.query;
+    if (!token) {
+      return errorResponse(res, 400, 'Token is required');
+    }
+    
+    let user;
+    try {
+      user = await verifyEmail(accountTokenDeps(), token);
+    } catch (verifyErr) {
+      if (!verifyErr.status) throw verifyErr;
+      logger.warn(`Email verification failed: ${verifyErr.message}`);
+      return errorResponse(res, verifyErr.status, verifyErr.message);
+    }
+    
+    logger.info(`Email verified for user ID: ${user.id}`);
+    res.json({ message: 'Email verified successfully. Refresh your session to continue.', emailVerified: true });
+  } catch (err) {
+    logger.error(`Verify email error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during email verification');
+  }
+});
+
+// Unlock - lift a login lockout using the emailed unlock token
+app.post('/api/auth/unlock', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return errorResponse(res, 400, 'Token is required');
+    }
+    
+    let record;
+    try {
+      record = await consumeAccountToken(token, 'account_unlock');
+    } catch (tokenErr) {
+      logger.warn(`Account unlock failed: ${tokenErr.message}`);
+      return errorResponse(res, 400, tokenErr.message);
+    }
+    
+    const user = await User.findByPk(record.userId);
+    if (!user || user.email !== record.email) {
+      return errorResponse(res, 400, 'Invalid token');
+    }
+    
+    await clearAccountThrottle(user.email);
+    logger.info(`Account unlocked by email for user ID: ${user.id}`);
+    res.json({ message: 'Your account is unlocked. You can log in again.' });
+  } catch (err) {
+    logger.error(`Account unlock error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during account unlock');
+  }
+});
+
+// Request a new unlock link for a locked account. Always responds the same way.
+app.post('/api/auth/unlock/request', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return errorResponse(res, 400, 'Email is required');
+    }
+    
+    const throttle = await LoginThrottle.findOne({ where: { scope: 'account', key: normalizeEmail(email) } });
+    const locked = throttle && throttle.lockedUntil && new Date(throttle.lockedUntil) > new Date();
+    const user = locked ? await User.findOne({ where: { email } }) : null;
+    if (user) {
+      await sendUnlockEmail(user);
+      logger.info(`Unlock link requested for user ID: ${user.id}`);
+    }
+    
+    res.json({ message: 'If that account is locked, an unlock link has been sent' });
+  } catch (err) {
+    logger.error(`Unlock request error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during unlock request');
+  }
+});
+
+// Resend verification email for the current user
+app.post('/api/auth/resend-verification', authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    
+    if (user.emailVerified) {
+      return errorResponse(res, 400, 'Email is already verified');
+    }
+    
+    await sendVerificationEmail(user);
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    logger.error(`Resend verification error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error while sending verification email');
+  }
+});
+
+// Current user's profile
+app.get('/api/auth/me', authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    
+    res.json(serializeProfile(user, await findPendingEmail(user.id)));
+  } catch (err) {
+    logger.error(`Get profile error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+// Update the current user's profile. The access token shows the change after the next refresh.
+app.put('/api/auth/me', authenticateJWT, async (req, res) => {
+  try {
+    let updates;
+    try {
+      updates = validateProfileUpdate(req.body);
+    } catch (validationErr) {
+      return errorResponse(res, validationErr.status, validationErr.message, validationErr.details);
+    }
+    
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    
+    await user.update(updates);
+    logger.info(`Profile updated for user ID: ${user.id}`);
+    res.json(serializeProfile(user, await findPendingEmail(user.id)));
+  } catch (err) {
+    logger.error(`Update profile error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error while updating profile');
+  }
+});
+
+// Change password - needs the current one; every other session is logged out
+app.post('/api/auth/me/password', authenticateJWT, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    if (!currentPassword || !newPassword) {
+      return errorResponse(res, 400, 'currentPassword and newPassword are required');
+    }
+    try {
+      validateNewPassword(newPassword, currentPassword);
+    } catch (validationErr) {
+      return errorResponse(res, validationErr.status, validationErr.message);
+    }
+    
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    
+    // Wrong current passwords count as failed logins, so a stolen access token can't be used to guess it
+    const blocked = await checkLoginThrottle(user.email, req.ip);
+    if (blocked) {
+      return loginThrottledResponse(res, blocked);
+    }
+    if (!(await bcrypt.compare(currentPassword, user.password))) {
+      await recordLoginFailure(user.email, req.ip, user);
+      logger.warn(`Password change failed: Invalid password for user ID ${user.id}`);
+      return errorResponse(res, 401, 'Invalid credentials');
+    }
+    
+    // Password is hashed by the User model's beforeUpdate hook
+    await user.update({ password: newPassword });
+    const revoked = await revokeUserSessions(user.id, 'password_changed', req.session.id);
+    
+    await sendEmail(
+      user.email,
+      'Your password was changed',
+      `Hi ${user.name},\n\nThe password of your account was just changed and your other devices were logged out. If you didn't do this, reset your password now:\n${APP_BASE_URL}/forgot-password`
+    );
+    
+    logger.info(`Password changed for user ID: ${user.id} (${revoked} other session(s) revoked)`);
+    res.json({ message: 'Password changed. Your other sessions have been logged out.', sessionsRevoked: revoked });
+  } catch (err) {
+    logger.error(`Change password error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error while changing password');
+  }
+});
+
+// Request an email change - needs the password; the new address must be verified before it is used
+app.post('/api/auth/me/email', authenticateJWT, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+    if (!email || !password) {
+      return errorResponse(res, 400, 'email and password are required');
+    }
+    
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    
+    let newEmail;
+    try {
+      newEmail = validateNewEmail(email, user.email);
+    } catch (validationErr) {
+      return errorResponse(res, validationErr.status, validationErr.message);
+    }
+    
+    const blocked = await checkLoginThrottle(user.email, req.ip);
+    if (blocked) {
+      return loginThrottledResponse(res, blocked);
+    }
+    if (!(await bcrypt.compare(password, user.password))) {
+      await recordLoginFailure(user.email, req.ip, user);
+      logger.warn(`Email change failed: Invalid password for user ID ${user.id}`);
+      return errorResponse(res, 401, 'Invalid credentials');
+    }
+    
+    if (await User.findOne({ where: { email: newEmail } })) {
+      return errorResponse(res, 409, 'User with this email already exists');
+    }
+    
+    const token = await issueAccountToken(user, 'email_change', EMAIL_CHANGE_TTL, newEmail);
+    const link = `${APP_BASE_URL}/confirm-email-change?token=${encodeURIComponent(token)}`;
+    const emailSent = await sendEmail(
+      newEmail,
+      'Confirm your new email address',
+      `Hi ${user.name},\n\nOpen the link below to use this address for your account:\n${link}\n\nThe link expires in ${EMAIL_CHANGE_TTL}. Confirming logs you out of every device.`
+    );
+    // Let the current address know, in case someone else has the password
+    await sendEmail(
+      user.email,
+      'Email change requested',
+      `Hi ${user.name},\n\nSomeone asked to change the email of your account to ${newEmail}. Nothing changes until the new address is confirmed. If this wasn't you, reset your password now:\n${APP_BASE_URL}/forgot-password`
+    );
+    
+    logger.info(`Email change requested for user ID: ${user.id}`);
+    res.json({
+      message: 'Check your new email address for a confirmation link',
+      pendingEmail: newEmail,
+      emailSent
+    });
+  } catch (err) {
+    logger.error(`Change email error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error while changing email');
+  }
+});
+
+// Confirm an email change using the token emailed to the new address
+app.post('/api/auth/confirm-email-change', async (req, res) => {
+  try {
+    const { token } = req.body;
+    if (!token) {
+      return errorResponse(res, 400, 'Token is required');
+    }
+    
+    let record;
+    try {
+      record = await consumeAccountToken(token, 'email_change');
+    } catch (tokenErr) {
+      logger.warn(`Email change confirmation failed: ${tokenErr.message}`);
+      return errorResponse(res, 400, tokenErr.message);
+    }
+    
+    const user = await User.findByPk(record.userId);
+    if (!user) {
+      return errorResponse(res, 400, 'Invalid token');
+    }
+    if (await User.findOne({ where: { email: record.email, id: { [Sequelize.Op.ne]: user.id } } })) {
+      return errorResponse(res, 409, 'User with this email already exists');
+    }
+    
+    const previousEmail = user.email;
+    await user.update({ email: record.email, emailVerified: true, emailVerifiedAt: new Date() });
+    
+    // Links sent to the old address stop working, and sessions must sign in with the new one
+    await AccountToken.update(
+      { usedAt: new Date() },
+      { where: { userId: user.id, usedAt: null } }
+    );
+    const revoked = await revokeUserSessions(user.id, 'email_changed');
+    await clearAccountThrottle(previousEmail);
+    
+    await sendEmail(
+      previousEmail,
+      'Your email address was changed',
+      `Hi ${user.name},\n\nYour account now uses ${user.email} and this address can no longer be used to sign in. If you didn't do this, contact support.`
+    );
+    
+    logger.info(`Email changed for user ID: ${user.id} (${revoked} session(s) revoked)`);
+    res.json({ message: 'Email changed. Please log in with your new email address.', email: user.email });
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return errorResponse(res, 409, 'User with this email already exists');
+    }
+    logger.error(`Confirm email change error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error while changing email');
+  }
+});
+
+// Two-factor enrollment is open to signed-in users, and at login to users whose role requires it
+// (with the challengeToken from the login response instead of an access token)
+async function authenticateEnrollment(req, res, next) {
+  if (req.body && req.body.challengeToken) {
+    try {
+      req.challenge = await findChallenge(req.body.challengeToken, 'two_factor_setup');
+    } catch (tokenErr) {
+      logger.warn(`Two-factor enrollment failed: ${tokenErr.message}`);
+      return errorResponse(res, 401, tokenErr.message);
+    }
+    req.user = { id: req.challenge.userId };
+    return next();
+  }
+  return authenticateJWT(req, res, next);
+}
+
+// Two-factor status of the current user
+app.get('/api/auth/2fa', authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    
+    res.json({
+      enabled: user.twoFactorEnabled,
+      enabledAt: user.twoFactorEnabledAt,
+      required: await isTwoFactorRequired(user.role),
+      recoveryCodesRemaining: user.twoFactorEnabled ? (user.twoFactorRecoveryCodes || []).length : 0
+    });
+  } catch (err) {
+    logger.error(`Two-factor status error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error');
+  }
+});
+
+// Start enrollment - a new secret, as a provisioning URI and a QR code for authenticator apps
+app.post('/api/auth/2fa/setup', authenticateEnrollment, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    if (user.twoFactorEnabled) {
+      return errorResponse(res, 409, 'Two-factor authentication is already enabled');
+    }
+    
+    const secret = generateSecret();
+    const url = otpauthUrl(secret, user.email, TWO_FACTOR_ISSUER);
+    await user.update({ twoFactorPendingSecret: encryptSecret(secret, TWO_FACTOR_ENCRYPTION_KEY) });
+    
+    logger.info(`Two-factor enrollment started for user ID: ${user.id}`);
+    res.json({
+      secret,
+      otpauthUrl: url,
+      qrCode: await QRCode.toDataURL(url)
+    });
+  } catch (err) {
+    logger.error(`Two-factor setup error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error during two-factor setup');
+  }
+});
+
+// Finish enrollment with a code from the authenticator app; returns the recovery codes, once
+app.post('/api/auth/2fa/enable', authenticateEnrollment, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user) {
+      return errorResponse(res, 404, 'User not found');
+    }
+    if (user.twoFactorEnabled) {
+      return errorResponse(res, 409, 'Two-factor authentication is already enabled');
+    }
+    if (!user.twoFactorPendingSecret) {
+      return errorResponse(res, 400, 'Start two-factor setup first');
+    }
+    
+    const step = verifyCode(decryptSecret(user.twoFactorPendingSecret, TWO_FACTOR_ENCRYPTION_KEY), req.body.code);
+    if (step === null) {
+      if (req.challenge) await recordFailedChallenge(req.challenge);
+      return errorResponse(res, 400, 'Invalid authentication code');
+    }
+    if (req.challenge && !(await completeChallenge(req.challenge))) {
+      return errorResponse(res, 401, 'Token already used or invalid');
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({
+      twoFactorEnabled: true,
+      twoFactorSecret: user.twoFactorPendingSecret,
+      twoFactorPendingSecret: null,
+      twoFactorLastStep: step,
+      twoFactorRecoveryCodes: hashes,
+      twoFactorEnabledAt: new Date()
+    });
+    logger.info(`Two-factor authentication enabled for user ID: ${user.id}`);
+    
+    const response = {
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe; each works once.',
+      recoveryCodes: codes
+    };
+    
+    // Enrolling at login completes the login; otherwise other sessions must sign in again
+    if (req.challenge) {
+      return res.json({ ...response, ...(await startSession(user, req)) });
+    }
+    await revokeUserSessions(user.id, 'two_factor_enabled', req.session.id);
+    res.json(response);
+  } catch (err) {
+    logger.error(`Two-factor enable error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error while enabling two-factor authentication');
+  }
+});
+
+// Replace the recovery codes; needs a current code from the authenticator app
+app.post('/api/auth/2fa/recovery-codes', authenticateJWT, async (req, res) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    if (!user || !user.twoFactorEnabled) {
+      return errorResponse(res, 400, 'Two-factor authentication is not enabled');
+    }
+    
+    // Wrong codes count as failed logins, as wrong passwords do on /me/password
+    const blocked = await checkLoginThrottle(user.email, req.ip);
+    if (blocked) {
+      return loginThrottledResponse(res, blocked);
+    }
+    if (!(await verifySecondFactor(user, { code: req.body.code }))) {
+      await recordLoginFailure(user.email, req.ip, user);
+      logger.warn(`Recovery code regeneration failed: Invalid authentication code for user ID ${user.id}`);
+      return errorResponse(res, 400, 'Invalid authentication code');
+    }
+    
+    const { codes, hashes } = generateRecoveryCodes();
+    await user.update({ twoFactorRecoveryCodes: hashes });
+    
+    logger.info(`Recovery codes regenerated for user ID: ${user.id}`);
+    res.json({ message: 'New recovery codes generated; the old ones no longer work', recoveryCodes: codes });
+  } catch (err) {
+    logger.error(`Recovery code error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error while generating recovery codes');
+  }
+});
+
+// Turn two-factor authentication off; needs the password and a code or recovery code
+app.post('/api/auth/2fa/disable', authenticateJWT, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    if (!password || (!code && !recoveryCode)) {
+      return errorResponse(res, 400, 'password and code or recoveryCode are required');
+    }
+    
+    const user = await User.findByPk(req.user.id);
+    if (!user || !user.twoFactorEnabled) {
+      return errorResponse(res, 400, 'Two-factor authentication is not enabled');
+    }
+    if (await isTwoFactorRequired(user.role)) {
+      return errorResponse(res, 403, 'Two-factor authentication is required for your role');
+    }
+    
+    // Wrong passwords and codes count as failed logins, as on /me/password
+    const blocked = await checkLoginThrottle(user.email, req.ip);
+    if (blocked) {
+      return loginThrottledResponse(res, blocked);
+    }
+    if (!(await bcrypt.compare(password, user.password))) {
+      await recordLoginFailure(user.email, req.ip, user);
+      logger.warn(`Two-factor disable failed: Invalid password for user ID ${user.id}`);
+      return errorResponse(res, 401, 'Invalid credentials');
+    }
+    if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+      await recordLoginFailure(user.email, req.ip, user);
+      logger.warn(`Two-factor disable failed: Invalid authentication code for user ID ${user.id}`);
+      return errorResponse(res, 401, 'Invalid authentication code');
+    }
+    
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorLastStep: null,
+      twoFactorRecoveryCodes: null,
+      twoFactorEnabledAt: null
+    });
+    
+    logger.info(`Two-factor authentication disabled for user ID: ${user.id}`);
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (err) {
+    logger.error(`Two-factor disable error: ${err.message}`, { stack: err.stack });
+    return errorResponse(res, 500, 'Internal server error while disabling two-factor authentication');
+  }
+});
+
+// Get all users
+app.get('/api/auth/users', authenticateJWT, requirePermission('users:read'), async (req, res) => {
+  try {
+    // Get query parameters for filtering
+    const { role, kycStatus } = req.query;
+    
+    // Build where clause based on filters
+    const whereClause = {};
+    if (role) {
+      whereClause.role = role;
+    }
+    if (kycStatus && ['pending', 'approved', 'rejected'].includes(kycStatus)) {
+      whereClause.kycStatus = kycStatus;
+    }
+    
+    // Fetch users with filters and without returning password
+    const users = await User.findAll({
+      where: whereClause,
+      attributes: ['id', 'name', 'email', 'role', 'kycStatus', 'twoFactorEnabled', 'createdAt', 'updatedAt'],
+      order: [['createdAt', 'DESC']]
+    });
+    
+    logger.info(`Fetched ${users.length} users`);
+    res.json(users);
+  } catch (err) {
+    logger.error(`Get all users error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a user's KYC status or role
+app.put('/api/auth/users/:id', authenticateJWT, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { kycStatus, role } = req.body;
+    
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    
+    // Validate allowed fields
     const allowedUpdates = {};
     if (kycStatus && ['pending', 'approved', 'rejected'].includes(kycStatus)) {
       allowedUpdates.kycStatus = kycStatus;
     }
-    if (role && ['user', 'vendor', 'admin'].includes(role)) {
+    if (role && role !== user.role) {
+      if (String(user.id) === String(req.user.id)) {
+        return errorResponse(res, 403, 'You cannot change your own role');
+      }
+      const newRole = await Role.findByPk(role);
+      if (!newRole) {
+        return errorResponse(res, 400, `Role ${role} does not exist`);
+      }
+      // Both the role taken away and the role given must be within the caller's own permissions
+      const currentRole = await Role.findByPk(user.role);
+      const granted = await permissionsOf(req.user.id);
+      const missing = missingPermissions(granted, [
+        ...(currentRole ? currentRole.permissions : []),
+        ...newRole.permissions
+      ]);
+      if (missing.length > 0) {
+        logger.warn(`User ${req.user.id} attempted to change the role of user ${user.id} to ${role} beyond their own permissions`);
+        return errorResponse(res, 403, 'You can only assign roles within your own permissions', { missing: [...new Set(missing)] });
+      }
       allowedUpdates.role = role;
     }
     // Removed reference to non-existent 'status' field
@@ -445,19 +1824,238 @@ app.put('/api/auth/users/:id', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: 'No valid fields to update' });
     }
     
-    const [updated] = await User.update(allowedUpdates, { where: { id: userId } });
-    if (!updated) {
+    await user.update(allowedUpdates);
+    
+    // Tokens carry the role's permissions, so the old ones must stop working now
+    if (allowedUpdates.role) {
+      const revoked = await revokeUserSessions(user.id, 'role_changed');
+      logger.info(`Role of user ${user.id} changed to ${user.role}; ${revoked} session(s) revoked`);
+    }
+    
+    logger.info(`User ${userId} updated by admin ${req.user.id}`);
+    res.json({
+      id: user.id,
+      name: user.name,
+      email: user.email,
+      role: user.role,
+      kycStatus: user.kycStatus,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt
+    });
+  } catch (err) {
+    logger.error(`Update user error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Roles that must use two-factor authentication
+app.get('/api/auth/2fa/policy', authenticateJWT, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const requirements = await TwoFactorRequirement.findAll({ order: [['role', 'ASC']] });
+    res.json({
+      requiredRoles: requirements.map(requirement => requirement.role),
+      availableRoles: await twoFactorEligibleRoles()
+    });
+  } catch (err) {
+    logger.error(`Get two-factor policy error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Set the roles that must use two-factor authentication
+// Users of those roles enroll at their next login; their sessions end at the next token refresh
+app.put('/api/auth/2fa/policy', authenticateJWT, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const { requiredRoles } = req.body;
+    const availableRoles = await twoFactorEligibleRoles();
+    if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !availableRoles.includes(role))) {
+      return errorResponse(res, 400, `requiredRoles must list roles from: ${availableRoles.join(', ')}`);
+    }
+    
+    const roles = [...new Set(requiredRoles)];
+    await TwoFactorRequirement.sequelize.transaction(async (t) => {
+      const where = roles.length > 0 ? { role: { [Sequelize.Op.notIn]: roles } } : {};
+      await TwoFactorRequirement.destroy({ where, transaction: t });
+      for (const role of roles) {
+        await TwoFactorRequirement.findOrCreate({ where: { role }, defaults: { requiredBy: req.user.id }, transaction: t });
+      }
+    });
+    
+    logger.info(`Two-factor authentication required for [${roles.join(', ')}] by admin ${req.user.id}`);
+    res.json({ requiredRoles: roles.sort(), availableRoles });
+  } catch (err) {
+    logger.error(`Update two-factor policy error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reset a user's two-factor authentication, e.g. after a lost device
+app.delete('/api/auth/users/:id/2fa', authenticateJWT, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+    if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    const user = await User.findByPk(userId, { 
-      attributes: ['id', 'name', 'email', 'role', 'kycStatus', 'createdAt', 'updatedAt']
+    await user.update({
+      twoFactorEnabled: false,
+      twoFactorSecret: null,
+      twoFactorPendingSecret: null,
+      twoFactorLastStep: null,
+      twoFactorRecoveryCodes: null,
+      twoFactorEnabledAt: null
     });
+    const revoked = await revokeUserSessions(user.id, 'two_factor_reset');
     
-    logger.info(`User ${userId} updated by admin ${req.user.id}`);
-    res.json(user);
+    logger.info(`Two-factor authentication of user ${user.id} reset by admin ${req.user.id}; ${revoked} session(s) revoked`);
+    res.json({ message: 'Two-factor authentication reset', sessionsRevoked: revoked });
   } catch (err) {
-    logger.error(`Update user error: ${err.message}`);
+    logger.error(`Reset two-factor error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Accounts and IPs currently locked out of login
+app.get('/api/auth/lockouts', authenticateJWT, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const lockouts = await LoginThrottle.findAll({
+      where: { lockedUntil: { [Sequelize.Op.gt]: new Date() } },
+      order: [['lockedUntil', 'DESC']]
+    });
+    
+    // Match locked accounts to users, case-insensitively like the lockout key
+    const emails = lockouts.filter(lockout => lockout.scope === 'account').map(lockout => lockout.key);
+    const users = emails.length === 0 ? [] : await User.findAll({
+      where: User.sequelize.where(User.sequelize.fn('lower', User.sequelize.col('email')), { [Sequelize.Op.in]: emails }),
+      attributes: ['id', 'name', 'email', 'role']
+    });
+    
+    res.json(lockouts.map(lockout => ({
+      id: lockout.id,
+      scope: lockout.scope,
+      key: lockout.key,
+      failures: lockout.failures,
+      lastFailureAt: lockout.lastFailureAt,
+      lockedUntil: lockout.lockedUntil,
+      user: lockout.scope === 'account'
+        ? users.find(user => normalizeEmail(user.email) === lockout.key) || null
+        : null
+    })));
+  } catch (err) {
+    logger.error(`Get lockouts error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Clear a lockout and its failed attempts
+app.delete('/api/auth/lockouts/:id', authenticateJWT, requirePermission('security:manage'), async (req, res) => {
+  try {
+    const lockout = await LoginThrottle.findByPk(req.params.id);
+    if (!lockout) {
+      return res.status(404).json({ error: 'Lockout not found' });
+    }
+    
+    await lockout.destroy();
+    logger.info(`Login lockout for ${lockout.scope} cleared by admin ${req.user.id}`);
+    res.json({ message: 'Lockout cleared' });
+  } catch (err) {
+    logger.error(`Clear lockout error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Roles and the permissions they can be given
+app.get('/api/auth/roles', authenticateJWT, requirePermission('users:read'), async (req, res) => {
+  try {
+    const roles = await Role.findAll({ order: [['builtIn', 'DESC'], ['name', 'ASC']] });
+    res.json({
+      roles,
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+  } catch (err) {
+    logger.error(`Get roles error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a custom role
+app.post('/api/auth/roles', authenticateJWT, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const fields = validateRole(req.body, { creating: true });
+    await checkGrantablePermissions(req.user.id, fields.permissions);
+    const [role, created] = await Role.findOrCreate({ where: { name: fields.name }, defaults: fields });
+    if (!created) {
+      return errorResponse(res, 409, `Role ${role.name} already exists`);
+    }
+    
+    logger.info(`Role ${role.name} created by user ${req.user.id}`);
+    res.status(201).json(role);
+  } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
+    logger.error(`Create role error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a custom role's description or permissions; users get the new permissions when
+// their tokens are next refreshed
+app.put('/api/auth/roles/:name', authenticateJWT, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findByPk(req.params.name);
+    if (!role) {
+      return errorResponse(res, 404, 'Role not found');
+    }
+    if (role.builtIn) {
+      return errorResponse(res, 400, 'Built-in roles cannot be changed');
+    }
+    
+    const fields = validateRole(req.body);
+    if (Object.keys(fields).length === 0) {
+      return errorResponse(res, 400, 'No valid fields to update');
+    }
+    if (fields.permissions) {
+      await checkGrantablePermissions(req.user.id, [...role.permissions, ...fields.permissions]);
+    }
+    await role.update(fields);
+    
+    logger.info(`Role ${role.name} updated by user ${req.user.id}`);
+    res.json(role);
+  } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
+    logger.error(`Update role error: ${err.message}`);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a custom role that no user has
+app.delete('/api/auth/roles/:name', authenticateJWT, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const role = await Role.findByPk(req.params.name);
+    if (!role) {
+      return errorResponse(res, 404, 'Role not found');
+    }
+    if (role.builtIn) {
+      return errorResponse(res, 400, 'Built-in roles cannot be deleted');
+    }
+    
+    const users = await User.count({ where: { role: role.name } });
+    if (users > 0) {
+      return errorResponse(res, 409, 'Role is assigned to users', { users });
+    }
+    
+    await Role.sequelize.transaction(async (t) => {
+      await TwoFactorRequirement.destroy({ where: { role: role.name }, transaction: t });
+      await role.destroy({ transaction: t });
+    });
+    
+    logger.info(`Role ${role.name} deleted by user ${req.user.id}`);
+    res.json({ message: 'Role deleted' });
+  } catch (err) {
+    logger.error(`Delete role error: ${err.message}`);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -488,10 +2086,21 @@ async function initialize() {
     
     // Initialize User model
     User = initializeUserModel(sequelize);
+    ({ Session, RefreshToken } = initializeSessionModels(sequelize));
+    AccountToken = initializeAccountTokenModel(sequelize);
+    TwoFactorRequirement = initializeTwoFactorRequirementModel(sequelize);
+    LoginThrottle = initializeLoginThrottleModel(sequelize);
+    Role = initializeRoleModel(sequelize);
     
-    // Sync database schema
-    await sequelize.sync({ force: false });
-    logger.info('Database synchronized (force: false, tables preserved)');
+    // Sync database schema - alter adds new columns to existing tables
+    const backfillEmailVerified = await needsEmailVerifiedBackfill(sequelize, User);
+    await sequelize.sync({ alter: true });
+    logger.info('Database synchronized (alter: true, tables preserved)');
+    if (backfillEmailVerified) {
+      const [count] = await User.update({ emailVerified: true }, { where: {} });
+      logger.info(`Marked ${count} existing users as email verified`);
+    }
+    await seedBuiltInRoles();
     
     // Start server only after database initialization
     app.listen(PORT, () => {
@@ -500,6 +2109,19 @@ async function initialize() {
       logger.info('- GET /api/auth/health - Health check');
       logger.info('- POST /api/auth/register - Register new user');
       logger.info('- POST /api/auth/login - User login');
+      logger.info('- POST /api/auth/login/2fa - Second login step for two-factor authentication');
+      logger.info('- POST /api/auth/refresh - Rotate refresh token and issue access token');
+      logger.info('- POST /api/auth/logout - Revoke current session');
+      logger.info('- POST /api/auth/logout-all - Revoke all sessions of the current user');
+      logger.info('- POST /api/auth/forgot-password - Request password reset email');
+      logger.info('- POST /api/auth/reset-password - Reset password with token');
+      logger.info('- POST /api/auth/unlock - Unlock a locked account with the emailed token');
+      logger.info('- GET /api/auth/verify-email - Verify email address');
+      logger.info('- GET/PUT /api/auth/me - Current user profile');
+      logger.info('- POST /api/auth/me/password, /api/auth/me/email - Change password or email');
+      logger.info('- POST /api/auth/confirm-email-change - Confirm a new email address');
+      logger.info('- POST /api/auth/2fa/setup, /enable, /disable, /recovery-codes - Two-factor authentication');
+      logger.info('- GET/POST /api/auth/roles, PUT/DELETE /api/auth/roles/:name - Roles and permissions');
       logger.info('- GET /api/auth/validate - Validate JWT token');
     });
   } catch (err) {
@@ -0,0 +1,96 @@
+// Login throttling: failed attempts are counted per account (by email) and per client IP.
+// After a few free failures each further one makes the next attempt wait longer, and reaching
+// the limit locks the account or IP out for a while. Counts restart when the window runs out.
+
+const MAX_BACKOFF_MS = 30 * 1000;
+
+function positiveInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+/**
+ * Throttling policy from the environment.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} { windowMs, lockoutMs, account: { maxFailures, freeFailures }, ip: { ... } }
+ */
+function lockoutPolicy(env = process.env) {
+  const accountMax = positiveInt(env.LOGIN_MAX_FAILURES, 5);
+  const ipMax = positiveInt(env.LOGIN_IP_MAX_FAILURES, 20);
+  return {
+    windowMs: positiveInt(env.LOGIN_FAILURE_WINDOW_MINUTES, 15) * 60 * 1000,
+    lockoutMs: positiveInt(env.LOGIN_LOCKOUT_MINUTES, 15) * 60 * 1000,
+    account: { maxFailures: accountMax, freeFailures: Math.min(2, accountMax - 1) },
+    ip: { maxFailures: ipMax, freeFailures: Math.min(5, ipMax - 1) }
+  };
+}
+
+// Accounts are keyed by email, case-insensitively
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Wait before the next attempt after a number of failures: 1s, 2s, 4s ... up to 30s
+function backoffMs(failures, freeFailures) {
+  if (failures <= freeFailures) return 0;
+  return Math.min(1000 * 2 ** (failures - freeFailures - 1), MAX_BACKOFF_MS);
+}
+
+function windowExpired(record, now, policy) {
+  return !record.windowStartedAt || now - new Date(record.windowStartedAt) > policy.windowMs;
+}
+
+/**
+ * When the next login attempt is allowed.
+ *
+ * @param {Object|null} record - LoginThrottle { scope, failures, windowStartedAt, lastFailureAt, lockedUntil }
+ * @param {Date} now - Current time
+ * @param {Object} policy - From lockoutPolicy()
+ * @returns {Object|null} { until, locked }, or null when an attempt is allowed now
+ */
+function attemptBlockedUntil(record, now, policy) {
+  if (!record) return null;
+  if (record.lockedUntil && new Date(record.lockedUntil) > now) {
+    return { until: new Date(record.lockedUntil), locked: true };
+  }
+  if (!record.lastFailureAt || (record.lockedUntil && new Date(record.lockedUntil) <= now) || windowExpired(record, now, policy)) {
+    return null;
+  }
+
+  const until = new Date(new Date(record.lastFailureAt).getTime() + backoffMs(record.failures, policy[record.scope].freeFailures));
+  return until > now ? { until, locked: false } : null;
+}
+
+/**
+ * Count a failed attempt.
+ *
+ * @param {Object} record - LoginThrottle, possibly with no failures yet
+ * @param {Date} now - Current time
+ * @param {Object} policy - From lockoutPolicy()
+ * @returns {Object} { changes, locked }: the fields to save, and whether this failure locked it
+ */
+function registerFailure(record, now, policy) {
+  const restart = !record.failures || windowExpired(record, now, policy) ||
+    (record.lockedUntil && new Date(record.lockedUntil) <= now);
+  const failures = restart ? 1 : record.failures + 1;
+  const locked = failures >= policy[record.scope].maxFailures;
+
+  return {
+    changes: {
+      failures,
+      windowStartedAt: restart ? now : record.windowStartedAt,
+      lastFailureAt: now,
+      lockedUntil: locked ? new Date(now.getTime() + policy.lockoutMs) : null
+    },
+    locked
+  };
+}
+
+module.exports = {
+  lockoutPolicy,
+  normalizeEmail,
+  backoffMs,
+  attemptBlockedUntil,
+  registerFailure
+};
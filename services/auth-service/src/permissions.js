@@ -0,0 +1,123 @@
+// Permissions and roles
+// A role is a named set of permissions. The built-in roles are defined here; admins can add
+// custom roles (a support agent or finance role, say) from any of the permissions below.
+// Access tokens carry the permissions of the user's role, so services check permissions
+// rather than role names. What a user can do with their own bookings, venues and profiles
+// does not need a permission.
+
+const PERMISSIONS = {
+  'users:read': 'View user accounts and roles',
+  'users:manage': 'Change user roles and KYC status, and delete users',
+  'roles:manage': 'Create, change and delete custom roles',
+  'security:manage': 'Set the two-factor policy, reset two-factor authentication and clear login lockouts',
+  'reports:read': 'View the admin dashboard, platform statistics and any vendor\'s venue analytics',
+  'vendors:read': 'View vendor accounts',
+  'vendors:approve': 'Approve and reject vendor and service provider KYC',
+  'vendors:manage': 'Manage any vendor profile and vendor team',
+  'venues:manage': 'Manage any venue, venue categories and additional services',
+  'calendar:manage': 'Manage the calendar of any venue and service provider',
+  'providers:manage': 'Manage any service provider profile, plan and portfolio, and service categories',
+  'quotes:manage': 'View and change any quote and quote request',
+  'invoices:manage': 'View and change any invoice, and pay invoices on behalf of customers',
+  'orders:manage': 'View any service order and move it through its lifecycle, including resolving disputes',
+  'orders:payouts': 'Record payouts of completed service orders',
+  'reviews:moderate': 'Moderate venue and service provider reviews',
+  'chat:read': 'Read any chat room',
+  'media:manage': 'View and delete any uploaded file',
+  'notifications:manage': 'View every notification and send notifications to any user',
+  'booking:read': 'View every booking, including balances and cancellation quotes',
+  'booking:create_for_others': 'Book for other users, create bookings already confirmed, and book without a verified email',
+  'booking:confirm': 'Confirm and complete bookings of any venue',
+  'booking:cancel': 'Cancel or delete any booking and set the refund percentage',
+  'booking:payments': 'Record payments on bookings of any venue'
+};
+
+const BUILT_IN_ROLES = {
+  user: { description: 'Customer', permissions: [] },
+  vendor: { description: 'Venue owner', permissions: [] },
+  service_provider: { description: 'Service provider', permissions: [] },
+  admin: { description: 'Administrator', permissions: Object.keys(PERMISSIONS) }
+};
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_]{1,39}$/;
+const MAX_DESCRIPTION_LENGTH = 255;
+
+function roleError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+/**
+ * Validate the fields of a custom role.
+ *
+ * @param {Object} body - { name, description, permissions }; name is only read when creating
+ * @param {Object} options - { creating }
+ * @returns {Object} The validated fields that were given
+ */
+function validateRole(body, { creating = false } = {}) {
+  const role = {};
+
+  if (creating) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!ROLE_NAME_PATTERN.test(name)) {
+      throw roleError('name must be 2-40 lowercase letters, digits or underscores, starting with a letter');
+    }
+    if (BUILT_IN_ROLES[name] || name === 'service') {
+      throw roleError(`${name} is a reserved role name`);
+    }
+    role.name = name;
+  }
+
+  if (body.description !== undefined) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw roleError(`description cannot be longer than ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    role.description = description || null;
+  }
+
+  if (creating || body.permissions !== undefined) {
+    if (!Array.isArray(body.permissions)) {
+      throw roleError('permissions must be a list of permission names');
+    }
+    const unknown = body.permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      throw roleError(`Unknown permissions: ${unknown.join(', ')}`, { available: Object.keys(PERMISSIONS) });
+    }
+    role.permissions = [...new Set(body.permissions)].sort();
+  }
+
+  return role;
+}
+
+// Permissions of a role that the holder of `granted` does not have. Users may only assign
+// roles, or build roles, out of permissions they hold themselves.
+function missingPermissions(granted, permissions) {
+  const held = new Set(granted || []);
+  return (permissions || []).filter(permission => !held.has(permission));
+}
+
+function hasPermission(user, permission) {
+  return Boolean(user && Array.isArray(user.permissions) && user.permissions.includes(permission));
+}
+
+// Middleware allowing the request only when the authenticated user has the permission
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasPermission(req.user, permission)) {
+      return res.status(403).json({ error: 'Insufficient permissions', details: { required: permission } });
+    }
+    next();
+  };
+}
+
+module.exports = {
+  PERMISSIONS,
+  BUILT_IN_ROLES,
+  validateRole,
+  missingPermissions,
+  hasPermission,
+  requirePermission
+};
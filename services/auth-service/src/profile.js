@@ -0,0 +1,104 @@
+// Self-service account management: users edit their own profile and change their password and
+// email. The password and email have endpoints of their own because changing them needs the
+// current password, and a new email only takes effect once it has been verified.
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_NAME_LENGTH = 100;
+const MIN_PASSWORD_LENGTH = 8;
+// The User model rejects longer passwords before they are hashed
+const MAX_PASSWORD_LENGTH = 100;
+
+function profileError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+/**
+ * Validate a profile update.
+ *
+ * @param {Object} body - { name }
+ * @returns {Object} The validated fields that were given
+ */
+function validateProfileUpdate(body) {
+  if (body.email !== undefined || body.password !== undefined) {
+    throw profileError('Change your email with POST /api/auth/me/email and your password with POST /api/auth/me/password');
+  }
+
+  const profile = {};
+  if (body.name !== undefined) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) {
+      throw profileError('name cannot be empty');
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      throw profileError(`name cannot be longer than ${MAX_NAME_LENGTH} characters`);
+    }
+    profile.name = name;
+  }
+
+  if (Object.keys(profile).length === 0) {
+    throw profileError('No valid fields to update', { allowed: ['name'] });
+  }
+  return profile;
+}
+
+/**
+ * Validate a new password.
+ *
+ * @param {string} password - The new password
+ * @param {string} [currentPassword] - The password it replaces, which it must differ from
+ * @returns {string}
+ */
+function validateNewPassword(password, currentPassword) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw profileError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters long`);
+  }
+  if (password.length > MAX_PASSWORD_LENGTH) {
+    throw profileError(`Password cannot be longer than ${MAX_PASSWORD_LENGTH} characters`);
+  }
+  if (currentPassword !== undefined && password === currentPassword) {
+    throw profileError('New password must be different from the current password');
+  }
+  return password;
+}
+
+/**
+ * Validate a new email address for a user.
+ *
+ * @param {string} email - The new address
+ * @param {string} currentEmail - The user's current address
+ * @returns {string} The address, trimmed
+ */
+function validateNewEmail(email, currentEmail) {
+  const trimmed = typeof email === 'string' ? email.trim() : '';
+  if (!EMAIL_PATTERN.test(trimmed)) {
+    throw profileError('Invalid email format');
+  }
+  if (trimmed.toLowerCase() === String(currentEmail).toLowerCase()) {
+    throw profileError('This is already your email address');
+  }
+  return trimmed;
+}
+
+// What users see of their own account
+function serializeProfile(user, pendingEmail = null) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    kycStatus: user.kycStatus,
+    emailVerified: user.emailVerified,
+    pendingEmail,
+    twoFactorEnabled: user.twoFactorEnabled,
+    createdAt: user.createdAt,
+    updatedAt: user.updatedAt
+  };
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validateProfileUpdate,
+  validateNewPassword,
+  validateNewEmail,
+  serializeProfile
+};
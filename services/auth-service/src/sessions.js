@@ -0,0 +1,44 @@
+// Sessions and refresh tokens
+// A login starts a session. The session hands out one refresh token at a time: exchanging it
+// marks it used and issues the next one, and presenting a used token again means it was
+// copied, so the whole session is revoked.
+const crypto = require('crypto');
+
+// Hash a refresh token for storage and lookup
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// A session is active when it exists, has not been revoked and has not expired
+function isSessionActive(session, now = new Date()) {
+  return Boolean(session && !session.revokedAt && new Date(session.expiresAt) >= now);
+}
+
+/**
+ * Mark a refresh token used and issue its successor in one transaction. The conditional update
+ * lets only one of two concurrent exchanges of the same token through; the other throws with
+ * `reused` set, as a replayed token does.
+ *
+ * @param {Object} deps - { sequelize, RefreshToken }
+ * @param {Object} stored - The RefreshToken being exchanged
+ * @param {Function} issue - Called with the transaction once the token is used; its result is returned
+ * @returns {Promise<*>}
+ */
+async function rotateRefreshToken({ sequelize, RefreshToken }, stored, issue) {
+  return sequelize.transaction(async (t) => {
+    const [updated] = await RefreshToken.update(
+      { usedAt: new Date() },
+      { where: { id: stored.id, usedAt: null }, transaction: t }
+    );
+    if (!updated) {
+      throw Object.assign(new Error('Refresh token already used'), { status: 401, reused: true });
+    }
+    return issue(t);
+  });
+}
+
+module.exports = {
+  hashToken,
+  isSessionActive,
+  rotateRefreshToken
+};
@@ -0,0 +1,179 @@
+// Time-based one-time passwords (RFC 6238) and recovery codes for two-factor authentication
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TIME_STEP_SECONDS = 30;
+const CODE_DIGITS = 6;
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = text.replace(/=+$/, '').replace(/\s+/g, '').toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// New random secret, base32-encoded as authenticator apps expect (160 bits)
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+// Time step a moment falls in
+function timeStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TIME_STEP_SECONDS);
+}
+
+/**
+ * One-time code for a secret at a time step (HMAC-SHA1, 6 digits).
+ *
+ * @param {string} secret - Base32 secret
+ * @param {number} step - Time step
+ * @returns {string}
+ */
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** CODE_DIGITS).padStart(CODE_DIGITS, '0');
+}
+
+/**
+ * Check a code against the current time step and one step either side, for clock drift.
+ * A step at or before lastUsedStep is refused so a code cannot be replayed.
+ *
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {Object} options - { now, lastUsedStep }
+ * @returns {number|null} The matching time step, or null
+ */
+function verifyCode(secret, code, { now = Date.now(), lastUsedStep = null } = {}) {
+  const entered = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(entered)) return null;
+
+  const current = timeStep(now);
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastUsedStep !== null && step <= lastUsedStep) continue;
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(entered))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+// Provisioning URI shown as a QR code to authenticator apps
+function otpauthUrl(secret, accountName, issuer) {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(CODE_DIGITS),
+    period: String(TIME_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Recovery codes are compared after normalising case and separators
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+/**
+ * New set of one-time recovery codes, formatted xxxxx-xxxxx.
+ *
+ * @returns {Object} { codes, hashes }: codes are shown to the user once, hashes are stored
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return { codes, hashes: codes.map(hashRecoveryCode) };
+}
+
+/**
+ * Use a recovery code.
+ *
+ * @param {string[]} hashes - Stored hashes of the unused codes
+ * @param {string} code - Code entered by the user
+ * @returns {string[]|null} Remaining hashes, or null when the code does not match
+ */
+function consumeRecoveryCode(hashes, code) {
+  if (!normalizeRecoveryCode(code)) return null;
+  const hash = hashRecoveryCode(code);
+  const index = (hashes || []).indexOf(hash);
+  if (index === -1) return null;
+  return hashes.filter((_, i) => i !== index);
+}
+
+// Secrets are stored encrypted (AES-256-GCM) as iv.tag.ciphertext, base64url
+function encryptionKey(keyMaterial) {
+  return crypto.createHash('sha256').update(String(keyMaterial)).digest();
+}
+
+function encryptSecret(secret, keyMaterial) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(keyMaterial), iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64url')).join('.');
+}
+
+function decryptSecret(value, keyMaterial) {
+  const [iv, tag, ciphertext] = value.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(keyMaterial), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  generateCode,
+  verifyCode,
+  otpauthUrl,
+  generateRecoveryCodes,
+  consumeRecoveryCode,
+  encryptSecret,
+  decryptSecret
+};
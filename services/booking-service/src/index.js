@@ -2,12 +2,26 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const { Sequelize, DataTypes } = require('sequelize');
-const winston = require('winston');
 const jwt = require('jsonwebtoken');
 const axios = require('axios');
+const { calculateBookingPrice, roundMoney } = require('./pricing');
+const {
+  CONFIRMED_STATUSES,
+  today,
+  buildPaymentTerms,
+  depositDueDateFor,
+  statusForPayments,
+  summarizeBalance
+} = require('./schedule');
+const { DEFAULT_CANCELLATION_POLICY, normalizeCancellationPolicy, quoteRefund } = require('./cancellation');
+const { permissionsFromHeader, hasPermission } = require('./permissions');
+const { fetchVendorMemberships, canActForVendor, vendorKycApproved } = require('./vendors');
+const { calendarReservations, ensureActiveBookingIndex, reserveVenueDate } = require('./reservations');
+const logger = require('./logger');
 
 const app = express();
 const PORT = process.env.BOOKING_SERVICE_PORT || 4005;
+const DEPOSIT_CHECK_INTERVAL_MS = parseInt(process.env.DEPOSIT_CHECK_INTERVAL_MS || '3600000', 10);
 
 // Ensure JWT_SECRET is properly set
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -16,16 +30,6 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [new winston.transports.Console()]
-});
-
 app.use(bodyParser.json());
 
 // Service API clients
@@ -34,6 +38,16 @@ const venueService = axios.create({
   timeout: 5000
 });
 
+const calendarService = axios.create({
+  baseURL: process.env.CALENDAR_SERVICE_URL || 'http://calendar-service:4009',
+  timeout: 5000
+});
+
+// Short-lived token identifying booking-service to other services
+function signServiceToken() {
+  return jwt.sign({ id: 0, role: 'service', service: 'booking-service' }, JWT_SECRET, { expiresIn: '5m' });
+}
+
 // Standard error response format
 function errorResponse(res, status, message, details = null) {
   const response = { error: message };
@@ -48,7 +62,9 @@ function authenticateJWT(req, res, next) {
     if (req.headers['x-user-id'] && req.headers['x-user-role']) {
       req.user = {
         id: req.headers['x-user-id'],
-        role: req.headers['x-user-role']
+        role: req.headers['x-user-role'],
+        permissions: permissionsFromHeader(req.headers['x-user-permissions']),
+        emailVerified: req.headers['x-user-email-verified'] === 'true'
       };
       return next();
     }
@@ -79,20 +95,30 @@ function authenticateJWT(req, res, next) {
   }
 }
 
-// Role-based authorization middleware
-function requireRole(roles = []) {
-  return (req, res, next) => {
-    if (!req.user) {
-      return errorResponse(res, 401, 'Authentication required');
-    }
-    
-    if (!roles.includes(req.user.role)) {
-      logger.warn(`Access denied for user ${req.user.id} (${req.user.role}). Required roles: ${roles.join(', ')}`);
-      return errorResponse(res, 403, 'Insufficient permissions');
-    }
-    
-    next();
-  };
+// Email verification middleware - unverified accounts cannot create bookings
+function requireVerifiedEmail(req, res, next) {
+  if (req.user.emailVerified || hasPermission(req.user, 'booking:create_for_others')) {
+    return next();
+  }
+  
+  logger.warn(`User ${req.user.id} with unverified email attempted ${req.method} ${req.path}`);
+  return errorResponse(res, 403, 'Email verification required', 
+    'Verify your email address and refresh your session to continue');
+}
+
+function isBookingOwner(user, booking) {
+  return Boolean(booking.userId) && booking.userId.toString() === user.id.toString();
+}
+
+// The venue's vendor and its staff manage its bookings once the vendor's KYC is approved
+async function managesVenueBookings(req, booking) {
+  return (await canActForVendor(req, booking.vendorId, 'manage_bookings')) &&
+    vendorKycApproved(req, booking.vendorId);
+}
+
+// Cancellations by the venue's vendor or its staff, rather than by the customer
+async function cancelsForVenue(req, booking) {
+  return !isBookingOwner(req.user, booking) && managesVenueBookings(req, booking);
 }
 
 // Booking ownership verification middleware
@@ -108,10 +134,9 @@ async function requireBookingOwnership(req, res, next) {
       return errorResponse(res, 404, 'Booking not found');
     }
     
-    // Allow if user is the booking owner, the venue's vendor, or an admin
-    if (req.user.role === 'admin' ||
-        (booking.userId && booking.userId.toString() === req.user.id.toString()) ||
-        (req.user.role === 'vendor' && booking.vendorId && booking.vendorId.toString() === req.user.id.toString())) {
+    // Allow if user is the booking owner, may view every booking, or works for the venue's vendor
+    if (isBookingOwner(req.user, booking) || hasPermission(req.user, 'booking:read') ||
+        await canActForVendor(req, booking.vendorId, 'view_bookings')) {
       req.booking = booking; // Attach booking to request for convenience
       return next();
     }
@@ -119,11 +144,67 @@ async function requireBookingOwnership(req, res, next) {
     logger.warn(`User ${req.user.id} attempted to access booking ${bookingId} without permission`);
     return errorResponse(res, 403, 'You do not have permission to access this booking');
   } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message);
+    }
     logger.error(`Booking ownership check error: ${err.message}`);
     return errorResponse(res, 500, 'Error verifying booking ownership');
   }
 }
 
+/**
+ * Refund for cancelling a booking today, under the cancellation policy agreed when it was made.
+ * Cancellations by the venue's vendor or its staff are refunded in full, and users with the
+ * booking:cancel permission may set the refund percentage.
+ *
+ * @param {Object} booking - Booking instance
+ * @param {Object|null} user - Cancelling user, or null for automatic cancellations
+ * @param {*} refundPercentOverride - Refund percentage requested by a user with booking:cancel
+ * @param {boolean} byVenue - Whether the user cancels for the venue (see cancelsForVenue)
+ * @returns {Object} Refund quote (see quoteRefund) with the basis it was computed on
+ */
+function cancellationQuote(booking, user, refundPercentOverride, byVenue = false) {
+  const quote = quoteRefund(booking.cancellationPolicy, booking);
+  let basis = 'policy';
+  let refundPercent = quote.refundPercent;
+  
+  if (byVenue) {
+    basis = 'vendor_cancellation';
+    refundPercent = 100;
+  } else if (hasPermission(user, 'booking:cancel') && refundPercentOverride !== undefined && refundPercentOverride !== null) {
+    refundPercent = Number(refundPercentOverride);
+    if (!Number.isFinite(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+      throw Object.assign(new Error('refundPercent must be between 0 and 100'), { status: 400 });
+    }
+    basis = 'admin_override';
+  }
+  
+  if (basis === 'policy') {
+    return { ...quote, basis };
+  }
+  const refundAmount = Math.round(quote.amountPaid * refundPercent) / 100;
+  return { ...quote, basis, refundPercent, refundAmount, retainedAmount: roundMoney(quote.amountPaid - refundAmount) };
+}
+
+// Guard against the refund changing between the quote and the cancellation (e.g. crossing into a lower tier)
+function checkExpectedRefund(quote, expectedRefundAmount) {
+  if (expectedRefundAmount === undefined || expectedRefundAmount === null) return;
+  if (roundMoney(Number(expectedRefundAmount)) !== quote.refundAmount) {
+    throw Object.assign(new Error('The refund for this cancellation has changed'), { status: 409, details: quote });
+  }
+}
+
+// Fields recorded on a booking when it is cancelled
+function cancellationChanges(quote, reason) {
+  return {
+    status: 'cancelled',
+    cancelledAt: new Date(),
+    cancellationReason: reason,
+    refundPercent: quote.refundPercent,
+    refundAmount: quote.refundAmount
+  };
+}
+
 // Sequelize connection
 const sequelize = new Sequelize(
   process.env.POSTGRES_DB || 'banquet_db',
@@ -137,6 +218,8 @@ const sequelize = new Sequelize(
   }
 );
 
+// A venue can hold only one active (non-cancelled) booking per day; the partial unique index is
+// created after sync, once no venue date is double-booked (see ensureActiveBookingIndex)
 const Booking = sequelize.define('Booking', {
   userId: { type: DataTypes.INTEGER, allowNull: false },
   venueId: { type: DataTypes.INTEGER, allowNull: false },
@@ -149,20 +232,53 @@ const Booking = sequelize.define('Booking', {
   minGuests: { type: DataTypes.INTEGER },
   additionalServices: { type: DataTypes.JSONB },
   totalPrice: { type: DataTypes.FLOAT, allowNull: false },
-  status: { type: DataTypes.ENUM('pending', 'confirmed', 'cancelled'), defaultValue: 'pending' }
+  priceBreakdown: { type: DataTypes.JSONB },
+  // Deposit rule copied from the venue when the booking is made
+  paymentTerms: { type: DataTypes.JSONB },
+  depositAmount: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+  depositDueDate: { type: DataTypes.DATEONLY },
+  balanceDueDate: { type: DataTypes.DATEONLY },
+  amountPaid: { type: DataTypes.FLOAT, allowNull: false, defaultValue: 0 },
+  status: {
+    type: DataTypes.ENUM('pending', 'confirmed', 'deposit_paid', 'paid_in_full', 'completed', 'cancelled'),
+    defaultValue: 'pending'
+  },
+  // Cancellation policy copied from the venue when the booking is made
+  cancellationPolicy: { type: DataTypes.JSONB },
+  cancelledAt: { type: DataTypes.DATE },
+  cancellationReason: { type: DataTypes.STRING },
+  refundPercent: { type: DataTypes.FLOAT },
+  refundAmount: { type: DataTypes.FLOAT }
+});
+
+// Installments received against a booking
+const BookingPayment = sequelize.define('BookingPayment', {
+  bookingId: { type: DataTypes.INTEGER, allowNull: false },
+  amount: { type: DataTypes.FLOAT, allowNull: false, validate: { min: 0.01 } },
+  method: { type: DataTypes.ENUM('cash', 'bank_transfer', 'card', 'cheque', 'other'), allowNull: false, defaultValue: 'other' },
+  reference: { type: DataTypes.STRING },
+  paidAt: { type: DataTypes.DATE, allowNull: false, defaultValue: DataTypes.NOW },
+  recordedBy: { type: DataTypes.INTEGER, allowNull: false }
 });
 
+Booking.hasMany(BookingPayment, { foreignKey: 'bookingId', as: 'payments' });
+BookingPayment.belongsTo(Booking, { foreignKey: 'bookingId' });
+
+// Calendar-service holds the venue's date for each live booking
+const calendar = calendarReservations(calendarService, signServiceToken, logger);
+const releaseCalendarDate = calendar.release;
+
 // Health check
 app.get('/api/booking/health', (req, res) => res.json({ status: 'ok' }));
 
 // Create booking with price calculation - enhanced security and validation
-app.post('/api/booking/bookings', authenticateJWT, async (req, res) => {
+app.post('/api/booking/bookings', authenticateJWT, requireVerifiedEmail, async (req, res) => {
   try {
-    // Use userId from authenticated user unless admin is creating for someone else
+    // Use userId from authenticated user unless staff are creating it for someone else
     let requestedUserId = req.body.userId;
     
     // Security check: Regular users can only book for themselves
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'booking:create_for_others')) {
       // Force userId to be the authenticated user's ID
       requestedUserId = req.user.id;
       
@@ -177,17 +293,13 @@ app.post('/api/booking/bookings', authenticateJWT, async (req, res) => {
       }
       logger.info(`Admin ${req.user.id} creating booking for user ${requestedUserId}`);
     }
-        // Extract and normalize data from request body
+    // Extract and normalize data from request body. Prices are never taken from the client.
     let { 
       venueId,
       vendorId,
       date, 
       guestCount, 
       guests, // Alternative field name from test
-      pricingType = 'flat',
-      flatPrice,
-      perHeadPrice, 
-      minGuests, 
       additionalServices,
       status,
       notes
@@ -201,33 +313,34 @@ app.post('/api/booking/bookings', authenticateJWT, async (req, res) => {
       return errorResponse(res, 400, 'userId is required');
     }
     
-    // Validate venueId and vendorId are present
     if (!venueId) {
       return errorResponse(res, 400, 'venueId is required');
     }
     
-    if (!vendorId) {
-      return errorResponse(res, 400, 'vendorId is required');
-    }
-    
-    // Verify that vendorId matches the venue's vendor
+    // Load the venue with its pricing and additional services catalogue
+    let venue;
     try {
-      const response = await venueService.get(`/api/venue/venues/${venueId}`, {
+      const response = await venueService.get(`/venues/${venueId}`, {
         headers: {
           'Authorization': req.headers.authorization
         }
       });
-      
-      const venue = response.data;
-      if (venue.vendorId.toString() !== vendorId.toString()) {
-        return errorResponse(res, 400, 'vendorId does not match the venue\'s vendor');
-      }
+      venue = response.data;
     } catch (venueError) {
+      if (venueError.response && venueError.response.status === 404) {
+        return errorResponse(res, 404, 'Venue not found');
+      }
       logger.error(`Venue service error: ${venueError.message}`);
-      return errorResponse(res, 500, 'Error verifying venue ownership');
+      return errorResponse(res, 502, 'Error loading venue details');
+    }
+    
+    // vendorId is optional; when supplied it must match the venue's vendor
+    if (vendorId && venue.vendorId.toString() !== vendorId.toString()) {
+      return errorResponse(res, 400, 'vendorId does not match the venue\'s vendor');
     }
+    vendorId = venue.vendorId;
 
-        // Map 'guests' to 'guestCount' if provided
+    // Map 'guests' to 'guestCount' if provided
     if (!guestCount && guests) {
       guestCount = guests;
     }
@@ -247,60 +360,85 @@ app.post('/api/booking/bookings', authenticateJWT, async (req, res) => {
     const bookingDate = new Date(date);
     const currentDate = new Date();
     
+    if (isNaN(bookingDate.getTime())) {
+      return errorResponse(res, 400, 'Invalid booking date');
+    }
+    
     // Ensure booking date is in the future
     if (bookingDate < currentDate) {
       return errorResponse(res, 400, 'Booking date must be in the future');
     }
+    
+    // Bookings are per calendar day
+    date = bookingDate.toISOString().slice(0, 10);
 
-    // Validate pricing fields based on pricingType
-    let totalPrice = 0;
-    if (pricingType === 'flat') {
-      if (!flatPrice || isNaN(parseFloat(flatPrice)) || parseFloat(flatPrice) <= 0) {
-        return errorResponse(res, 400, 'flatPrice is required for flat pricing type');
-      }
-      flatPrice = parseFloat(flatPrice);
-      totalPrice = flatPrice;
-    } else if (pricingType === 'per_head') {
-      if (!perHeadPrice || isNaN(parseFloat(perHeadPrice)) || parseFloat(perHeadPrice) <= 0) {
-        return errorResponse(res, 400, 'perHeadPrice is required for per_head pricing type');
-      }
-      perHeadPrice = parseFloat(perHeadPrice);
-      
-      // Validate minGuests
-      if (!minGuests) {
-        minGuests = 1; // Default minimum guests if not provided
-      } else {
-        minGuests = parseInt(minGuests);
-      }
-      
-      if (guestCount < minGuests) {
-        return errorResponse(res, 400, `Guest count (${guestCount}) below minimum required (${minGuests})`);
+    // Price the booking from the venue catalogue
+    let price;
+    try {
+      price = calculateBookingPrice(venue, guestCount, additionalServices);
+    } catch (pricingErr) {
+      if (pricingErr.status) {
+        return errorResponse(res, pricingErr.status, pricingErr.message, pricingErr.details);
       }
-      
-      totalPrice = guestCount * perHeadPrice;
-    } else {
-      return errorResponse(res, 400, 'Invalid pricingType. Must be "flat" or "per_head".');
+      throw pricingErr;
     }
+    const { pricingType, flatPrice, perHeadPrice, minGuests, totalPrice, priceBreakdown } = price;
+    additionalServices = price.additionalServices;
     
-    if (Array.isArray(additionalServices)) {
-      totalPrice += additionalServices.reduce((sum, s) => sum + (s.price || 0), 0);
+    // Deposit, balance and cancellation terms from the venue's rules
+    let terms;
+    let cancellationPolicy;
+    try {
+      terms = buildPaymentTerms(venue, totalPrice, date);
+      cancellationPolicy = venue.cancellationPolicy
+        ? normalizeCancellationPolicy(venue.cancellationPolicy)
+        : DEFAULT_CANCELLATION_POLICY;
+    } catch (termsErr) {
+      if (termsErr.status) {
+        return errorResponse(res, termsErr.status, termsErr.message);
+      }
+      throw termsErr;
     }
     
-    // Create the booking with normalized data
-    const booking = await Booking.create({ 
-      userId, 
-      venueId, 
-      vendorId, 
-      date, 
-      guestCount, 
-      pricingType, 
-      flatPrice, 
-      perHeadPrice, 
-      minGuests, 
-      additionalServices, 
-      totalPrice,
-      status: status || 'pending'
-    });
+    // New bookings start pending; only staff who book for others may create them already confirmed
+    const initialStatus = hasPermission(req.user, 'booking:create_for_others') && status === 'confirmed' ? 'confirmed' : 'pending';
+    
+    // Reserve the date: a lock serialises concurrent requests for the same venue and day, the
+    // partial unique index backs it up at the database level, and the calendar has the final say
+    let booking;
+    try {
+      booking = await reserveVenueDate({ sequelize, Booking, calendar }, {
+        userId, 
+        venueId, 
+        vendorId, 
+        date, 
+        guestCount, 
+        pricingType, 
+        flatPrice, 
+        perHeadPrice, 
+        minGuests, 
+        additionalServices, 
+        totalPrice,
+        priceBreakdown,
+        paymentTerms: terms.paymentTerms,
+        depositAmount: terms.depositAmount,
+        balanceDueDate: terms.balanceDueDate,
+        depositDueDate: initialStatus === 'confirmed'
+          ? depositDueDateFor({ depositAmount: terms.depositAmount, paymentTerms: terms.paymentTerms, balanceDueDate: terms.balanceDueDate })
+          : null,
+        cancellationPolicy,
+        status: initialStatus
+      });
+    } catch (reserveErr) {
+      if (reserveErr.name === 'SequelizeUniqueConstraintError') {
+        return errorResponse(res, 409, 'Venue is already booked for this date', { venueId, date });
+      }
+      if (reserveErr.status) {
+        logger.warn(`Booking for venue ${venueId} on ${date} rejected: ${reserveErr.message}`);
+        return errorResponse(res, reserveErr.status, reserveErr.message, { venueId, date });
+      }
+      throw reserveErr;
+    }
     
     res.status(201).json(booking);
   } catch (err) {
@@ -322,7 +460,7 @@ app.get('/api/booking/bookings', authenticateJWT, async (req, res) => {
     const whereClause = {};
     
     // Status filter
-    if (status && ['pending', 'confirmed', 'cancelled'].includes(status)) {
+    if (status && ['pending', 'confirmed', 'deposit_paid', 'paid_in_full', 'completed', 'cancelled'].includes(status)) {
       whereClause.status = status;
     }
     
@@ -342,18 +480,33 @@ app.get('/api/booking/bookings', authenticateJWT, async (req, res) => {
     }
     
     // Role-based access control
-    if (req.user.role === 'admin') {
-      // Admins can see all bookings
+    if (hasPermission(req.user, 'booking:read')) {
+      // Staff with booking:read can see all bookings
       // No changes to whereClause
-      logger.info(`Admin ${req.user.id} accessing all bookings`);
-    } else if (req.user.role === 'vendor') {
-      // Vendors can see bookings for their venues
-      whereClause.vendorId = req.user.id;
-      logger.info(`Vendor ${req.user.id} accessing their bookings`);
+      logger.info(`User ${req.user.id} (${req.user.role}) accessing all bookings`);
     } else {
-      // Regular users can only see their own bookings
-      whereClause.userId = req.user.id;
-      logger.info(`User ${req.user.id} accessing their bookings`);
+      // Vendors and their staff can see bookings for their venues, regular users their own bookings.
+      // Without vendor-service, vendors still see their own venues' bookings.
+      let vendorIds = req.user.role === 'vendor' ? [req.user.id] : [];
+      try {
+        const memberships = await fetchVendorMemberships(req.headers.authorization);
+        vendorIds = memberships
+          .filter(membership => membership.actions.includes('view_bookings'))
+          .map(membership => membership.vendorId);
+      } catch (membershipErr) {
+        logger.warn(`Listing bookings without team memberships: ${membershipErr.message}`);
+      }
+      
+      if (req.user.role === 'vendor') {
+        whereClause.vendorId = vendorIds;
+        logger.info(`Vendor ${req.user.id} accessing their bookings`);
+      } else if (vendorIds.length > 0) {
+        whereClause[Sequelize.Op.or] = [{ userId: req.user.id }, { vendorId: vendorIds }];
+        logger.info(`User ${req.user.id} accessing their bookings and those of vendors ${vendorIds.join(', ')}`);
+      } else {
+        whereClause.userId = req.user.id;
+        logger.info(`User ${req.user.id} accessing their bookings`);
+      }
     }
     
     // Fetch bookings with pagination
@@ -396,11 +549,8 @@ app.get('/api/booking/bookings/:id', authenticateJWT, async (req, res) => {
     }
     
     // Enforce role-based access control
-    const isAdmin = req.user.role === 'admin';
-    const isVendor = req.user.role === 'vendor' && booking.vendorId.toString() === req.user.id.toString();
-    const isOwner = booking.userId.toString() === req.user.id.toString();
-    
-    if (!isAdmin && !isVendor && !isOwner) {
+    if (!isBookingOwner(req.user, booking) && !hasPermission(req.user, 'booking:read') &&
+        !(await canActForVendor(req, booking.vendorId, 'view_bookings'))) {
       logger.warn(`User ${req.user.id} (${req.user.role}) attempted unauthorized access to booking ${bookingId}`);
       return errorResponse(res, 403, 'You do not have permission to access this booking');
     }
@@ -408,6 +558,9 @@ app.get('/api/booking/bookings/:id', authenticateJWT, async (req, res) => {
     logger.info(`User ${req.user.id} (${req.user.role}) accessed booking ${bookingId}`);
     res.json(booking);
   } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message);
+    }
     logger.error(`Error fetching booking: ${err.message}`);
     return errorResponse(res, 500, 'Failed to retrieve booking');
   }
@@ -417,7 +570,10 @@ app.get('/api/booking/bookings/:id', authenticateJWT, async (req, res) => {
 app.put('/api/booking/bookings/:id/status', authenticateJWT, requireBookingOwnership, async (req, res) => {
   try {
     // Validate status
-    const allowedStatuses = ['pending', 'confirmed', 'cancelled'];
+    const allowedStatuses = ['pending', 'confirmed', 'completed', 'cancelled'];
+    if (['deposit_paid', 'paid_in_full'].includes(req.body.status)) {
+      return errorResponse(res, 400, 'Payment statuses are set automatically when payments are recorded');
+    }
     if (!req.body.status || !allowedStatuses.includes(req.body.status)) {
       return errorResponse(res, 400, 'Invalid status value', 
         `Status must be one of: ${allowedStatuses.join(', ')}`);
@@ -432,36 +588,66 @@ app.put('/api/booking/bookings/:id/status', authenticateJWT, requireBookingOwner
       return res.json(req.booking);
     }
     
+    // The date of a cancelled booking has been released and may already be taken
+    if (currentStatus === 'cancelled') {
+      return errorResponse(res, 400, 'Cancelled bookings cannot be reopened');
+    }
+    
+    // Completed bookings are final; they may already have been reviewed
+    if (currentStatus === 'completed') {
+      return errorResponse(res, 400, 'Completed bookings cannot be changed');
+    }
+    
+    if (newStatus === 'pending') {
+      return errorResponse(res, 400, 'Bookings cannot be moved back to pending');
+    }
+    
     // Status change validation based on roles
+    const changes = { status: newStatus };
     if (newStatus === 'confirmed') {
-      // Only vendors who own the venue and admins can confirm bookings
-      if (req.user.role !== 'admin' && (req.user.role !== 'vendor' || req.booking.vendorId.toString() !== req.user.id.toString())) {
+      // Only the venue vendor and its staff, and users with booking:confirm can confirm bookings
+      if (!hasPermission(req.user, 'booking:confirm') && !(await managesVenueBookings(req, req.booking))) {
         logger.warn(`User ${req.user.id} (${req.user.role}) attempted to confirm booking ${req.params.id} without permission`);
-        return errorResponse(res, 403, 'Only the venue vendor or administrators can confirm bookings');
+        return errorResponse(res, 403, 'Only the venue vendor team or users with the booking:confirm permission can confirm bookings');
+      }
+      if (currentStatus !== 'pending') {
+        return errorResponse(res, 400, 'Only pending bookings can be confirmed');
+      }
+      // The deposit clock starts at confirmation
+      changes.depositDueDate = depositDueDateFor(req.booking);
+    } else if (newStatus === 'completed') {
+      // Only the venue vendor and its staff, or users with booking:confirm can complete a
+      // confirmed booking, once the event date has arrived
+      if (!hasPermission(req.user, 'booking:confirm') && !(await managesVenueBookings(req, req.booking))) {
+        logger.warn(`User ${req.user.id} (${req.user.role}) attempted to complete booking ${req.params.id} without permission`);
+        return errorResponse(res, 403, 'Only the venue vendor team or users with the booking:confirm permission can complete bookings');
+      }
+      if (!CONFIRMED_STATUSES.includes(currentStatus)) {
+        return errorResponse(res, 400, 'Only confirmed bookings can be completed');
+      }
+      if (req.booking.date > new Date().toISOString().split('T')[0]) {
+        return errorResponse(res, 400, 'Bookings cannot be completed before the event date');
       }
     } else if (newStatus === 'cancelled') {
-      // For cancellation, apply booking cancellation policy
-      // Users can cancel their own bookings
-      // Vendors can cancel bookings for their venues
-      // Admins can cancel any booking
-      
-      // Check if booking is already confirmed and too close to the date
-      if (currentStatus === 'confirmed') {
-        const bookingDate = new Date(req.booking.date);
-        const currentDate = new Date();
-        const daysDifference = Math.ceil((bookingDate - currentDate) / (1000 * 60 * 60 * 24));
-        
-        // If booking date is less than 3 days away and user is trying to cancel, restrict it
-        if (daysDifference < 3 && req.user.role === 'user') {
-          logger.warn(`User ${req.user.id} attempted to cancel confirmed booking ${req.params.id} with less than 3 days' notice`);
-          return errorResponse(res, 403, 'Cannot cancel confirmed booking with less than 3 days notice', 
-            { daysDifference, minDaysRequired: 3 });
-        }
+      // Users can cancel their own bookings, vendors and their staff bookings for their venues and
+      // users with booking:cancel any booking. The refund follows the booking's cancellation policy
+      // (see cancellationQuote).
+      const byVenue = await cancelsForVenue(req, req.booking);
+      if (!isBookingOwner(req.user, req.booking) && !byVenue && !hasPermission(req.user, 'booking:cancel')) {
+        logger.warn(`User ${req.user.id} (${req.user.role}) attempted to cancel booking ${req.params.id} without permission`);
+        return errorResponse(res, 403, 'You do not have permission to cancel this booking');
       }
+      const quote = cancellationQuote(req.booking, req.user, req.body.refundPercent, byVenue);
+      checkExpectedRefund(quote, req.body.expectedRefundAmount);
+      Object.assign(changes, cancellationChanges(quote, req.body.reason || `Cancelled by ${req.user.role}`));
     }
     
     // At this point, all permission checks have passed
-    await req.booking.update({ status: newStatus });
+    await req.booking.update(changes);
+    
+    if (newStatus === 'cancelled') {
+      await releaseCalendarDate(req.booking);
+    }
     
     // Enhanced logging for audit purposes
     logger.info({
@@ -471,23 +657,42 @@ app.put('/api/booking/bookings/:id/status', authenticateJWT, requireBookingOwner
       userRole: req.user.role,
       oldStatus: currentStatus,
       newStatus: newStatus,
+      refundAmount: changes.refundAmount,
       timestamp: new Date().toISOString()
     });
     
     res.json(req.booking);
   } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
     logger.error(`Error updating booking status: ${err.message}`);
     return errorResponse(res, 500, 'Failed to update booking status');
   }
 });
 
-// Delete booking - only admin or owner can delete
+// Delete booking - only the owner or users with booking:cancel can delete
 app.delete('/api/booking/bookings/:id', authenticateJWT, requireBookingOwnership, async (req, res) => {
   try {
-    // Only allow admin or the actual owner (user who created the booking) to delete
-    if (req.user.role !== 'admin' && req.booking.userId.toString() !== req.user.id.toString()) {
+    // Only allow the actual owner (user who created the booking) or booking:cancel to delete
+    if (!isBookingOwner(req.user, req.booking) && !hasPermission(req.user, 'booking:cancel')) {
       logger.warn(`User ${req.user.id} (${req.user.role}) attempted to delete booking ${req.params.id} without permission`);
-      return errorResponse(res, 403, 'Only administrators or the booking owner can delete bookings');
+      return errorResponse(res, 403, 'Only the booking owner or users with the booking:cancel permission can delete bookings');
+    }
+    
+    if (req.booking.status === 'completed') {
+      return errorResponse(res, 400, 'Completed bookings cannot be deleted');
+    }
+    
+    const wasActive = req.booking.status !== 'cancelled';
+    const reason = req.body.reason || 'User requested deletion';
+    
+    // Deleting an active booking cancels it under the same policy as a status change
+    let cancellation = {};
+    if (wasActive) {
+      const quote = cancellationQuote(req.booking, req.user, req.body.refundPercent);
+      checkExpectedRefund(quote, req.body.expectedRefundAmount);
+      cancellation = cancellationChanges(quote, reason);
     }
     
     // For audit purposes, we'll soft delete by setting status to 'cancelled' and adding a flag
@@ -495,29 +700,192 @@ app.delete('/api/booking/bookings/:id', authenticateJWT, requireBookingOwnership
       status: 'cancelled',
       deletedBy: req.user.id,
       deletedAt: new Date(),
-      deletionReason: req.body.reason || 'User requested deletion'
+      deletionReason: reason,
+      ...cancellation
     });
     
+    if (wasActive) {
+      await releaseCalendarDate(req.booking);
+    }
+    
     logger.info({
       message: 'Booking deleted/cancelled',
       bookingId: req.params.id,
       userId: req.user.id,
       userRole: req.user.role,
-      reason: req.body.reason || 'User requested deletion'
+      reason,
+      refundAmount: req.booking.refundAmount
     });
     
-    res.json({ message: 'Booking successfully deleted', success: true });
+    res.json({
+      message: 'Booking successfully deleted',
+      success: true,
+      refund: { refundPercent: req.booking.refundPercent, refundAmount: req.booking.refundAmount }
+    });
   } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
     logger.error(`Error deleting booking: ${err.message}`);
     return errorResponse(res, 500, 'Failed to delete booking');
   }
 });
 
+// Record a payment against a booking - venue vendor or users with booking:payments only
+app.post('/api/booking/bookings/:id/payments', authenticateJWT, requireBookingOwnership, async (req, res) => {
+  try {
+    if (!hasPermission(req.user, 'booking:payments') && !(await managesVenueBookings(req, req.booking))) {
+      logger.warn(`User ${req.user.id} (${req.user.role}) attempted to record a payment on booking ${req.params.id}`);
+      return errorResponse(res, 403, 'Only the venue vendor team or users with the booking:payments permission can record payments');
+    }
+    
+    const amount = roundMoney(Number(req.body.amount));
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return errorResponse(res, 400, 'amount must be a positive number');
+    }
+    
+    const result = await sequelize.transaction(async (t) => {
+      const booking = await Booking.findByPk(req.booking.id, { lock: t.LOCK.UPDATE, transaction: t });
+      
+      if (!['confirmed', 'deposit_paid'].includes(booking.status)) {
+        throw Object.assign(new Error(`Cannot record payments for a ${booking.status} booking`), { status: 400 });
+      }
+      
+      const { outstanding } = summarizeBalance(booking);
+      if (amount > outstanding) {
+        throw Object.assign(new Error('Payment exceeds the outstanding balance'), { status: 400, details: { outstanding } });
+      }
+      
+      const payment = await BookingPayment.create({
+        bookingId: booking.id,
+        amount,
+        method: req.body.method || 'other',
+        reference: req.body.reference,
+        paidAt: req.body.paidAt || new Date(),
+        recordedBy: req.user.id
+      }, { transaction: t });
+      
+      const amountPaid = roundMoney(Number(booking.amountPaid) + amount);
+      await booking.update({ amountPaid, status: statusForPayments(booking, amountPaid) }, { transaction: t });
+      
+      return { booking, payment };
+    });
+    
+    logger.info({
+      message: 'Booking payment recorded',
+      bookingId: result.booking.id,
+      paymentId: result.payment.id,
+      amount,
+      recordedBy: req.user.id,
+      status: result.booking.status
+    });
+    
+    res.status(201).json({
+      payment: result.payment,
+      status: result.booking.status,
+      balance: summarizeBalance(result.booking)
+    });
+  } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
+    if (err.name === 'SequelizeValidationError' || err.name === 'SequelizeDatabaseError') {
+      return errorResponse(res, 400, 'Invalid payment', err.message);
+    }
+    logger.error(`Error recording booking payment: ${err.message}`);
+    return errorResponse(res, 500, 'Failed to record payment');
+  }
+});
+
+// Outstanding balance and payment schedule of a booking
+app.get('/api/booking/bookings/:id/balance', authenticateJWT, requireBookingOwnership, async (req, res) => {
+  try {
+    const payments = await BookingPayment.findAll({
+      where: { bookingId: req.booking.id },
+      order: [['paidAt', 'ASC']]
+    });
+    
+    res.json({
+      bookingId: req.booking.id,
+      status: req.booking.status,
+      paymentTerms: req.booking.paymentTerms,
+      ...summarizeBalance(req.booking),
+      payments
+    });
+  } catch (err) {
+    logger.error(`Error fetching booking balance: ${err.message}`);
+    return errorResponse(res, 500, 'Failed to fetch booking balance');
+  }
+});
+
+// Refund the caller would receive for cancelling the booking now
+app.get('/api/booking/bookings/:id/cancellation-quote', authenticateJWT, requireBookingOwnership, async (req, res) => {
+  try {
+    if (['cancelled', 'completed'].includes(req.booking.status)) {
+      return errorResponse(res, 400, `Cannot cancel a ${req.booking.status} booking`);
+    }
+    
+    const quote = cancellationQuote(req.booking, req.user, req.query.refundPercent, await cancelsForVenue(req, req.booking));
+    res.json({
+      bookingId: req.booking.id,
+      status: req.booking.status,
+      date: req.booking.date,
+      cancellationPolicy: req.booking.cancellationPolicy || DEFAULT_CANCELLATION_POLICY,
+      ...quote
+    });
+  } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
+    logger.error(`Error quoting booking cancellation: ${err.message}`);
+    return errorResponse(res, 500, 'Failed to quote cancellation');
+  }
+});
+
+// Cancel confirmed bookings whose deposit was not received by its due date
+async function cancelOverdueDeposits() {
+  const overdue = await Booking.findAll({
+    where: {
+      status: 'confirmed',
+      depositAmount: { [Sequelize.Op.gt]: 0 },
+      depositDueDate: { [Sequelize.Op.lt]: today() },
+      [Sequelize.Op.and]: sequelize.where(sequelize.col('amountPaid'), Sequelize.Op.lt, sequelize.col('depositAmount'))
+    }
+  });
+  
+  for (const booking of overdue) {
+    try {
+      await booking.update(cancellationChanges(cancellationQuote(booking, null), 'Deposit overdue'));
+      await releaseCalendarDate(booking);
+      logger.info({
+        message: 'Booking cancelled for overdue deposit',
+        bookingId: booking.id,
+        depositAmount: booking.depositAmount,
+        amountPaid: booking.amountPaid,
+        depositDueDate: booking.depositDueDate,
+        refundAmount: booking.refundAmount
+      });
+    } catch (err) {
+      logger.error(`Failed to cancel booking ${booking.id} with overdue deposit: ${err.message}`);
+    }
+  }
+  return overdue.length;
+}
+
+function runDepositCheck() {
+  cancelOverdueDeposits().catch(err => {
+    logger.error(`Overdue deposit check failed: ${err.message}`);
+  });
+}
+
 // Sync DB and start server
-sequelize.sync().then(() => {
+sequelize.sync({ alter: true }).then(async () => {
+  await ensureActiveBookingIndex({ sequelize, Booking }, logger);
   app.listen(PORT, () => {
     logger.info(`Booking Service running on port ${PORT}`);
   });
+  runDepositCheck();
+  setInterval(runDepositCheck, DEPOSIT_CHECK_INTERVAL_MS);
 }).catch(err => {
   logger.error('Failed to sync DB:', err);
   process.exit(1);
@@ -0,0 +1,127 @@
+// Booking price calculation from the venue catalogue
+// Prices always come from venue-service data, never from the client request.
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function pricingError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+// Normalise the requested services to [{ id, quantity }]. Accepts IDs or { id, quantity } objects.
+function normalizeServiceRequests(requested) {
+  if (requested === undefined || requested === null) return [];
+  if (!Array.isArray(requested)) {
+    throw pricingError('additionalServices must be an array of service IDs');
+  }
+
+  return requested.map(entry => {
+    const id = typeof entry === 'object' && entry !== null ? entry.id : entry;
+    const quantity = typeof entry === 'object' && entry !== null && entry.quantity !== undefined
+      ? parseInt(entry.quantity, 10)
+      : 1;
+
+    if (id === undefined || id === null || isNaN(parseInt(id, 10))) {
+      throw pricingError('Each additional service must reference a service ID');
+    }
+    if (isNaN(quantity) || quantity <= 0) {
+      throw pricingError(`Invalid quantity for additional service ${id}`);
+    }
+    return { id: parseInt(id, 10), quantity };
+  });
+}
+
+/**
+ * Calculate the total price of a booking.
+ *
+ * @param {Object} venue - Venue from venue-service, including its AdditionalServices
+ * @param {number} guestCount - Number of guests
+ * @param {Array} requestedServices - Service IDs or { id, quantity } objects
+ * @returns {Object} Booking price fields and an itemised breakdown
+ */
+function calculateBookingPrice(venue, guestCount, requestedServices) {
+  const lineItems = [];
+  let pricing;
+
+  if (venue.capacity && guestCount > venue.capacity) {
+    throw pricingError(`Guest count (${guestCount}) exceeds venue capacity (${venue.capacity})`);
+  }
+
+  if (venue.pricingType === 'flat') {
+    const flatPrice = parseFloat(venue.flatPrice);
+    if (isNaN(flatPrice) || flatPrice <= 0) {
+      throw pricingError('Venue has no valid flat price configured');
+    }
+    pricing = { pricingType: 'flat', flatPrice, perHeadPrice: null, minGuests: venue.minGuests || null };
+    lineItems.push({
+      type: 'venue',
+      description: `${venue.name} (flat rate)`,
+      quantity: 1,
+      unitPrice: flatPrice,
+      amount: roundMoney(flatPrice)
+    });
+  } else if (venue.pricingType === 'per_head') {
+    const perHeadPrice = parseFloat(venue.perHeadPrice);
+    if (isNaN(perHeadPrice) || perHeadPrice <= 0) {
+      throw pricingError('Venue has no valid per-head price configured');
+    }
+    const minGuests = venue.minGuests ? parseInt(venue.minGuests, 10) : 1;
+    if (guestCount < minGuests) {
+      throw pricingError(`Guest count (${guestCount}) below minimum required (${minGuests})`);
+    }
+    pricing = { pricingType: 'per_head', flatPrice: null, perHeadPrice, minGuests };
+    lineItems.push({
+      type: 'venue',
+      description: `${venue.name} (per head)`,
+      quantity: guestCount,
+      unitPrice: perHeadPrice,
+      amount: roundMoney(guestCount * perHeadPrice)
+    });
+  } else {
+    throw pricingError('Venue has an unsupported pricing type');
+  }
+
+  // Resolve requested services against the venue's catalogue
+  const catalogue = new Map((venue.AdditionalServices || []).map(service => [parseInt(service.id, 10), service]));
+  const requests = normalizeServiceRequests(requestedServices);
+  const unknownIds = requests.filter(r => !catalogue.has(r.id)).map(r => r.id);
+  if (unknownIds.length > 0) {
+    throw pricingError('Unknown additional service IDs for this venue', { unknownServiceIds: unknownIds });
+  }
+
+  const additionalServices = requests.map(({ id, quantity }) => {
+    const service = catalogue.get(id);
+    const price = parseFloat(service.price);
+    if (isNaN(price) || price <= 0) {
+      throw pricingError('Additional service has no valid price configured', { serviceId: id });
+    }
+    const amount = roundMoney(price * quantity);
+    lineItems.push({
+      type: 'additional_service',
+      serviceId: id,
+      description: service.name,
+      quantity,
+      unitPrice: price,
+      amount
+    });
+    return { id, name: service.name, price, quantity, amount };
+  });
+
+  const totalPrice = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0));
+
+  return {
+    ...pricing,
+    additionalServices,
+    totalPrice,
+    priceBreakdown: {
+      items: lineItems,
+      total: totalPrice
+    }
+  };
+}
+
+module.exports = {
+  calculateBookingPrice,
+  roundMoney
+};
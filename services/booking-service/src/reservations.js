@@ -0,0 +1,145 @@
+// Venue date reservations. A booking holds its venue's date twice: in the booking row, where a
+// partial unique index allows one live booking per venue and day, and as a calendar-service
+// event, next to the vendor's blocked dates. The booking is committed before the calendar is
+// asked for the date, so booking-service never holds its lock while waiting on calendar-service
+// (which locks the same venue and day); if the calendar refuses the date the booking is removed.
+const { Op } = require('sequelize');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function dayNumber(date) {
+  return Math.floor(new Date(`${date}T00:00:00Z`).getTime() / DAY_MS);
+}
+
+// Serialise booking attempts for the same venue and day within a transaction
+async function lockVenueDate(sequelize, venueId, date, transaction) {
+  await sequelize.query('SELECT pg_advisory_xact_lock(:venueId, :dayNumber)', {
+    replacements: { venueId: parseInt(venueId, 10), dayNumber: dayNumber(date) },
+    transaction
+  });
+}
+
+/**
+ * Calendar-service reservations for bookings.
+ *
+ * @param {Object} http - Axios instance for calendar-service
+ * @param {Function} signServiceToken - Returns a service JWT
+ * @param {Object} logger
+ * @returns {Object} { reserve(booking), release(booking) }
+ */
+function calendarReservations(http, signServiceToken, logger) {
+  // Mark the venue's calendar date as taken by this booking
+  async function reserve(booking) {
+    try {
+      await http.post('/api/calendar/reservations', {
+        venueId: booking.venueId,
+        date: booking.date,
+        bookingId: booking.id
+      }, {
+        headers: { Authorization: `Bearer ${signServiceToken()}` }
+      });
+    } catch (err) {
+      if (err.response && err.response.status === 409) {
+        throw Object.assign(new Error('Venue is not available on this date'), { status: 409 });
+      }
+      logger.error(`Calendar reservation failed for booking ${booking.id}: ${err.message}`);
+      throw Object.assign(new Error('Calendar service unavailable'), { status: 503 });
+    }
+  }
+
+  // Free the calendar date held by a booking
+  async function release(booking) {
+    try {
+      await http.delete(`/api/calendar/reservations/${booking.id}`, {
+        headers: { Authorization: `Bearer ${signServiceToken()}` }
+      });
+      return true;
+    } catch (err) {
+      // The booking row is the source of truth; a stale calendar entry only affects display
+      logger.error(`Failed to release calendar date for booking ${booking.id}: ${err.message}`);
+      return false;
+    }
+  }
+
+  return { reserve, release };
+}
+
+const ACTIVE_BOOKING_INDEX = 'bookings_venue_date_active_unique';
+
+/**
+ * Create the partial unique index allowing one live booking per venue and day. Bookings made
+ * before the index existed may already share a date; the index cannot be built over them, so
+ * they are logged for the venue to resolve and the index is left for a later start. Until then
+ * the venue date lock in reserveVenueDate keeps new bookings from adding to them.
+ *
+ * @param {Object} deps - { sequelize, Booking }
+ * @param {Object} logger
+ * @returns {Promise<boolean>} Whether the index exists
+ */
+async function ensureActiveBookingIndex({ sequelize, Booking }, logger) {
+  const table = Booking.getTableName();
+  const duplicates = await sequelize.query(
+    `SELECT "venueId", "date", array_agg("id" ORDER BY "id") AS "bookingIds"
+     FROM "${table}" WHERE "status" <> 'cancelled'
+     GROUP BY "venueId", "date" HAVING count(*) > 1`,
+    { type: sequelize.QueryTypes.SELECT }
+  );
+  if (duplicates.length > 0) {
+    for (const { venueId, date, bookingIds } of duplicates) {
+      logger.error(`Venue ${venueId} has more than one live booking on ${date}: bookings ${bookingIds.join(', ')}`);
+    }
+    logger.error(`Not creating ${ACTIVE_BOOKING_INDEX} until the ${duplicates.length} double-booked venue dates are resolved`);
+    return false;
+  }
+
+  await sequelize.query(
+    `CREATE UNIQUE INDEX IF NOT EXISTS "${ACTIVE_BOOKING_INDEX}" ON "${table}" ("venueId", "date") WHERE "status" <> 'cancelled'`
+  );
+  return true;
+}
+
+/**
+ * Create a booking for a venue date that no live booking holds, then reserve the date in the
+ * calendar. Throws with status 409 when the date is taken or blocked, 503 when the calendar
+ * cannot be reached; the booking is removed again in both cases.
+ *
+ * @param {Object} deps - { sequelize, Booking, calendar } with calendar from calendarReservations
+ * @param {Object} attributes - Booking attributes, including venueId and date (YYYY-MM-DD)
+ * @returns {Promise<Object>} The booking
+ */
+async function reserveVenueDate({ sequelize, Booking, calendar }, attributes) {
+  const { venueId, date } = attributes;
+
+  const booking = await sequelize.transaction(async (t) => {
+    await lockVenueDate(sequelize, venueId, date, t);
+
+    const conflict = await Booking.findOne({
+      where: { venueId, date, status: { [Op.ne]: 'cancelled' } },
+      transaction: t
+    });
+    if (conflict) {
+      throw Object.assign(new Error('Venue is already booked for this date'), { status: 409 });
+    }
+    return Booking.create(attributes, { transaction: t });
+  });
+
+  try {
+    await calendar.reserve(booking);
+  } catch (err) {
+    await booking.destroy();
+    // A request that timed out may still have reserved the date
+    if (err.status !== 409) {
+      await calendar.release(booking);
+    }
+    throw err;
+  }
+  return booking;
+}
+
+module.exports = {
+  dayNumber,
+  lockVenueDate,
+  calendarReservations,
+  ensureActiveBookingIndex,
+  reserveVenueDate
+};
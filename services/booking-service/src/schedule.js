@@ -0,0 +1,159 @@
+// Deposit rules and payment schedules for bookings
+// Payment terms are copied from the venue when the booking is made, so later changes to
+// the venue's rules do not affect existing bookings.
+
+const { roundMoney } = require('./pricing');
+
+const DEFAULT_DEPOSIT_DUE_DAYS = 7;
+const DEFAULT_BALANCE_DUE_DAYS = 14;
+
+// Booking states in which the venue is confirmed and payments can be recorded
+const CONFIRMED_STATUSES = ['confirmed', 'deposit_paid', 'paid_in_full'];
+
+function scheduleError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Add days to a YYYY-MM-DD date, returning YYYY-MM-DD
+function addDays(date, days) {
+  const result = new Date(`${date}T00:00:00Z`);
+  result.setUTCDate(result.getUTCDate() + days);
+  return result.toISOString().slice(0, 10);
+}
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function nonNegativeInteger(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+/**
+ * Payment terms for a booking, taken from the venue's deposit rule.
+ *
+ * @param {Object} venue - Venue with depositType, depositValue, depositDueDays and balanceDueDays
+ * @param {number} totalPrice - Booking total
+ * @param {string} eventDate - Event date (YYYY-MM-DD)
+ * @returns {Object} { paymentTerms, depositAmount, balanceDueDate }
+ */
+function buildPaymentTerms(venue, totalPrice, eventDate) {
+  const depositValue = venue.depositValue === null || venue.depositValue === undefined ? 0 : Number(venue.depositValue);
+  let depositAmount = 0;
+
+  if (venue.depositType && depositValue > 0) {
+    if (venue.depositType === 'percentage') {
+      if (depositValue > 100) {
+        throw scheduleError('Venue deposit percentage cannot exceed 100');
+      }
+      depositAmount = roundMoney(totalPrice * depositValue / 100);
+    } else if (venue.depositType === 'fixed') {
+      depositAmount = roundMoney(Math.min(depositValue, totalPrice));
+    } else {
+      throw scheduleError('Venue has an unsupported deposit type');
+    }
+  }
+
+  const paymentTerms = {
+    depositType: depositAmount > 0 ? venue.depositType : null,
+    depositValue: depositAmount > 0 ? depositValue : null,
+    depositDueDays: nonNegativeInteger(venue.depositDueDays, DEFAULT_DEPOSIT_DUE_DAYS),
+    balanceDueDays: nonNegativeInteger(venue.balanceDueDays, DEFAULT_BALANCE_DUE_DAYS)
+  };
+
+  return {
+    paymentTerms,
+    depositAmount,
+    balanceDueDate: addDays(eventDate, -paymentTerms.balanceDueDays)
+  };
+}
+
+/**
+ * Deposit due date for a booking confirmed on the given day. The deposit is never due after
+ * the balance, but when confirmation comes late it is due on the day of confirmation at the earliest.
+ *
+ * @param {Object} booking - Booking with paymentTerms and balanceDueDate
+ * @param {string} confirmedOn - Confirmation date (YYYY-MM-DD)
+ * @returns {string|null} YYYY-MM-DD, or null when no deposit is required
+ */
+function depositDueDateFor(booking, confirmedOn = today()) {
+  if (!(Number(booking.depositAmount) > 0)) return null;
+
+  const terms = booking.paymentTerms || {};
+  const dueDate = addDays(confirmedOn, nonNegativeInteger(terms.depositDueDays, DEFAULT_DEPOSIT_DUE_DAYS));
+  if (booking.balanceDueDate && dueDate > booking.balanceDueDate) {
+    return booking.balanceDueDate > confirmedOn ? booking.balanceDueDate : confirmedOn;
+  }
+  return dueDate;
+}
+
+// Status implied by the amount paid so far
+function statusForPayments(booking, amountPaid) {
+  if (amountPaid >= Number(booking.totalPrice)) return 'paid_in_full';
+  if (Number(booking.depositAmount) > 0 && amountPaid >= Number(booking.depositAmount)) return 'deposit_paid';
+  return 'confirmed';
+}
+
+function installmentStatus(amount, paid, dueDate, asOf) {
+  if (paid >= amount) return 'paid';
+  if (dueDate && dueDate < asOf) return 'overdue';
+  return paid > 0 ? 'partially_paid' : 'due';
+}
+
+/**
+ * Outstanding balance and installment schedule of a booking.
+ *
+ * @param {Object} booking - Booking with totalPrice, amountPaid, depositAmount and due dates
+ * @param {string} asOf - Date used to flag overdue installments (YYYY-MM-DD)
+ * @returns {Object} Balance summary with deposit and balance installments
+ */
+function summarizeBalance(booking, asOf = today()) {
+  const totalPrice = roundMoney(Number(booking.totalPrice));
+  const amountPaid = roundMoney(Number(booking.amountPaid) || 0);
+  const depositAmount = roundMoney(Number(booking.depositAmount) || 0);
+  const balanceAmount = roundMoney(totalPrice - depositAmount);
+
+  // Payments go towards the deposit first, then the balance
+  const paidTowardsDeposit = Math.min(amountPaid, depositAmount);
+  const paidTowardsBalance = roundMoney(amountPaid - paidTowardsDeposit);
+
+  const installments = [];
+  if (depositAmount > 0) {
+    installments.push({
+      type: 'deposit',
+      amount: depositAmount,
+      paid: paidTowardsDeposit,
+      dueDate: booking.depositDueDate || null,
+      status: installmentStatus(depositAmount, paidTowardsDeposit, booking.depositDueDate, asOf)
+    });
+  }
+  installments.push({
+    type: 'balance',
+    amount: balanceAmount,
+    paid: paidTowardsBalance,
+    dueDate: booking.balanceDueDate || null,
+    status: installmentStatus(balanceAmount, paidTowardsBalance, booking.balanceDueDate, asOf)
+  });
+
+  return {
+    totalPrice,
+    amountPaid,
+    outstanding: roundMoney(Math.max(totalPrice - amountPaid, 0)),
+    depositAmount,
+    depositOutstanding: roundMoney(Math.max(depositAmount - amountPaid, 0)),
+    depositDueDate: booking.depositDueDate || null,
+    balanceDueDate: booking.balanceDueDate || null,
+    installments
+  };
+}
+
+module.exports = {
+  CONFIRMED_STATUSES,
+  addDays,
+  today,
+  buildPaymentTerms,
+  depositDueDateFor,
+  statusForPayments,
+  summarizeBalance
+};
@@ -2,10 +2,20 @@
 const express = require('express');
 const bodyParser = require('body-parser');
 const { Sequelize, DataTypes } = require('sequelize');
-const winston = require('winston');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const axios = require('axios');
+const { canActForVendor, vendorKycApproved } = require('./vendors');
+const { permissionsFromHeader, hasPermission, requirePermission } = require('./permissions');
+const logger = require('./logger');
+const {
+  toCalendarDate,
+  normalizeWorkingHours,
+  normalizeDailyCapacity,
+  validateBlackout,
+  datesInRange,
+  dayAvailability
+} = require('./providers');
 
 const app = express();
 const PORT = process.env.CALENDAR_SERVICE_PORT || 4009; // Changed from 4004 to 4009 to avoid conflict with admin service
@@ -17,16 +27,6 @@ if (!JWT_SECRET) {
   process.exit(1);
 }
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [new winston.transports.Console()]
-});
-
 app.use(cors());
 app.use(bodyParser.json());
 
@@ -44,7 +44,8 @@ function authenticateJWT(req, res, next) {
     if (req.headers['x-user-id'] && req.headers['x-user-role']) {
       req.user = {
         id: req.headers['x-user-id'],
-        role: req.headers['x-user-role']
+        role: req.headers['x-user-role'],
+        permissions: permissionsFromHeader(req.headers['x-user-permissions'])
       };
       return next();
     }
@@ -75,19 +76,14 @@ function authenticateJWT(req, res, next) {
   }
 }
 
-// Role-based authorization middleware
-function requireRole(roles = []) {
+// Internal endpoints: other services (service tokens), and users with the permission
+function requireServiceOrPermission(permission) {
+  const checkPermission = requirePermission(permission);
   return (req, res, next) => {
-    if (!req.user) {
-      return errorResponse(res, 401, 'Authentication required');
-    }
-    
-    if (!roles.includes(req.user.role)) {
-      logger.warn(`Access denied for user ${req.user.id} (${req.user.role}). Required roles: ${roles.join(', ')}`);
-      return errorResponse(res, 403, 'Insufficient permissions');
+    if (req.user && req.user.role === 'service') {
+      return next();
     }
-    
-    next();
+    return checkPermission(req, res, next);
   };
 }
 
@@ -97,47 +93,52 @@ const venueService = axios.create({
   timeout: 5000
 });
 
-// Venue ownership verification middleware
-async function requireVenueOwnership(req, res, next) {
+// Venue calendar access middleware: users with calendar:manage, and the venue's vendor team by
+// team role (see vendor-service team.js). The venue is the one in the body, or that of the event in the route.
+async function requireVenueCalendarAccess(req, res, next) {
   try {
-    const venueId = req.params.venueId || req.body.venueId;
+    if (hasPermission(req.user, 'calendar:manage')) {
+      return next();
+    }
+    
+    let venueId = req.body.venueId;
+    if (req.params.id) {
+      const event = await CalendarEvent.findByPk(req.params.id);
+      if (!event) {
+        return errorResponse(res, 404, 'Calendar event not found');
+      }
+      venueId = event.venueId;
+    }
     if (!venueId) {
       return errorResponse(res, 400, 'Venue ID is required');
     }
     
-    // Admin can manage all venues
-    if (req.user.role === 'admin') {
-      return next();
+    let venue;
+    try {
+      const response = await venueService.get(`/venues/${venueId}`);
+      venue = response.data;
+    } catch (venueError) {
+      if (venueError.response && venueError.response.status === 404) {
+        return errorResponse(res, 404, 'Venue not found');
+      }
+      logger.error(`Venue service error: ${venueError.message}`);
+      return errorResponse(res, 503, 'Error verifying venue ownership');
     }
     
-    // Vendor can only manage their own venues
-    if (req.user.role === 'vendor') {
-      try {
-        // Get venue details from venue service to verify ownership
-        const response = await venueService.get(`/api/venue/venues/${venueId}`, {
-          headers: {
-            'Authorization': req.headers.authorization || `Bearer ${req.user.token || ''}`
-          }
-        });
-        
-        const venue = response.data;
-        
-        // Check if the vendor ID matches the venue's vendor ID
-        if (venue.vendorId.toString() !== req.user.id.toString()) {
-          logger.warn(`Vendor ${req.user.id} attempted to manage venue ${venueId} they don't own`);
-          return errorResponse(res, 403, 'You do not have permission to manage this venue');
-        }
-        
-        return next();
-      } catch (venueError) {
-        logger.error(`Venue service error: ${venueError.message}`);
-        return errorResponse(res, 500, 'Error verifying venue ownership');
-      }
-    } else {
-      logger.warn(`User ${req.user.id} attempted to access venue ${venueId} without permission`);
+    if (!(await canActForVendor(req, venue.vendorId, 'edit_calendar'))) {
+      logger.warn(`User ${req.user.id} attempted to manage the calendar of venue ${venueId} without permission`);
       return errorResponse(res, 403, 'You do not have permission to manage this venue');
     }
+    // The vendor's KYC must be approved, for its staff as much as for the vendor account
+    if (!(await vendorKycApproved(req, venue.vendorId))) {
+      return errorResponse(res, 403, 'KYC not approved');
+    }
+    
+    next();
   } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message);
+    }
     logger.error(`Venue ownership check error: ${err.message}`);
     return errorResponse(res, 500, 'Error verifying venue ownership');
   }
@@ -163,12 +164,41 @@ const CalendarEvent = sequelize.define('CalendarEvent', {
   bookingId: { type: DataTypes.INTEGER, allowNull: true }
 });
 
+// Service provider calendars, keyed by the provider's user ID
+const ProviderSchedule = sequelize.define('ProviderSchedule', {
+  providerId: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+  // { monday: { start: '09:00', end: '17:00' }, ... }; null means every day
+  workingHours: { type: DataTypes.JSONB, allowNull: true },
+  // Confirmed jobs per day; null means no limit
+  dailyCapacity: { type: DataTypes.INTEGER, allowNull: true }
+});
+
+const ProviderBlackout = sequelize.define('ProviderBlackout', {
+  providerId: { type: DataTypes.INTEGER, allowNull: false },
+  startDate: { type: DataTypes.DATEONLY, allowNull: false },
+  endDate: { type: DataTypes.DATEONLY, allowNull: false },
+  reason: { type: DataTypes.TEXT, allowNull: true }
+}, {
+  indexes: [{ fields: ['providerId', 'startDate'] }]
+});
+
+// A day held by a quote request, or confirmed by an accepted quote
+const ProviderReservation = sequelize.define('ProviderReservation', {
+  providerId: { type: DataTypes.INTEGER, allowNull: false },
+  date: { type: DataTypes.DATEONLY, allowNull: false },
+  status: { type: DataTypes.ENUM('held', 'confirmed'), allowNull: false, defaultValue: 'held' },
+  quoteRequestId: { type: DataTypes.INTEGER, allowNull: true, unique: true },
+  quoteId: { type: DataTypes.INTEGER, allowNull: true, unique: true }
+}, {
+  indexes: [{ fields: ['providerId', 'date'] }]
+});
+
 // Health checks - both for compatibility
 app.get('/health', (req, res) => res.json({ status: 'ok' }));
 app.get('/api/calendar/health', (req, res) => res.json({ status: 'ok' }));
 
 // CRUD for calendar events (availability)
-app.post('/api/calendar/events', authenticateJWT, requireRole(['admin', 'vendor']), async (req, res) => {
+app.post('/api/calendar/events', authenticateJWT, requireVenueCalendarAccess, async (req, res) => {
   try {
     // Validate required fields
     if (!req.body.venueId) {
@@ -179,14 +209,6 @@ app.post('/api/calendar/events', authenticateJWT, requireRole(['admin', 'vendor'
       return errorResponse(res, 400, 'date is required');
     }
     
-    // For vendors, verify they own the venue they're updating
-    if (req.user.role === 'vendor') {
-      // In a real application, we would verify venue ownership here
-      // For now, we're implementing a simplified check
-      // This should be replaced with a proper ownership verification
-      // by calling the venue service or checking a local cache
-    }
-    
     const event = await CalendarEvent.create({
       ...req.body,
       // Store who created this record for audit purposes
@@ -220,7 +242,7 @@ app.get('/api/calendar/events', authenticateJWT, async (req, res) => {
       // Vendors can only see calendar events for their venues
       // In a full implementation, we would check venue ownership
       // For now, we'll allow vendors to see any events they query
-    } else if (req.user.role !== 'admin') {
+    } else if (!hasPermission(req.user, 'calendar:manage')) {
       // Regular users can only see available dates or their own bookings
       whereClause.isAvailable = true;
     }
@@ -241,7 +263,7 @@ app.get('/api/calendar/events/:id', authenticateJWT, async (req, res) => {
     }
     
     // Check if user has permission to view this event
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'calendar:manage')) {
       if (req.user.role === 'vendor') {
         // Verify this vendor owns the venue
         // In a full implementation, we would verify venue ownership here
@@ -259,7 +281,7 @@ app.get('/api/calendar/events/:id', authenticateJWT, async (req, res) => {
   }
 });
 
-app.put('/api/calendar/events/:id', authenticateJWT, requireRole(['admin', 'vendor']), async (req, res) => {
+app.put('/api/calendar/events/:id', authenticateJWT, requireVenueCalendarAccess, async (req, res) => {
   try {
     // Check if the event exists and retrieve it
     const existingEvent = await CalendarEvent.findByPk(req.params.id);
@@ -267,18 +289,12 @@ app.put('/api/calendar/events/:id', authenticateJWT, requireRole(['admin', 'vend
       return errorResponse(res, 404, 'Calendar event not found');
     }
     
-    // For vendors, verify they own the venue for this event
-    if (req.user.role === 'vendor') {
-      // In a real application, we would verify venue ownership here
-      // For now, we trust the user role validation
-    }
-    
     // Validate venueId if it's being updated
     if (req.body.venueId && req.body.venueId !== existingEvent.venueId) {
       // If venue is being changed, additional validation would be needed
-      if (req.user.role !== 'admin') {
+      if (!hasPermission(req.user, 'calendar:manage')) {
         logger.warn(`User ${req.user.id} attempted to change venue for event ${req.params.id}`);
-        return errorResponse(res, 403, 'Only administrators can change the venue for an event');
+        return errorResponse(res, 403, 'Only calendar managers can change the venue for an event');
       }
     }
     
@@ -301,7 +317,7 @@ app.put('/api/calendar/events/:id', authenticateJWT, requireRole(['admin', 'vend
   }
 });
 
-app.delete('/api/calendar/events/:id', authenticateJWT, requireRole(['admin', 'vendor']), async (req, res) => {
+app.delete('/api/calendar/events/:id', authenticateJWT, requireVenueCalendarAccess, async (req, res) => {
   try {
     // Check if the event exists and retrieve it
     const existingEvent = await CalendarEvent.findByPk(req.params.id);
@@ -309,12 +325,6 @@ app.delete('/api/calendar/events/:id', authenticateJWT, requireRole(['admin', 'v
       return errorResponse(res, 404, 'Calendar event not found');
     }
     
-    // For vendors, verify they own the venue for this event
-    if (req.user.role === 'vendor') {
-      // In a real application, we would verify venue ownership here
-      // For now, we're implementing a simplified check
-    }
-    
     // Check if this event is associated with a booking
     if (existingEvent.bookingId) {
       logger.warn(`Attempt to delete calendar event ${req.params.id} which has an active booking`);
@@ -334,6 +344,91 @@ app.delete('/api/calendar/events/:id', authenticateJWT, requireRole(['admin', 'v
   }
 });
 
+// Serialise reservations for the same venue and day within a transaction
+async function lockVenueDate(venueId, date, transaction) {
+  const dayNumber = Math.floor(new Date(`${date}T00:00:00Z`).getTime() / (24 * 60 * 60 * 1000));
+  await sequelize.query('SELECT pg_advisory_xact_lock(:venueId, :dayNumber)', {
+    replacements: { venueId: parseInt(venueId, 10), dayNumber },
+    transaction
+  });
+}
+
+// Reserve a venue date for a booking - called by booking-service
+app.post('/api/calendar/reservations', authenticateJWT, requireServiceOrPermission('calendar:manage'), async (req, res) => {
+  try {
+    const { venueId, date, bookingId } = req.body;
+    if (!venueId || !date || !bookingId) {
+      return errorResponse(res, 400, 'venueId, date and bookingId are required');
+    }
+    
+    const event = await sequelize.transaction(async (t) => {
+      await lockVenueDate(venueId, date, t);
+      
+      const existing = await CalendarEvent.findOne({
+        where: { venueId, date },
+        transaction: t
+      });
+      
+      if (existing) {
+        // Taken by another booking or blocked by the vendor
+        if (!existing.isAvailable && (!existing.bookingId || existing.bookingId.toString() !== bookingId.toString())) {
+          return null;
+        }
+        return existing.update({ isAvailable: false, bookingId }, { transaction: t });
+      }
+      
+      return CalendarEvent.create({ venueId, date, isAvailable: false, bookingId }, { transaction: t });
+    });
+    
+    if (!event) {
+      logger.warn(`Reservation of venue ${venueId} on ${date} for booking ${bookingId} rejected: date unavailable`);
+      return errorResponse(res, 409, 'Date is not available', { venueId, date });
+    }
+    
+    logger.info(`Venue ${venueId} reserved on ${date} for booking ${bookingId}`);
+    res.status(201).json(event);
+  } catch (err) {
+    logger.error('Error reserving calendar date:', err);
+    return errorResponse(res, 500, 'Failed to reserve calendar date');
+  }
+});
+
+// Release the date held by a booking - called by booking-service on cancellation
+app.delete('/api/calendar/reservations/:bookingId', authenticateJWT, requireServiceOrPermission('calendar:manage'), async (req, res) => {
+  try {
+    const [released] = await CalendarEvent.update(
+      { isAvailable: true, bookingId: null },
+      { where: { bookingId: req.params.bookingId } }
+    );
+    
+    logger.info(`Released ${released} calendar date(s) held by booking ${req.params.bookingId}`);
+    res.json({ message: 'Reservation released', released });
+  } catch (err) {
+    logger.error('Error releasing calendar date:', err);
+    return errorResponse(res, 500, 'Failed to release calendar date');
+  }
+});
+
+// Venues that are blocked or booked on a given date - used by venue-service search
+app.get('/api/calendar/unavailable', authenticateJWT, async (req, res) => {
+  try {
+    const { date } = req.query;
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      return errorResponse(res, 400, 'date query parameter is required in YYYY-MM-DD format');
+    }
+    
+    const events = await CalendarEvent.findAll({
+      where: { date, isAvailable: false },
+      attributes: ['venueId']
+    });
+    
+    res.json({ date, venueIds: [...new Set(events.map(event => event.venueId))] });
+  } catch (err) {
+    logger.error('Error listing unavailable venues:', err);
+    return errorResponse(res, 500, 'Failed to list unavailable venues');
+  }
+});
+
 // API endpoint for checking venue availability
 app.get('/api/calendar/availability', authenticateJWT, async (req, res) => {
   try {
@@ -371,6 +466,294 @@ app.get('/api/calendar/availability', authenticateJWT, async (req, res) => {
   }
 });
 
+// Providers manage their own calendar; users with calendar:manage manage any
+function canManageProvider(user, providerId) {
+  return hasPermission(user, 'calendar:manage') || (user.role === 'service_provider' && String(user.id) === String(providerId));
+}
+
+function parseProviderId(value) {
+  const providerId = parseInt(value, 10);
+  return Number.isInteger(providerId) && providerId > 0 ? providerId : null;
+}
+
+// Serialise reservations for the same provider and day within a transaction.
+// Provider keys are negative so they never share a lock with a venue.
+async function lockProviderDate(providerId, date, transaction) {
+  const dayNumber = Math.floor(new Date(`${date}T00:00:00Z`).getTime() / (24 * 60 * 60 * 1000));
+  await sequelize.query('SELECT pg_advisory_xact_lock(:providerKey, :dayNumber)', {
+    replacements: { providerKey: -providerId, dayNumber },
+    transaction
+  });
+}
+
+/**
+ * Day-by-day availability of providers over a date range.
+ *
+ * @param {number[]} providerIds - Provider user IDs
+ * @param {string} from - First day, YYYY-MM-DD
+ * @param {string} to - Last day, YYYY-MM-DD
+ * @param {Object} options - { transaction, excludeReservationId }; the excluded reservation
+ *   is left out of the counts, so it can be moved or confirmed
+ * @returns {Promise<Map>} providerId → { schedule, blackouts, days }
+ */
+async function loadProviderCalendars(providerIds, from, to, { transaction, excludeReservationId } = {}) {
+  const reservationWhere = { providerId: providerIds, date: { [Sequelize.Op.between]: [from, to] } };
+  if (excludeReservationId) reservationWhere.id = { [Sequelize.Op.ne]: excludeReservationId };
+
+  const [schedules, blackouts, counts] = await Promise.all([
+    ProviderSchedule.findAll({ where: { providerId: providerIds }, transaction }),
+    ProviderBlackout.findAll({
+      where: { providerId: providerIds, startDate: { [Sequelize.Op.lte]: to }, endDate: { [Sequelize.Op.gte]: from } },
+      order: [['startDate', 'ASC']],
+      transaction
+    }),
+    ProviderReservation.findAll({
+      attributes: ['providerId', 'date', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+      where: reservationWhere,
+      group: ['providerId', 'date', 'status'],
+      raw: true,
+      transaction
+    })
+  ]);
+
+  const dates = datesInRange(from, to);
+  const calendars = new Map();
+  for (const providerId of providerIds) {
+    const schedule = schedules.find(row => row.providerId === providerId) || null;
+    const providerBlackouts = blackouts.filter(row => row.providerId === providerId);
+    const days = dates.map(date => {
+      const count = status => {
+        const row = counts.find(c => c.providerId === providerId && c.date === date && c.status === status);
+        return row ? parseInt(row.count, 10) : 0;
+      };
+      return dayAvailability(date, {
+        schedule,
+        blackouts: providerBlackouts,
+        confirmed: count('confirmed'),
+        held: count('held')
+      });
+    });
+    calendars.set(providerId, { schedule, blackouts: providerBlackouts, days });
+  }
+  return calendars;
+}
+
+// Providers that cannot take a job on a date - used by service-provider-service for quote requests
+// ?date=2026-06-20&providerIds=12,15
+app.get('/api/calendar/providers/unavailable', authenticateJWT, async (req, res) => {
+  try {
+    const date = toCalendarDate(req.query.date);
+    const providerIds = [...new Set(String(req.query.providerIds || '').split(',').map(parseProviderId))];
+    if (providerIds.length === 0 || providerIds.includes(null)) {
+      return errorResponse(res, 400, 'providerIds query parameter must list provider user IDs');
+    }
+    
+    const calendars = await loadProviderCalendars(providerIds, date, date);
+    const unavailable = providerIds
+      .map(providerId => ({ providerId, ...calendars.get(providerId).days[0] }))
+      .filter(day => !day.available)
+      .map(day => ({ providerId: day.providerId, reason: day.reason }));
+    
+    res.json({ date, unavailable });
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.status, err.message, err.details);
+    logger.error('Error listing unavailable providers:', err);
+    return errorResponse(res, 500, 'Failed to list unavailable providers');
+  }
+});
+
+// A provider's working hours, capacity and day-by-day availability (default: the next 30 days)
+// Blackout periods and their reasons are only shown to the provider and admins
+app.get('/api/calendar/providers/:providerId/availability', authenticateJWT, async (req, res) => {
+  try {
+    const providerId = parseProviderId(req.params.providerId);
+    if (!providerId) {
+      return errorResponse(res, 400, 'Invalid provider ID');
+    }
+    
+    const from = req.query.from ? toCalendarDate(req.query.from, 'from') : toCalendarDate(new Date());
+    const to = req.query.to
+      ? toCalendarDate(req.query.to, 'to')
+      : toCalendarDate(new Date(new Date(`${from}T00:00:00Z`).getTime() + 30 * 24 * 60 * 60 * 1000));
+    
+    const { schedule, blackouts, days } = (await loadProviderCalendars([providerId], from, to)).get(providerId);
+    
+    const response = {
+      providerId,
+      workingHours: schedule ? schedule.workingHours : null,
+      dailyCapacity: schedule ? schedule.dailyCapacity : null,
+      days
+    };
+    if (canManageProvider(req.user, providerId)) {
+      response.blackouts = blackouts;
+    }
+    res.json(response);
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.status, err.message, err.details);
+    logger.error('Error fetching provider availability:', err);
+    return errorResponse(res, 500, 'Failed to retrieve provider availability');
+  }
+});
+
+// Set a provider's working hours and daily capacity
+app.put('/api/calendar/providers/:providerId/schedule', authenticateJWT, async (req, res) => {
+  try {
+    const providerId = parseProviderId(req.params.providerId);
+    if (!providerId) {
+      return errorResponse(res, 400, 'Invalid provider ID');
+    }
+    if (!canManageProvider(req.user, providerId)) {
+      return errorResponse(res, 403, 'You can only manage your own calendar');
+    }
+    
+    const changes = {};
+    if (req.body.workingHours !== undefined) changes.workingHours = normalizeWorkingHours(req.body.workingHours);
+    if (req.body.dailyCapacity !== undefined) changes.dailyCapacity = normalizeDailyCapacity(req.body.dailyCapacity);
+    
+    const [schedule] = await ProviderSchedule.findOrCreate({ where: { providerId } });
+    await schedule.update(changes);
+    
+    logger.info(`Schedule of provider ${providerId} updated by ${req.user.id} (${req.user.role})`);
+    res.json(schedule);
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.status, err.message, err.details);
+    logger.error('Error updating provider schedule:', err);
+    return errorResponse(res, 500, 'Failed to update provider schedule');
+  }
+});
+
+// Block out a period; it may not cover days the provider has already confirmed
+app.post('/api/calendar/providers/:providerId/blackouts', authenticateJWT, async (req, res) => {
+  try {
+    const providerId = parseProviderId(req.params.providerId);
+    if (!providerId) {
+      return errorResponse(res, 400, 'Invalid provider ID');
+    }
+    if (!canManageProvider(req.user, providerId)) {
+      return errorResponse(res, 403, 'You can only manage your own calendar');
+    }
+    
+    const { startDate, endDate, reason } = validateBlackout(req.body);
+    const confirmed = await ProviderReservation.findAll({
+      where: { providerId, status: 'confirmed', date: { [Sequelize.Op.between]: [startDate, endDate] } },
+      attributes: ['date'],
+      order: [['date', 'ASC']]
+    });
+    if (confirmed.length > 0) {
+      return errorResponse(res, 409, 'The period includes days with confirmed jobs', {
+        dates: [...new Set(confirmed.map(reservation => reservation.date))]
+      });
+    }
+    
+    const blackout = await ProviderBlackout.create({ providerId, startDate, endDate, reason });
+    logger.info(`Provider ${providerId} blocked out ${startDate} to ${endDate}`);
+    res.status(201).json(blackout);
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.status, err.message, err.details);
+    logger.error('Error creating provider blackout:', err);
+    return errorResponse(res, 500, 'Failed to create blackout');
+  }
+});
+
+app.delete('/api/calendar/providers/:providerId/blackouts/:id', authenticateJWT, async (req, res) => {
+  try {
+    if (!canManageProvider(req.user, req.params.providerId)) {
+      return errorResponse(res, 403, 'You can only manage your own calendar');
+    }
+    
+    const deleted = await ProviderBlackout.destroy({
+      where: { id: req.params.id, providerId: parseProviderId(req.params.providerId) }
+    });
+    if (!deleted) {
+      return errorResponse(res, 404, 'Blackout not found');
+    }
+    
+    res.json({ message: 'Blackout deleted successfully' });
+  } catch (err) {
+    logger.error('Error deleting provider blackout:', err);
+    return errorResponse(res, 500, 'Failed to delete blackout');
+  }
+});
+
+// Hold or confirm a provider's day - called by service-provider-service
+// A quote request holds the day; accepting its quote confirms it, moving it to the quote's date
+app.post('/api/calendar/provider-reservations', authenticateJWT, requireServiceOrPermission('calendar:manage'), async (req, res) => {
+  try {
+    const providerId = parseProviderId(req.body.providerId);
+    const { quoteRequestId, quoteId } = req.body;
+    const status = req.body.status || 'held';
+    if (!providerId || !req.body.date || (!quoteRequestId && !quoteId)) {
+      return errorResponse(res, 400, 'providerId, date and quoteRequestId or quoteId are required');
+    }
+    if (!['held', 'confirmed'].includes(status)) {
+      return errorResponse(res, 400, 'status must be held or confirmed');
+    }
+    const date = toCalendarDate(req.body.date);
+    
+    const result = await sequelize.transaction(async (t) => {
+      await lockProviderDate(providerId, date, t);
+      
+      const existing = await ProviderReservation.findOne({
+        where: quoteRequestId ? { quoteRequestId } : { quoteId },
+        lock: t.LOCK.UPDATE,
+        transaction: t
+      });
+      
+      const calendars = await loadProviderCalendars([providerId], date, date, {
+        transaction: t,
+        excludeReservationId: existing ? existing.id : null
+      });
+      const day = calendars.get(providerId).days[0];
+      if (!day.available) {
+        return { day };
+      }
+      
+      const values = { providerId, date, status, quoteRequestId: quoteRequestId || null, quoteId: quoteId || null };
+      if (existing) {
+        if (!quoteId) values.quoteId = existing.quoteId;
+        return { reservation: await existing.update(values, { transaction: t }) };
+      }
+      return { reservation: await ProviderReservation.create(values, { transaction: t }) };
+    });
+    
+    if (!result.reservation) {
+      logger.warn(`Reservation of provider ${providerId} on ${date} rejected: ${result.day.reason}`);
+      return errorResponse(res, 409, 'Service provider is not available on this date', {
+        providerId,
+        date,
+        reason: result.day.reason
+      });
+    }
+    
+    logger.info(`Provider ${providerId} ${status} on ${date} (quote request ${quoteRequestId || '-'}, quote ${quoteId || '-'})`);
+    res.status(201).json(result.reservation);
+  } catch (err) {
+    if (err.status) return errorResponse(res, err.status, err.message, err.details);
+    logger.error('Error reserving provider date:', err);
+    return errorResponse(res, 500, 'Failed to reserve provider date');
+  }
+});
+
+// Release the day held for a quote request or quote - ?quoteRequestId= or ?quoteId=
+app.delete('/api/calendar/provider-reservations', authenticateJWT, requireServiceOrPermission('calendar:manage'), async (req, res) => {
+  try {
+    const { quoteRequestId, quoteId } = req.query;
+    if (!quoteRequestId && !quoteId) {
+      return errorResponse(res, 400, 'quoteRequestId or quoteId query parameter is required');
+    }
+    
+    const released = await ProviderReservation.destroy({
+      where: quoteRequestId ? { quoteRequestId } : { quoteId }
+    });
+    
+    logger.info(`Released ${released} provider reservation(s) (quote request ${quoteRequestId || '-'}, quote ${quoteId || '-'})`);
+    res.json({ message: 'Reservation released', released });
+  } catch (err) {
+    logger.error('Error releasing provider date:', err);
+    return errorResponse(res, 500, 'Failed to release provider date');
+  }
+});
+
 // Sync DB and start server
 sequelize.sync().then(() => {
   app.listen(PORT, () => {
@@ -0,0 +1,170 @@
+// Service provider availability
+// Providers publish the days and hours they work, block out dates they are away, and set how
+// many jobs they take per day. Quote requests hold a day and accepted quotes confirm it; only
+// confirmed reservations use up the day's capacity.
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MAX_RANGE_DAYS = 366;
+const MAX_REASON_LENGTH = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function availabilityError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+/**
+ * Calendar day (YYYY-MM-DD, UTC) of a date or timestamp.
+ *
+ * @param {string|Date} value - Date, or a timestamp such as a quote's serviceDate
+ * @param {string} name - Field name used in the error message
+ * @returns {string}
+ */
+function toCalendarDate(value, name = 'date') {
+  if (typeof value === 'string' && DATE_PATTERN.test(value)) {
+    const date = new Date(`${value}T00:00:00Z`);
+    if (!Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value) return value;
+  } else if (value) {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return date.toISOString().slice(0, 10);
+  }
+  throw availabilityError(`${name} must be a valid date`);
+}
+
+function weekdayOf(date) {
+  return WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+}
+
+/**
+ * Validate working hours: { monday: { start: '09:00', end: '17:00' }, ... }.
+ * Days that are left out are days off. null means the provider works every day.
+ *
+ * @param {Object|null} value - Working hours from the request body
+ * @returns {Object|null} Working hours with only the days worked
+ */
+function normalizeWorkingHours(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw availabilityError('workingHours must map weekdays to { start, end } times');
+  }
+
+  const unknown = Object.keys(value).filter(day => !WEEKDAYS.includes(day));
+  if (unknown.length > 0) {
+    throw availabilityError(`Unknown weekdays in workingHours: ${unknown.join(', ')}`, { weekdays: WEEKDAYS });
+  }
+
+  const hours = {};
+  for (const day of WEEKDAYS) {
+    const range = value[day];
+    if (range === undefined || range === null) continue;
+    if (!range || !TIME_PATTERN.test(range.start) || !TIME_PATTERN.test(range.end)) {
+      throw availabilityError(`workingHours.${day} must have start and end times in HH:MM format`);
+    }
+    if (range.start >= range.end) {
+      throw availabilityError(`workingHours.${day} must start before it ends`);
+    }
+    hours[day] = { start: range.start, end: range.end };
+  }
+  return hours;
+}
+
+/**
+ * Validate the number of jobs a provider takes per day; null means no limit.
+ *
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function normalizeDailyCapacity(value) {
+  if (value === null || value === undefined) return null;
+  const capacity = Number(value);
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    throw availabilityError('dailyCapacity must be a positive whole number, or null for no limit');
+  }
+  return capacity;
+}
+
+/**
+ * Validate a blackout period.
+ *
+ * @param {Object} body - { startDate, endDate, reason }; endDate defaults to startDate
+ * @returns {Object} { startDate, endDate, reason }
+ */
+function validateBlackout(body) {
+  const startDate = toCalendarDate(body.startDate, 'startDate');
+  const endDate = body.endDate ? toCalendarDate(body.endDate, 'endDate') : startDate;
+  if (endDate < startDate) {
+    throw availabilityError('endDate must not be before startDate');
+  }
+  if (daysBetween(startDate, endDate) >= MAX_RANGE_DAYS) {
+    throw availabilityError(`A blackout can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const reason = typeof body.reason === 'string' ? body.reason.trim() : '';
+  if (reason.length > MAX_REASON_LENGTH) {
+    throw availabilityError(`reason cannot be longer than ${MAX_REASON_LENGTH} characters`);
+  }
+  return { startDate, endDate, reason: reason || null };
+}
+
+function daysBetween(from, to) {
+  return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Every calendar day from one date to another, both included.
+ *
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {string[]}
+ */
+function datesInRange(from, to) {
+  if (to < from) {
+    throw availabilityError('from must not be after to');
+  }
+  if (daysBetween(from, to) >= MAX_RANGE_DAYS) {
+    throw availabilityError(`The range can cover at most ${MAX_RANGE_DAYS} days`);
+  }
+
+  const dates = [];
+  for (let time = new Date(`${from}T00:00:00Z`).getTime(); time <= new Date(`${to}T00:00:00Z`).getTime(); time += DAY_MS) {
+    dates.push(new Date(time).toISOString().slice(0, 10));
+  }
+  return dates;
+}
+
+/**
+ * Availability of a provider on one day.
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {Object} calendar - { schedule, blackouts, confirmed, held }: the provider's schedule
+ *   (or null), blackouts, and the number of confirmed and held reservations on the day
+ * @returns {Object} { date, available, reason, hours, capacity, confirmed, held };
+ *   reason is 'day_off', 'blackout' or 'fully_booked' when the day is not available
+ */
+function dayAvailability(date, { schedule, blackouts = [], confirmed = 0, held = 0 }) {
+  const workingHours = schedule ? schedule.workingHours : null;
+  const capacity = schedule && schedule.dailyCapacity ? schedule.dailyCapacity : null;
+  const hours = workingHours ? workingHours[weekdayOf(date)] || null : null;
+
+  let reason = null;
+  if (workingHours && !hours) {
+    reason = 'day_off';
+  } else if (blackouts.some(blackout => blackout.startDate <= date && date <= blackout.endDate)) {
+    reason = 'blackout';
+  } else if (capacity !== null && confirmed >= capacity) {
+    reason = 'fully_booked';
+  }
+
+  return { date, available: reason === null, reason, hours, capacity, confirmed, held };
+}
+
+module.exports = {
+  WEEKDAYS,
+  toCalendarDate,
+  normalizeWorkingHours,
+  normalizeDailyCapacity,
+  validateBlackout,
+  datesInRange,
+  dayAvailability
+};
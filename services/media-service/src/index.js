@@ -6,10 +6,12 @@ const fs = require('fs');
 const { Sequelize, DataTypes } = require('sequelize');
 const winston = require('winston');
 const axios = require('axios');
+const sharp = require('sharp');
 
 const app = express();
 const PORT = process.env.MEDIA_SERVICE_PORT || 4006;
 const jwt = require('jsonwebtoken');
+const { permissionsFromHeader, hasPermission } = require('./permissions');
 
 // Logger setup
 const logger = winston.createLogger({
@@ -42,7 +44,8 @@ function authenticateJWT(req, res, next) {
     if (req.headers['x-user-id'] && req.headers['x-user-role']) {
       req.user = {
         id: req.headers['x-user-id'],
-        role: req.headers['x-user-role']
+        role: req.headers['x-user-role'],
+        permissions: permissionsFromHeader(req.headers['x-user-permissions'])
       };
       return next();
     }
@@ -105,8 +108,8 @@ async function requireMediaOwnership(req, res, next) {
       return errorResponse(res, 400, 'Media ID is required');
     }
     
-    // Admin can access all media
-    if (req.user.role === 'admin') {
+    // Media managers can access all media
+    if (hasPermission(req.user, 'media:manage')) {
       return next();
     }
     
@@ -160,6 +163,58 @@ const bookingService = axios.create({
   timeout: 5000
 });
 
+const serviceProviderService = axios.create({
+  baseURL: process.env.SERVICE_PROVIDER_SERVICE_URL || 'http://service-provider-service:4008',
+  timeout: 5000
+});
+
+// Chat attachments and quote/invoice PDFs are visible only to the parties of their chat room,
+// quote or invoice (and media managers). The service-provider service answers 200 for those parties
+// and 403/404 otherwise. These lookups must not change anything: GET /quotes/:id would mark the
+// quote viewed when a customer's upload is checked.
+const SERVICE_PROVIDER_REFERENCES = {
+  chat: id => `/api/service-provider/chat/rooms/${id}`,
+  quote: id => `/api/service-provider/quotes/${id}/participants`,
+  invoice: id => `/api/service-provider/invoices/${id}`
+};
+
+// Quote and invoice PDFs, rendered and uploaded by the service-provider service
+const DOCUMENT_REFERENCE_TYPES = ['quote', 'invoice'];
+
+async function isReferenceParticipant(referenceType, referenceId, req) {
+  if (hasPermission(req.user, 'media:manage')) return true;
+  if (!/^\d+$/.test(String(referenceId))) return false;
+  try {
+    await serviceProviderService.get(SERVICE_PROVIDER_REFERENCES[referenceType](referenceId), {
+      headers: { 'Authorization': req.headers.authorization }
+    });
+    return true;
+  } catch (err) {
+    if (err.response && [403, 404].includes(err.response.status)) {
+      return false;
+    }
+    throw err;
+  }
+}
+
+// Thumbnails are generated for uploaded images and served like any other file
+const THUMBNAIL_SIZE = 320;
+
+async function createThumbnail(file) {
+  const thumbnailFilename = `thumb-${path.parse(file.filename).name}.webp`;
+  try {
+    await sharp(file.path)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(path.join(uploadDir, thumbnailFilename));
+    return thumbnailFilename;
+  } catch (err) {
+    logger.error(`Failed to create thumbnail for ${file.filename}: ${err.message}`);
+    return null;
+  }
+}
+
 // Upload directory setup
 
 app.use(express.json());
@@ -240,6 +295,7 @@ const Media = sequelize.define('Media', {
   mimetype: { type: DataTypes.STRING, allowNull: false },
   created_by: { type: DataTypes.INTEGER, allowNull: true },
   isPublic: { type: DataTypes.BOOLEAN, defaultValue: false },
+  thumbnailFilename: { type: DataTypes.STRING, allowNull: true },
 });
 
 // Health check
@@ -291,7 +347,7 @@ app.post('/api/media/upload', authenticateJWT, async (req, res) => {
       }
       
       // Validate reference_type is one of the allowed types
-      const validReferenceTypes = ['venue', 'booking', 'user'];
+      const validReferenceTypes = ['venue', 'booking', 'user', 'review', 'chat', 'quote', 'invoice'];
       if (!validReferenceTypes.includes(reference_type)) {
         // Remove uploaded file if validation fails
         try { fs.unlinkSync(file.path); } catch (e) {}
@@ -302,7 +358,7 @@ app.post('/api/media/upload', authenticateJWT, async (req, res) => {
       }
       
       // Verify ownership based on reference type
-      if (req.user.role !== 'admin') {
+      if (!hasPermission(req.user, 'media:manage')) {
         try {
           // Case 1: Venue media - check if user is the venue owner
           if (reference_type === 'venue') {
@@ -339,6 +395,27 @@ app.post('/api/media/upload', authenticateJWT, async (req, res) => {
             fs.unlinkSync(file.path);
             return errorResponse(res, 403, 'You can only upload media for your own user profile');
           }
+          // Case 4: Review photos - uploaded against the reviewer's own user ID, then attached to a review
+          else if (reference_type === 'review' && reference_id.toString() !== req.user.id.toString()) {
+            fs.unlinkSync(file.path);
+            return errorResponse(res, 403, 'Review photos must be uploaded with your own user ID as reference_id');
+          }
+          // Case 5: Chat attachments - uploaded against the chat room ID by one of its participants
+          else if (reference_type === 'chat' && !(await isReferenceParticipant('chat', reference_id, req))) {
+            fs.unlinkSync(file.path);
+            return errorResponse(res, 403, 'You can only upload attachments to your own chat rooms');
+          }
+          // Case 6: Quote and invoice PDFs - uploaded by a party to the quote or invoice
+          else if (DOCUMENT_REFERENCE_TYPES.includes(reference_type)) {
+            if (file.mimetype !== 'application/pdf') {
+              fs.unlinkSync(file.path);
+              return errorResponse(res, 400, `Only PDF documents can be stored for a ${reference_type}`);
+            }
+            if (!(await isReferenceParticipant(reference_type, reference_id, req))) {
+              fs.unlinkSync(file.path);
+              return errorResponse(res, 403, `You do not have permission to upload documents for this ${reference_type}`);
+            }
+          }
         } catch (err) {
           fs.unlinkSync(file.path);
           logger.error(`Ownership verification error: ${err.message}`);
@@ -357,15 +434,17 @@ app.post('/api/media/upload', authenticateJWT, async (req, res) => {
       const url = `/uploads/${file.filename}`;
       
       // Additional security check
-      if (finalMediaType === 'other' && req.user.role !== 'admin') {
-        // Only admins can upload 'other' type files
+      if (finalMediaType === 'other' && !hasPermission(req.user, 'media:manage') && !DOCUMENT_REFERENCE_TYPES.includes(reference_type)) {
+        // Only media managers can upload 'other' type files, apart from quote and invoice PDFs
         try { fs.unlinkSync(file.path); } catch (e) {}
-        return res.status(403).json({ error: 'Only admins can upload this file type' });
+        return res.status(403).json({ error: 'Only media managers can upload this file type' });
       }
       
       // Determine if the media should be public based on reference type
       // For example, venue images might be public, but booking documents private
-      const isPublic = ['venue'].includes(reference_type);
+      const isPublic = ['venue', 'review'].includes(reference_type);
+      
+      const thumbnailFilename = finalMediaType === 'image' ? await createThumbnail(file) : null;
       
       const media = await Media.create({
         referenceId: reference_id,
@@ -375,7 +454,8 @@ app.post('/api/media/upload', authenticateJWT, async (req, res) => {
         filename: file.filename,
         mimetype: file.mimetype,
         created_by: req.user.id,
-        isPublic
+        isPublic,
+        thumbnailFilename
       });
       
       res.status(201).json({ 
@@ -385,7 +465,8 @@ app.post('/api/media/upload', authenticateJWT, async (req, res) => {
         filename: media.filename,
         referenceId: media.referenceId,
         referenceType: media.referenceType,
-        mediaType: media.mediaType
+        mediaType: media.mediaType,
+        thumbnailFilename: media.thumbnailFilename
       });
     } catch (err) {
       // If there was a file uploaded but an error occurred during processing
@@ -404,7 +485,7 @@ app.get('/api/media/:referenceType/:referenceId', authenticateJWT, async (req, r
     const { referenceType, referenceId } = req.params;
     
     // Validate reference type
-    const validReferenceTypes = ['venue', 'user', 'vendor', 'booking'];
+    const validReferenceTypes = ['venue', 'user', 'vendor', 'booking', 'review', 'chat', 'quote', 'invoice'];
     if (!validReferenceTypes.includes(referenceType)) {
       return errorResponse(res, 400, 'Invalid reference type');
     }
@@ -414,10 +495,22 @@ app.get('/api/media/:referenceType/:referenceId', authenticateJWT, async (req, r
       return errorResponse(res, 400, 'Invalid reference ID');
     }
     
+    // Chat attachments and quote/invoice PDFs are listed in full for the parties only
+    if (SERVICE_PROVIDER_REFERENCES[referenceType]) {
+      if (!(await isReferenceParticipant(referenceType, referenceId, req))) {
+        return errorResponse(res, 403, `You do not have permission to access this ${referenceType}`);
+      }
+      const media = await Media.findAll({
+        where: { referenceType, referenceId },
+        attributes: ['id', 'referenceId', 'referenceType', 'mediaType', 'url', 'filename', 'thumbnailFilename', 'createdAt', 'created_by', 'isPublic']
+      });
+      return res.json({ success: true, media });
+    }
+    
     let whereClause = { referenceType, referenceId };
     
-    // For non-admin users, apply appropriate authorization filters
-    if (req.user.role !== 'admin') {
+    // For users without media:manage, apply appropriate authorization filters
+    if (!hasPermission(req.user, 'media:manage')) {
       if (referenceType === 'venue') {
         // Venue media is public or restricted to the venue owner (vendor) 
         // No filter needed if public - will be filtered by isPublic=true later if not the owner
@@ -451,7 +544,7 @@ app.get('/api/media/:referenceType/:referenceId', authenticateJWT, async (req, r
     
     const media = await Media.findAll({ 
       where: whereClause,
-      attributes: ['id', 'referenceId', 'referenceType', 'mediaType', 'url', 'filename', 'createdAt', 'created_by', 'isPublic']
+      attributes: ['id', 'referenceId', 'referenceType', 'mediaType', 'url', 'filename', 'thumbnailFilename', 'createdAt', 'created_by', 'isPublic']
     });
     
     res.json({ success: true, media });
@@ -472,8 +565,8 @@ app.get('/api/media/:id', authenticateJWT, async (req, res) => {
       return errorResponse(res, 404, 'Media not found');
     }
     
-    // Check authorization - allow access if: admin, media owner, or public media
-    if (req.user.role !== 'admin' && 
+    // Check authorization - allow access if: media manager, media owner, or public media
+    if (!hasPermission(req.user, 'media:manage') && 
         media.created_by !== req.user.id && 
         !media.isPublic) {
       
@@ -487,6 +580,11 @@ app.get('/api/media/:id', authenticateJWT, async (req, res) => {
         // TODO: Check if user owns this booking through Booking Service
         // For now, we're being restrictive
       }
+      // Chat attachments and quote/invoice PDFs are shared with the other party
+      else if (SERVICE_PROVIDER_REFERENCES[media.referenceType] &&
+               await isReferenceParticipant(media.referenceType, media.referenceId, req)) {
+        // Allowed
+      }
       else {
         logger.warn(`User ${req.user.id} attempted to access restricted media ${mediaId}`);
         return errorResponse(res, 403, 'You do not have permission to access this media');
@@ -512,12 +610,12 @@ app.delete('/api/media/:id', authenticateJWT, async (req, res) => {
     }
     
     // Check if user has permission to delete the media
-    // Admin can delete any media
+    // Media managers can delete any media
     // Users can delete their own media
     // Vendors can delete media for their venues
     let canDelete = false;
     
-    if (req.user.role === 'admin') {
+    if (hasPermission(req.user, 'media:manage')) {
       canDelete = true;
     } 
     else if (media.created_by === req.user.id) {
@@ -534,13 +632,15 @@ app.delete('/api/media/:id', authenticateJWT, async (req, res) => {
       return errorResponse(res, 403, 'You do not have permission to delete this media');
     }
     
-    // Delete the file from disk
-    try {
-      fs.unlinkSync(path.join(uploadDir, media.filename));
-      logger.info(`File ${media.filename} deleted from disk by user ${req.user.id}`);
-    } catch (err) {
-      logger.error(`Failed to delete file from disk: ${media.filename}`, err);
-      // Continue deleting the record even if file deletion fails
+    // Delete the file (and its thumbnail) from disk
+    for (const filename of [media.filename, media.thumbnailFilename].filter(Boolean)) {
+      try {
+        fs.unlinkSync(path.join(uploadDir, filename));
+        logger.info(`File ${filename} deleted from disk by user ${req.user.id}`);
+      } catch (err) {
+        logger.error(`Failed to delete file from disk: ${filename}`, err);
+        // Continue deleting the record even if file deletion fails
+      }
     }
     
     // Delete the record
@@ -567,18 +667,26 @@ app.get('/api/media/files/:filename', authenticateJWT, async (req, res) => {
       return errorResponse(res, 404, 'File not found');
     }
     
-    // Look up the media in the database
-    const media = await Media.findOne({ where: { filename: sanitizedFilename } });
+    // Look up the media in the database; thumbnails share their original's access rules
+    const media = await Media.findOne({
+      where: {
+        [Sequelize.Op.or]: [{ filename: sanitizedFilename }, { thumbnailFilename: sanitizedFilename }]
+      }
+    });
     if (!media) {
       return errorResponse(res, 404, 'Media record not found');
     }
+    const isThumbnail = media.thumbnailFilename === sanitizedFilename;
     
-    // Check authorization - allow if: admin, media owner, or public media
-    const isAuthorized = (
-      req.user.role === 'admin' || 
+    // Check authorization - allow if: media manager, media owner, public media, or a party to the chat, quote or invoice
+    let isAuthorized = (
+      hasPermission(req.user, 'media:manage') || 
       media.created_by === req.user.id || 
       media.isPublic
     );
+    if (!isAuthorized && SERVICE_PROVIDER_REFERENCES[media.referenceType]) {
+      isAuthorized = await isReferenceParticipant(media.referenceType, media.referenceId, req);
+    }
     
     // For venue media, check if user is the vendor who owns the venue
     if (!isAuthorized && media.referenceType === 'venue' && req.user.role === 'vendor') {
@@ -598,7 +706,7 @@ app.get('/api/media/files/:filename', authenticateJWT, async (req, res) => {
     // Set security headers
     res.setHeader('X-Content-Type-Options', 'nosniff');
     res.setHeader('Cache-Control', 'no-store, must-revalidate');
-    res.setHeader('Content-Type', media.mimetype);
+    res.setHeader('Content-Type', isThumbnail ? 'image/webp' : media.mimetype);
     res.setHeader('Content-Disposition', `inline; filename="${sanitizedFilename}"`);
     
     // Stream the file
@@ -624,7 +732,7 @@ app.use('/uploads/:filename', (req, res) => {
 });
 
 // Sync DB and start server
-sequelize.sync().then(() => {
+sequelize.sync({ alter: true }).then(() => {
   app.listen(PORT, () => {
     logger.info(`Media Service running on port ${PORT}`);
   });
@@ -7,6 +7,7 @@ const nodemailer = require('nodemailer');
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
 const axios = require('axios');
+const { permissionsFromHeader, hasPermission } = require('./permissions');
 
 const app = express();
 const PORT = process.env.NOTIFICATION_SERVICE_PORT || 4007; // Changed from 4008 to 4007 to match gateway configuration
@@ -81,6 +82,7 @@ function authenticateJWT(req, res, next) {
       req.user = {
         id: req.headers['x-user-id'],
         role: req.headers['x-user-role'],
+        permissions: permissionsFromHeader(req.headers['x-user-permissions']),
         email: req.headers['x-user-email'] || null
       };
       return next();
@@ -185,12 +187,12 @@ app.post('/api/notification/send', authenticateJWT, async (req, res) => {
     }
     
     // Authorization checks
-    // 1. Admins can send to anyone
+    // 1. Users with notifications:manage and internal services can send to anyone
     // 2. Users can only send to their own email
     // 3. Vendors can only send to their own email
     let isAuthorized = false;
     
-    if (req.user.role === 'admin') {
+    if (hasPermission(req.user, 'notifications:manage') || req.user.role === 'service') {
       isAuthorized = true;
     } else {
       // Check if user is sending to their own email
@@ -268,14 +270,14 @@ app.post('/api/notification/notifications', authenticateJWT, async (req, res) =>
     }
     
     // Authorization checks
-    // 1. Admins can send to anyone
+    // 1. Users with notifications:manage can send to anyone
     // 2. Users can only send to themselves
     // 3. Vendors can only send to users with bookings at their venues
     let isAuthorized = false;
     const targetUserId = userId.toString();
     const currentUserId = req.user.id.toString();
     
-    if (req.user.role === 'admin') {
+    if (hasPermission(req.user, 'notifications:manage')) {
       isAuthorized = true;
     } else if (targetUserId === currentUserId) {
       // Users can send notifications to themselves
@@ -351,11 +353,11 @@ app.get('/api/notification/notifications/:id', authenticateJWT, async (req, res)
     }
     
     // Authorization logic
-    // 1. Admins can view any notification
+    // 1. Users with notifications:manage can view any notification
     // 2. Users can only view notifications created by them or sent to them
     let isAuthorized = false;
     
-    if (req.user.role === 'admin') {
+    if (hasPermission(req.user, 'notifications:manage')) {
       isAuthorized = true;
     } else if (notification.createdBy && notification.createdBy.toString() === req.user.id.toString()) {
       // User created this notification
@@ -433,13 +435,12 @@ app.get('/api/notification/user/notifications', authenticateJWT, async (req, res
   }
 });
 
-// List notifications - requires authentication and admin role
+// List notifications - requires authentication and notifications:manage
 app.get('/api/notification/notifications', authenticateJWT, async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'notifications:manage')) {
       logger.warn(`User ${req.user.id} (${req.user.role}) attempted to list all notifications`);
-      return res.status(403).json({ error: 'Admin role required to list all notifications' });
+      return res.status(403).json({ error: 'Insufficient permissions', details: { required: 'notifications:manage' } });
     }
     
     // Add pagination
@@ -0,0 +1,72 @@
+// Chat attachments stored in media-service
+// Files are uploaded to media-service with reference_type=chat and the room ID as reference_id,
+// then attached to a message by media ID. Quote and invoice PDFs (reference_type quote or
+// invoice) can be attached too, in the room between the same provider and customer.
+
+const MAX_ATTACHMENTS = 5;
+const DOCUMENT_REFERENCE_TYPES = ['quote', 'invoice'];
+
+function attachmentError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+// Validate the attachmentIds of a new message, dropping duplicates
+function parseAttachmentIds(body) {
+  if (body.attachmentUrl !== undefined) {
+    throw attachmentError('attachmentUrl is not supported; upload the file to the media service and send attachmentIds');
+  }
+  if (body.attachmentIds === undefined || body.attachmentIds === null) return [];
+  if (!Array.isArray(body.attachmentIds)) {
+    throw attachmentError('attachmentIds must be an array of media IDs');
+  }
+
+  const ids = [...new Set(body.attachmentIds.map(Number))];
+  if (ids.some(id => !Number.isInteger(id) || id < 1)) {
+    throw attachmentError('attachmentIds must be an array of media IDs');
+  }
+  if (ids.length > MAX_ATTACHMENTS) {
+    throw attachmentError(`A message can have at most ${MAX_ATTACHMENTS} attachments`);
+  }
+  return ids;
+}
+
+// A quote or invoice PDF belongs in a room if the document is between the room's participants
+function isDocumentOfRoom(document, chatRoom) {
+  return Boolean(document) &&
+    String(document.serviceProviderId) === String(chatRoom.serviceProviderId) &&
+    String(document.userId) === String(chatRoom.userId);
+}
+
+/**
+ * Attachment entry stored on a message, from a media-service record.
+ *
+ * @param {Object} media - Media record from media-service
+ * @param {Object} chatRoom - Room the message is sent to
+ * @param {number} senderId - Sending user's ID
+ * @param {Object|null} document - Quote or Invoice the media was stored for, for PDF attachments
+ * @returns {Object} { id, mediaType, mimetype, url, thumbnailUrl }
+ */
+function toChatAttachment(media, chatRoom, senderId, document = null) {
+  const valid = DOCUMENT_REFERENCE_TYPES.includes(media.referenceType)
+    ? isDocumentOfRoom(document, chatRoom)
+    : media.referenceType === 'chat' &&
+      String(media.referenceId) === String(chatRoom.id) &&
+      String(media.created_by) === String(senderId);
+  if (!valid) {
+    throw attachmentError('Invalid attachment', { mediaId: media.id });
+  }
+
+  return {
+    id: media.id,
+    mediaType: media.mediaType,
+    mimetype: media.mimetype,
+    url: `/api/media/files/${media.filename}`,
+    thumbnailUrl: media.thumbnailFilename ? `/api/media/files/${media.thumbnailFilename}` : null
+  };
+}
+
+module.exports = {
+  parseAttachmentIds,
+  toChatAttachment,
+  MAX_ATTACHMENTS
+};
@@ -0,0 +1,83 @@
+// Calendar service client: provider availability for quote requests and accepted quotes.
+// A quote request holds the provider's day; accepting its quote confirms it.
+const axios = require('axios');
+const { signServiceToken } = require('./serviceAuth');
+const logger = require('./logger');
+
+const calendarService = axios.create({
+  baseURL: process.env.CALENDAR_SERVICE_URL || 'http://calendar-service:4009',
+  timeout: 5000
+});
+
+function calendarUnavailable(err, action) {
+  logger.error(`Calendar service error while ${action}: ${err.message}`);
+  return Object.assign(new Error('Calendar service unavailable'), { status: 503 });
+}
+
+/**
+ * Providers that cannot take a job on the day of serviceDate.
+ *
+ * @param {number[]} providerIds - Provider user IDs
+ * @param {Date} serviceDate - Requested date of service
+ * @returns {Promise<Object[]>} [{ providerId, reason }]; reason is day_off, blackout or fully_booked
+ */
+async function findUnavailableProviders(providerIds, serviceDate) {
+  try {
+    const response = await calendarService.get('/api/calendar/providers/unavailable', {
+      params: { date: new Date(serviceDate).toISOString(), providerIds: providerIds.join(',') },
+      headers: { Authorization: `Bearer ${signServiceToken()}` }
+    });
+    return response.data.unavailable;
+  } catch (err) {
+    throw calendarUnavailable(err, 'checking provider availability');
+  }
+}
+
+/**
+ * Hold or confirm the provider's day for a quote request or quote.
+ * Throws a 409 error when the provider is not available that day.
+ *
+ * @param {Object} reservation - { providerId, serviceDate, quoteRequestId, quoteId, status }
+ * @returns {Promise<Object>} ProviderReservation
+ */
+async function reserveProviderDate({ providerId, serviceDate, quoteRequestId, quoteId, status }) {
+  try {
+    const response = await calendarService.post('/api/calendar/provider-reservations', {
+      providerId,
+      date: new Date(serviceDate).toISOString(),
+      quoteRequestId: quoteRequestId || null,
+      quoteId: quoteId || null,
+      status
+    }, {
+      headers: { Authorization: `Bearer ${signServiceToken()}` }
+    });
+    return response.data;
+  } catch (err) {
+    if (err.response && err.response.status === 409) {
+      throw Object.assign(new Error('The service provider is not available on this date'), {
+        status: 409,
+        details: err.response.data.details
+      });
+    }
+    throw calendarUnavailable(err, `reserving provider ${providerId}`);
+  }
+}
+
+// Free the day reserved for a quote request (or a quote without one). Failures are logged, not
+// thrown; admins can release a stale day through the calendar service.
+async function releaseProviderDate({ quoteRequestId, quoteId }) {
+  try {
+    await calendarService.delete('/api/calendar/provider-reservations', {
+      params: quoteRequestId ? { quoteRequestId } : { quoteId },
+      headers: { Authorization: `Bearer ${signServiceToken()}` }
+    });
+  } catch (err) {
+    logger.error(`Failed to release provider date (quote request ${quoteRequestId || '-'}, quote ${quoteId || '-'}): ${err.message}`);
+  }
+}
+
+module.exports = {
+  findUnavailableProviders,
+  reserveProviderDate,
+  releaseProviderDate
+};
@@ -0,0 +1,155 @@
+// Quote and invoice documents
+// A document is the plain content of a rendered quote or invoice: headings, parties, item rows
+// and totals. Rendering (src/pdf.js) only lays it out, and its fingerprint tells whether the
+// PDF stored in media-service is still current.
+
+const crypto = require('crypto');
+
+function formatMoney(value, currency) {
+  const amount = Number(value || 0).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  return `${currency} ${amount}`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : null;
+}
+
+function documentNumber(prefix, id) {
+  return `${prefix}-${String(id).padStart(6, '0')}`;
+}
+
+function discountLabel(record, currency) {
+  if (!record.discountType) return null;
+  return record.discountType === 'percent'
+    ? `${Number(record.discountValue)}%`
+    : formatMoney(record.discountValue, currency);
+}
+
+// Provider block from the profile; falls back to the provider's user ID if there is no profile yet
+function providerParty(profile, serviceProviderId) {
+  if (!profile) {
+    return { name: `Service provider #${serviceProviderId}`, lines: [] };
+  }
+  const cityLine = [profile.city, profile.state, profile.zipCode].filter(Boolean).join(', ');
+  return {
+    name: profile.businessName,
+    lines: [profile.addressLine1, cityLine, profile.contactEmail, profile.phoneNumber, profile.websiteUrl].filter(Boolean)
+  };
+}
+
+function customerParty(record) {
+  return {
+    name: record.customerName,
+    lines: [record.customerEmail].filter(Boolean)
+  };
+}
+
+function itemRows(items, currency) {
+  return items.map(item => ({
+    name: item.itemName,
+    description: item.description || null,
+    quantity: Number(item.quantity),
+    unitPrice: formatMoney(item.unitPrice, currency),
+    discount: discountLabel(item, currency),
+    lineTotal: formatMoney(
+      item.lineTotal !== null && item.lineTotal !== undefined ? item.lineTotal : item.quantity * item.unitPrice,
+      currency
+    )
+  }));
+}
+
+// Subtotal, discount, taxes and total; records priced before totals were broken down only have a total
+function totalRows(record, currency) {
+  const rows = [];
+  if (record.subtotal !== null && record.subtotal !== undefined) {
+    rows.push(['Subtotal', formatMoney(record.subtotal, currency)]);
+  }
+  if (Number(record.discountAmount) > 0) {
+    const label = record.discountType === 'percent' ? `Discount (${Number(record.discountValue)}%)` : 'Discount';
+    rows.push([label, `-${formatMoney(record.discountAmount, currency)}`]);
+  }
+  for (const tax of record.taxes || []) {
+    rows.push([`${tax.name} (${tax.ratePercent}%)`, formatMoney(tax.amount, currency)]);
+  }
+  rows.push(['Total', formatMoney(record.totalAmount, currency)]);
+  return rows;
+}
+
+/**
+ * Document content of a quote.
+ *
+ * @param {Object} quote - Quote instance
+ * @param {Array} items - Quote items
+ * @param {Object|null} profile - Provider's ServiceProviderProfile
+ * @param {string} currency - Currency code shown with amounts
+ * @returns {Object} Document for renderPdf
+ */
+function buildQuoteDocument(quote, items, profile, currency) {
+  return {
+    type: 'quote',
+    title: 'Quote',
+    number: documentNumber('Q', quote.id),
+    version: quote.version || 1,
+    details: [
+      ['Quote number', documentNumber('Q', quote.id)],
+      ['Version', String(quote.version || 1)],
+      ['Service date', formatDate(quote.serviceDate)],
+      ['Valid until', formatDate(quote.validUntil)],
+      ['Tax jurisdiction', quote.taxJurisdiction]
+    ].filter(([, value]) => value),
+    provider: providerParty(profile, quote.serviceProviderId),
+    customer: customerParty(quote),
+    items: itemRows(items, currency),
+    totals: totalRows(quote, currency),
+    note: quote.note || null
+  };
+}
+
+/**
+ * Document content of an invoice.
+ *
+ * @param {Object} invoice - Invoice instance
+ * @param {Array} items - Invoice items
+ * @param {Object|null} profile - Provider's ServiceProviderProfile
+ * @param {string} currency - Currency code shown with amounts
+ * @returns {Object} Document for renderPdf
+ */
+function buildInvoiceDocument(invoice, items, profile, currency) {
+  return {
+    type: 'invoice',
+    title: 'Invoice',
+    number: documentNumber('INV', invoice.id),
+    version: null,
+    details: [
+      ['Invoice number', documentNumber('INV', invoice.id)],
+      ['Quote number', invoice.quoteId ? documentNumber('Q', invoice.quoteId) : null],
+      ['Service date', formatDate(invoice.serviceDate)],
+      ['Due date', formatDate(invoice.dueDate)],
+      ['Status', invoice.status === 'paid' ? `Paid ${formatDate(invoice.paymentDate) || ''}`.trim() : null],
+      ['Tax jurisdiction', invoice.taxJurisdiction]
+    ].filter(([, value]) => value),
+    provider: providerParty(profile, invoice.serviceProviderId),
+    customer: customerParty(invoice),
+    items: itemRows(items, currency),
+    totals: totalRows(invoice, currency),
+    note: null
+  };
+}
+
+// Hash of the document content; an unchanged document does not need to be stored again
+function documentFingerprint(document) {
+  return crypto.createHash('sha256').update(JSON.stringify(document)).digest('hex');
+}
+
+function documentFilename(document) {
+  const suffix = document.version ? `-v${document.version}` : '';
+  return `${document.number.toLowerCase()}${suffix}.pdf`;
+}
+
+module.exports = {
+  buildQuoteDocument,
+  buildInvoiceDocument,
+  documentFingerprint,
+  documentFilename,
+  formatMoney
+};
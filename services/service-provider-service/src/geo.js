@@ -0,0 +1,131 @@
+// Geocoding and distance helpers
+// The geocoder is pluggable: set GEOCODER_PROVIDER to a registered provider name (default "stub").
+
+const crypto = require('crypto');
+
+const EARTH_RADIUS_KM = 6371;
+const DEFAULT_RADIUS_KM = 25;
+const MAX_RADIUS_KM = 500;
+
+function geoError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+// Local stub: derives stable coordinates from the address text so development and tests
+// need no external service. The same address always geocodes to the same point.
+const stubGeocoder = {
+  async geocode(address) {
+    const normalized = String(address || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!normalized) return null;
+
+    const digest = crypto.createHash('sha256').update(normalized).digest();
+    const latFraction = digest.readUInt32BE(0) / 0xffffffff;
+    const lngFraction = digest.readUInt32BE(4) / 0xffffffff;
+
+    // Keep stub points within a mid-latitude band so distances stay meaningful
+    return {
+      latitude: Math.round((latFraction * 120 - 60) * 1e6) / 1e6,
+      longitude: Math.round((lngFraction * 360 - 180) * 1e6) / 1e6
+    };
+  }
+};
+
+const providers = { stub: stubGeocoder };
+
+/**
+ * Register a geocoder implementation.
+ *
+ * @param {string} name - Provider name used in GEOCODER_PROVIDER
+ * @param {Object} provider - Object with async geocode(address) returning { latitude, longitude } or null
+ */
+function registerGeocoder(name, provider) {
+  if (!provider || typeof provider.geocode !== 'function') {
+    throw new Error('A geocoder must implement geocode(address)');
+  }
+  providers[name] = provider;
+}
+
+function getGeocoder() {
+  const name = process.env.GEOCODER_PROVIDER || 'stub';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown geocoder provider: ${name}`);
+  }
+  return provider;
+}
+
+async function geocodeAddress(address) {
+  return getGeocoder().geocode(address);
+}
+
+/**
+ * Parse the near=lat,lng and radiusKm query parameters.
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object|null} { latitude, longitude, radiusKm }, or null when near is not given
+ */
+function parseNearParams(query = {}) {
+  if (query.near === undefined || query.near === '') {
+    if (query.radiusKm !== undefined && query.radiusKm !== '') {
+      throw geoError('radiusKm requires near=lat,lng');
+    }
+    return null;
+  }
+
+  const parts = String(query.near).split(',').map(part => part.trim());
+  const latitude = Number(parts[0]);
+  const longitude = Number(parts[1]);
+  if (parts.length !== 2 || parts.some(part => part === '') ||
+      !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    throw geoError('near must be in lat,lng format with valid coordinates');
+  }
+
+  let radiusKm = DEFAULT_RADIUS_KM;
+  if (query.radiusKm !== undefined && query.radiusKm !== '') {
+    radiusKm = Number(query.radiusKm);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      throw geoError(`radiusKm must be a number between 0 and ${MAX_RADIUS_KM}`);
+    }
+  }
+
+  return { latitude, longitude, radiusKm };
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in kilometres (haversine formula)
+function haversineKm(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * SQL expression for the haversine distance from a point to a row's coordinates.
+ * Coordinates must already be validated numbers (see parseNearParams).
+ *
+ * @param {string} latColumn - Quoted latitude column, e.g. "Venue"."latitude"
+ * @param {string} lngColumn - Quoted longitude column
+ * @param {Object} point - { latitude, longitude }
+ * @returns {string} SQL expression in kilometres
+ */
+function distanceSql(latColumn, lngColumn, point) {
+  const lat = Number(point.latitude);
+  const lng = Number(point.longitude);
+  return `(${2 * EARTH_RADIUS_KM} * ASIN(LEAST(1, SQRT(` +
+    `POWER(SIN(RADIANS(${latColumn} - ${lat}) / 2), 2) + ` +
+    `COS(RADIANS(${lat})) * COS(RADIANS(${latColumn})) * POWER(SIN(RADIANS(${lngColumn} - ${lng}) / 2), 2)))))`;
+}
+
+module.exports = {
+  registerGeocoder,
+  geocodeAddress,
+  parseNearParams,
+  haversineKm,
+  distanceSql
+};
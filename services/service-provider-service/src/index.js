@@ -2,16 +2,26 @@ require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
 const cors = require('cors');
-const { sequelize, ServiceProviderCategory, ServiceProviderProfile, PricingPlan, PortfolioItem } = require('./models');
-const winston = require('winston');
+const { Sequelize } = require('sequelize');
+const { sequelize, ServiceProviderCategory, ServiceProviderProfile, PricingPlan, PortfolioItem, geocodeMissingProfiles } = require('./models');
+const { parseNearParams, distanceSql } = require('./geo');
+const { hasPermission, requirePermission } = require('./permissions');
+const logger = require('./logger');
 const jwt = require('jsonwebtoken');
 
 // Import route handlers
 const quoteRoutes = require('./routes/quotes');
 const chatRoutes = require('./routes/chat');
+const reviewRoutes = require('./routes/reviews');
+const paymentRoutes = require('./routes/payments');
+const invoiceRoutes = require('./routes/invoices');
+const orderRoutes = require('./routes/orders');
+const { attachRealtime } = require('./realtime');
 
 const app = express();
 const PORT = process.env.PORT || 4008; // Using port 4008, verify this doesn't conflict with other services
+const INVOICE_CHECK_INTERVAL_MS = parseInt(process.env.INVOICE_CHECK_INTERVAL_MS || '3600000', 10);
+const ORDER_CHECK_INTERVAL_MS = parseInt(process.env.ORDER_CHECK_INTERVAL_MS || '3600000', 10);
 
 // Ensure JWT_SECRET is set properly
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -47,16 +57,16 @@ function authenticateJWT(req, res, next) {
 }
 
 // Middleware to check if user is authenticated and has appropriate role
-function requireServiceProviderOrAdmin(req, res, next) {
-  if (req.user.role === 'admin') return next();
+function requireServiceProviderOrManager(req, res, next) {
+  if (hasPermission(req.user, 'providers:manage')) return next();
   if (req.user.role !== 'service_provider') return res.status(403).json({ error: 'Forbidden: Service Providers only' });
   if (req.user.kycStatus !== 'approved') return res.status(403).json({ error: 'KYC not approved' });
   next();
 }
 
 // Middleware to check if user is trying to access their own profile
-async function requireOwnProfileOrAdmin(req, res, next) {
-  if (req.user.role === 'admin') return next();
+async function requireOwnProfileOrManager(req, res, next) {
+  if (hasPermission(req.user, 'providers:manage')) return next();
   
   const profileId = req.params.id || req.body.id || req.body.profileId;
   if (!profileId) return res.status(400).json({ error: 'Profile ID required' });
@@ -68,26 +78,12 @@ async function requireOwnProfileOrAdmin(req, res, next) {
   next();
 }
 
-// Middleware to check admin role specifically
-function requireAdmin(req, res, next) {
-  if (req.user.role !== 'admin') {
-    logger.warn(`User ${req.user.id} (${req.user.role}) attempted to access admin-only endpoint`);
-    return errorResponse(res, 403, 'Admin permissions required');
+app.use(bodyParser.json({
+  // Keep the raw body so payment webhook signatures can be verified
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString();
   }
-  next();
-}
-
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [new winston.transports.Console()]
-});
-
-app.use(bodyParser.json());
+}));
 app.use(cors());
 
 // Health check endpoints - providing multiple paths for compatibility
@@ -97,6 +93,10 @@ app.get('/api/service-provider/health', (req, res) => res.json({ status: 'ok' })
 // Use route handlers
 app.use('/api/service-provider/quotes', quoteRoutes);
 app.use('/api/service-provider/chat', chatRoutes);
+app.use('/api/service-provider/reviews', reviewRoutes);
+app.use('/api/service-provider/payments', paymentRoutes);
+app.use('/api/service-provider/invoices', invoiceRoutes);
+app.use('/api/service-provider/orders', orderRoutes);
 
 
 // Standard error response format
@@ -108,13 +108,13 @@ function errorResponse(res, status, message, details = null) {
 
 // ===== API Routes =====
 
-// === Category Management (Admin only) ===
+// === Category Management (provider managers) ===
 
 // Create category
-app.post('/categories', authenticateJWT, requireAdmin, async (req, res) => {
+app.post('/categories', authenticateJWT, requirePermission('providers:manage'), async (req, res) => {
   try {
     const category = await ServiceProviderCategory.create(req.body);
-    logger.info(`Admin ${req.user.id} created new service provider category: ${category.name}`);
+    logger.info(`User ${req.user.id} created new service provider category: ${category.name}`);
     res.status(201).json(category);
   } catch (err) {
     logger.error('Error creating category:', err);
@@ -138,8 +138,8 @@ app.get('/categories', async (req, res) => {
   }
 });
 
-// Update category (admin only)
-app.put('/categories/:id', authenticateJWT, requireAdmin, async (req, res) => {
+// Update category (provider managers)
+app.put('/categories/:id', authenticateJWT, requirePermission('providers:manage'), async (req, res) => {
   try {
     const [updated] = await ServiceProviderCategory.update(req.body, { where: { id: req.params.id } });
     if (!updated) {
@@ -147,7 +147,7 @@ app.put('/categories/:id', authenticateJWT, requireAdmin, async (req, res) => {
     }
     
     const category = await ServiceProviderCategory.findByPk(req.params.id);
-    logger.info(`Admin ${req.user.id} updated service provider category ${req.params.id}`);
+    logger.info(`User ${req.user.id} updated service provider category ${req.params.id}`);
     res.json(category);
   } catch (err) {
     logger.error('Error updating category:', err);
@@ -155,8 +155,8 @@ app.put('/categories/:id', authenticateJWT, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete category (admin only)
-app.delete('/categories/:id', authenticateJWT, requireAdmin, async (req, res) => {
+// Delete category (provider managers)
+app.delete('/categories/:id', authenticateJWT, requirePermission('providers:manage'), async (req, res) => {
   try {
     // First check if any profiles are using this category
     const profilesUsingCategory = await ServiceProviderProfile.count({ 
@@ -194,7 +194,7 @@ app.delete('/categories/:id', authenticateJWT, requireAdmin, async (req, res) =>
       return errorResponse(res, 404, 'Category not found');
     }
     
-    logger.info(`Admin ${req.user.id} deleted service provider category ${req.params.id}`);
+    logger.info(`User ${req.user.id} deleted service provider category ${req.params.id}`);
     res.json({ message: 'Category deleted successfully' });
   } catch (err) {
     logger.error('Error deleting category:', err);
@@ -208,8 +208,8 @@ app.delete('/categories/:id', authenticateJWT, requireAdmin, async (req, res) =>
 app.post('/profiles', authenticateJWT, async (req, res) => {
   try {
     // Validate user role
-    if (req.user.role !== 'service_provider' && req.user.role !== 'admin') {
-      return errorResponse(res, 403, 'Only service providers or admins can create profiles');
+    if (req.user.role !== 'service_provider' && !hasPermission(req.user, 'providers:manage')) {
+      return errorResponse(res, 403, 'Only service providers or provider managers can create profiles');
     }
     
     // Check if profile already exists for this user
@@ -218,9 +218,9 @@ app.post('/profiles', authenticateJWT, async (req, res) => {
       return errorResponse(res, 400, 'Profile already exists for this user');
     }
     
-    // Force userId to be the authenticated user's ID if not admin
+    // Force userId to be the authenticated user's ID unless a provider manager sets it
     const data = { ...req.body };
-    if (req.user.role !== 'admin') {
+    if (!hasPermission(req.user, 'providers:manage')) {
       data.userId = req.user.id;
     }
     
@@ -243,9 +243,11 @@ app.post('/profiles', authenticateJWT, async (req, res) => {
 });
 
 // Get all profiles (public)
+// Optional near=lat,lng&radiusKm= restricts results to providers within range, nearest first
 app.get('/profiles', async (req, res) => {
   try {
     const { categoryId } = req.query;
+    const near = parseNearParams(req.query);
     let queryOptions = {
       include: [
         { model: ServiceProviderCategory, as: 'primaryCategory' },
@@ -253,20 +255,47 @@ app.get('/profiles', async (req, res) => {
         { model: PricingPlan, as: 'pricingPlans' }
       ]
     };
+    const conditions = [];
     
     if (categoryId) {
       // Either the primary category or a subcategory matches
-      queryOptions.where = {
+      conditions.push({
         [Sequelize.Op.or]: [
           { primaryServiceCategoryId: categoryId },
           { '$subcategories.id$': categoryId }
         ]
-      };
+      });
+    }
+    
+    if (near) {
+      const distance = distanceSql('"ServiceProviderProfile"."latitude"', '"ServiceProviderProfile"."longitude"', near);
+      conditions.push(
+        { latitude: { [Sequelize.Op.ne]: null } },
+        { longitude: { [Sequelize.Op.ne]: null } },
+        sequelize.literal(`${distance} <= ${near.radiusKm}`)
+      );
+      queryOptions.attributes = { include: [[sequelize.literal(distance), 'distanceKm']] };
+      queryOptions.order = [[sequelize.literal(distance), 'ASC'], ['id', 'ASC']];
+    }
+    
+    if (conditions.length > 0) {
+      queryOptions.where = { [Sequelize.Op.and]: conditions };
     }
     
     const profiles = await ServiceProviderProfile.findAll(queryOptions);
-    res.json(profiles);
+    if (!near) {
+      return res.json(profiles);
+    }
+    
+    res.json(profiles.map(profile => {
+      const result = profile.toJSON();
+      result.distanceKm = Math.round(Number(result.distanceKm) * 100) / 100;
+      return result;
+    }));
   } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message);
+    }
     logger.error('Error fetching profiles:', err);
     return errorResponse(res, 500, 'Failed to fetch profiles');
   }
@@ -288,18 +317,20 @@ app.get('/profiles/:id', async (req, res) => {
       return errorResponse(res, 404, 'Profile not found');
     }
     
-    res.json(profile);
+    const rating = await reviewRoutes.getRatingSummary(profile.userId);
+    res.json({ ...profile.toJSON(), rating });
   } catch (err) {
     logger.error('Error fetching profile:', err);
     return errorResponse(res, 500, 'Failed to fetch profile');
   }
 });
 
-// Update profile (own profile or admin)
-app.put('/profiles/:id', authenticateJWT, requireOwnProfileOrAdmin, async (req, res) => {
+// Update profile (own profile or provider manager)
+app.put('/profiles/:id', authenticateJWT, requireOwnProfileOrManager, async (req, res) => {
   try {
     const [updated] = await ServiceProviderProfile.update(req.body, { 
-      where: { id: req.params.id } 
+      where: { id: req.params.id },
+      individualHooks: true
     });
     
     if (!updated) {
@@ -319,6 +350,9 @@ app.put('/profiles/:id', authenticateJWT, requireOwnProfileOrAdmin, async (req,
     logger.info(`User ${req.user.id} updated service provider profile: ${profile.id}`);
     res.json(profile);
   } catch (err) {
+    if (err.name === 'SequelizeValidationError') {
+      return errorResponse(res, 400, 'Invalid profile', err.errors.map(e => e.message));
+    }
     logger.error('Error updating profile:', err);
     return errorResponse(res, 500, 'Failed to update profile');
   }
@@ -327,7 +361,7 @@ app.put('/profiles/:id', authenticateJWT, requireOwnProfileOrAdmin, async (req,
 // === Pricing Plan Management ===
 
 // Create pricing plan
-app.post('/profiles/:profileId/pricing-plans', authenticateJWT, requireOwnProfileOrAdmin, async (req, res) => {
+app.post('/profiles/:profileId/pricing-plans', authenticateJWT, requireOwnProfileOrManager, async (req, res) => {
   try {
     const profile = await ServiceProviderProfile.findByPk(req.params.profileId);
     if (!profile) {
@@ -374,7 +408,7 @@ app.put('/pricing-plans/:id', authenticateJWT, async (req, res) => {
     }
     
     // Check ownership
-    if (req.user.role !== 'admin' && plan.serviceProviderProfile.userId !== req.user.id) {
+    if (!hasPermission(req.user, 'providers:manage') && plan.serviceProviderProfile.userId !== req.user.id) {
       return errorResponse(res, 403, 'Not authorized to update this pricing plan');
     }
     
@@ -408,7 +442,7 @@ app.delete('/pricing-plans/:id', authenticateJWT, async (req, res) => {
     }
     
     // Check ownership
-    if (req.user.role !== 'admin' && plan.serviceProviderProfile.userId !== req.user.id) {
+    if (!hasPermission(req.user, 'providers:manage') && plan.serviceProviderProfile.userId !== req.user.id) {
       return errorResponse(res, 403, 'Not authorized to delete this pricing plan');
     }
     
@@ -428,7 +462,7 @@ app.delete('/pricing-plans/:id', authenticateJWT, async (req, res) => {
 // === Portfolio Management ===
 
 // Upload portfolio item
-app.post('/profiles/:profileId/portfolio', authenticateJWT, requireOwnProfileOrAdmin, async (req, res) => {
+app.post('/profiles/:profileId/portfolio', authenticateJWT, requireOwnProfileOrManager, async (req, res) => {
   try {
     const profile = await ServiceProviderProfile.findByPk(req.params.profileId);
     if (!profile) {
@@ -478,7 +512,7 @@ app.put('/portfolio/:id', authenticateJWT, async (req, res) => {
     }
     
     // Check ownership
-    if (req.user.role !== 'admin' && item.serviceProviderProfile.userId !== req.user.id) {
+    if (!hasPermission(req.user, 'providers:manage') && item.serviceProviderProfile.userId !== req.user.id) {
       return errorResponse(res, 403, 'Not authorized to update this portfolio item');
     }
     
@@ -512,7 +546,7 @@ app.delete('/portfolio/:id', authenticateJWT, async (req, res) => {
     }
     
     // Check ownership
-    if (req.user.role !== 'admin' && item.serviceProviderProfile.userId !== req.user.id) {
+    if (!hasPermission(req.user, 'providers:manage') && item.serviceProviderProfile.userId !== req.user.id) {
       return errorResponse(res, 403, 'Not authorized to delete this portfolio item');
     }
     
@@ -529,10 +563,10 @@ app.delete('/portfolio/:id', authenticateJWT, async (req, res) => {
   }
 });
 
-// === Admin KYC Management ===
+// === KYC Management ===
 
-// Update KYC status (admin only)
-app.put('/profiles/:id/kyc', authenticateJWT, requireAdmin, async (req, res) => {
+// Update KYC status (needs vendors:approve)
+app.put('/profiles/:id/kyc', authenticateJWT, requirePermission('vendors:approve'), async (req, res) => {
   try {
     const { kycStatus } = req.body;
     
@@ -550,7 +584,7 @@ app.put('/profiles/:id/kyc', authenticateJWT, requireAdmin, async (req, res) =>
     }
     
     const profile = await ServiceProviderProfile.findByPk(req.params.id);
-    logger.info(`Admin ${req.user.id} updated KYC status to ${kycStatus} for profile: ${req.params.id}`);
+    logger.info(`User ${req.user.id} updated KYC status to ${kycStatus} for profile: ${req.params.id}`);
     res.json({ message: `KYC status updated to ${kycStatus}`, profile });
     
     // TODO: Trigger notification to service provider about KYC status change
@@ -560,12 +594,31 @@ app.put('/profiles/:id/kyc', authenticateJWT, requireAdmin, async (req, res) =>
   }
 });
 
+function runInvoiceCheck() {
+  invoiceRoutes.checkOverdueInvoices().catch(err => {
+    logger.error(`Overdue invoice check failed: ${err.message}`);
+  });
+}
+
+function runOrderCheck() {
+  orderRoutes.autoConfirmOrders().catch(err => {
+    logger.error(`Service order confirmation check failed: ${err.message}`);
+  });
+}
+
 // Start the server
 let server;
 sequelize.sync({ alter: true }).then(() => {
   server = app.listen(PORT, () => {
     logger.info(`Service Provider Service running on port ${PORT}`);
   });
+  // Chat socket shares the HTTP server
+  attachRealtime(server);
+  runInvoiceCheck();
+  setInterval(runInvoiceCheck, INVOICE_CHECK_INTERVAL_MS);
+  runOrderCheck();
+  setInterval(runOrderCheck, ORDER_CHECK_INTERVAL_MS);
+  geocodeMissingProfiles().catch(err => logger.error(`Service provider geocoding backfill failed: ${err.message}`));
 }).catch(err => {
   logger.error('Failed to sync DB:', err);
   process.exit(1);
@@ -0,0 +1,110 @@
+// Invoice listing filters and overdue reminders
+// Pending invoices past their dueDate become overdue, and the customer is reminded then and
+// again every reminder interval while the invoice stays unpaid, up to a reminder limit.
+
+const { Op } = require('sequelize');
+const { formatMoney } = require('./documents');
+
+const INVOICE_STATUSES = ['pending', 'paid', 'overdue', 'cancelled'];
+const MANUAL_PAYMENT_METHODS = ['cash', 'bank_transfer', 'card', 'cheque', 'other'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date filters: ?dateField=due&from=2026-05-01&to=2026-05-31
+const INVOICE_DATE_FIELDS = {
+  issued: 'createdAt',
+  due: 'dueDate',
+  service: 'serviceDate',
+  paid: 'paymentDate'
+};
+
+function filterError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw filterError(`${name} must be a valid date`);
+  }
+  return date;
+}
+
+/**
+ * Where clause for listing invoices from query parameters.
+ *
+ * @param {Object} query - { status, dateField, from, to }; status may list several, comma-separated
+ * @returns {Object} Sequelize where clause (without the caller's ownership condition)
+ */
+function parseInvoiceFilters(query) {
+  const where = {};
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(status => status.trim());
+    if (statuses.some(status => !INVOICE_STATUSES.includes(status))) {
+      throw filterError(`status must be one of: ${INVOICE_STATUSES.join(', ')}`);
+    }
+    where.status = statuses.length === 1 ? statuses[0] : { [Op.in]: statuses };
+  }
+
+  const dateField = query.dateField || 'issued';
+  if (!INVOICE_DATE_FIELDS[dateField]) {
+    throw filterError(`dateField must be one of: ${Object.keys(INVOICE_DATE_FIELDS).join(', ')}`);
+  }
+  const from = parseDate(query.from, 'from');
+  const to = parseDate(query.to, 'to');
+  if (from && to && from > to) {
+    throw filterError('from must not be after to');
+  }
+  if (from || to) {
+    const range = {};
+    if (from) range[Op.gte] = from;
+    if (to) {
+      // A date without a time includes the whole day
+      range[Op.lte] = /^\d{4}-\d{2}-\d{2}$/.test(query.to) ? new Date(to.getTime() + DAY_MS - 1) : to;
+    }
+    where[INVOICE_DATE_FIELDS[dateField]] = range;
+  }
+
+  return where;
+}
+
+/**
+ * Whether an overdue invoice should get a reminder now.
+ *
+ * @param {Object} invoice - Invoice with lastReminderAt and reminderCount
+ * @param {Date} now - Current time
+ * @param {Object} options - { intervalDays, limit }
+ * @returns {boolean}
+ */
+function isReminderDue(invoice, now, { intervalDays, limit }) {
+  if (invoice.status !== 'overdue') return false;
+  if ((invoice.reminderCount || 0) >= limit) return false;
+  if (!invoice.lastReminderAt) return true;
+  return now.getTime() - new Date(invoice.lastReminderAt).getTime() >= intervalDays * DAY_MS;
+}
+
+// Email to the customer about an overdue invoice
+function overdueReminderEmail(invoice, businessName, currency, now = new Date()) {
+  const daysOverdue = Math.max(Math.floor((now.getTime() - new Date(invoice.dueDate).getTime()) / DAY_MS), 0);
+  const from = businessName || 'your service provider';
+  const amount = formatMoney(invoice.totalAmount, currency);
+  const dueDate = new Date(invoice.dueDate).toISOString().slice(0, 10);
+
+  return {
+    subject: `Invoice #${invoice.id} is overdue`,
+    message: `Hi ${invoice.customerName},\n\n` +
+      `Invoice #${invoice.id} from ${from} for ${amount} was due on ${dueDate} ` +
+      `and is now ${daysOverdue} day${daysOverdue === 1 ? '' : 's'} overdue.\n\n` +
+      (invoice.paymentLink ? `You can pay it here:\n${invoice.paymentLink}\n\n` : '') +
+      'If you have already paid, please disregard this reminder.'
+  };
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  MANUAL_PAYMENT_METHODS,
+  parseInvoiceFilters,
+  isReminderDue,
+  overdueReminderEmail
+};
@@ -0,0 +1,64 @@
+// Authentication and authorization middleware shared by the route modules
+const jwt = require('jsonwebtoken');
+const { hasPermission } = require('../permissions');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Verify the bearer token and attach the decoded user to the request
+function authenticateJWT(req, res, next) {
+  try {
+    const authHeader = req.headers.authorization;
+    if (!authHeader) {
+      return res.status(401).json({ error: 'No token provided' });
+    }
+    
+    // Validate token format explicitly
+    if (!authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Invalid authorization header format' });
+    }
+    
+    const token = authHeader.split(' ')[1];
+    if (!token) {
+      return res.status(401).json({ error: 'Empty token provided' });
+    }
+    
+    const decoded = jwt.verify(token, JWT_SECRET);
+    req.user = decoded;
+    next();
+  } catch (err) {
+    return res.status(401).json({ error: 'Invalid token' });
+  }
+}
+
+// Allow only the given roles
+function authorizeRole(roles = []) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    
+    if (!roles.includes(req.user.role)) {
+      return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    
+    next();
+  };
+}
+
+// Unverified accounts cannot create quotes or quote requests
+function requireVerifiedEmail(req, res, next) {
+  if (hasPermission(req.user, 'quotes:manage') || req.user.emailVerified) {
+    return next();
+  }
+  
+  return res.status(403).json({
+    error: 'Email verification required',
+    details: 'Verify your email address and refresh your session to continue'
+  });
+}
+
+module.exports = {
+  authenticateJWT,
+  authorizeRole,
+  requireVerifiedEmail
+};
@@ -1,6 +1,9 @@
 // Import required modules
 require('dotenv').config();
 const { Sequelize, DataTypes } = require('sequelize');
+const { geocodeAddress } = require('./geo');
+const logger = require('./logger');
+const { normalizeTaxRates } = require('./pricing');
 
 // Initialize Sequelize
 let dbConfig = {
@@ -45,6 +48,7 @@ const sequelize = new Sequelize(
 // Import model definition files
 const chatModels = require('./models/chat')(sequelize);
 const quoteModels = require('./models/quotes')(sequelize);
+const reviewModels = require('./models/reviews')(sequelize);
 
 // Define ServiceProviderCategory model (hierarchical)
 const ServiceProviderCategory = sequelize.define('ServiceProviderCategory', {
@@ -144,6 +148,16 @@ const ServiceProviderProfile = sequelize.define('ServiceProviderProfile', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  latitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: { min: -90, max: 90 }
+  },
+  longitude: {
+    type: DataTypes.DOUBLE,
+    allowNull: true,
+    validate: { min: -180, max: 180 }
+  },
   bio: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -164,6 +178,17 @@ const ServiceProviderProfile = sequelize.define('ServiceProviderProfile', {
     type: DataTypes.STRING,
     allowNull: true
   },
+  // Tax rates charged on quotes: [{ jurisdiction, name, ratePercent }], '*' applying anywhere else
+  taxRates: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: [],
+    validate: {
+      isValidTaxRates(value) {
+        normalizeTaxRates(value);
+      }
+    }
+  },
   socialMediaLinks: {
     type: DataTypes.JSONB,
     allowNull: true
@@ -203,6 +228,61 @@ const ServiceProviderProfile = sequelize.define('ServiceProviderProfile', {
   }
 });
 
+const PROFILE_ADDRESS_FIELDS = ['addressLine1', 'city', 'state', 'zipCode'];
+
+function profileAddress(profile) {
+  return PROFILE_ADDRESS_FIELDS.map(field => profile.get(field)).filter(Boolean).join(', ');
+}
+
+// Geocode the profile address when any part of it changes, unless coordinates were supplied explicitly
+async function geocodeProfile(profile) {
+  const addressChanged = PROFILE_ADDRESS_FIELDS.some(field => profile.get(field) !== profile.previous(field));
+  const coordinatesGiven = profile.get('latitude') !== profile.previous('latitude') ||
+    profile.get('longitude') !== profile.previous('longitude');
+  if (!addressChanged || coordinatesGiven) return;
+
+  const address = profileAddress(profile);
+  try {
+    const location = address ? await geocodeAddress(address) : null;
+    profile.set('latitude', location ? location.latitude : null);
+    profile.set('longitude', location ? location.longitude : null);
+  } catch (err) {
+    // A geocoding outage must not block saving the profile; it just won't show up in distance searches
+    logger.error(`Geocoding failed for service provider address "${address}": ${err.message}`);
+    profile.set('latitude', null);
+    profile.set('longitude', null);
+  }
+}
+
+ServiceProviderProfile.addHook('beforeCreate', geocodeProfile);
+ServiceProviderProfile.addHook('beforeUpdate', geocodeProfile);
+
+// Geocode profiles saved before coordinates were added, or while the geocoder was down.
+// Profiles the geocoder cannot place are tried again at the next start.
+async function geocodeMissingProfiles() {
+  const profiles = await ServiceProviderProfile.findAll({
+    where: {
+      latitude: null,
+      [Sequelize.Op.or]: PROFILE_ADDRESS_FIELDS.map(field => ({ [field]: { [Sequelize.Op.ne]: null } }))
+    },
+    attributes: ['id', ...PROFILE_ADDRESS_FIELDS]
+  });
+  let located = 0;
+  for (const profile of profiles) {
+    try {
+      const location = await geocodeAddress(profileAddress(profile));
+      if (!location) continue;
+      await profile.update(location, { hooks: false });
+      located++;
+    } catch (err) {
+      logger.error(`Geocoding failed for service provider profile ${profile.id}: ${err.message}`);
+    }
+  }
+  if (profiles.length > 0) {
+    logger.info(`Geocoded ${located} of ${profiles.length} service provider profiles without coordinates`);
+  }
+}
+
 // Define PricingPlan model
 const PricingPlan = sequelize.define('PricingPlan', {
   serviceProviderProfileId: {
@@ -329,7 +409,11 @@ module.exports = {
   QuoteRequest: quoteModels.QuoteRequest,
   Quote: quoteModels.Quote,
   QuoteItem: quoteModels.QuoteItem,
+  QuoteRevision: quoteModels.QuoteRevision,
   Invoice: quoteModels.Invoice,
   InvoiceItem: quoteModels.InvoiceItem,
-  ServiceOrder: quoteModels.ServiceOrder
+  ServiceOrder: quoteModels.ServiceOrder,
+  ServiceOrderEvent: quoteModels.ServiceOrderEvent,
+  ServiceProviderReview: reviewModels.ServiceProviderReview,
+  geocodeMissingProfiles
 };
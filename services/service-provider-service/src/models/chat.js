@@ -56,12 +56,27 @@ module.exports = (sequelize) => {
     },
     attachmentUrl: {
       type: DataTypes.STRING,
-      allowNull: true
+      allowNull: true,
+      comment: 'Legacy client-supplied URL; new messages use attachments'
+    },
+    attachments: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Media service files: [{ id, mediaType, mimetype, url, thumbnailUrl }]'
     },
     readAt: {
       type: DataTypes.DATE,
       allowNull: true
     }
+  }, {
+    indexes: [
+      // Full-text message search (GET /api/service-provider/chat/search) matches this expression
+      {
+        name: 'chat_messages_message_search',
+        using: 'gin',
+        fields: [sequelize.fn('to_tsvector', 'english', sequelize.col('message'))]
+      }
+    ]
   });
 
   // Set up associations
@@ -1,5 +1,6 @@
 // Quote and Invoice Models for Service Provider Service
-const { DataTypes } = require('sequelize');
+const { DataTypes, Op } = require('sequelize');
+const { requestStatusForQuote } = require('../requests');
 
 module.exports = (sequelize) => {
   // Quote Request Model
@@ -29,10 +30,23 @@ module.exports = (sequelize) => {
       allowNull: false,
       comment: 'Description of the requested service'
     },
+    groupId: {
+      type: DataTypes.UUID,
+      allowNull: true,
+      comment: 'Shared by the requests a customer sent to several providers at once'
+    },
     status: {
-      type: DataTypes.ENUM('pending', 'quoted', 'accepted', 'rejected', 'expired'),
+      type: DataTypes.ENUM('pending', 'quoted', 'accepted', 'rejected', 'expired', 'declined'),
       defaultValue: 'pending'
     },
+    declineReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    declinedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
     customerName: {
       type: DataTypes.STRING,
       allowNull: false
@@ -48,6 +62,11 @@ module.exports = (sequelize) => {
       type: DataTypes.STRING,
       allowNull: true
     }
+  }, {
+    indexes: [
+      { fields: ['serviceProviderId', 'status'] },
+      { fields: ['userId'] }
+    ]
   });
 
   // Quote Model (Service Provider's response to a quote request)
@@ -60,6 +79,7 @@ module.exports = (sequelize) => {
     quoteRequestId: {
       type: DataTypes.INTEGER,
       allowNull: true, // Can be null if provider initiates the quote
+      unique: true, // A request is answered by a single quote
       comment: 'Reference to the original quote request, if any'
     },
     serviceProviderId: {
@@ -82,9 +102,43 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: false
     },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Sum of line totals, before the quote discount and taxes'
+    },
+    discountType: {
+      type: DataTypes.ENUM('percent', 'fixed'),
+      allowNull: true
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    taxJurisdiction: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    taxes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Applied taxes: [{ name, ratePercent, amount }]'
+    },
+    taxAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
     totalAmount: {
       type: DataTypes.DECIMAL(10, 2),
-      allowNull: false
+      allowNull: false,
+      comment: 'Grand total, computed on the server'
     },
     note: {
       type: DataTypes.TEXT,
@@ -97,7 +151,57 @@ module.exports = (sequelize) => {
     validUntil: {
       type: DataTypes.DATE,
       allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Current version; earlier versions are kept as QuoteRevisions'
+    },
+    pdfMediaId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'media-service ID of the current PDF'
+    },
+    pdfFingerprint: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Hash of the document content the stored PDF was rendered from'
+    }
+  });
+
+  // Quote Revision Model (snapshot of a superseded quote version)
+  const QuoteRevision = sequelize.define('QuoteRevision', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    quoteId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    version: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Status of the version when it was superseded'
+    },
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      comment: 'Quote fields and items of this version'
+    },
+    supersededBy: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'User ID of the provider who sent the next version'
     }
+  }, {
+    indexes: [{ unique: true, fields: ['quoteId', 'version'] }]
   });
 
   // Quote Item Model
@@ -127,6 +231,24 @@ module.exports = (sequelize) => {
     unitPrice: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
+    },
+    discountType: {
+      type: DataTypes.ENUM('percent', 'fixed'),
+      allowNull: true
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    lineTotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'quantity * unitPrice less the line discount'
     }
   });
 
@@ -161,9 +283,43 @@ module.exports = (sequelize) => {
       type: DataTypes.DATE,
       allowNull: false
     },
+    subtotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'Sum of line totals, before the invoice discount and taxes'
+    },
+    discountType: {
+      type: DataTypes.ENUM('percent', 'fixed'),
+      allowNull: true
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    taxJurisdiction: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    taxes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Applied taxes: [{ name, ratePercent, amount }]'
+    },
+    taxAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
     totalAmount: {
       type: DataTypes.DECIMAL(10, 2),
-      allowNull: false
+      allowNull: false,
+      comment: 'Grand total, computed on the server'
     },
     status: {
       type: DataTypes.ENUM('pending', 'paid', 'overdue', 'cancelled'),
@@ -176,7 +332,22 @@ module.exports = (sequelize) => {
     paymentLink: {
       type: DataTypes.STRING,
       allowNull: true,
-      comment: 'Stripe payment link'
+      comment: 'Checkout URL from the payment provider'
+    },
+    paymentProvider: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    paymentSessionId: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      unique: true
+    },
+    paymentSessionIds: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Every checkout session opened for the invoice; a customer may pay through an older link'
     },
     paymentDate: {
       type: DataTypes.DATE,
@@ -185,7 +356,46 @@ module.exports = (sequelize) => {
     paymentReference: {
       type: DataTypes.STRING,
       allowNull: true
+    },
+    paymentMethod: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'checkout, or how a payment recorded by the provider was made'
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancellationReason: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    lastReminderAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the customer was last reminded of the overdue invoice'
+    },
+    reminderCount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0
+    },
+    pdfMediaId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'media-service ID of the current PDF'
+    },
+    pdfFingerprint: {
+      type: DataTypes.STRING,
+      allowNull: true,
+      comment: 'Hash of the document content the stored PDF was rendered from'
     }
+  }, {
+    indexes: [
+      { fields: ['serviceProviderId', 'status'] },
+      { fields: ['userId', 'status'] },
+      { fields: ['status', 'dueDate'] }
+    ]
   });
 
   // Invoice Item Model
@@ -215,6 +425,24 @@ module.exports = (sequelize) => {
     unitPrice: {
       type: DataTypes.DECIMAL(10, 2),
       allowNull: false
+    },
+    discountType: {
+      type: DataTypes.ENUM('percent', 'fixed'),
+      allowNull: true
+    },
+    discountValue: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true
+    },
+    discountAmount: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: false,
+      defaultValue: 0
+    },
+    lineTotal: {
+      type: DataTypes.DECIMAL(10, 2),
+      allowNull: true,
+      comment: 'quantity * unitPrice less the line discount'
     }
   });
 
@@ -246,19 +474,119 @@ module.exports = (sequelize) => {
       allowNull: false
     },
     status: {
-      type: DataTypes.ENUM('confirmed', 'in_progress', 'completed', 'cancelled'),
+      type: DataTypes.ENUM('confirmed', 'in_progress', 'awaiting_confirmation', 'disputed', 'completed', 'cancelled'),
       defaultValue: 'confirmed'
     },
     notes: {
       type: DataTypes.TEXT,
       allowNull: true
+    },
+    startedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    deliveredAt: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the provider marked the work done'
+    },
+    disputedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    completedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    cancelledAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    payoutStatus: {
+      type: DataTypes.ENUM('on_hold', 'eligible', 'paid', 'withheld'),
+      allowNull: false,
+      defaultValue: 'on_hold',
+      comment: 'Payout to the provider becomes eligible when the order is completed'
+    },
+    payoutReference: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    paidOutAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
+  }, {
+    indexes: [
+      { fields: ['serviceProviderId', 'status'] },
+      { fields: ['userId', 'status'] },
+      { fields: ['payoutStatus'] }
+    ]
+  });
+
+  // Service Order Event Model (status changes of an order, with who made them)
+  const ServiceOrderEvent = sequelize.define('ServiceOrderEvent', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    serviceOrderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false
+    },
+    action: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    fromStatus: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    toStatus: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    actorId: {
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Null for changes made by the scheduled check'
+    },
+    actorRole: {
+      type: DataTypes.STRING,
+      allowNull: false
+    },
+    note: {
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Issue description or cancellation reason'
+    }
+  }, {
+    updatedAt: false,
+    indexes: [{ fields: ['serviceOrderId'] }]
+  });
+
+  // Keep the linked quote request's status in step with its quote
+  Quote.addHook('afterSave', 'syncQuoteRequestStatus', async (quote, options) => {
+    if (!quote.quoteRequestId) return;
+    if (options.fields && !options.fields.includes('status') && !options.fields.includes('quoteRequestId')) return;
+
+    const status = requestStatusForQuote(quote.status);
+    if (!status) return;
+
+    await QuoteRequest.update(
+      { status },
+      { where: { id: quote.quoteRequestId, status: { [Op.ne]: 'declined' } }, transaction: options.transaction }
+    );
   });
 
   // Set up associations
   Quote.hasMany(QuoteItem, { foreignKey: 'quoteId', as: 'items' });
   QuoteItem.belongsTo(Quote, { foreignKey: 'quoteId' });
 
+  Quote.hasMany(QuoteRevision, { foreignKey: 'quoteId', as: 'revisions' });
+  QuoteRevision.belongsTo(Quote, { foreignKey: 'quoteId' });
+
   QuoteRequest.hasOne(Quote, { foreignKey: 'quoteRequestId' });
   Quote.belongsTo(QuoteRequest, { foreignKey: 'quoteRequestId' });
 
@@ -271,12 +599,17 @@ module.exports = (sequelize) => {
   Invoice.hasOne(ServiceOrder, { foreignKey: 'invoiceId' });
   ServiceOrder.belongsTo(Invoice, { foreignKey: 'invoiceId' });
 
+  ServiceOrder.hasMany(ServiceOrderEvent, { foreignKey: 'serviceOrderId', as: 'events' });
+  ServiceOrderEvent.belongsTo(ServiceOrder, { foreignKey: 'serviceOrderId' });
+
   return {
     QuoteRequest,
     Quote,
     QuoteItem,
+    QuoteRevision,
     Invoice,
     InvoiceItem,
-    ServiceOrder
+    ServiceOrder,
+    ServiceOrderEvent
   };
 };
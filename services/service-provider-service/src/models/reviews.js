@@ -0,0 +1,72 @@
+// Review Models for Service Provider Service
+const { DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  // Service Provider Review Model (one per completed service order)
+  const ServiceProviderReview = sequelize.define('ServiceProviderReview', {
+    id: {
+      type: DataTypes.INTEGER,
+      primaryKey: true,
+      autoIncrement: true
+    },
+    serviceOrderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      unique: true
+    },
+    serviceProviderId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'User ID of the reviewed service provider'
+    },
+    userId: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'The customer/user ID who wrote the review'
+    },
+    rating: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      validate: { min: 1, max: 5 }
+    },
+    comment: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    photos: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Media service photos: [{ id, mediaType, url }]'
+    },
+    providerReply: {
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    providerReplyAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    status: {
+      type: DataTypes.ENUM('published', 'hidden'),
+      defaultValue: 'published'
+    },
+    moderationReason: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    moderatedBy: {
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    moderatedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    }
+  }, {
+    indexes: [{ fields: ['serviceProviderId', 'status'] }]
+  });
+
+  return {
+    ServiceProviderReview
+  };
+};
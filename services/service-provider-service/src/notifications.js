@@ -0,0 +1,26 @@
+// Notification service client, used for emails the service sends on its own (invoice reminders)
+const axios = require('axios');
+const { signServiceToken } = require('./serviceAuth');
+const logger = require('./logger');
+
+const notificationService = axios.create({
+  baseURL: process.env.NOTIFICATION_SERVICE_URL || 'http://notification-service:4007',
+  timeout: 5000
+});
+
+// Send an email through notification-service. Failures are logged, not thrown.
+async function sendEmail(to, subject, message) {
+  try {
+    await notificationService.post('/api/notification/send', { to, subject, message }, {
+      headers: { Authorization: `Bearer ${signServiceToken()}` }
+    });
+    return true;
+  } catch (err) {
+    logger.error(`Failed to send "${subject}" email: ${err.message}`);
+    return false;
+  }
+}
+
+module.exports = {
+  sendEmail
+};
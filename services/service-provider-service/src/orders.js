@@ -0,0 +1,125 @@
+// Service order lifecycle
+// An order is opened when its invoice is paid. The provider starts the work and marks it done;
+// the customer then confirms completion or raises an issue. Completion unlocks the review of
+// the order and the provider's payout.
+//
+//   confirmed → in_progress → awaiting_confirmation → completed
+//                    ↑                 ↓
+//                    └──── disputed ←──┘        (cancelled: before completion)
+
+const { hasPermission } = require('./permissions');
+
+const ORDER_STATUSES = ['confirmed', 'in_progress', 'awaiting_confirmation', 'disputed', 'completed', 'cancelled'];
+const MAX_NOTE_LENGTH = 2000;
+
+// action → statuses it applies to, the status it leads to and who may take it.
+// 'provider' and 'customer' mean the order's own provider and customer, 'manager' a user with
+// the orders:manage permission.
+const ORDER_ACTIONS = {
+  start: { from: ['confirmed'], to: 'in_progress', actors: ['provider', 'manager'] },
+  complete: { from: ['in_progress'], to: 'awaiting_confirmation', actors: ['provider', 'manager'] },
+  confirm: { from: ['awaiting_confirmation'], to: 'completed', actors: ['customer', 'manager'] },
+  'report-issue': { from: ['in_progress', 'awaiting_confirmation'], to: 'disputed', actors: ['customer'], noteRequired: true },
+  resume: { from: ['disputed'], to: 'in_progress', actors: ['provider', 'manager'] },
+  resolve: { from: ['disputed'], to: 'completed', actors: ['manager'] },
+  cancel: { from: ['confirmed', 'in_progress', 'disputed'], to: 'cancelled', actors: ['provider', 'manager'], noteRequired: true },
+  // Taken by the scheduled check when the customer does not respond in time
+  'auto-confirm': { from: ['awaiting_confirmation'], to: 'completed', actors: ['system'] }
+};
+
+// Timestamp set when an order enters a status
+const STATUS_TIMESTAMPS = {
+  in_progress: 'startedAt',
+  awaiting_confirmation: 'deliveredAt',
+  disputed: 'disputedAt',
+  completed: 'completedAt',
+  cancelled: 'cancelledAt'
+};
+
+function orderError(message, status, details = null) {
+  return Object.assign(new Error(message), { status, details });
+}
+
+// The user's part in an order: provider, customer, manager or null
+function actorFor(order, user) {
+  if (!user) return 'system';
+  if (hasPermission(user, 'orders:manage')) return 'manager';
+  if (user.role === 'service_provider' && String(order.serviceProviderId) === String(user.id)) return 'provider';
+  if (user.role === 'user' && String(order.userId) === String(user.id)) return 'customer';
+  return null;
+}
+
+/**
+ * Check an action against the order's status and the acting user, and work out the changes.
+ *
+ * @param {Object} order - ServiceOrder
+ * @param {string} action - Key of ORDER_ACTIONS
+ * @param {Object|null} user - Acting user from the JWT, or null for the scheduled check
+ * @param {string} note - Reason or issue description
+ * @param {Date} now - Current time
+ * @returns {Object} { fromStatus, toStatus, actor, changes }
+ */
+function planOrderTransition(order, action, user, note, now = new Date()) {
+  const rule = ORDER_ACTIONS[action];
+  if (!rule) {
+    throw orderError(`Unknown action: ${action}`, 400);
+  }
+
+  const actor = actorFor(order, user);
+  if (!actor || !rule.actors.includes(actor)) {
+    throw orderError(`You are not allowed to ${action.replace('-', ' ')} this order`, 403);
+  }
+  if (!rule.from.includes(order.status)) {
+    throw orderError(`Cannot ${action.replace('-', ' ')} an order with status: ${order.status}`, 409, {
+      allowedFrom: rule.from
+    });
+  }
+
+  const text = typeof note === 'string' ? note.trim() : '';
+  if (rule.noteRequired && !text) {
+    throw orderError(action === 'cancel' ? 'A cancellation reason is required' : 'Please describe the issue', 400);
+  }
+  if (text.length > MAX_NOTE_LENGTH) {
+    throw orderError(`The note cannot be longer than ${MAX_NOTE_LENGTH} characters`, 400);
+  }
+
+  const changes = { status: rule.to, [STATUS_TIMESTAMPS[rule.to]]: now };
+  if (rule.to === 'completed') {
+    changes.payoutStatus = 'eligible';
+  }
+  if (rule.to === 'cancelled') {
+    changes.payoutStatus = 'withheld';
+  }
+
+  return { fromStatus: order.status, toStatus: rule.to, actor, note: text || null, changes };
+}
+
+/**
+ * Whether the customer's time to confirm a delivered order has run out.
+ *
+ * @param {Object} order - ServiceOrder
+ * @param {Date} now - Current time
+ * @param {number} confirmationDays - Days the customer has to respond
+ * @returns {boolean}
+ */
+function isConfirmationOverdue(order, now, confirmationDays) {
+  if (order.status !== 'awaiting_confirmation' || !order.deliveredAt) return false;
+  return now.getTime() - new Date(order.deliveredAt).getTime() >= confirmationDays * 24 * 60 * 60 * 1000;
+}
+
+// Order counts per status, with every status present
+function countByStatus(rows) {
+  const counts = Object.fromEntries(ORDER_STATUSES.map(status => [status, 0]));
+  for (const row of rows) {
+    counts[row.status] = parseInt(row.count, 10);
+  }
+  return counts;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_ACTIONS,
+  planOrderTransition,
+  isConfirmationOverdue,
+  countByStatus
+};
@@ -0,0 +1,83 @@
+// Cursor pagination for chat messages
+// Messages are paged by ID, which increases in creation order, so a page stays stable
+// while new messages arrive: before=<id> pages back through older messages and
+// after=<id> fetches messages newer than the last one seen.
+
+const { Op } = require('sequelize');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 100;
+
+function pagingError(message) {
+  return Object.assign(new Error(message), { status: 400 });
+}
+
+function parseMessageId(value, name) {
+  if (value === undefined || value === '') return null;
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw pagingError(`${name} must be a message ID`);
+  }
+  return id;
+}
+
+/**
+ * Parse before/after cursors and the page size from a query string.
+ *
+ * @param {Object} query - Request query ({ before, after, limit })
+ * @returns {Object} { before, after, limit }
+ */
+function parseCursorParams(query) {
+  const before = parseMessageId(query.before, 'before');
+  const after = parseMessageId(query.after, 'after');
+  if (before && after) {
+    throw pagingError('before and after cannot be combined');
+  }
+
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  return { before, after, limit };
+}
+
+// Where clause and order for a page; one extra row is fetched to tell whether more remain
+function cursorQuery({ before, after, limit }) {
+  if (after) {
+    return { where: { id: { [Op.gt]: after } }, order: [['id', 'ASC']], limit: limit + 1 };
+  }
+  return {
+    where: before ? { id: { [Op.lt]: before } } : {},
+    order: [['id', 'DESC']],
+    limit: limit + 1
+  };
+}
+
+/**
+ * Shape fetched rows into a page, oldest message first.
+ *
+ * @param {Array} rows - Rows fetched with cursorQuery
+ * @param {Object} params - Parsed cursor params
+ * @returns {Object} { messages, limit, hasMore, cursors: { before, after } }
+ */
+function buildCursorPage(rows, { after, limit }) {
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  const messages = after ? page : page.reverse();
+
+  return {
+    messages,
+    limit,
+    // More older messages when paging back, more newer ones when paging forward
+    hasMore,
+    cursors: {
+      before: messages.length > 0 ? messages[0].id : null,
+      after: messages.length > 0 ? messages[messages.length - 1].id : after || null
+    }
+  };
+}
+
+module.exports = {
+  parseCursorParams,
+  cursorQuery,
+  buildCursorPage,
+  DEFAULT_LIMIT,
+  MAX_LIMIT
+};
@@ -0,0 +1,55 @@
+// Chat room participants: who may open a room, how their messages are labelled and which
+// socket channels reach them. Shared by the chat routes and the chat socket.
+const { hasPermission } = require('./permissions');
+
+// Socket connections are closed when their token expires; setTimeout cannot wait longer than this
+const MAX_TIMER_MS = 2147483647;
+
+// Participants and users with chat:read can access a chat room
+function canAccessChatRoom(chatRoom, user) {
+  if (hasPermission(user, 'chat:read')) return true;
+  if (user.role === 'service_provider') return chatRoom.serviceProviderId === user.id;
+  if (user.role === 'user') return chatRoom.userId === user.id;
+  return false;
+}
+
+function senderTypeFor(user) {
+  return user.role === 'service_provider' ? 'service_provider' : 'user';
+}
+
+// Sender type of the other participant, whose messages the user reads
+function counterpartSenderType(user) {
+  return senderTypeFor(user) === 'service_provider' ? 'user' : 'service_provider';
+}
+
+// Each connection joins the channel of its user
+function userChannel(userId) {
+  return `user:${userId}`;
+}
+
+function participantChannels(chatRoom) {
+  return [userChannel(chatRoom.userId), userChannel(chatRoom.serviceProviderId)];
+}
+
+// Channel of the participant a user's typing indicator goes to; null for users reading the
+// room through chat:read, who do not take part in it
+function typingRecipientChannel(chatRoom, user) {
+  if (hasPermission(user, 'chat:read')) return null;
+  return userChannel(user.role === 'service_provider' ? chatRoom.userId : chatRoom.serviceProviderId);
+}
+
+// Milliseconds until the token of a connected user expires, or null for tokens without expiry
+function tokenLifetimeMs(user, now = Date.now()) {
+  if (!user.exp) return null;
+  return Math.min(Math.max(user.exp * 1000 - now, 0), MAX_TIMER_MS);
+}
+
+module.exports = {
+  canAccessChatRoom,
+  senderTypeFor,
+  counterpartSenderType,
+  userChannel,
+  participantChannels,
+  typingRecipientChannel,
+  tokenLifetimeMs
+};
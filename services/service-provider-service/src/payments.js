@@ -0,0 +1,169 @@
+// Payment provider abstraction
+// Providers implement createCheckoutSession(params) and verifyWebhook(rawBody, headers).
+// Set PAYMENT_PROVIDER to a registered provider name (default "fake").
+
+const crypto = require('crypto');
+
+const PAYMENT_CURRENCY = process.env.PAYMENT_CURRENCY || 'CAD';
+const CHECKOUT_TTL_MINUTES = parseInt(process.env.CHECKOUT_TTL_MINUTES || '60', 10);
+const WEBHOOK_TOLERANCE_SECONDS = 300;
+
+function paymentError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+// Amounts are exchanged with providers in minor units (cents)
+function toMinorUnits(amount) {
+  return Math.round(Number(amount) * 100);
+}
+
+function webhookSecret() {
+  const secret = process.env.PAYMENT_WEBHOOK_SECRET;
+  if (!secret) {
+    throw paymentError('PAYMENT_WEBHOOK_SECRET is not configured', 500);
+  }
+  return secret;
+}
+
+// Local fake provider: checkout sessions live only in the returned URL, and payments are
+// completed by posting a signed event to the webhook (see signFakeEvent).
+const fakeProvider = {
+  name: 'fake',
+
+  async createCheckoutSession({ invoiceId, amount, currency }) {
+    const sessionId = `fake_cs_${crypto.randomBytes(12).toString('hex')}`;
+    const baseUrl = process.env.PAYMENT_CHECKOUT_BASE_URL || 'http://localhost:4010/api/service-provider/payments/fake';
+    return {
+      sessionId,
+      url: `${baseUrl}/${sessionId}`,
+      amount,
+      currency,
+      invoiceId,
+      expiresAt: new Date(Date.now() + CHECKOUT_TTL_MINUTES * 60 * 1000)
+    };
+  },
+
+  // Signature header format: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+  verifyWebhook(rawBody, headers) {
+    const header = headers['x-fake-signature'];
+    if (!header || !rawBody) {
+      throw paymentError('Missing webhook signature', 401);
+    }
+
+    const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+    const timestamp = parseInt(parts.t, 10);
+    if (!timestamp || !parts.v1) {
+      throw paymentError('Malformed webhook signature', 401);
+    }
+    if (Math.abs(Math.floor(Date.now() / 1000) - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+      throw paymentError('Webhook signature has expired', 401);
+    }
+
+    const expected = crypto.createHmac('sha256', webhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+    const received = Buffer.from(parts.v1, 'hex');
+    if (received.length !== expected.length / 2 || !crypto.timingSafeEqual(received, Buffer.from(expected, 'hex'))) {
+      throw paymentError('Invalid webhook signature', 401);
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch (err) {
+      throw paymentError('Webhook payload is not valid JSON');
+    }
+
+    const data = payload.data || {};
+    return {
+      id: payload.id,
+      type: payload.type,
+      sessionId: data.sessionId,
+      invoiceId: data.invoiceId,
+      amount: data.amount,
+      currency: data.currency,
+      paymentReference: data.paymentReference,
+      paidAt: data.paidAt ? new Date(data.paidAt) : new Date()
+    };
+  }
+};
+
+/**
+ * Build a signed fake-provider event, as the provider itself would send it.
+ *
+ * @param {Object} data - { sessionId, invoiceId, amount, currency }
+ * @param {string} type - payment.succeeded or payment.failed
+ * @returns {Object} { rawBody, headers } ready to pass to verifyWebhook or POST to the webhook
+ */
+function signFakeEvent(data, type = 'payment.succeeded') {
+  const rawBody = JSON.stringify({
+    id: `fake_evt_${crypto.randomBytes(12).toString('hex')}`,
+    type,
+    data: {
+      ...data,
+      paymentReference: type === 'payment.succeeded' ? `fake_pi_${crypto.randomBytes(12).toString('hex')}` : null,
+      paidAt: new Date().toISOString()
+    }
+  });
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = crypto.createHmac('sha256', webhookSecret()).update(`${timestamp}.${rawBody}`).digest('hex');
+  return { rawBody, headers: { 'x-fake-signature': `t=${timestamp},v1=${signature}` } };
+}
+
+const providers = { fake: fakeProvider };
+
+function registerPaymentProvider(name, provider) {
+  if (!provider || typeof provider.createCheckoutSession !== 'function' || typeof provider.verifyWebhook !== 'function') {
+    throw new Error('A payment provider must implement createCheckoutSession and verifyWebhook');
+  }
+  providers[name] = { ...provider, name };
+}
+
+function getPaymentProvider() {
+  const name = process.env.PAYMENT_PROVIDER || 'fake';
+  const provider = providers[name];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  return provider;
+}
+
+// Whether a checkout session was opened for the invoice. Each checkout replaces the invoice's
+// current session, but links to the earlier ones can still be paid.
+function isInvoiceSession(invoice, sessionId) {
+  if (!invoice || !sessionId) return false;
+  return invoice.paymentSessionId === sessionId || (invoice.paymentSessionIds || []).includes(sessionId);
+}
+
+/**
+ * Open a checkout session for an invoice and store its link on the invoice.
+ *
+ * @param {Object} invoice - Invoice model instance
+ * @returns {Object} Checkout session { sessionId, url, expiresAt, ... }
+ */
+async function startCheckout(invoice) {
+  const provider = getPaymentProvider();
+  const session = await provider.createCheckoutSession({
+    invoiceId: invoice.id,
+    amount: toMinorUnits(invoice.totalAmount),
+    currency: PAYMENT_CURRENCY,
+    customerEmail: invoice.customerEmail,
+    description: `Invoice #${invoice.id}`
+  });
+
+  await invoice.update({
+    paymentProvider: provider.name,
+    paymentSessionId: session.sessionId,
+    paymentSessionIds: [...(invoice.paymentSessionIds || []), session.sessionId],
+    paymentLink: session.url
+  });
+  return session;
+}
+
+module.exports = {
+  getPaymentProvider,
+  registerPaymentProvider,
+  startCheckout,
+  isInvoiceSession,
+  signFakeEvent,
+  toMinorUnits,
+  PAYMENT_CURRENCY
+};
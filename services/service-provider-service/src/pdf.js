@@ -0,0 +1,155 @@
+// PDF rendering of quote and invoice documents, stored through media-service
+// The PDF is rendered on every request; it is uploaded again only when the document
+// content changed, so the record's pdfMediaId always points at the current version.
+
+const PDFDocument = require('pdfkit');
+const axios = require('axios');
+const { documentFingerprint, documentFilename } = require('./documents');
+const logger = require('./logger');
+
+const mediaService = axios.create({
+  baseURL: process.env.MEDIA_SERVICE_URL || 'http://media-service:4006',
+  timeout: 10000
+});
+
+const PAGE_MARGIN = 50;
+const COLUMNS = [
+  { key: 'name', label: 'Item', x: 50, width: 200 },
+  { key: 'quantity', label: 'Qty', x: 255, width: 35, align: 'right' },
+  { key: 'unitPrice', label: 'Unit price', x: 295, width: 85, align: 'right' },
+  { key: 'discount', label: 'Discount', x: 385, width: 70, align: 'right' },
+  { key: 'lineTotal', label: 'Amount', x: 460, width: 85, align: 'right' }
+];
+
+function writeParty(pdf, heading, party, x, y) {
+  pdf.font('Helvetica-Bold').fontSize(9).text(heading, x, y);
+  pdf.font('Helvetica-Bold').fontSize(11).text(party.name, x, pdf.y + 2, { width: 240 });
+  pdf.font('Helvetica').fontSize(9);
+  for (const line of party.lines) {
+    pdf.text(line, x, pdf.y, { width: 240 });
+  }
+  return pdf.y;
+}
+
+function writeRow(pdf, values, font) {
+  const y = pdf.y;
+  pdf.font(font).fontSize(9);
+  let bottom = y;
+  for (const column of COLUMNS) {
+    const value = values[column.key];
+    pdf.text(value === null || value === undefined ? '' : String(value), column.x, y, {
+      width: column.width,
+      align: column.align || 'left'
+    });
+    bottom = Math.max(bottom, pdf.y);
+  }
+  pdf.y = bottom + 4;
+}
+
+/**
+ * Render a quote or invoice document to a PDF.
+ *
+ * @param {Object} document - Document from buildQuoteDocument or buildInvoiceDocument
+ * @returns {Promise<Buffer>} PDF contents
+ */
+function renderPdf(document) {
+  return new Promise((resolve, reject) => {
+    const pdf = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: `${document.title} ${document.number}` } });
+    const chunks = [];
+    pdf.on('data', chunk => chunks.push(chunk));
+    pdf.on('end', () => resolve(Buffer.concat(chunks)));
+    pdf.on('error', reject);
+
+    pdf.font('Helvetica-Bold').fontSize(22).text(document.title, PAGE_MARGIN, PAGE_MARGIN);
+    pdf.font('Helvetica').fontSize(9);
+    for (const [label, value] of document.details) {
+      pdf.text(`${label}: ${value}`);
+    }
+
+    const partiesTop = pdf.y + 20;
+    const providerBottom = writeParty(pdf, 'FROM', document.provider, PAGE_MARGIN, partiesTop);
+    const customerBottom = writeParty(pdf, 'BILL TO', document.customer, 305, partiesTop);
+    pdf.y = Math.max(providerBottom, customerBottom) + 25;
+
+    writeRow(pdf, Object.fromEntries(COLUMNS.map(column => [column.key, column.label])), 'Helvetica-Bold');
+    pdf.moveTo(PAGE_MARGIN, pdf.y).lineTo(545, pdf.y).stroke();
+    pdf.y += 4;
+    for (const item of document.items) {
+      writeRow(pdf, { ...item, name: item.description ? `${item.name}\n${item.description}` : item.name }, 'Helvetica');
+    }
+    pdf.moveTo(PAGE_MARGIN, pdf.y).lineTo(545, pdf.y).stroke();
+    pdf.y += 8;
+
+    document.totals.forEach(([label, amount], index) => {
+      const font = index === document.totals.length - 1 ? 'Helvetica-Bold' : 'Helvetica';
+      const y = pdf.y;
+      pdf.font(font).fontSize(10);
+      pdf.text(label, 305, y, { width: 150 });
+      pdf.text(amount, 460, y, { width: 85, align: 'right' });
+    });
+
+    if (document.note) {
+      pdf.moveDown(2);
+      pdf.font('Helvetica-Bold').fontSize(9).text('Notes', PAGE_MARGIN);
+      pdf.font('Helvetica').text(document.note, PAGE_MARGIN, pdf.y, { width: 495 });
+    }
+
+    pdf.end();
+  });
+}
+
+// Upload a PDF to media-service against its quote or invoice, as the requesting user
+async function uploadPdf(buffer, filename, referenceType, referenceId, authorization) {
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type: 'application/pdf' }), filename);
+  form.append('reference_type', referenceType);
+  form.append('reference_id', String(referenceId));
+
+  const response = await mediaService.post('/api/media/upload', form, {
+    headers: { Authorization: authorization }
+  });
+  return response.data.id;
+}
+
+/**
+ * Render a quote or invoice and make sure media-service holds the current PDF.
+ * Storage failures are logged and do not prevent returning the PDF.
+ *
+ * @param {Object} record - Quote or Invoice instance (pdfMediaId and pdfFingerprint are updated)
+ * @param {Object} document - Document built from the record
+ * @param {string} authorization - Authorization header of the request, used for the upload
+ * @returns {Promise<Object>} { buffer, filename, mediaId }
+ */
+async function renderAndStorePdf(record, document, authorization) {
+  const buffer = await renderPdf(document);
+  const filename = documentFilename(document);
+  const fingerprint = documentFingerprint(document);
+  if (record.pdfMediaId && record.pdfFingerprint === fingerprint) {
+    return { buffer, filename, mediaId: record.pdfMediaId };
+  }
+
+  try {
+    const mediaId = await uploadPdf(buffer, filename, document.type, record.id, authorization);
+    await record.update({ pdfMediaId: mediaId, pdfFingerprint: fingerprint }, { fields: ['pdfMediaId', 'pdfFingerprint'] });
+    return { buffer, filename, mediaId };
+  } catch (err) {
+    logger.error(`Error storing PDF for ${document.type} ${record.id}: ${err.message}`, { response: err.response ? err.response.data : null });
+    return { buffer, filename, mediaId: null };
+  }
+}
+
+// Send a rendered PDF; X-Media-Id identifies the stored copy for email and chat attachments
+function sendPdf(res, { buffer, filename, mediaId }) {
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
+  if (mediaId) {
+    res.setHeader('X-Media-Id', String(mediaId));
+  }
+  res.send(buffer);
+}
+
+module.exports = {
+  renderPdf,
+  renderAndStorePdf,
+  sendPdf
+};
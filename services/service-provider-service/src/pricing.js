@@ -0,0 +1,193 @@
+// Quote and invoice pricing
+// Totals are always computed here from the items, never taken from the client:
+//   line total  = quantity * unitPrice - line discount
+//   subtotal    = sum of line totals
+//   taxable     = subtotal - quote discount
+//   total       = taxable + taxes
+// Discounts are { discountType: 'percent' | 'fixed', discountValue }. Tax rates are configured
+// per provider as [{ jurisdiction, name, ratePercent }]; a quote is taxed with the rates of its
+// jurisdiction, or with the provider's '*' rates when none are set for it.
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+const ANY_JURISDICTION = '*';
+const MAX_ITEMS = 100;
+const MAX_TAX_RATES = 20;
+
+function pricingError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+// Amounts are worked in cents so rounding happens once per discount or tax
+function toCents(value) {
+  return Math.round(Number(value) * 100);
+}
+
+function fromCents(cents) {
+  return cents / 100;
+}
+
+function normalizeJurisdiction(value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (typeof value !== 'string') {
+    throw pricingError('taxJurisdiction must be a string such as "ON" or "US-NY"');
+  }
+  return value.trim().toUpperCase();
+}
+
+/**
+ * Validate a provider's tax rate configuration.
+ *
+ * @param {Array} rates - [{ jurisdiction, name, ratePercent }]
+ * @returns {Array} Rates with jurisdictions upper-cased and rates as numbers
+ */
+function normalizeTaxRates(rates) {
+  if (!Array.isArray(rates)) {
+    throw pricingError('taxRates must be an array of { jurisdiction, name, ratePercent }');
+  }
+  if (rates.length > MAX_TAX_RATES) {
+    throw pricingError(`A provider can configure at most ${MAX_TAX_RATES} tax rates`);
+  }
+
+  const seen = new Set();
+  return rates.map(rate => {
+    const jurisdiction = normalizeJurisdiction(rate && rate.jurisdiction);
+    const name = rate && typeof rate.name === 'string' ? rate.name.trim() : '';
+    const ratePercent = Number(rate && rate.ratePercent);
+    if (!jurisdiction || !name) {
+      throw pricingError('Each tax rate needs a jurisdiction and a name');
+    }
+    if (!Number.isFinite(ratePercent) || ratePercent < 0 || ratePercent > 100) {
+      throw pricingError('ratePercent must be between 0 and 100', { jurisdiction, name });
+    }
+
+    const key = `${jurisdiction}:${name.toLowerCase()}`;
+    if (seen.has(key)) {
+      throw pricingError('Tax rate names must be unique within a jurisdiction', { jurisdiction, name });
+    }
+    seen.add(key);
+    return { jurisdiction, name, ratePercent };
+  });
+}
+
+// Rates applying to a jurisdiction, falling back to the provider's '*' rates
+function taxRatesFor(rates, jurisdiction) {
+  const normalized = normalizeTaxRates(rates || []);
+  const code = normalizeJurisdiction(jurisdiction);
+  const matching = code ? normalized.filter(rate => rate.jurisdiction === code) : [];
+  return matching.length > 0
+    ? matching
+    : normalized.filter(rate => rate.jurisdiction === ANY_JURISDICTION);
+}
+
+function normalizeDiscount(discountType, discountValue, label) {
+  if (discountType === undefined || discountType === null || discountType === '') {
+    return { discountType: null, discountValue: null };
+  }
+  if (!DISCOUNT_TYPES.includes(discountType)) {
+    throw pricingError(`${label} discountType must be one of: ${DISCOUNT_TYPES.join(', ')}`);
+  }
+
+  const value = Number(discountValue);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw pricingError(`${label} discountValue must be a positive number`);
+  }
+  if (discountType === 'percent' && value > 100) {
+    throw pricingError(`${label} percentage discount cannot exceed 100`);
+  }
+  return { discountType, discountValue: value };
+}
+
+// Discount in cents on an amount in cents
+function discountCents({ discountType, discountValue }, amountCents, label) {
+  if (!discountType) return 0;
+  if (discountType === 'percent') {
+    return Math.round(amountCents * discountValue / 100);
+  }
+
+  const cents = toCents(discountValue);
+  if (cents > amountCents) {
+    throw pricingError(`${label} fixed discount cannot exceed the amount it applies to`);
+  }
+  return cents;
+}
+
+function priceItem(item, index) {
+  const label = `Item ${index + 1}`;
+  const itemName = item && typeof item.itemName === 'string' ? item.itemName.trim() : '';
+  if (!itemName) {
+    throw pricingError(`${label} needs an itemName`);
+  }
+
+  const quantity = item.quantity === undefined || item.quantity === null ? 1 : Number(item.quantity);
+  if (!Number.isInteger(quantity) || quantity < 1) {
+    throw pricingError(`${label} quantity must be a positive whole number`);
+  }
+  const unitPrice = Number(item.unitPrice);
+  if (item.unitPrice === undefined || item.unitPrice === null || !Number.isFinite(unitPrice) || unitPrice < 0) {
+    throw pricingError(`${label} unitPrice must be zero or more`);
+  }
+
+  const discount = normalizeDiscount(item.discountType, item.discountValue, label);
+  const grossCents = quantity * toCents(unitPrice);
+  const discountAmountCents = discountCents(discount, grossCents, label);
+
+  return {
+    itemName,
+    description: item.description || null,
+    quantity,
+    unitPrice: fromCents(toCents(unitPrice)),
+    ...discount,
+    discountAmount: fromCents(discountAmountCents),
+    lineTotal: fromCents(grossCents - discountAmountCents)
+  };
+}
+
+/**
+ * Price a quote from its items, discounts and the provider's tax rates.
+ *
+ * @param {Object} input - { items, discountType, discountValue, taxJurisdiction, taxRates }
+ * @returns {Object} { items, subtotal, discountType, discountValue, discountAmount,
+ *   taxJurisdiction, taxes: [{ name, ratePercent, amount }], taxAmount, totalAmount }
+ */
+function priceQuote({ items, discountType, discountValue, taxJurisdiction, taxRates }) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw pricingError('items must be a non-empty array');
+  }
+  if (items.length > MAX_ITEMS) {
+    throw pricingError(`A quote can have at most ${MAX_ITEMS} items`);
+  }
+
+  const pricedItems = items.map(priceItem);
+  const subtotalCents = pricedItems.reduce((sum, item) => sum + toCents(item.lineTotal), 0);
+
+  const discount = normalizeDiscount(discountType, discountValue, 'Quote');
+  const discountAmountCents = discountCents(discount, subtotalCents, 'Quote');
+  const taxableCents = subtotalCents - discountAmountCents;
+
+  const jurisdiction = normalizeJurisdiction(taxJurisdiction);
+  const taxes = taxRatesFor(taxRates, jurisdiction).map(rate => ({
+    name: rate.name,
+    ratePercent: rate.ratePercent,
+    amount: fromCents(Math.round(taxableCents * rate.ratePercent / 100))
+  }));
+  const taxCents = taxes.reduce((sum, tax) => sum + toCents(tax.amount), 0);
+
+  return {
+    items: pricedItems,
+    subtotal: fromCents(subtotalCents),
+    ...discount,
+    discountAmount: fromCents(discountAmountCents),
+    taxJurisdiction: jurisdiction,
+    taxes,
+    taxAmount: fromCents(taxCents),
+    totalAmount: fromCents(taxableCents + taxCents)
+  };
+}
+
+module.exports = {
+  normalizeTaxRates,
+  taxRatesFor,
+  priceQuote,
+  DISCOUNT_TYPES,
+  ANY_JURISDICTION
+};
@@ -0,0 +1,181 @@
+// Real-time chat over Socket.IO
+// Clients connect with the same JWT used for the REST API, passed as auth.token in the
+// handshake or as a Bearer Authorization header. Each connection joins a personal channel,
+// and chat events are pushed to both participants of a room:
+//   message:new    { chatMessage }
+//   typing         { roomId, userId, senderType, isTyping }
+//   messages:read  { roomId, readerId, messageIds, readAt }
+//   room:archived / room:restored  { chatRoom }
+// Clients may emit typing { roomId, isTyping } and messages:read { roomId }.
+
+const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
+const axios = require('axios');
+const { ChatRoom, ChatMessage } = require('./models');
+const { hasPermission } = require('./permissions');
+const {
+  canAccessChatRoom,
+  senderTypeFor,
+  counterpartSenderType,
+  userChannel,
+  participantChannels,
+  typingRecipientChannel,
+  tokenLifetimeMs
+} = require('./participants');
+const logger = require('./logger');
+
+const JWT_SECRET = process.env.JWT_SECRET;
+
+// Auth service client, used to reject tokens of revoked sessions
+const authService = axios.create({
+  baseURL: process.env.AUTH_SERVICE_URL || 'http://auth-service:4001',
+  timeout: 5000
+});
+
+let io = null;
+
+// Push an event to both participants of a chat room
+function emitToRoom(chatRoom, event, payload) {
+  if (!io) return;
+  io.to(participantChannels(chatRoom)).emit(event, payload);
+}
+
+/**
+ * Mark the other participant's unread messages in a room as read and push a read receipt.
+ * Users reading a room through chat:read do not mark messages as read.
+ *
+ * @param {Object} chatRoom - ChatRoom instance
+ * @param {Object} user - Reading user from the JWT
+ * @returns {Array<number>} IDs of the messages marked as read
+ */
+async function markMessagesRead(chatRoom, user) {
+  if (hasPermission(user, 'chat:read')) return [];
+
+  const senderType = counterpartSenderType(user);
+  const readAt = new Date();
+  const [, rows] = await ChatMessage.update(
+    { readAt },
+    {
+      where: { chatRoomId: chatRoom.id, senderType, readAt: null },
+      returning: ['id']
+    }
+  );
+
+  const messageIds = rows.map(row => row.id);
+  if (messageIds.length > 0) {
+    emitToRoom(chatRoom, 'messages:read', { roomId: chatRoom.id, readerId: user.id, messageIds, readAt });
+  }
+  return messageIds;
+}
+
+function handshakeToken(socket) {
+  const { auth, headers } = socket.handshake;
+  if (auth && auth.token) return auth.token;
+  const header = headers.authorization;
+  if (header && header.startsWith('Bearer ')) return header.split(' ')[1];
+  return null;
+}
+
+// Verify the handshake token and its session, as the gateway does for HTTP requests
+async function authenticateSocket(socket, next) {
+  const token = handshakeToken(socket);
+  if (!token) {
+    return next(new Error('No token provided'));
+  }
+
+  let user;
+  try {
+    user = jwt.verify(token, JWT_SECRET);
+  } catch (err) {
+    return next(new Error('Invalid token'));
+  }
+
+  try {
+    await authService.get('/api/auth/validate', { headers: { Authorization: `Bearer ${token}` } });
+  } catch (err) {
+    if (err.response && err.response.status < 500) {
+      return next(new Error('Session revoked'));
+    }
+    logger.error(`Session check failed for chat socket: ${err.message}`);
+    return next(new Error('Authentication service unavailable'));
+  }
+
+  socket.data.user = user;
+  next();
+}
+
+// Load a room for a socket event, checking the connected user's access
+async function findAccessibleRoom(socket, roomId) {
+  const chatRoom = await ChatRoom.findByPk(roomId);
+  if (!chatRoom || !canAccessChatRoom(chatRoom, socket.data.user)) {
+    return null;
+  }
+  return chatRoom;
+}
+
+function handleConnection(socket) {
+  const { user } = socket.data;
+  socket.join(userChannel(user.id));
+
+  // Close the connection when the token expires; the client reconnects with a fresh one
+  let expiryTimer = null;
+  const remaining = tokenLifetimeMs(user);
+  if (remaining !== null) {
+    expiryTimer = setTimeout(() => socket.disconnect(true), remaining);
+  }
+  socket.on('disconnect', () => clearTimeout(expiryTimer));
+
+  socket.on('typing', async (data = {}) => {
+    try {
+      const chatRoom = await findAccessibleRoom(socket, data.roomId);
+      const recipient = chatRoom && typingRecipientChannel(chatRoom, user);
+      if (!recipient) return;
+
+      // Sent to the other participant only
+      socket.to(recipient).emit('typing', {
+        roomId: chatRoom.id,
+        userId: user.id,
+        senderType: senderTypeFor(user),
+        isTyping: data.isTyping !== false
+      });
+    } catch (error) {
+      logger.error(`Error relaying typing indicator: ${error.message}`, { stack: error.stack });
+    }
+  });
+
+  socket.on('messages:read', async (data = {}, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const chatRoom = await findAccessibleRoom(socket, data.roomId);
+      if (!chatRoom) {
+        return reply({ error: 'Chat room not found' });
+      }
+      reply({ messageIds: await markMessagesRead(chatRoom, user) });
+    } catch (error) {
+      logger.error(`Error marking messages as read: ${error.message}`, { stack: error.stack });
+      reply({ error: 'Error marking messages as read' });
+    }
+  });
+}
+
+/**
+ * Attach the chat socket server to the service's HTTP server.
+ *
+ * @param {http.Server} server - Server returned by app.listen
+ * @returns {Server} Socket.IO server
+ */
+function attachRealtime(server) {
+  io = new Server(server, {
+    path: process.env.SOCKET_IO_PATH || '/socket.io',
+    cors: { origin: process.env.SOCKET_IO_CORS_ORIGIN || '*' }
+  });
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+  return io;
+}
+
+module.exports = {
+  attachRealtime,
+  markMessagesRead,
+  emitToRoom
+};
@@ -0,0 +1,89 @@
+// Quote request intake
+// A customer can ask several providers for a quote at once; one QuoteRequest is created
+// per provider, sharing a groupId. Each request then follows the quote that answers it.
+
+const MAX_PROVIDERS_PER_REQUEST = 10;
+const MAX_DESCRIPTION_LENGTH = 5000;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function requestError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+/**
+ * Validate a new quote request.
+ *
+ * @param {Object} body - Request body
+ * @param {Object} user - Requesting user from the JWT (name is used when customerName is omitted)
+ * @returns {Object} { serviceProviderIds, serviceDate, description, customerName, customerEmail, customerPhone }
+ */
+function validateQuoteRequestInput(body, user) {
+  const rawIds = body.serviceProviderIds !== undefined
+    ? body.serviceProviderIds
+    : (body.serviceProviderId !== undefined ? [body.serviceProviderId] : []);
+  if (!Array.isArray(rawIds) || rawIds.length === 0) {
+    throw requestError('serviceProviderIds must list at least one service provider');
+  }
+
+  const serviceProviderIds = [...new Set(rawIds.map(Number))];
+  if (serviceProviderIds.some(id => !Number.isInteger(id) || id < 1)) {
+    throw requestError('serviceProviderIds must be user IDs of service providers');
+  }
+  if (serviceProviderIds.length > MAX_PROVIDERS_PER_REQUEST) {
+    throw requestError(`A quote request can go to at most ${MAX_PROVIDERS_PER_REQUEST} service providers`);
+  }
+
+  const serviceDate = new Date(body.serviceDate);
+  if (!body.serviceDate || Number.isNaN(serviceDate.getTime())) {
+    throw requestError('serviceDate must be a valid date');
+  }
+  if (serviceDate < new Date()) {
+    throw requestError('serviceDate must be in the future');
+  }
+
+  const description = typeof body.description === 'string' ? body.description.trim() : '';
+  if (!description) {
+    throw requestError('description is required');
+  }
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    throw requestError(`description cannot be longer than ${MAX_DESCRIPTION_LENGTH} characters`);
+  }
+
+  const customerName = (body.customerName || user.name || '').trim();
+  if (!customerName) {
+    throw requestError('customerName is required');
+  }
+  if (!body.customerEmail || !EMAIL_PATTERN.test(body.customerEmail)) {
+    throw requestError('customerEmail must be a valid email address');
+  }
+
+  return {
+    serviceProviderIds,
+    serviceDate,
+    description,
+    customerName,
+    customerEmail: body.customerEmail,
+    customerPhone: body.customerPhone || null
+  };
+}
+
+// Request status implied by the status of the quote that answers it
+const REQUEST_STATUS_FOR_QUOTE = {
+  draft: 'pending',
+  sent: 'quoted',
+  viewed: 'quoted',
+  accepted: 'accepted',
+  invoiced: 'accepted',
+  rejected: 'rejected',
+  expired: 'expired'
+};
+
+function requestStatusForQuote(quoteStatus) {
+  return REQUEST_STATUS_FOR_QUOTE[quoteStatus] || null;
+}
+
+module.exports = {
+  validateQuoteRequestInput,
+  requestStatusForQuote,
+  MAX_PROVIDERS_PER_REQUEST
+};
@@ -0,0 +1,99 @@
+// Quote revisions
+// Sending a revision of a quote stores the previous version as a snapshot, so customers
+// can compare versions and respond to the one they have actually seen.
+
+const SNAPSHOT_FIELDS = [
+  'customerName', 'customerEmail', 'serviceDate', 'subtotal', 'discountAmount',
+  'taxJurisdiction', 'taxAmount', 'totalAmount', 'note', 'validUntil'
+];
+const ITEM_FIELDS = ['description', 'quantity', 'unitPrice', 'discountAmount', 'lineTotal'];
+const NUMERIC_FIELDS = ['subtotal', 'discountAmount', 'taxAmount', 'totalAmount', 'quantity', 'unitPrice', 'lineTotal'];
+
+// Quote statuses from which a provider can send a revision
+const REVISABLE_STATUSES = ['sent', 'viewed', 'rejected', 'expired'];
+
+// Comparable form of a value: dates as ISO strings and decimals as numbers
+function normalizeValue(field, value) {
+  if (value === null || value === undefined) return null;
+  if (field === 'serviceDate' || field === 'validUntil') return new Date(value).toISOString();
+  if (NUMERIC_FIELDS.includes(field)) return Number(value);
+  return value;
+}
+
+/**
+ * Snapshot of a quote version and its items.
+ *
+ * @param {Object} quote - Quote instance or plain object
+ * @param {Array} items - Quote items
+ * @returns {Object} Plain snapshot, safe to store as JSON
+ */
+function snapshotQuote(quote, items) {
+  const snapshot = { version: quote.version || 1 };
+  for (const field of SNAPSHOT_FIELDS) {
+    snapshot[field] = normalizeValue(field, quote[field]);
+  }
+  snapshot.items = (items || []).map(item => ({
+    itemName: item.itemName,
+    description: item.description || null,
+    quantity: normalizeValue('quantity', item.quantity),
+    unitPrice: normalizeValue('unitPrice', item.unitPrice),
+    discountAmount: normalizeValue('discountAmount', item.discountAmount),
+    lineTotal: normalizeValue('lineTotal', item.lineTotal)
+  }));
+  return snapshot;
+}
+
+function itemKey(item) {
+  return String(item.itemName).trim().toLowerCase();
+}
+
+/**
+ * Differences between two quote snapshots. Items are matched by name.
+ *
+ * @param {Object} from - Earlier snapshot
+ * @param {Object} to - Later snapshot
+ * @returns {Object} { fromVersion, toVersion, fields, items: { added, removed, changed }, totalChange }
+ */
+function diffQuoteVersions(from, to) {
+  const fields = {};
+  for (const field of SNAPSHOT_FIELDS) {
+    if (from[field] !== to[field]) {
+      fields[field] = { from: from[field], to: to[field] };
+    }
+  }
+
+  const previous = new Map(from.items.map(item => [itemKey(item), item]));
+  const current = new Map(to.items.map(item => [itemKey(item), item]));
+
+  const added = to.items.filter(item => !previous.has(itemKey(item)));
+  const removed = from.items.filter(item => !current.has(itemKey(item)));
+  const changed = [];
+  for (const item of to.items) {
+    const before = previous.get(itemKey(item));
+    if (!before) continue;
+
+    const changes = {};
+    for (const field of ITEM_FIELDS) {
+      if (before[field] !== item[field]) {
+        changes[field] = { from: before[field], to: item[field] };
+      }
+    }
+    if (Object.keys(changes).length > 0) {
+      changed.push({ itemName: item.itemName, changes });
+    }
+  }
+
+  return {
+    fromVersion: from.version,
+    toVersion: to.version,
+    fields,
+    items: { added, removed, changed },
+    totalChange: Math.round(((to.totalAmount || 0) - (from.totalAmount || 0)) * 100) / 100
+  };
+}
+
+module.exports = {
+  REVISABLE_STATUSES,
+  snapshotQuote,
+  diffQuoteVersions
+};
@@ -1,34 +1,110 @@
 const express = require('express');
 const router = express.Router();
-const { ChatRoom, ChatMessage, ServiceProviderProfile, sequelize } = require('../models');
+const axios = require('axios');
+const { ChatRoom, ChatMessage, Quote, Invoice, ServiceProviderProfile, sequelize } = require('../models');
+const { Op } = require('sequelize');
 const { authenticateJWT } = require('../middleware/auth');
+const { hasPermission } = require('../permissions');
+const { canAccessChatRoom, senderTypeFor, counterpartSenderType } = require('../participants');
+const { markMessagesRead, emitToRoom } = require('../realtime');
+const { parseCursorParams, cursorQuery, buildCursorPage } = require('../paging');
+const { parseAttachmentIds, toChatAttachment } = require('../attachments');
+const logger = require('../logger');
+
+// Media service client, used to verify chat attachments
+const mediaService = axios.create({
+  baseURL: process.env.MEDIA_SERVICE_URL || 'http://media-service:4006',
+  timeout: 5000
+});
+
+const MAX_SEARCH_LENGTH = 200;
+
+// Rooms the user takes part in; users with chat:read see every room
+function roomWhereFor(user) {
+  if (user.role === 'service_provider') return { serviceProviderId: user.id };
+  if (user.role === 'user') return { userId: user.id };
+  if (hasPermission(user, 'chat:read')) return {};
+  // Other roles take part in no rooms
+  return { id: null };
+}
+
+// Unread messages per room for the current participant, as { [chatRoomId]: count }
+async function countUnread(user, roomWhere) {
+  if (hasPermission(user, 'chat:read')) return {};
+  
+  const rows = await ChatMessage.findAll({
+    attributes: ['chatRoomId', [sequelize.fn('COUNT', sequelize.col('ChatMessage.id')), 'count']],
+    where: { senderType: counterpartSenderType(user), readAt: null },
+    include: [{ model: ChatRoom, attributes: [], where: roomWhere }],
+    group: ['ChatMessage.chatRoomId'],
+    raw: true
+  });
+  return Object.fromEntries(rows.map(row => [row.chatRoomId, parseInt(row.count, 10)]));
+}
+
+// Latest message of each room, as { [chatRoomId]: ChatMessage }
+async function latestMessages(roomIds) {
+  if (roomIds.length === 0) return {};
+  
+  const messages = await sequelize.query(
+    'SELECT DISTINCT ON ("chatRoomId") * FROM "ChatMessages" WHERE "chatRoomId" IN (:roomIds) ORDER BY "chatRoomId", "id" DESC',
+    { replacements: { roomIds }, model: ChatMessage, mapToModel: true }
+  );
+  return Object.fromEntries(messages.map(message => [message.chatRoomId, message]));
+}
+
+// Quote or invoice a PDF attachment was stored for
+function findAttachedDocument(media) {
+  if (media.referenceType === 'quote') return Quote.findByPk(media.referenceId);
+  if (media.referenceType === 'invoice') return Invoice.findByPk(media.referenceId);
+  return null;
+}
+
+// Check that each attachment was uploaded to this room by the sender, or is a PDF of a
+// quote or invoice between the room's participants
+async function resolveChatAttachments(attachmentIds, chatRoom, senderId, authorization) {
+  const attachments = [];
+  for (const mediaId of attachmentIds) {
+    let media;
+    try {
+      const response = await mediaService.get(`/api/media/${mediaId}`, {
+        headers: { Authorization: authorization }
+      });
+      media = response.data.media;
+    } catch (err) {
+      if (err.response && [403, 404].includes(err.response.status)) {
+        throw Object.assign(new Error('Invalid attachment'), { status: 400, details: { mediaId } });
+      }
+      logger.error(`Media service error while checking attachment ${mediaId}: ${err.message}`);
+      throw Object.assign(new Error('Attachment verification is temporarily unavailable'), { status: 503 });
+    }
+    attachments.push(toChatAttachment(media, chatRoom, senderId, await findAttachedDocument(media)));
+  }
+  return attachments;
+}
+
+function sendError(res, error, fallbackMessage) {
+  if (error.status) {
+    const response = { error: error.message };
+    if (error.details) response.details = error.details;
+    return res.status(error.status).json(response);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`, { stack: error.stack });
+  return res.status(500).json({ error: fallbackMessage });
+}
 
 // Middleware to check if user has access to a chat room
 const checkChatAccess = async (req, res, next) => {
   try {
     const roomId = req.params.roomId;
-    const userId = req.user.id;
-    const userRole = req.user.role;
     
     const chatRoom = await ChatRoom.findByPk(roomId);
     if (!chatRoom) {
       return res.status(404).json({ error: 'Chat room not found' });
     }
     
-    // Service providers can access chats where they are the provider
-    if (userRole === 'service_provider' && chatRoom.serviceProviderId === userId) {
-      req.chatRoom = chatRoom;
-      return next();
-    }
-    
-    // Users can access their own chats
-    if (userRole === 'user' && chatRoom.userId === userId) {
-      req.chatRoom = chatRoom;
-      return next();
-    }
-    
-    // Admin can access all chats
-    if (userRole === 'admin') {
+    // Participants and users with chat:read can access the room (shared with the chat socket)
+    if (canAccessChatRoom(chatRoom, req.user)) {
       req.chatRoom = chatRoom;
       return next();
     }
@@ -42,42 +118,98 @@ const checkChatAccess = async (req, res, next) => {
 // GET /api/service-provider/chat/rooms - Get all chat rooms for the authenticated user
 router.get('/rooms', authenticateJWT, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const userRole = req.user.role;
-    
-    let whereClause = {};
-    
-    if (userRole === 'service_provider') {
-      whereClause.serviceProviderId = userId;
-    } else if (userRole === 'user') {
-      whereClause.userId = userId;
-    }
-    // Admins don't need a where clause - they get all rooms
+    // Users with chat:read get all rooms
+    const whereClause = roomWhereFor(req.user);
     
     const chatRooms = await ChatRoom.findAll({
       where: whereClause,
-      order: [['lastMessageAt', 'DESC']],
-      include: [
-        {
-          model: ChatMessage,
-          as: 'messages',
-          limit: 1,
-          order: [['createdAt', 'DESC']]
-        }
-      ]
+      order: [['lastMessageAt', 'DESC']]
     });
     
+    const roomIds = chatRooms.map(room => room.id);
+    const [latest, unread] = await Promise.all([
+      latestMessages(roomIds),
+      countUnread(req.user, whereClause)
+    ]);
+    
     // For service providers, we need to include user info
     // For users, we need to include service provider info
     // This would be implemented with proper associations in a full system
     
-    res.status(200).json(chatRooms);
+    res.status(200).json(chatRooms.map(room => ({
+      ...room.toJSON(),
+      messages: latest[room.id] ? [latest[room.id]] : [],
+      unreadCount: unread[room.id] || 0
+    })));
   } catch (error) {
-    console.error('Error fetching chat rooms:', error);
+    logger.error(`Error fetching chat rooms: ${error.message}`, { stack: error.stack });
     res.status(500).json({ error: 'Error fetching chat rooms' });
   }
 });
 
+// GET /api/service-provider/chat/unread - Unread message badge: total and per-room counts
+router.get('/unread', authenticateJWT, async (req, res) => {
+  try {
+    const unread = await countUnread(req.user, roomWhereFor(req.user));
+    const rooms = Object.entries(unread).map(([roomId, unreadCount]) => ({ roomId: Number(roomId), unreadCount }));
+    
+    res.status(200).json({
+      total: rooms.reduce((sum, room) => sum + room.unreadCount, 0),
+      rooms
+    });
+  } catch (error) {
+    logger.error(`Error counting unread messages: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error counting unread messages' });
+  }
+});
+
+// GET /api/service-provider/chat/search - Full-text search across the user's messages in all their rooms
+router.get('/search', authenticateJWT, async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: 'q is required' });
+    }
+    if (q.length > MAX_SEARCH_LENGTH) {
+      return res.status(400).json({ error: `q cannot be longer than ${MAX_SEARCH_LENGTH} characters` });
+    }
+    
+    // Newest matches first, paged back with before=<message id>
+    const params = parseCursorParams({ ...req.query, after: undefined });
+    const page = cursorQuery(params);
+    const tsQuery = `plainto_tsquery('english', ${sequelize.escape(q)})`;
+    
+    const rows = await ChatMessage.findAll({
+      where: {
+        ...page.where,
+        [Op.and]: sequelize.literal(`to_tsvector('english', "ChatMessage"."message") @@ ${tsQuery}`)
+      },
+      attributes: {
+        include: [[sequelize.literal(`ts_headline('english', "ChatMessage"."message", ${tsQuery})`), 'highlight']]
+      },
+      include: [{
+        model: ChatRoom,
+        attributes: ['id', 'userId', 'serviceProviderId', 'status'],
+        where: roomWhereFor(req.user)
+      }],
+      order: page.order,
+      limit: page.limit
+    });
+    
+    const hasMore = rows.length > params.limit;
+    const results = rows.slice(0, params.limit);
+    
+    res.status(200).json({
+      results,
+      limit: params.limit,
+      hasMore,
+      cursors: { before: results.length > 0 ? results[results.length - 1].id : null }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error searching messages');
+  }
+});
+
 // POST /api/service-provider/chat/rooms - Create a new chat room
 router.post('/rooms', authenticateJWT, async (req, res) => {
   try {
@@ -122,53 +254,36 @@ router.post('/rooms', authenticateJWT, async (req, res) => {
       chatRoom
     });
   } catch (error) {
-    console.error('Error creating chat room:', error);
+    logger.error(`Error creating chat room: ${error.message}`, { stack: error.stack });
     res.status(500).json({ error: 'Error creating chat room' });
   }
 });
 
+// GET /api/service-provider/chat/rooms/:roomId - Get a chat room (also used by media-service to check participants)
+router.get('/rooms/:roomId', authenticateJWT, checkChatAccess, (req, res) => {
+  res.status(200).json(req.chatRoom);
+});
+
 // GET /api/service-provider/chat/rooms/:roomId/messages - Get messages for a chat room
+// Latest messages by default; before=<id> pages back and after=<id> fetches newer messages
 router.get('/rooms/:roomId/messages', authenticateJWT, checkChatAccess, async (req, res) => {
   try {
-    const roomId = req.params.roomId;
-    const page = parseInt(req.query.page) || 0;
-    const limit = parseInt(req.query.limit) || 50;
-    
-    // Get messages with pagination (most recent first)
-    const messages = await ChatMessage.findAll({
-      where: { chatRoomId: roomId },
-      order: [['createdAt', 'DESC']],
-      limit,
-      offset: page * limit
-    });
+    const params = parseCursorParams(req.query);
+    const page = cursorQuery(params);
     
-    // Mark messages as read if the current user is not the sender
-    const userId = req.user.id;
-    const userRole = req.user.role;
+    const rows = await ChatMessage.findAll({
+      where: { ...page.where, chatRoomId: req.chatRoom.id },
+      order: page.order,
+      limit: page.limit
+    });
     
-    // Determine the type of the current user
-    const senderType = userRole === 'service_provider' ? 'service_provider' : 'user';
-    
-    // Mark unread messages as read
-    await ChatMessage.update(
-      { readAt: new Date() },
-      {
-        where: {
-          chatRoomId: roomId,
-          senderType: senderType === 'service_provider' ? 'user' : 'service_provider',
-          readAt: null
-        }
-      }
-    );
+    // Mark the other participant's messages as read and push the read receipt
+    await markMessagesRead(req.chatRoom, req.user);
     
-    res.status(200).json({
-      messages: messages.reverse(), // Reverse to get oldest first for chat display
-      page,
-      limit
-    });
+    // Oldest first for chat display
+    res.status(200).json(buildCursorPage(rows, params));
   } catch (error) {
-    console.error('Error fetching messages:', error);
-    res.status(500).json({ error: 'Error fetching messages' });
+    sendError(res, error, 'Error fetching messages');
   }
 });
 
@@ -176,16 +291,19 @@ router.get('/rooms/:roomId/messages', authenticateJWT, checkChatAccess, async (r
 router.post('/rooms/:roomId/messages', authenticateJWT, checkChatAccess, async (req, res) => {
   try {
     const roomId = req.params.roomId;
-    const { message, attachmentUrl } = req.body;
+    const { message } = req.body;
     const userId = req.user.id;
-    const userRole = req.user.role;
+    const attachmentIds = parseAttachmentIds(req.body);
     
-    if (!message && !attachmentUrl) {
+    if (!message && attachmentIds.length === 0) {
       return res.status(400).json({ error: 'Message or attachment is required' });
     }
     
+    // Attachments are media-service uploads for this room, referenced by ID
+    const attachments = await resolveChatAttachments(attachmentIds, req.chatRoom, userId, req.headers.authorization);
+    
     // Determine the type of the sender based on the user's role
-    const senderType = userRole === 'service_provider' ? 'service_provider' : 'user';
+    const senderType = senderTypeFor(req.user);
     
     // Create a new message
     const chatMessage = await ChatMessage.create({
@@ -193,19 +311,20 @@ router.post('/rooms/:roomId/messages', authenticateJWT, checkChatAccess, async (
       senderId: userId,
       senderType,
       message: message || '',
-      attachmentUrl
+      attachments
     });
     
     // Update the lastMessageAt timestamp of the chat room
     await req.chatRoom.update({ lastMessageAt: new Date() });
     
+    emitToRoom(req.chatRoom, 'message:new', { chatMessage });
+    
     res.status(201).json({
       message: 'Message sent successfully',
       chatMessage
     });
   } catch (error) {
-    console.error('Error sending message:', error);
-    res.status(500).json({ error: 'Error sending message' });
+    sendError(res, error, 'Error sending message');
   }
 });
 
@@ -213,13 +332,14 @@ router.post('/rooms/:roomId/messages', authenticateJWT, checkChatAccess, async (
 router.put('/rooms/:roomId/archive', authenticateJWT, checkChatAccess, async (req, res) => {
   try {
     await req.chatRoom.update({ status: 'archived' });
+    emitToRoom(req.chatRoom, 'room:archived', { chatRoom: req.chatRoom });
     
     res.status(200).json({
       message: 'Chat room archived successfully',
       chatRoom: req.chatRoom
     });
   } catch (error) {
-    console.error('Error archiving chat room:', error);
+    logger.error(`Error archiving chat room: ${error.message}`, { stack: error.stack });
     res.status(500).json({ error: 'Error archiving chat room' });
   }
 });
@@ -228,13 +348,14 @@ router.put('/rooms/:roomId/archive', authenticateJWT, checkChatAccess, async (re
 router.put('/rooms/:roomId/restore', authenticateJWT, checkChatAccess, async (req, res) => {
   try {
     await req.chatRoom.update({ status: 'active' });
+    emitToRoom(req.chatRoom, 'room:restored', { chatRoom: req.chatRoom });
     
     res.status(200).json({
       message: 'Chat room restored successfully',
       chatRoom: req.chatRoom
     });
   } catch (error) {
-    console.error('Error restoring chat room:', error);
+    logger.error(`Error restoring chat room: ${error.message}`, { stack: error.stack });
     res.status(500).json({ error: 'Error restoring chat room' });
   }
 });
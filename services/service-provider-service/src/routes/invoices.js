@@ -0,0 +1,249 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Invoice, InvoiceItem, ServiceProviderProfile, sequelize } = require('../models');
+const { authenticateJWT } = require('../middleware/auth');
+const { hasPermission } = require('../permissions');
+const logger = require('../logger');
+const { PAYMENT_CURRENCY } = require('../payments');
+const { settleInvoice, PAYABLE_STATUSES } = require('./payments');
+const { buildInvoiceDocument } = require('../documents');
+const { renderAndStorePdf, sendPdf } = require('../pdf');
+const { parseInvoiceFilters, isReminderDue, overdueReminderEmail, MANUAL_PAYMENT_METHODS } = require('../invoices');
+const { sendEmail } = require('../notifications');
+
+const MAX_CANCELLATION_REASON_LENGTH = 1000;
+const REMINDER_INTERVAL_DAYS = parseInt(process.env.INVOICE_REMINDER_INTERVAL_DAYS || '7', 10);
+const REMINDER_LIMIT = parseInt(process.env.INVOICE_REMINDER_LIMIT || '3', 10);
+
+function sendError(res, error, fallbackMessage) {
+  if (error.status) {
+    const response = { error: error.message };
+    if (error.details) response.details = error.details;
+    return res.status(error.status).json(response);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`, { stack: error.stack });
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+function parsePagination(query, defaultLimit) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// Middleware to check if user has access to an invoice: the provider who issued it,
+// the customer it is addressed to, or a user with invoices:manage
+const checkInvoiceAccess = async (req, res, next) => {
+  try {
+    const invoice = await Invoice.findByPk(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+
+    const { role, id } = req.user;
+    if (hasPermission(req.user, 'invoices:manage') ||
+        (role === 'service_provider' && invoice.serviceProviderId === id) ||
+        (role === 'user' && invoice.userId === id)) {
+      req.invoice = invoice;
+      return next();
+    }
+
+    return res.status(403).json({ error: 'You do not have permission to access this invoice' });
+  } catch (error) {
+    return res.status(500).json({ error: 'Error checking invoice access' });
+  }
+};
+
+// Changes to an invoice are made by its provider or a user with invoices:manage, not the customer
+function requireProviderOrInvoiceManager(req, res, next) {
+  if (req.user.role === 'service_provider' || hasPermission(req.user, 'invoices:manage')) {
+    return next();
+  }
+  return res.status(403).json({ error: 'Insufficient permissions' });
+}
+
+// GET /api/service-provider/invoices - Invoices issued by the provider or addressed to the customer
+// Filters: status (comma-separated), dateField (issued, due, service, paid) with from/to, page, limit
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const where = parseInvoiceFilters(req.query);
+    if (req.user.role === 'service_provider') {
+      where.serviceProviderId = req.user.id;
+    } else if (req.user.role === 'user') {
+      where.userId = req.user.id;
+    } else if (hasPermission(req.user, 'invoices:manage')) {
+      if (req.query.serviceProviderId) where.serviceProviderId = req.query.serviceProviderId;
+      if (req.query.userId) where.userId = req.query.userId;
+    } else {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, 20);
+    const { count, rows } = await Invoice.findAndCountAll({
+      where,
+      include: [{ model: InvoiceItem, as: 'items' }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset,
+      distinct: true
+    });
+
+    res.status(200).json({
+      invoices: rows,
+      pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching invoices');
+  }
+});
+
+// GET /api/service-provider/invoices/:id - Get a specific invoice (also used by media-service to check participants)
+router.get('/:id', authenticateJWT, checkInvoiceAccess, async (req, res) => {
+  try {
+    const invoice = await Invoice.findByPk(req.invoice.id, {
+      include: [{ model: InvoiceItem, as: 'items' }]
+    });
+
+    res.status(200).json(invoice);
+  } catch (error) {
+    logger.error(`Error fetching invoice: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error fetching invoice' });
+  }
+});
+
+// GET /api/service-provider/invoices/:id/pdf - Invoice as a PDF, stored in media-service
+router.get('/:id/pdf', authenticateJWT, checkInvoiceAccess, async (req, res) => {
+  try {
+    const invoice = req.invoice;
+    const [items, profile] = await Promise.all([
+      InvoiceItem.findAll({ where: { invoiceId: invoice.id }, order: [['id', 'ASC']] }),
+      ServiceProviderProfile.findOne({ where: { userId: invoice.serviceProviderId } })
+    ]);
+
+    const document = buildInvoiceDocument(invoice, items, profile, PAYMENT_CURRENCY);
+    sendPdf(res, await renderAndStorePdf(invoice, document, req.headers.authorization));
+  } catch (error) {
+    logger.error(`Error rendering invoice PDF: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error rendering invoice PDF' });
+  }
+});
+
+// POST /api/service-provider/invoices/:id/cancel - Cancel an unpaid invoice (issuing provider or invoices:manage)
+router.post('/:id/cancel', authenticateJWT, requireProviderOrInvoiceManager, checkInvoiceAccess, async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (reason.length > MAX_CANCELLATION_REASON_LENGTH) {
+      return res.status(400).json({ error: `reason cannot be longer than ${MAX_CANCELLATION_REASON_LENGTH} characters` });
+    }
+
+    const invoice = await sequelize.transaction(async (t) => {
+      const current = await Invoice.findByPk(req.invoice.id, { lock: t.LOCK.UPDATE, transaction: t });
+      if (!PAYABLE_STATUSES.includes(current.status)) {
+        throw Object.assign(new Error(`Cannot cancel invoice with status: ${current.status}`), { status: 400 });
+      }
+
+      await current.update({
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        cancellationReason: reason || null
+      }, { transaction: t });
+      return current;
+    });
+
+    res.status(200).json({
+      message: 'Invoice cancelled',
+      invoice
+    });
+  } catch (error) {
+    sendError(res, error, 'Error cancelling invoice');
+  }
+});
+
+// POST /api/service-provider/invoices/:id/mark-paid - Record a payment made outside checkout
+// (issuing provider or invoices:manage); opens the service order like a checkout payment does
+router.post('/:id/mark-paid', authenticateJWT, requireProviderOrInvoiceManager, checkInvoiceAccess, async (req, res) => {
+  try {
+    const { paymentMethod, paymentReference } = req.body;
+    if (!MANUAL_PAYMENT_METHODS.includes(paymentMethod)) {
+      return res.status(400).json({ error: `paymentMethod must be one of: ${MANUAL_PAYMENT_METHODS.join(', ')}` });
+    }
+
+    const paymentDate = req.body.paymentDate ? new Date(req.body.paymentDate) : new Date();
+    if (Number.isNaN(paymentDate.getTime()) || paymentDate > new Date()) {
+      return res.status(400).json({ error: 'paymentDate must be a valid date that is not in the future' });
+    }
+
+    const result = await sequelize.transaction(async (t) => {
+      const invoice = await Invoice.findByPk(req.invoice.id, { lock: t.LOCK.UPDATE, transaction: t });
+      if (!PAYABLE_STATUSES.includes(invoice.status)) {
+        throw Object.assign(new Error(`Cannot mark invoice with status ${invoice.status} as paid`), { status: 400 });
+      }
+
+      const serviceOrder = await settleInvoice(invoice, {
+        paymentReference: paymentReference || null,
+        paymentDate,
+        paymentMethod
+      }, t, req.user);
+      return { invoice, serviceOrder };
+    });
+
+    logger.info(`Invoice ${result.invoice.id} marked paid (${paymentMethod}) by user ${req.user.id}; service order ${result.serviceOrder.id} created`);
+    res.status(200).json({
+      message: 'Invoice marked as paid',
+      invoice: result.invoice,
+      serviceOrder: result.serviceOrder
+    });
+  } catch (error) {
+    sendError(res, error, 'Error marking invoice as paid');
+  }
+});
+
+/**
+ * Mark pending invoices past their due date overdue and remind customers of overdue invoices.
+ * A reminder that fails to send is retried on the next run.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} { overdue, reminded } counts
+ */
+async function checkOverdueInvoices(now = new Date()) {
+  const [overdue] = await Invoice.update(
+    { status: 'overdue' },
+    { where: { status: 'pending', dueDate: { [Op.lt]: now } } }
+  );
+
+  const candidates = await Invoice.findAll({
+    where: { status: 'overdue', reminderCount: { [Op.lt]: REMINDER_LIMIT } },
+    order: [['dueDate', 'ASC']]
+  });
+  const dueForReminder = candidates.filter(invoice =>
+    isReminderDue(invoice, now, { intervalDays: REMINDER_INTERVAL_DAYS, limit: REMINDER_LIMIT })
+  );
+  if (dueForReminder.length === 0) {
+    if (overdue > 0) logger.info(`Invoice check: ${overdue} invoice(s) became overdue`);
+    return { overdue, reminded: 0 };
+  }
+
+  const profiles = await ServiceProviderProfile.findAll({
+    where: { userId: [...new Set(dueForReminder.map(invoice => invoice.serviceProviderId))] },
+    attributes: ['userId', 'businessName']
+  });
+  const businessNames = Object.fromEntries(profiles.map(profile => [profile.userId, profile.businessName]));
+
+  let reminded = 0;
+  for (const invoice of dueForReminder) {
+    const { subject, message } = overdueReminderEmail(invoice, businessNames[invoice.serviceProviderId], PAYMENT_CURRENCY, now);
+    if (await sendEmail(invoice.customerEmail, subject, message)) {
+      await invoice.update({ lastReminderAt: now, reminderCount: invoice.reminderCount + 1 });
+      reminded += 1;
+    }
+  }
+
+  if (overdue > 0 || reminded > 0) {
+    logger.info(`Invoice check: ${overdue} invoice(s) became overdue, ${reminded} reminder(s) sent`);
+  }
+  return { overdue, reminded };
+}
+
+module.exports = router;
+module.exports.checkOverdueInvoices = checkOverdueInvoices;
@@ -0,0 +1,276 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { ServiceOrder, ServiceOrderEvent, Invoice, sequelize } = require('../models');
+const { authenticateJWT } = require('../middleware/auth');
+const { hasPermission, requirePermission } = require('../permissions');
+const logger = require('../logger');
+const { planOrderTransition, isConfirmationOverdue, countByStatus, ORDER_STATUSES } = require('../orders');
+const { sendEmail } = require('../notifications');
+const { releaseProviderDate } = require('../calendar');
+
+const CONFIRMATION_DAYS = parseInt(process.env.ORDER_CONFIRMATION_DAYS || '7', 10);
+const PAYOUT_STATUSES = ServiceOrder.rawAttributes.payoutStatus.values;
+const INVOICE_ATTRIBUTES = ['id', 'quoteId', 'customerName', 'customerEmail', 'totalAmount', 'paymentDate'];
+
+function sendError(res, error, fallbackMessage) {
+  if (error.status) {
+    const response = { error: error.message };
+    if (error.details) response.details = error.details;
+    return res.status(error.status).json(response);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`, { stack: error.stack });
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+function parsePagination(query, defaultLimit) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+function parseStatusList(value, allowed, name) {
+  const statuses = String(value).split(',').map(status => status.trim());
+  if (statuses.some(status => !allowed.includes(status))) {
+    throw Object.assign(new Error(`${name} must be one of: ${allowed.join(', ')}`), { status: 400 });
+  }
+  return statuses.length === 1 ? statuses[0] : { [Op.in]: statuses };
+}
+
+// Orders the user takes part in; users with orders:manage see every order
+function orderScopeFor(user, query) {
+  if (user.role === 'service_provider') return { serviceProviderId: user.id };
+  if (user.role === 'user') return { userId: user.id };
+  if (hasPermission(user, 'orders:manage')) {
+    const scope = {};
+    if (query.serviceProviderId) scope.serviceProviderId = query.serviceProviderId;
+    if (query.userId) scope.userId = query.userId;
+    return scope;
+  }
+  return null;
+}
+
+// Middleware to check if user has access to a service order: its provider, its customer, or a user with orders:manage
+const checkOrderAccess = async (req, res, next) => {
+  try {
+    const order = await ServiceOrder.findByPk(req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Service order not found' });
+    }
+
+    const { role, id } = req.user;
+    if (hasPermission(req.user, 'orders:manage') ||
+        (role === 'service_provider' && order.serviceProviderId === id) ||
+        (role === 'user' && order.userId === id)) {
+      req.order = order;
+      return next();
+    }
+
+    return res.status(403).json({ error: 'You do not have permission to access this service order' });
+  } catch (error) {
+    return res.status(500).json({ error: 'Error checking service order access' });
+  }
+};
+
+// Tell the customer about a status change that needs them; failures are logged by sendEmail
+async function notifyCustomer(order) {
+  const invoice = await Invoice.findByPk(order.invoiceId, { attributes: INVOICE_ATTRIBUTES });
+  if (!invoice) return;
+
+  if (order.status === 'awaiting_confirmation') {
+    await sendEmail(
+      invoice.customerEmail,
+      `Service order #${order.id} is ready for your confirmation`,
+      `Hi ${invoice.customerName},\n\nYour service provider has marked order #${order.id} as done. ` +
+      'Please confirm completion, or report an issue if something is not right. ' +
+      `The order is confirmed automatically after ${CONFIRMATION_DAYS} days.`
+    );
+  } else if (order.status === 'completed') {
+    await sendEmail(
+      invoice.customerEmail,
+      `Service order #${order.id} is complete`,
+      `Hi ${invoice.customerName},\n\nOrder #${order.id} is complete. ` +
+      'You can now leave a review of your service provider.'
+    );
+  }
+}
+
+/**
+ * Take a lifecycle action on an order and record it as an event.
+ *
+ * @param {number} orderId - ServiceOrder ID
+ * @param {string} action - Action from ORDER_ACTIONS
+ * @param {Object|null} user - Acting user, or null for the scheduled check
+ * @param {string} note - Reason or issue description
+ * @returns {Promise<ServiceOrder>} Updated order
+ */
+async function applyOrderAction(orderId, action, user, note) {
+  const order = await sequelize.transaction(async (t) => {
+    const current = await ServiceOrder.findByPk(orderId, { lock: t.LOCK.UPDATE, transaction: t });
+    if (!current) {
+      throw Object.assign(new Error('Service order not found'), { status: 404 });
+    }
+
+    const transition = planOrderTransition(current, action, user, note);
+    await current.update(transition.changes, { transaction: t });
+    await ServiceOrderEvent.create({
+      serviceOrderId: current.id,
+      action,
+      fromStatus: transition.fromStatus,
+      toStatus: transition.toStatus,
+      actorId: user ? user.id : null,
+      actorRole: user ? user.role : 'system',
+      note: transition.note
+    }, { transaction: t });
+    return current;
+  });
+
+  notifyCustomer(order).catch(err => {
+    logger.error(`Error notifying customer of service order ${order.id}: ${err.message}`);
+  });
+  if (order.status === 'cancelled') {
+    // A cancelled order frees the provider's day for other jobs
+    const invoice = await Invoice.findByPk(order.invoiceId, { attributes: ['quoteId'] });
+    if (invoice) await releaseProviderDate({ quoteId: invoice.quoteId });
+  }
+  return order;
+}
+
+// GET /api/service-provider/orders - Dashboard of the provider's or customer's orders
+// Filters: status and payoutStatus (comma-separated), page, limit; counts cover all of the user's orders
+router.get('/', authenticateJWT, async (req, res) => {
+  try {
+    const scope = orderScopeFor(req.user, req.query);
+    if (!scope) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+
+    const where = { ...scope };
+    if (req.query.status) where.status = parseStatusList(req.query.status, ORDER_STATUSES, 'status');
+    if (req.query.payoutStatus) where.payoutStatus = parseStatusList(req.query.payoutStatus, PAYOUT_STATUSES, 'payoutStatus');
+
+    const { page, limit, offset } = parsePagination(req.query, 20);
+    const [{ count, rows }, statusRows] = await Promise.all([
+      ServiceOrder.findAndCountAll({
+        where,
+        include: [{ model: Invoice, attributes: INVOICE_ATTRIBUTES }],
+        order: [['serviceDate', 'ASC'], ['id', 'ASC']],
+        limit,
+        offset
+      }),
+      ServiceOrder.findAll({
+        attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+        where: scope,
+        group: ['status'],
+        raw: true
+      })
+    ]);
+
+    res.status(200).json({
+      orders: rows,
+      counts: countByStatus(statusRows),
+      pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching service orders');
+  }
+});
+
+// GET /api/service-provider/orders/:id - A service order with its history
+router.get('/:id', authenticateJWT, checkOrderAccess, async (req, res) => {
+  try {
+    const order = await ServiceOrder.findByPk(req.order.id, {
+      include: [
+        { model: Invoice, attributes: INVOICE_ATTRIBUTES },
+        { model: ServiceOrderEvent, as: 'events' }
+      ],
+      order: [[{ model: ServiceOrderEvent, as: 'events' }, 'id', 'ASC']]
+    });
+
+    res.status(200).json(order);
+  } catch (error) {
+    logger.error(`Error fetching service order: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error fetching service order' });
+  }
+});
+
+// POST /api/service-provider/orders/:id/<action> - Move an order through its lifecycle
+//   start, complete, resume      provider (or orders:manage)
+//   confirm                      customer (or orders:manage)
+//   report-issue                 customer, with a note describing the issue
+//   resolve                      orders:manage, completing a disputed order
+//   cancel                       provider or orders:manage, with a note giving the reason
+router.post('/:id/:action(start|complete|confirm|report-issue|resume|resolve|cancel)', authenticateJWT, checkOrderAccess, async (req, res) => {
+  try {
+    const order = await applyOrderAction(req.order.id, req.params.action, req.user, req.body.note);
+
+    res.status(200).json({
+      message: `Service order ${order.status.replace('_', ' ')}`,
+      order
+    });
+  } catch (error) {
+    sendError(res, error, 'Error updating service order');
+  }
+});
+
+// POST /api/service-provider/orders/:id/payout - Record the payout of a completed order (orders:payouts)
+router.post('/:id/payout', authenticateJWT, requirePermission('orders:payouts'), checkOrderAccess, async (req, res) => {
+  try {
+    const payoutReference = typeof req.body.payoutReference === 'string' ? req.body.payoutReference.trim() : '';
+    if (!payoutReference) {
+      return res.status(400).json({ error: 'payoutReference is required' });
+    }
+
+    const order = await sequelize.transaction(async (t) => {
+      const current = await ServiceOrder.findByPk(req.order.id, { lock: t.LOCK.UPDATE, transaction: t });
+      if (current.payoutStatus !== 'eligible') {
+        throw Object.assign(new Error(`Cannot pay out an order with payout status: ${current.payoutStatus}`), {
+          status: 409,
+          details: 'Orders become eligible for payout when they are completed'
+        });
+      }
+
+      await current.update({ payoutStatus: 'paid', payoutReference, paidOutAt: new Date() }, { transaction: t });
+      return current;
+    });
+
+    res.status(200).json({
+      message: 'Payout recorded',
+      order
+    });
+  } catch (error) {
+    sendError(res, error, 'Error recording payout');
+  }
+});
+
+/**
+ * Complete orders whose customer has not confirmed or reported an issue in time.
+ *
+ * @param {Date} now - Current time
+ * @returns {Promise<number>} Number of orders confirmed
+ */
+async function autoConfirmOrders(now = new Date()) {
+  const cutoff = new Date(now.getTime() - CONFIRMATION_DAYS * 24 * 60 * 60 * 1000);
+  const orders = await ServiceOrder.findAll({
+    where: { status: 'awaiting_confirmation', deliveredAt: { [Op.lte]: cutoff } }
+  });
+
+  let confirmed = 0;
+  for (const order of orders.filter(order => isConfirmationOverdue(order, now, CONFIRMATION_DAYS))) {
+    try {
+      await applyOrderAction(order.id, 'auto-confirm', null, null);
+      confirmed += 1;
+    } catch (err) {
+      // The customer may have responded since the orders were loaded
+      if (!err.status) throw err;
+    }
+  }
+
+  if (confirmed > 0) {
+    logger.info(`Order check: ${confirmed} service order(s) confirmed automatically`);
+  }
+  return confirmed;
+}
+
+module.exports = router;
+module.exports.autoConfirmOrders = autoConfirmOrders;
@@ -0,0 +1,187 @@
+const express = require('express');
+const router = express.Router();
+const { Op } = require('sequelize');
+const { Invoice, ServiceOrder, ServiceOrderEvent, sequelize } = require('../models');
+const { authenticateJWT, authorizeRole } = require('../middleware/auth');
+const { hasPermission } = require('../permissions');
+const logger = require('../logger');
+const { getPaymentProvider, startCheckout, isInvoiceSession, signFakeEvent, toMinorUnits, PAYMENT_CURRENCY } = require('../payments');
+
+const PAYABLE_STATUSES = ['pending', 'overdue'];
+
+/**
+ * Mark a payable invoice paid and open its service order, inside the caller's transaction.
+ *
+ * @param {Object} invoice - Invoice instance, locked by the caller
+ * @param {Object} payment - { paymentReference, paymentDate, paymentMethod }
+ * @param {Transaction} t - Transaction
+ * @param {Object|null} user - User who recorded the payment; null for checkout payments
+ * @returns {Promise<ServiceOrder>} The new service order
+ */
+async function settleInvoice(invoice, { paymentReference, paymentDate, paymentMethod }, t, user = null) {
+  await invoice.update({
+    status: 'paid',
+    paymentReference,
+    paymentDate,
+    paymentMethod
+  }, { transaction: t });
+
+  const order = await ServiceOrder.create({
+    invoiceId: invoice.id,
+    serviceProviderId: invoice.serviceProviderId,
+    userId: invoice.userId,
+    serviceDate: invoice.serviceDate,
+    totalAmount: invoice.totalAmount,
+    status: 'confirmed'
+  }, { transaction: t });
+
+  await ServiceOrderEvent.create({
+    serviceOrderId: order.id,
+    action: 'open',
+    fromStatus: null,
+    toStatus: 'confirmed',
+    actorId: user ? user.id : null,
+    actorRole: user ? user.role : 'system',
+    note: `Invoice ${invoice.id} paid (${paymentMethod})`
+  }, { transaction: t });
+  return order;
+}
+
+// Mark the invoice paid and open its service order - idempotent for repeated deliveries
+async function recordPayment(event) {
+  return sequelize.transaction(async (t) => {
+    // The event may be for any checkout session opened for the invoice, not only the latest
+    const invoice = event.invoiceId
+      ? await Invoice.findByPk(event.invoiceId, { lock: t.LOCK.UPDATE, transaction: t })
+      : null;
+    if (!isInvoiceSession(invoice, event.sessionId)) {
+      throw Object.assign(new Error('No invoice for this checkout session'), { status: 404 });
+    }
+
+    if (invoice.status === 'paid') {
+      const order = await ServiceOrder.findOne({ where: { invoiceId: invoice.id }, transaction: t });
+      return { invoice, order, duplicate: true };
+    }
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      throw Object.assign(new Error(`Payment received for ${invoice.status} invoice`), { status: 409 });
+    }
+    if (Number(event.amount) !== toMinorUnits(invoice.totalAmount)) {
+      throw Object.assign(new Error('Payment amount does not match the invoice total'), { status: 400 });
+    }
+
+    const order = await settleInvoice(invoice, {
+      paymentReference: event.paymentReference,
+      paymentDate: event.paidAt,
+      paymentMethod: 'checkout'
+    }, t);
+
+    return { invoice, order, duplicate: false };
+  });
+}
+
+// Verify a provider event and apply it
+async function handleWebhook(rawBody, headers) {
+  const event = getPaymentProvider().verifyWebhook(rawBody, headers);
+
+  if (event.type === 'payment.succeeded') {
+    const result = await recordPayment(event);
+    if (!result.duplicate) {
+      logger.info(`Invoice ${result.invoice.id} paid (${event.paymentReference}); service order ${result.order.id} created`);
+    }
+    return { received: true, invoiceId: result.invoice.id, serviceOrderId: result.order ? result.order.id : null };
+  }
+
+  if (event.type === 'payment.failed') {
+    logger.warn(`Payment failed for checkout session ${event.sessionId}`);
+    return { received: true };
+  }
+
+  // Unknown event types are acknowledged so the provider stops retrying them
+  return { received: true, ignored: event.type };
+}
+
+function sendError(res, error, fallbackMessage) {
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`, { stack: error.stack });
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// POST /api/service-provider/payments/invoices/:id/checkout - Start paying an invoice
+router.post('/invoices/:id/checkout', authenticateJWT, authorizeRole(['user']), async (req, res) => {
+  try {
+    const invoice = await Invoice.findByPk(req.params.id);
+    if (!invoice) {
+      return res.status(404).json({ error: 'Invoice not found' });
+    }
+    if (invoice.userId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ error: 'You can only pay your own invoices' });
+    }
+    if (!PAYABLE_STATUSES.includes(invoice.status)) {
+      return res.status(400).json({ error: `Cannot pay invoice with status: ${invoice.status}` });
+    }
+
+    const session = await startCheckout(invoice);
+
+    res.status(201).json({
+      sessionId: session.sessionId,
+      url: session.url,
+      expiresAt: session.expiresAt
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating checkout session');
+  }
+});
+
+// POST /api/service-provider/payments/webhook - Provider callback, authenticated by its signature
+router.post('/webhook', async (req, res) => {
+  try {
+    const result = await handleWebhook(req.rawBody, req.headers);
+    res.status(200).json(result);
+  } catch (error) {
+    sendError(res, error, 'Error processing payment webhook');
+  }
+});
+
+// POST /api/service-provider/payments/fake/:sessionId/complete - Simulate the fake provider's
+// checkout page: signs an event exactly as the provider would and runs it through the webhook handler
+router.post('/fake/:sessionId/complete', authenticateJWT, async (req, res) => {
+  try {
+    if (getPaymentProvider().name !== 'fake' || process.env.NODE_ENV === 'production') {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const { sessionId } = req.params;
+    const invoice = await Invoice.findOne({
+      where: {
+        [Op.or]: [
+          { paymentSessionId: sessionId },
+          { paymentSessionIds: { [Op.contains]: [sessionId] } }
+        ]
+      }
+    });
+    if (!invoice) {
+      return res.status(404).json({ error: 'Checkout session not found' });
+    }
+    if (!hasPermission(req.user, 'invoices:manage') && invoice.userId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ error: 'You can only pay your own invoices' });
+    }
+
+    const type = req.body.outcome === 'failed' ? 'payment.failed' : 'payment.succeeded';
+    const { rawBody, headers } = signFakeEvent({
+      sessionId,
+      invoiceId: invoice.id,
+      amount: toMinorUnits(invoice.totalAmount),
+      currency: PAYMENT_CURRENCY
+    }, type);
+
+    res.status(200).json(await handleWebhook(rawBody, headers));
+  } catch (error) {
+    sendError(res, error, 'Error completing fake checkout');
+  }
+});
+
+module.exports = router;
+module.exports.settleInvoice = settleInvoice;
+module.exports.PAYABLE_STATUSES = PAYABLE_STATUSES;
@@ -1,7 +1,113 @@
 const express = require('express');
 const router = express.Router();
-const { QuoteRequest, Quote, QuoteItem, Invoice, InvoiceItem, ServiceOrder } = require('../models');
-const { authenticateJWT, authorizeRole } = require('../middleware/auth');
+const crypto = require('crypto');
+const {
+  QuoteRequest, Quote, QuoteItem, QuoteRevision, Invoice, InvoiceItem, ServiceOrder, ServiceProviderProfile, sequelize
+} = require('../models');
+const { authenticateJWT, authorizeRole, requireVerifiedEmail } = require('../middleware/auth');
+const { hasPermission } = require('../permissions');
+const { startCheckout, PAYMENT_CURRENCY } = require('../payments');
+const { validateQuoteRequestInput } = require('../requests');
+const { REVISABLE_STATUSES, snapshotQuote, diffQuoteVersions } = require('../revisions');
+const { priceQuote } = require('../pricing');
+const { buildQuoteDocument } = require('../documents');
+const { renderAndStorePdf, sendPdf } = require('../pdf');
+const { findUnavailableProviders, reserveProviderDate, releaseProviderDate } = require('../calendar');
+const logger = require('../logger');
+
+const MAX_DECLINE_REASON_LENGTH = 1000;
+
+function sendError(res, error, fallbackMessage) {
+  if (error.status) {
+    const response = { error: error.message };
+    if (error.details) response.details = error.details;
+    return res.status(error.status).json(response);
+  }
+  logger.error(`${fallbackMessage}: ${error.message}`, { stack: error.stack });
+  return res.status(500).json({ error: fallbackMessage });
+}
+
+// Quotes are saved as drafts; they reach the customer through POST /:id/send
+function checkDraftStatus(status) {
+  if (status !== undefined && status !== null && status !== 'draft') {
+    throw Object.assign(new Error('Quotes can only be saved as drafts'), {
+      status: 400,
+      details: 'Send the quote with POST /api/service-provider/quotes/:id/send'
+    });
+  }
+}
+
+function parsePagination(query, defaultLimit) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Price a quote with the tax rates on the provider's profile. Values the body leaves out are
+ * taken from the current quote and items; the jurisdiction defaults to the provider's state.
+ * A totalAmount sent by the client must match the computed total.
+ *
+ * @param {number} serviceProviderId - Provider's user ID
+ * @param {Object} body - Request body
+ * @param {Object} current - Current quote fields and items, when updating
+ * @returns {Object} Pricing from priceQuote
+ */
+async function priceQuoteFor(serviceProviderId, body, current = {}) {
+  const profile = await ServiceProviderProfile.findOne({
+    where: { userId: serviceProviderId },
+    attributes: ['taxRates', 'state']
+  });
+  const valueOf = field => (body[field] !== undefined ? body[field] : current[field]);
+  
+  const pricing = priceQuote({
+    items: valueOf('items'),
+    discountType: valueOf('discountType'),
+    discountValue: valueOf('discountValue'),
+    taxJurisdiction: valueOf('taxJurisdiction') || (profile && profile.state),
+    taxRates: profile ? profile.taxRates : []
+  });
+  
+  if (body.totalAmount !== undefined && body.totalAmount !== null &&
+      Math.round(Number(body.totalAmount) * 100) !== Math.round(pricing.totalAmount * 100)) {
+    throw Object.assign(new Error('totalAmount does not match the items, discounts and taxes'), {
+      status: 400,
+      details: { totalAmount: pricing.totalAmount }
+    });
+  }
+  return pricing;
+}
+
+function createQuoteItems(quoteId, pricedItems, transaction) {
+  return Promise.all(
+    pricedItems.map(item => QuoteItem.create({ quoteId, ...item }, { transaction }))
+  );
+}
+
+// Middleware to check if user has access to a quote request: the customer who sent it,
+// the provider it was sent to, or a user with quotes:manage
+const checkQuoteRequestAccess = async (req, res, next) => {
+  try {
+    const quoteRequest = await QuoteRequest.findByPk(req.params.requestId, {
+      include: [{ model: Quote }]
+    });
+    if (!quoteRequest) {
+      return res.status(404).json({ error: 'Quote request not found' });
+    }
+    
+    const { role, id } = req.user;
+    if (hasPermission(req.user, 'quotes:manage') ||
+        (role === 'user' && quoteRequest.userId === id) ||
+        (role === 'service_provider' && quoteRequest.serviceProviderId === id)) {
+      req.quoteRequest = quoteRequest;
+      return next();
+    }
+    
+    return res.status(403).json({ error: 'You do not have permission to access this quote request' });
+  } catch (error) {
+    return res.status(500).json({ error: 'Error checking quote request access' });
+  }
+};
 
 // Middleware to check if user has access to a specific quote
 const checkQuoteAccess = async (req, res, next) => {
@@ -27,8 +133,8 @@ const checkQuoteAccess = async (req, res, next) => {
       return next();
     }
     
-    // Admin can access all quotes
-    if (userRole === 'admin') {
+    // Users with quotes:manage can access all quotes
+    if (hasPermission(req.user, 'quotes:manage')) {
       req.quote = quote;
       return next();
     }
@@ -61,8 +167,8 @@ router.get('/', authenticateJWT, async (req, res) => {
         include: [{ model: QuoteItem, as: 'items' }],
         order: [['createdAt', 'DESC']]
       });
-    } else if (userRole === 'admin') {
-      // Admin sees all quotes
+    } else if (hasPermission(req.user, 'quotes:manage')) {
+      // Users with quotes:manage see all quotes
       quotes = await Quote.findAll({
         include: [{ model: QuoteItem, as: 'items' }],
         order: [['createdAt', 'DESC']]
@@ -73,48 +179,193 @@ router.get('/', authenticateJWT, async (req, res) => {
     
     res.status(200).json(quotes);
   } catch (error) {
-    console.error('Error fetching quotes:', error);
+    logger.error(`Error fetching quotes: ${error.message}`, { stack: error.stack });
     res.status(500).json({ error: 'Error fetching quotes' });
   }
 });
 
-// POST /api/service-provider/quotes - Create a new quote
-router.post('/', authenticateJWT, authorizeRole(['service_provider']), async (req, res) => {
+// POST /api/service-provider/quotes/requests - Ask one or several service providers for a quote
+router.post('/requests', authenticateJWT, authorizeRole(['user']), requireVerifiedEmail, async (req, res) => {
   try {
-    const { 
-      userId, customerName, customerEmail, serviceDate, 
-      totalAmount, note, status, validUntil, items 
-    } = req.body;
+    const input = validateQuoteRequestInput(req.body, req.user);
+    
+    // Every recipient must have a service provider profile
+    const profiles = await ServiceProviderProfile.findAll({
+      where: { userId: input.serviceProviderIds },
+      attributes: ['userId']
+    });
+    const known = new Set(profiles.map(profile => profile.userId));
+    const unknown = input.serviceProviderIds.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: 'Unknown service providers', details: { serviceProviderIds: unknown } });
+    }
+    
+    // Providers who are off, blocked out or fully booked that day cannot be asked
+    const unavailable = await findUnavailableProviders(input.serviceProviderIds, input.serviceDate);
+    if (unavailable.length > 0) {
+      return res.status(409).json({
+        error: 'Some service providers are not available on this date',
+        details: { serviceDate: input.serviceDate, unavailable }
+      });
+    }
+    
+    const groupId = input.serviceProviderIds.length > 1 ? crypto.randomUUID() : null;
+    const requests = await sequelize.transaction(async (t) => Promise.all(
+      input.serviceProviderIds.map(serviceProviderId => QuoteRequest.create({
+        userId: req.user.id,
+        serviceProviderId,
+        groupId,
+        serviceDate: input.serviceDate,
+        description: input.description,
+        customerName: input.customerName,
+        customerEmail: input.customerEmail,
+        customerPhone: input.customerPhone
+      }, { transaction: t }))
+    ));
+    
+    // Hold the day in each provider's calendar; availability was checked above, so a failed
+    // hold is logged and the request still stands
+    await Promise.all(requests.map(request => reserveProviderDate({
+      providerId: request.serviceProviderId,
+      serviceDate: request.serviceDate,
+      quoteRequestId: request.id,
+      status: 'held'
+    }).catch(err => {
+      logger.error(`Error holding calendar date for quote request ${request.id}: ${err.message}`);
+    })));
+    
+    res.status(201).json({
+      message: 'Quote request sent successfully',
+      groupId,
+      requests
+    });
+  } catch (error) {
+    sendError(res, error, 'Error creating quote request');
+  }
+});
+
+// GET /api/service-provider/quotes/requests - Requests sent by a customer, or a provider's inbox
+router.get('/requests', authenticateJWT, async (req, res) => {
+  try {
+    const where = {};
+    if (req.user.role === 'service_provider') {
+      where.serviceProviderId = req.user.id;
+    } else if (req.user.role === 'user') {
+      where.userId = req.user.id;
+    } else if (!hasPermission(req.user, 'quotes:manage')) {
+      return res.status(403).json({ error: 'Unauthorized access' });
+    }
+    
+    if (req.query.status) {
+      if (!QuoteRequest.rawAttributes.status.values.includes(req.query.status)) {
+        return res.status(400).json({ error: 'Invalid status filter' });
+      }
+      where.status = req.query.status;
+    }
+    if (req.query.groupId) where.groupId = req.query.groupId;
+    
+    const { page, limit, offset } = parsePagination(req.query, 20);
+    const { count, rows } = await QuoteRequest.findAndCountAll({
+      where,
+      include: [{ model: Quote, attributes: ['id', 'status', 'totalAmount', 'validUntil'] }],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset,
+      distinct: true
+    });
+    
+    res.status(200).json({
+      requests: rows,
+      pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) }
+    });
+  } catch (error) {
+    logger.error(`Error fetching quote requests: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error fetching quote requests' });
+  }
+});
+
+// GET /api/service-provider/quotes/requests/:requestId - Get a quote request with its quote
+router.get('/requests/:requestId', authenticateJWT, checkQuoteRequestAccess, (req, res) => {
+  res.status(200).json(req.quoteRequest);
+});
+
+// POST /api/service-provider/quotes/requests/:requestId/decline - Decline a request (for providers)
+router.post('/requests/:requestId/decline', authenticateJWT, authorizeRole(['service_provider']), checkQuoteRequestAccess, async (req, res) => {
+  try {
+    const quoteRequest = req.quoteRequest;
+    
+    if (quoteRequest.status !== 'pending' || quoteRequest.Quote) {
+      return res.status(400).json({ error: `Cannot decline quote request with status: ${quoteRequest.status}` });
+    }
+    
+    const reason = req.body.reason ? String(req.body.reason).trim() : null;
+    if (reason && reason.length > MAX_DECLINE_REASON_LENGTH) {
+      return res.status(400).json({ error: `reason cannot be longer than ${MAX_DECLINE_REASON_LENGTH} characters` });
+    }
+    
+    await quoteRequest.update({ status: 'declined', declineReason: reason, declinedAt: new Date() });
+    await releaseProviderDate({ quoteRequestId: quoteRequest.id });
     
-    if (!userId || !customerName || !customerEmail || !serviceDate || !totalAmount || !items || !Array.isArray(items)) {
+    res.status(200).json({
+      message: 'Quote request declined',
+      quoteRequest
+    });
+  } catch (error) {
+    logger.error(`Error declining quote request: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error declining quote request' });
+  }
+});
+
+// POST /api/service-provider/quotes - Create a new quote, optionally answering a quote request
+router.post('/', authenticateJWT, authorizeRole(['service_provider']), requireVerifiedEmail, async (req, res) => {
+  try {
+    const { quoteRequestId, note, status, validUntil } = req.body;
+    checkDraftStatus(status);
+    
+    // Customer details of a quote that answers a request come from the request
+    let quoteRequest = null;
+    if (quoteRequestId) {
+      quoteRequest = await QuoteRequest.findByPk(quoteRequestId, { include: [{ model: Quote }] });
+      if (!quoteRequest) {
+        return res.status(404).json({ error: 'Quote request not found' });
+      }
+      if (quoteRequest.serviceProviderId !== req.user.id) {
+        return res.status(403).json({ error: 'You can only answer quote requests sent to you' });
+      }
+      if (quoteRequest.status !== 'pending' || quoteRequest.Quote) {
+        return res.status(409).json({ error: `Cannot quote a request with status: ${quoteRequest.status}` });
+      }
+    }
+    
+    const userId = quoteRequest ? quoteRequest.userId : req.body.userId;
+    const customerName = req.body.customerName || (quoteRequest && quoteRequest.customerName);
+    const customerEmail = req.body.customerEmail || (quoteRequest && quoteRequest.customerEmail);
+    const serviceDate = req.body.serviceDate || (quoteRequest && quoteRequest.serviceDate);
+    
+    if (!userId || !customerName || !customerEmail || !serviceDate) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
+    const { items: pricedItems, ...amounts } = await priceQuoteFor(req.user.id, req.body);
+    
     // Use a transaction to ensure all operations complete or none do
     const result = await sequelize.transaction(async (t) => {
       // Create the quote
       const quote = await Quote.create({
+        quoteRequestId: quoteRequest ? quoteRequest.id : null,
         serviceProviderId: req.user.id,
         userId,
         customerName,
         customerEmail,
         serviceDate,
-        totalAmount,
+        ...amounts,
         note,
-        status: status || 'draft',
+        status: 'draft',
         validUntil: validUntil || new Date(Date.now() + 14 * 24 * 60 * 60 * 1000) // Default 14 days validity
       }, { transaction: t });
       
       // Create all the quote items
-      const quoteItems = await Promise.all(
-        items.map(item => QuoteItem.create({
-          quoteId: quote.id,
-          itemName: item.itemName,
-          description: item.description,
-          quantity: item.quantity,
-          unitPrice: item.unitPrice
-        }, { transaction: t }))
-      );
+      const quoteItems = await createQuoteItems(quote.id, pricedItems, t);
       
       return { quote, quoteItems };
     });
@@ -125,8 +376,10 @@ router.post('/', authenticateJWT, authorizeRole(['service_provider']), async (re
       items: result.quoteItems
     });
   } catch (error) {
-    console.error('Error creating quote:', error);
-    res.status(500).json({ error: 'Error creating quote' });
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'This quote request has already been answered' });
+    }
+    sendError(res, error, 'Error creating quote');
   }
 });
 
@@ -148,53 +401,73 @@ router.get('/:id', authenticateJWT, checkQuoteAccess, async (req, res) => {
     
     res.status(200).json(quote);
   } catch (error) {
-    console.error('Error fetching quote:', error);
+    logger.error(`Error fetching quote: ${error.message}`, { stack: error.stack });
     res.status(500).json({ error: 'Error fetching quote' });
   }
 });
 
+// GET /api/service-provider/quotes/:id/pdf - Quote as a PDF, stored in media-service
+router.get('/:id/pdf', authenticateJWT, checkQuoteAccess, async (req, res) => {
+  try {
+    const quote = req.quote;
+    const [items, profile] = await Promise.all([
+      QuoteItem.findAll({ where: { quoteId: quote.id }, order: [['id', 'ASC']] }),
+      ServiceProviderProfile.findOne({ where: { userId: quote.serviceProviderId } })
+    ]);
+    
+    // Opening the PDF counts as viewing the quote
+    if (req.user.role === 'user' && quote.status === 'sent') {
+      await quote.update({ status: 'viewed' });
+    }
+    
+    const document = buildQuoteDocument(quote, items, profile, PAYMENT_CURRENCY);
+    sendPdf(res, await renderAndStorePdf(quote, document, req.headers.authorization));
+  } catch (error) {
+    logger.error(`Error rendering quote PDF: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error rendering quote PDF' });
+  }
+});
+
 // PUT /api/service-provider/quotes/:id - Update a quote
 router.put('/:id', authenticateJWT, checkQuoteAccess, async (req, res) => {
   try {
     const quote = req.quote;
     
-    // Only allow updating quotes that are in draft status or by admin
-    if (quote.status !== 'draft' && req.user.role !== 'admin') {
-      return res.status(400).json({ error: 'Cannot update quote that is not in draft status' });
+    // Only allow updating quotes that are in draft status or by a user with quotes:manage; sent quotes are revised instead
+    if (quote.status !== 'draft' && !hasPermission(req.user, 'quotes:manage')) {
+      return res.status(400).json({
+        error: 'Cannot update quote that is not in draft status',
+        details: 'Send a revision with POST /api/service-provider/quotes/:id/revisions'
+      });
     }
     
     const {
       customerName, customerEmail, serviceDate,
-      totalAmount, note, status, validUntil, items
+      note, status, validUntil
     } = req.body;
-    
-    // Update the quote
-    await quote.update({
-      customerName: customerName || quote.customerName,
-      customerEmail: customerEmail || quote.customerEmail,
-      serviceDate: serviceDate || quote.serviceDate,
-      totalAmount: totalAmount || quote.totalAmount,
-      note: note !== undefined ? note : quote.note,
-      status: status || quote.status,
-      validUntil: validUntil || quote.validUntil
-    });
-    
-    // If items are provided, update them
-    if (items && Array.isArray(items)) {
-      // Delete existing items
-      await QuoteItem.destroy({ where: { quoteId: quote.id } });
+    checkDraftStatus(status);
+    
+    // Totals are recomputed from the new or current items
+    const currentItems = await QuoteItem.findAll({ where: { quoteId: quote.id }, order: [['id', 'ASC']] });
+    const { items: pricedItems, ...amounts } = await priceQuoteFor(
+      quote.serviceProviderId, req.body, { ...quote.get(), items: currentItems }
+    );
+    
+    await sequelize.transaction(async (t) => {
+      // Update the quote
+      await quote.update({
+        customerName: customerName || quote.customerName,
+        customerEmail: customerEmail || quote.customerEmail,
+        serviceDate: serviceDate || quote.serviceDate,
+        ...amounts,
+        note: note !== undefined ? note : quote.note,
+        validUntil: validUntil || quote.validUntil
+      }, { transaction: t });
       
-      // Create new items
-      await Promise.all(
-        items.map(item => QuoteItem.create({
-          quoteId: quote.id,
-          itemName: item.itemName,
-          description: item.description,
-          quantity: item.quantity,
-          unitPrice: item.unitPrice
-        }))
-      );
-    }
+      // Replace the items with their priced versions
+      await QuoteItem.destroy({ where: { quoteId: quote.id }, transaction: t });
+      await createQuoteItems(quote.id, pricedItems, t);
+    });
     
     // Fetch the updated quote with items
     const updatedQuote = await Quote.findByPk(quote.id, {
@@ -206,90 +479,231 @@ router.put('/:id', authenticateJWT, checkQuoteAccess, async (req, res) => {
       quote: updatedQuote
     });
   } catch (error) {
-    console.error('Error updating quote:', error);
-    res.status(500).json({ error: 'Error updating quote' });
+    sendError(res, error, 'Error updating quote');
   }
 });
 
-// POST /api/service-provider/quotes/:id/accept - Accept a quote (for users)
-router.post('/:id/accept', authenticateJWT, authorizeRole(['user']), async (req, res) => {
-  try {
-    const quoteId = req.params.id;
-    const userId = req.user.id;
-    
-    const quote = await Quote.findByPk(quoteId);
+// Accept or reject a specific version of a quote, on behalf of the customer it was sent to
+async function respondToQuote(quoteId, user, version, newStatus) {
+  const action = newStatus === 'accepted' ? 'accept' : 'reject';
+  
+  if (!Number.isInteger(version) || version < 1) {
+    throw Object.assign(new Error(`version is required: the quote version you want to ${action}`), { status: 400 });
+  }
+  
+  const result = await sequelize.transaction(async (t) => {
+    const quote = await Quote.findByPk(quoteId, { lock: t.LOCK.UPDATE, transaction: t });
     if (!quote) {
-      return res.status(404).json({ error: 'Quote not found' });
+      throw Object.assign(new Error('Quote not found'), { status: 404 });
     }
     
     // Ensure the quote is directed to this user
-    if (quote.userId !== userId) {
-      return res.status(403).json({ error: 'You are not authorized to accept this quote' });
+    if (quote.userId !== user.id) {
+      throw Object.assign(new Error(`You are not authorized to ${action} this quote`), { status: 403 });
     }
     
-    // Check if the quote can be accepted (not expired, rejected, or already accepted)
+    // Check if the quote can be responded to (not expired, rejected, or already accepted)
     if (quote.status !== 'sent' && quote.status !== 'viewed') {
-      return res.status(400).json({
-        error: `Cannot accept quote with status: ${quote.status}`
+      throw Object.assign(new Error(`Cannot ${action} quote with status: ${quote.status}`), { status: 400 });
+    }
+    
+    // A response to an older version is stale: the provider has revised the quote since
+    if (version !== quote.version) {
+      throw Object.assign(new Error('This quote has been revised since that version'), {
+        status: 409,
+        details: { version, currentVersion: quote.version }
       });
     }
     
     // Check if the quote is expired
-    if (new Date(quote.validUntil) < new Date()) {
-      await quote.update({ status: 'expired' });
-      return res.status(400).json({ error: 'This quote has expired' });
+    if (newStatus === 'accepted' && new Date(quote.validUntil) < new Date()) {
+      await quote.update({ status: 'expired' }, { transaction: t });
+      return { quote, expired: true };
+    }
+    
+    // Confirm the provider's day; rolls the acceptance back if it has been taken since
+    if (newStatus === 'accepted') {
+      await reserveProviderDate({
+        providerId: quote.serviceProviderId,
+        serviceDate: quote.serviceDate,
+        quoteRequestId: quote.quoteRequestId,
+        quoteId: quote.id,
+        status: 'confirmed'
+      });
     }
     
-    // Accept the quote
-    await quote.update({ status: 'accepted' });
+    await quote.update({ status: newStatus }, { transaction: t });
+    return { quote, expired: false };
+  });
+  
+  if (result.quote.status !== 'accepted') {
+    await releaseProviderDate({ quoteRequestId: result.quote.quoteRequestId, quoteId: result.quote.id });
+  }
+  return result;
+}
+
+// POST /api/service-provider/quotes/:id/accept - Accept a version of a quote (for users)
+router.post('/:id/accept', authenticateJWT, authorizeRole(['user']), async (req, res) => {
+  try {
+    const result = await respondToQuote(req.params.id, req.user, Number(req.body.version), 'accepted');
+    if (result.expired) {
+      return res.status(400).json({ error: 'This quote has expired' });
+    }
     
     res.status(200).json({
       message: 'Quote accepted successfully',
-      quote: await Quote.findByPk(quoteId, {
+      quote: await Quote.findByPk(req.params.id, {
         include: [{ model: QuoteItem, as: 'items' }]
       })
     });
   } catch (error) {
-    console.error('Error accepting quote:', error);
-    res.status(500).json({ error: 'Error accepting quote' });
+    sendError(res, error, 'Error accepting quote');
   }
 });
 
-// POST /api/service-provider/quotes/:id/reject - Reject a quote (for users)
+// POST /api/service-provider/quotes/:id/reject - Reject a version of a quote (for users)
 router.post('/:id/reject', authenticateJWT, authorizeRole(['user']), async (req, res) => {
   try {
-    const quoteId = req.params.id;
-    const userId = req.user.id;
-    
-    const quote = await Quote.findByPk(quoteId);
-    if (!quote) {
-      return res.status(404).json({ error: 'Quote not found' });
-    }
-    
-    // Ensure the quote is directed to this user
-    if (quote.userId !== userId) {
-      return res.status(403).json({ error: 'You are not authorized to reject this quote' });
-    }
-    
-    // Check if the quote can be rejected
-    if (quote.status !== 'sent' && quote.status !== 'viewed') {
-      return res.status(400).json({
-        error: `Cannot reject quote with status: ${quote.status}`
-      });
-    }
-    
-    // Reject the quote
-    await quote.update({ status: 'rejected' });
+    await respondToQuote(req.params.id, req.user, Number(req.body.version), 'rejected');
     
     res.status(200).json({
       message: 'Quote rejected successfully',
-      quote: await Quote.findByPk(quoteId, {
+      quote: await Quote.findByPk(req.params.id, {
         include: [{ model: QuoteItem, as: 'items' }]
       })
     });
   } catch (error) {
-    console.error('Error rejecting quote:', error);
-    res.status(500).json({ error: 'Error rejecting quote' });
+    sendError(res, error, 'Error rejecting quote');
+  }
+});
+
+// Snapshots of every version of a quote, oldest first; the last one is the current version
+async function quoteVersions(quote) {
+  const [revisions, items] = await Promise.all([
+    QuoteRevision.findAll({ where: { quoteId: quote.id }, order: [['version', 'ASC']] }),
+    QuoteItem.findAll({ where: { quoteId: quote.id }, order: [['id', 'ASC']] })
+  ]);
+  
+  return [
+    ...revisions.map(revision => ({
+      version: revision.version,
+      status: revision.status,
+      supersededAt: revision.createdAt,
+      snapshot: revision.snapshot
+    })),
+    { version: quote.version, status: quote.status, supersededAt: null, snapshot: snapshotQuote(quote, items) }
+  ];
+}
+
+// POST /api/service-provider/quotes/:id/revisions - Send a revised version of a quote
+router.post('/:id/revisions', authenticateJWT, authorizeRole(['service_provider']), requireVerifiedEmail, checkQuoteAccess, async (req, res) => {
+  try {
+    const {
+      customerName, customerEmail, serviceDate,
+      note, validUntil
+    } = req.body;
+    
+    const quote = await sequelize.transaction(async (t) => {
+      const current = await Quote.findByPk(req.quote.id, { lock: t.LOCK.UPDATE, transaction: t });
+      if (!REVISABLE_STATUSES.includes(current.status)) {
+        throw Object.assign(new Error(`Cannot revise quote with status: ${current.status}`), {
+          status: 400,
+          details: current.status === 'draft' ? 'Draft quotes can be edited directly' : null
+        });
+      }
+      
+      // Keep the version being replaced, with the status the customer left it in
+      const currentItems = await QuoteItem.findAll({ where: { quoteId: current.id }, order: [['id', 'ASC']], transaction: t });
+      await QuoteRevision.create({
+        quoteId: current.id,
+        version: current.version,
+        status: current.status,
+        snapshot: snapshotQuote(current, currentItems),
+        supersededBy: req.user.id
+      }, { transaction: t });
+      
+      const { items: pricedItems, ...amounts } = await priceQuoteFor(
+        current.serviceProviderId, req.body, { ...current.get(), items: currentItems }
+      );
+      
+      // An expired validity period is renewed unless the revision sets one
+      const stillValid = new Date(current.validUntil) > new Date();
+      await current.update({
+        customerName: customerName || current.customerName,
+        customerEmail: customerEmail || current.customerEmail,
+        serviceDate: serviceDate || current.serviceDate,
+        ...amounts,
+        note: note !== undefined ? note : current.note,
+        validUntil: validUntil || (stillValid ? current.validUntil : new Date(Date.now() + 14 * 24 * 60 * 60 * 1000)),
+        version: current.version + 1,
+        status: 'sent'
+      }, { transaction: t });
+      
+      await QuoteItem.destroy({ where: { quoteId: current.id }, transaction: t });
+      await createQuoteItems(current.id, pricedItems, t);
+      
+      return current;
+    });
+    
+    const versions = await quoteVersions(quote);
+    const [previous, latest] = versions.slice(-2);
+    
+    res.status(201).json({
+      message: 'Quote revision sent successfully',
+      quote: await Quote.findByPk(quote.id, {
+        include: [{ model: QuoteItem, as: 'items' }]
+      }),
+      diff: diffQuoteVersions(previous.snapshot, latest.snapshot)
+    });
+  } catch (error) {
+    sendError(res, error, 'Error revising quote');
+  }
+});
+
+// GET /api/service-provider/quotes/:id/participants - The customer and provider of a quote. Unlike
+// GET /:id it does not mark the quote viewed, so media-service uses it to check participants.
+router.get('/:id/participants', authenticateJWT, checkQuoteAccess, (req, res) => {
+  res.status(200).json({
+    quoteId: req.quote.id,
+    userId: req.quote.userId,
+    serviceProviderId: req.quote.serviceProviderId
+  });
+});
+
+// GET /api/service-provider/quotes/:id/revisions - Every version of a quote
+router.get('/:id/revisions', authenticateJWT, checkQuoteAccess, async (req, res) => {
+  try {
+    res.status(200).json({
+      currentVersion: req.quote.version,
+      versions: await quoteVersions(req.quote)
+    });
+  } catch (error) {
+    logger.error(`Error fetching quote revisions: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error fetching quote revisions' });
+  }
+});
+
+// GET /api/service-provider/quotes/:id/diff?from=1&to=2 - Changes between two versions
+// (defaults to the previous and current versions)
+router.get('/:id/diff', authenticateJWT, checkQuoteAccess, async (req, res) => {
+  try {
+    const to = req.query.to !== undefined ? Number(req.query.to) : req.quote.version;
+    const from = req.query.from !== undefined ? Number(req.query.from) : to - 1;
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || from >= to) {
+      return res.status(400).json({ error: 'from and to must be versions with from earlier than to' });
+    }
+    
+    const versions = await quoteVersions(req.quote);
+    const fromVersion = versions.find(version => version.version === from);
+    const toVersion = versions.find(version => version.version === to);
+    if (!fromVersion || !toVersion) {
+      return res.status(404).json({ error: 'Quote version not found', details: { currentVersion: req.quote.version } });
+    }
+    
+    res.status(200).json(diffQuoteVersions(fromVersion.snapshot, toVersion.snapshot));
+  } catch (error) {
+    logger.error(`Error comparing quote versions: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error comparing quote versions' });
   }
 });
 
@@ -329,10 +743,17 @@ router.post('/:id/invoice', authenticateJWT, authorizeRole(['service_provider'])
         customerName: quote.customerName,
         customerEmail: quote.customerEmail,
         serviceDate: quote.serviceDate,
+        // The invoice carries the quote's breakdown, taxed at the rates the customer accepted
+        subtotal: quote.subtotal,
+        discountType: quote.discountType,
+        discountValue: quote.discountValue,
+        discountAmount: quote.discountAmount,
+        taxJurisdiction: quote.taxJurisdiction,
+        taxes: quote.taxes,
+        taxAmount: quote.taxAmount,
         totalAmount: quote.totalAmount,
         status: 'pending',
-        dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Default 7 days to pay
-        paymentLink: `/payment/${quote.id}` // This would be replaced with a real Stripe payment link
+        dueDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000) // Default 7 days to pay
       }, { transaction: t });
       
       // Create the invoice items based on quote items
@@ -342,7 +763,11 @@ router.post('/:id/invoice', authenticateJWT, authorizeRole(['service_provider'])
           itemName: item.itemName,
           description: item.description,
           quantity: item.quantity,
-          unitPrice: item.unitPrice
+          unitPrice: item.unitPrice,
+          discountType: item.discountType,
+          discountValue: item.discountValue,
+          discountAmount: item.discountAmount,
+          lineTotal: item.lineTotal
         }, { transaction: t }))
       );
       
@@ -352,13 +777,20 @@ router.post('/:id/invoice', authenticateJWT, authorizeRole(['service_provider'])
       return { invoice, invoiceItems };
     });
     
+    // The invoice stands even if the provider is down; the customer can start checkout again later
+    try {
+      await startCheckout(result.invoice);
+    } catch (checkoutError) {
+      logger.error(`Error creating checkout session for invoice ${result.invoice.id}: ${checkoutError.message}`);
+    }
+    
     res.status(201).json({
       message: 'Invoice created successfully',
       invoice: result.invoice,
       items: result.invoiceItems
     });
   } catch (error) {
-    console.error('Error creating invoice:', error);
+    logger.error(`Error creating invoice: ${error.message}`, { stack: error.stack });
     res.status(500).json({ error: 'Error creating invoice' });
   }
 });
@@ -398,7 +830,7 @@ router.post('/:id/send', authenticateJWT, authorizeRole(['service_provider']), a
       })
     });
   } catch (error) {
-    console.error('Error sending quote:', error);
+    logger.error(`Error sending quote: ${error.message}`, { stack: error.stack });
     res.status(500).json({ error: 'Error sending quote' });
   }
 });
@@ -0,0 +1,248 @@
+const express = require('express');
+const router = express.Router();
+const axios = require('axios');
+const { ServiceProviderReview, ServiceOrder, ServiceProviderProfile, sequelize } = require('../models');
+const { authenticateJWT, authorizeRole } = require('../middleware/auth');
+const { requirePermission } = require('../permissions');
+const { validateReviewInput, validateReply, summarizeRatings } = require('../ratings');
+const logger = require('../logger');
+
+// Media service client, used to verify review photos
+const mediaService = axios.create({
+  baseURL: process.env.MEDIA_SERVICE_URL || 'http://media-service:4006',
+  timeout: 5000
+});
+
+// Average and per-star counts of a provider's published reviews
+async function getRatingSummary(serviceProviderId) {
+  const rows = await ServiceProviderReview.findAll({
+    where: { serviceProviderId, status: 'published' },
+    attributes: ['rating', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['rating'],
+    raw: true
+  });
+  return summarizeRatings(rows);
+}
+
+// Check that each photo was uploaded to media-service by the reviewer as review media
+async function resolveReviewPhotos(photoIds, userId, authorization) {
+  const photos = [];
+  for (const mediaId of photoIds) {
+    let media;
+    try {
+      const response = await mediaService.get(`/api/media/${mediaId}`, {
+        headers: { Authorization: authorization }
+      });
+      media = response.data.media;
+    } catch (err) {
+      if (err.response && [403, 404].includes(err.response.status)) {
+        throw Object.assign(new Error('Invalid review photo'), { status: 400, details: { mediaId } });
+      }
+      logger.error(`Media service error while checking photo ${mediaId}: ${err.message}`);
+      throw Object.assign(new Error('Photo verification is temporarily unavailable'), { status: 503 });
+    }
+
+    if (media.referenceType !== 'review' || String(media.created_by) !== String(userId)) {
+      throw Object.assign(new Error('Invalid review photo'), { status: 400, details: { mediaId } });
+    }
+    photos.push({ id: media.id, mediaType: media.mediaType, url: `/api/media/files/${media.filename}` });
+  }
+  return photos;
+}
+
+function parsePagination(query, defaultLimit) {
+  const page = Math.max(parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100);
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+// POST /api/service-provider/reviews - Review a completed service order (one review per order)
+router.post('/', authenticateJWT, authorizeRole(['user']), async (req, res) => {
+  try {
+    const { serviceOrderId } = req.body;
+    if (!serviceOrderId) {
+      return res.status(400).json({ error: 'serviceOrderId is required' });
+    }
+    const input = validateReviewInput(req.body);
+
+    const order = await ServiceOrder.findByPk(serviceOrderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Service order not found' });
+    }
+    if (order.userId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ error: 'You can only review your own service orders' });
+    }
+    if (order.status !== 'completed') {
+      return res.status(400).json({ error: 'Only completed service orders can be reviewed' });
+    }
+
+    const existing = await ServiceProviderReview.findOne({ where: { serviceOrderId: order.id } });
+    if (existing) {
+      return res.status(409).json({ error: 'This service order has already been reviewed', details: { reviewId: existing.id } });
+    }
+
+    const photos = await resolveReviewPhotos(input.photoIds, req.user.id, req.headers.authorization);
+
+    const review = await ServiceProviderReview.create({
+      serviceOrderId: order.id,
+      serviceProviderId: order.serviceProviderId,
+      userId: req.user.id,
+      rating: input.rating,
+      comment: input.comment,
+      photos
+    });
+
+    res.status(201).json(review);
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({ error: 'This service order has already been reviewed' });
+    }
+    if (error.status) {
+      const response = { error: error.message };
+      if (error.details) response.details = error.details;
+      return res.status(error.status).json(response);
+    }
+    logger.error(`Error creating review: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error creating review' });
+  }
+});
+
+// GET /api/service-provider/reviews/profile/:profileId - Published reviews of a provider with the rating summary
+router.get('/profile/:profileId', async (req, res) => {
+  try {
+    const orders = {
+      newest: [['createdAt', 'DESC']],
+      highest: [['rating', 'DESC'], ['createdAt', 'DESC']],
+      lowest: [['rating', 'ASC'], ['createdAt', 'DESC']]
+    };
+    const order = orders[req.query.sort || 'newest'];
+    if (!order) {
+      return res.status(400).json({ error: 'Invalid sort option', details: { allowed: Object.keys(orders) } });
+    }
+
+    const profile = await ServiceProviderProfile.findByPk(req.params.profileId, { attributes: ['id', 'userId'] });
+    if (!profile) {
+      return res.status(404).json({ error: 'Profile not found' });
+    }
+
+    const { page, limit, offset } = parsePagination(req.query, 10);
+    const { count, rows } = await ServiceProviderReview.findAndCountAll({
+      where: { serviceProviderId: profile.userId, status: 'published' },
+      attributes: { exclude: ['moderationReason', 'moderatedBy', 'moderatedAt'] },
+      order,
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      reviews: rows,
+      summary: await getRatingSummary(profile.userId),
+      pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) }
+    });
+  } catch (error) {
+    logger.error(`Error fetching reviews: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error fetching reviews' });
+  }
+});
+
+// GET /api/service-provider/reviews/moderation - All reviews for moderation (reviews:moderate)
+router.get('/moderation', authenticateJWT, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const where = {};
+    if (req.query.status) {
+      if (!['published', 'hidden'].includes(req.query.status)) {
+        return res.status(400).json({ error: 'status must be published or hidden' });
+      }
+      where.status = req.query.status;
+    }
+    if (req.query.serviceProviderId) where.serviceProviderId = req.query.serviceProviderId;
+
+    const { page, limit, offset } = parsePagination(req.query, 20);
+    const { count, rows } = await ServiceProviderReview.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    res.status(200).json({
+      reviews: rows,
+      pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) }
+    });
+  } catch (error) {
+    logger.error(`Error listing reviews for moderation: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error fetching reviews' });
+  }
+});
+
+// PUT /api/service-provider/reviews/:id/reply - Provider reply to a review of their service
+router.put('/:id/reply', authenticateJWT, authorizeRole(['service_provider']), async (req, res) => {
+  try {
+    const review = await ServiceProviderReview.findByPk(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (review.serviceProviderId.toString() !== req.user.id.toString()) {
+      return res.status(403).json({ error: 'You can only reply to reviews of your own services' });
+    }
+
+    const reply = validateReply(req.body);
+    await review.update({ providerReply: reply, providerReplyAt: new Date() });
+
+    res.status(200).json(review);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+    logger.error(`Error replying to review: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error replying to review' });
+  }
+});
+
+// PUT /api/service-provider/reviews/:id/moderation - Publish or hide a review (reviews:moderate)
+router.put('/:id/moderation', authenticateJWT, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!['published', 'hidden'].includes(status)) {
+      return res.status(400).json({ error: 'status must be published or hidden' });
+    }
+    if (status === 'hidden' && !reason) {
+      return res.status(400).json({ error: 'A reason is required when hiding a review' });
+    }
+
+    const review = await ServiceProviderReview.findByPk(req.params.id);
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    await review.update({
+      status,
+      moderationReason: status === 'hidden' ? reason : null,
+      moderatedBy: req.user.id,
+      moderatedAt: new Date()
+    });
+
+    res.status(200).json(review);
+  } catch (error) {
+    logger.error(`Error moderating review: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error moderating review' });
+  }
+});
+
+// DELETE /api/service-provider/reviews/:id - Remove a review (reviews:moderate)
+router.delete('/:id', authenticateJWT, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const deleted = await ServiceProviderReview.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.status(200).json({ message: 'Review deleted' });
+  } catch (error) {
+    logger.error(`Error deleting review: ${error.message}`, { stack: error.stack });
+    res.status(500).json({ error: 'Error deleting review' });
+  }
+});
+
+module.exports = router;
+module.exports.getRatingSummary = getRatingSummary;
@@ -0,0 +1,15 @@
+// Tokens identifying this service to the other services it calls
+const jwt = require('jsonwebtoken');
+
+// Short-lived token with the 'service' role
+function signServiceToken() {
+  return jwt.sign(
+    { id: 0, role: 'service', service: 'service-provider-service' },
+    process.env.JWT_SECRET,
+    { expiresIn: '5m' }
+  );
+}
+
+module.exports = {
+  signServiceToken
+};
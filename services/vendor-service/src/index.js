@@ -1,13 +1,26 @@
 require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
-const { Sequelize, DataTypes } = require('sequelize');
+const { Sequelize, DataTypes, QueryTypes } = require('sequelize');
 const winston = require('winston');
+const axios = require('axios');
 
 const app = express();
 const PORT = process.env.VENDOR_SERVICE_PORT || 4003;
 const jwt = require('jsonwebtoken');
 const cors = require('cors');
+const {
+  actionsFor,
+  canPerform,
+  validateStaffRole,
+  validateInvitation,
+  generateInvitationToken,
+  hashInvitationToken
+} = require('./team');
+const { permissionsFromHeader, hasPermission } = require('./permissions');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.VENDOR_INVITATION_TTL_DAYS || '7', 10);
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
 
 // Ensure JWT_SECRET is properly set
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -31,6 +44,7 @@ function authenticateJWT(req, res, next) {
       req.user = {
         id: req.headers['x-user-id'],
         role: req.headers['x-user-role'],
+        permissions: permissionsFromHeader(req.headers['x-user-permissions']),
         // For KYC status checks
         kycStatus: req.headers['x-user-kyc-status'] || 'pending'
       };
@@ -63,12 +77,12 @@ function authenticateJWT(req, res, next) {
   }
 }
 
-function requireVendorOrAdmin(req, res, next) {
+function requireVendorOrVendorManager(req, res, next) {
   // Log only the path and action without sensitive user data
-  logger.info(`[KYC Check] Validating vendor/admin access for path: ${req.path}`);
+  logger.info(`[KYC Check] Validating vendor access for path: ${req.path}`);
   
-  if (req.user.role === 'admin') {
-    logger.info(`[KYC Check] Admin access granted for path: ${req.path}`);
+  if (hasPermission(req.user, 'vendors:manage')) {
+    logger.info(`[KYC Check] Vendor manager access granted for path: ${req.path}`);
     return next();
   }
   
@@ -88,39 +102,87 @@ function requireVendorOrAdmin(req, res, next) {
   next();
 }
 
-function requireOwnResourceOrAdmin(model, resourceIdField) {
+// Email and KYC status of an account, read from the users table that auth-service owns. Access
+// tokens mask the email, and the gateway does not forward the KYC status.
+async function findAccount(userId) {
+  const [account] = await sequelize.query('SELECT "email", "kycStatus" FROM "Users" WHERE "id" = :userId', {
+    replacements: { userId },
+    type: QueryTypes.SELECT
+  });
+  return account || null;
+}
+
+// A vendor organization works under the KYC status of its vendor account, staff included
+async function vendorKycStatus(vendorId) {
+  const account = await findAccount(vendorId);
+  return account ? account.kycStatus : null;
+}
+
+/**
+ * A user's membership of a vendor organization. The vendor account is the owner; staff are
+ * active VendorMembers.
+ *
+ * @param {number|string} vendorId - Vendor (owner user) ID
+ * @param {Object} user - Authenticated user
+ * @returns {Promise<Object|null>} { vendorId, role, actions, kycStatus }, or null when not a member
+ */
+async function findMembership(vendorId, user) {
+  let role = null;
+  if (user.role === 'vendor' && String(user.id) === String(vendorId)) {
+    role = 'owner';
+  } else {
+    const member = await VendorMember.findOne({ where: { vendorId, userId: user.id, status: 'active' } });
+    role = member ? member.role : null;
+  }
+  if (!role) return null;
+  return { vendorId: Number(vendorId), role, actions: actionsFor(role), kycStatus: await vendorKycStatus(vendorId) };
+}
+
+/**
+ * Allow the request when the user's team role lets them take the action for the vendor the
+ * request is about, once the vendor's KYC is approved. Users with vendors:manage are always allowed.
+ *
+ * @param {string} action - e.g. 'edit_venues' (see team.js)
+ * @param {Function} resolveVendorId - (req) => vendor ID; throws a 404 error when the resource is missing
+ */
+function requireVendorAccess(action, resolveVendorId) {
   return async (req, res, next) => {
     try {
-      // Admin override
-      if (req.user.role === 'admin') return next();
+      if (hasPermission(req.user, 'vendors:manage')) return next();
       
-      // Get the resource ID
-      const id = req.params.id || req.body.id || req.body[resourceIdField];
-      if (!id) {
-        return errorResponse(res, 400, `${resourceIdField} is required`);
+      const vendorId = await resolveVendorId(req);
+      const membership = await findMembership(vendorId, req.user);
+      if (!membership || !canPerform(membership.role, action)) {
+        logger.warn(`User ${req.user.id} denied ${action} for vendor ${vendorId}`);
+        return errorResponse(res, 403, 'You do not have permission to access this resource', { action });
       }
-      
-      // Find the resource
-      const resource = await model.findByPk(id);
-      if (!resource) {
-        return errorResponse(res, 404, `${resourceIdField} not found`);
+      if (membership.kycStatus !== 'approved') {
+        return errorResponse(res, 403, 'KYC verification not approved. Please complete the verification process.');
       }
       
-      // Ownership check
-      if (resource.vendorId && resource.vendorId.toString() !== req.user.id.toString()) {
-        logger.warn(`User ${req.user.id} attempted to access resource ${id} owned by vendor ${resource.vendorId}`);
-        return errorResponse(res, 403, 'You do not have permission to access this resource');
-      }
-      
-      // All checks passed
+      req.membership = membership;
       next();
     } catch (err) {
-      logger.error('Resource ownership check error:', err);
+      if (err.status) {
+        return errorResponse(res, err.status, err.message);
+      }
+      logger.error('Vendor access check error:', err);
       return errorResponse(res, 500, 'Error verifying resource access');
     }
   };
 }
 
+// Vendor ID of a venue or additional service in the route, for requireVendorAccess
+function vendorIdOf(model, label) {
+  return async (req) => {
+    const resource = await model.findByPk(req.params.id);
+    if (!resource) {
+      throw Object.assign(new Error(`${label} not found`), { status: 404 });
+    }
+    return resource.vendorId;
+  };
+}
+
 // Logger setup
 const logger = winston.createLogger({
   level: 'info',
@@ -133,6 +195,23 @@ const logger = winston.createLogger({
 
 app.use(bodyParser.json());
 
+// Venue service client, used for vendor ratings aggregated from venue reviews
+const venueService = axios.create({
+  baseURL: process.env.VENUE_SERVICE_URL || 'http://venue-service:4002',
+  timeout: 5000
+});
+
+// Rating summary across the vendor's venues; null when venue-service cannot be reached
+async function fetchVendorRating(vendorId) {
+  try {
+    const response = await venueService.get(`/vendors/${vendorId}/rating`);
+    return response.data;
+  } catch (err) {
+    logger.error(`Failed to fetch rating for vendor ${vendorId}: ${err.message}`);
+    return null;
+  }
+}
+
 // Sequelize connection
 const sequelize = new Sequelize(
   process.env.POSTGRES_DB || 'banquet_db',
@@ -146,6 +225,30 @@ const sequelize = new Sequelize(
   }
 );
 
+// Notification service client, used for team invitations
+const notificationService = axios.create({
+  baseURL: process.env.NOTIFICATION_SERVICE_URL || 'http://notification-service:4007',
+  timeout: 5000
+});
+
+// Short-lived token identifying vendor-service to other services
+function signServiceToken() {
+  return jwt.sign({ id: 0, role: 'service', service: 'vendor-service' }, JWT_SECRET, { expiresIn: '5m' });
+}
+
+// Send an email through notification-service. Failures are logged, not thrown.
+async function sendEmail(to, subject, message) {
+  try {
+    await notificationService.post('/api/notification/send', { to, subject, message }, {
+      headers: { Authorization: `Bearer ${signServiceToken()}` }
+    });
+    return true;
+  } catch (err) {
+    logger.error(`Failed to send "${subject}" email: ${err.message}`);
+    return false;
+  }
+}
+
 // Vendor model
 const Vendor = sequelize.define('Vendor', {
   name: { type: DataTypes.STRING, allowNull: false },
@@ -165,11 +268,36 @@ const Venue = sequelize.define('Venue', {
 // Additional Service model
 const AdditionalService = sequelize.define('AdditionalService', {
   name: { type: DataTypes.STRING, allowNull: false },
-  price: { type: DataTypes.FLOAT, allowNull: false },
+  price: { type: DataTypes.FLOAT, allowNull: false, validate: { min: 0.01 } },
   vendorId: { type: DataTypes.INTEGER, allowNull: false },
   venueId: { type: DataTypes.INTEGER, allowNull: false }, // Added to match venue-service schema
 });
 
+// Staff of a vendor organization. Invitations are members with status 'invited' and no user
+// until someone accepts them; the owner (the vendor account) has no row.
+const VendorMember = sequelize.define('VendorMember', {
+  vendorId: { type: DataTypes.INTEGER, allowNull: false },
+  userId: { type: DataTypes.INTEGER, allowNull: true },
+  email: { type: DataTypes.STRING, allowNull: false },
+  role: { type: DataTypes.ENUM('manager', 'sales', 'viewer'), allowNull: false },
+  status: { type: DataTypes.ENUM('invited', 'active'), allowNull: false, defaultValue: 'invited' },
+  invitationTokenHash: { type: DataTypes.STRING(64), allowNull: true, unique: true },
+  invitationExpiresAt: { type: DataTypes.DATE, allowNull: true },
+  invitedBy: { type: DataTypes.INTEGER, allowNull: false },
+  acceptedAt: { type: DataTypes.DATE, allowNull: true }
+}, {
+  indexes: [
+    { unique: true, fields: ['vendorId', 'email'] },
+    { fields: ['userId'] }
+  ]
+});
+
+// Member fields safe to return; the invitation token hash stays private
+function serializeMember(member) {
+  const { invitationTokenHash, ...fields } = member.toJSON();
+  return fields;
+}
+
 Vendor.hasMany(Venue, { foreignKey: 'vendorId' });
 Venue.belongsTo(Vendor, { foreignKey: 'vendorId' });
 Vendor.hasMany(AdditionalService, { foreignKey: 'vendorId' });
@@ -179,7 +307,7 @@ AdditionalService.belongsTo(Vendor, { foreignKey: 'vendorId' });
 app.get('/api/vendor/health', (req, res) => res.json({ status: 'ok' }));
 
 // CRUD Vendor Profile
-app.post('/api/vendor/vendors', authenticateJWT, requireVendorOrAdmin, async (req, res) => {
+app.post('/api/vendor/vendors', authenticateJWT, requireVendorOrVendorManager, async (req, res) => {
   try {
     // Only allow vendor to create their own profile
     const vendor = await Vendor.create({ ...req.body, id: req.user.id });
@@ -220,8 +348,8 @@ app.get('/api/vendor/vendors/:id', authenticateJWT, async (req, res) => {
       }]
     });
     
-    // If vendor profile doesn't exist but it's a valid user ID and the authenticated user is that vendor or an admin
-    if (!vendor && (req.user.id === requestedVendorId || req.user.role === 'admin')) {
+    // If vendor profile doesn't exist but it's a valid user ID and the authenticated user is that vendor or a vendor manager
+    if (!vendor && (req.user.id === requestedVendorId || hasPermission(req.user, 'vendors:manage'))) {
       try {
         logger.info(`User ${req.user.id} (${req.user.role}) creating default vendor profile for ID: ${requestedVendorId}`);
         
@@ -250,11 +378,12 @@ app.get('/api/vendor/vendors/:id', authenticateJWT, async (req, res) => {
     }
     
     // Apply different views of the data based on role
-    const isOwner = req.user.id === requestedVendorId;
-    const isAdmin = req.user.role === 'admin';
+    const isMember = Boolean(await findMembership(requestedVendorId, req.user));
+    const isManager = hasPermission(req.user, 'vendors:manage');
+    const rating = await fetchVendorRating(requestedVendorId);
     
-    // If not owner or admin, only return public information
-    if (!isOwner && !isAdmin) {
+    // If not a team member or vendor manager, only return public information
+    if (!isMember && !isManager) {
       // Public view for regular users - omit sensitive information
       const publicVendor = {
         id: vendor.id,
@@ -263,23 +392,23 @@ app.get('/api/vendor/vendors/:id', authenticateJWT, async (req, res) => {
         profileImage: vendor.profileImage,
         businessLocation: vendor.businessLocation,
         businessHours: vendor.businessHours,
-        rating: vendor.rating,
+        rating,
         Venues: vendor.Venues // Already filtered sensitive fields in the query
       };
       
       return res.json(publicVendor);
     }
     
-    // For owner or admin, return full details
+    // For team members or vendor managers, return full details
     logger.info(`User ${req.user.id} (${req.user.role}) accessed vendor profile ${requestedVendorId}`);
-    res.json(vendor);
+    res.json({ ...vendor.toJSON(), rating });
   } catch (err) {
     logger.error(`Error fetching vendor: ${err.message}`);
     return errorResponse(res, 500, 'Failed to retrieve vendor information');
   }
 });
 
-app.put('/api/vendor/vendors/:id', authenticateJWT, requireVendorOrAdmin, requireOwnResourceOrAdmin(Vendor, 'id'), async (req, res) => {
+app.put('/api/vendor/vendors/:id', authenticateJWT, requireVendorAccess('edit_profile', req => req.params.id), async (req, res) => {
   try {
     const [updated] = await Vendor.update(req.body, { where: { id: req.params.id } });
     if (!updated) return res.status(404).json({ error: 'Vendor not found' });
@@ -292,10 +421,7 @@ app.put('/api/vendor/vendors/:id', authenticateJWT, requireVendorOrAdmin, requir
 });
 
 // CRUD Venues for Vendor
-app.post('/api/vendor/vendors/:vendorId/venues', authenticateJWT, requireVendorOrAdmin, async (req, res) => {
-  if (parseInt(req.params.vendorId) !== req.user.id && req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Forbidden: Not your vendor profile' });
-  }
+app.post('/api/vendor/vendors/:vendorId/venues', authenticateJWT, requireVendorAccess('edit_venues', req => req.params.vendorId), async (req, res) => {
   try {
     const venue = await Venue.create({ ...req.body, vendorId: req.params.vendorId });
     res.status(201).json(venue);
@@ -316,14 +442,15 @@ app.get('/api/vendor/vendors/:vendorId/venues', async (req, res) => {
   }
 });
 
-// Get all venues for the currently authenticated vendor - needed by frontend
-app.get('/api/vendor/venues', authenticateJWT, requireVendorOrAdmin, async (req, res) => {
+// Get all venues of the vendors the authenticated user works for - needed by frontend
+app.get('/api/vendor/venues', authenticateJWT, async (req, res) => {
   try {
     let whereClause = {};
     
-    // If vendor, only show their venues
-    if (req.user.role === 'vendor') {
-      whereClause.vendorId = req.user.id;
+    // Vendor managers see every venue, everyone else the venues of their vendor teams
+    if (!hasPermission(req.user, 'vendors:manage')) {
+      const memberships = await listMemberships(req.user);
+      whereClause.vendorId = memberships.map(membership => membership.vendorId);
     }
     
     const venues = await Venue.findAll({ 
@@ -339,9 +466,11 @@ app.get('/api/vendor/venues', authenticateJWT, requireVendorOrAdmin, async (req,
   }
 });
 
-app.put('/api/vendor/venues/:id', authenticateJWT, requireVendorOrAdmin, requireOwnResourceOrAdmin(Venue, 'id'), async (req, res) => {
+app.put('/api/vendor/venues/:id', authenticateJWT, requireVendorAccess('edit_venues', vendorIdOf(Venue, 'Venue')), async (req, res) => {
   try {
-    const [updated] = await Venue.update(req.body, { where: { id: req.params.id } });
+    // A venue stays with its vendor
+    const { vendorId, ...changes } = req.body;
+    const [updated] = await Venue.update(changes, { where: { id: req.params.id } });
     if (!updated) return res.status(404).json({ error: 'Venue not found' });
     const venue = await Venue.findByPk(req.params.id);
     res.json(venue);
@@ -352,10 +481,7 @@ app.put('/api/vendor/venues/:id', authenticateJWT, requireVendorOrAdmin, require
 });
 
 // CRUD Additional Services for Vendor
-app.post('/api/vendor/vendors/:vendorId/services', authenticateJWT, requireVendorOrAdmin, async (req, res) => {
-  if (parseInt(req.params.vendorId) !== req.user.id && req.user.role !== 'admin') {
-    return res.status(403).json({ error: 'Forbidden: Not your vendor profile' });
-  }
+app.post('/api/vendor/vendors/:vendorId/services', authenticateJWT, requireVendorAccess('edit_venues', req => req.params.vendorId), async (req, res) => {
   try {
     // Check if venueId is provided
     if (!req.body.venueId) {
@@ -399,9 +525,10 @@ app.get('/api/vendor/vendors/:vendorId/services', async (req, res) => {
   }
 });
 
-app.put('/api/vendor/services/:id', authenticateJWT, requireVendorOrAdmin, requireOwnResourceOrAdmin(AdditionalService, 'id'), async (req, res) => {
+app.put('/api/vendor/services/:id', authenticateJWT, requireVendorAccess('edit_venues', vendorIdOf(AdditionalService, 'Service')), async (req, res) => {
   try {
-    const [updated] = await AdditionalService.update(req.body, { where: { id: req.params.id } });
+    const { vendorId, venueId, ...changes } = req.body;
+    const [updated] = await AdditionalService.update(changes, { where: { id: req.params.id } });
     if (!updated) return res.status(404).json({ error: 'Service not found' });
     const service = await AdditionalService.findByPk(req.params.id);
     res.json(service);
@@ -411,6 +538,186 @@ app.put('/api/vendor/services/:id', authenticateJWT, requireVendorOrAdmin, requi
   }
 });
 
+// Vendors the user works for: their own vendor account and the teams they have joined.
+// Other services use this to authorize vendor-side actions by team role.
+async function listMemberships(user) {
+  const memberships = [];
+  if (user.role === 'vendor') {
+    memberships.push({ vendorId: Number(user.id), role: 'owner' });
+  }
+  const members = await VendorMember.findAll({ where: { userId: user.id, status: 'active' } });
+  for (const member of members) {
+    memberships.push({ vendorId: member.vendorId, role: member.role });
+  }
+  return Promise.all(memberships.map(async membership => ({
+    ...membership,
+    actions: actionsFor(membership.role),
+    kycStatus: await vendorKycStatus(membership.vendorId)
+  })));
+}
+
+app.get('/api/vendor/memberships', authenticateJWT, async (req, res) => {
+  try {
+    res.json(await listMemberships(req.user));
+  } catch (err) {
+    logger.error(`Error fetching memberships: ${err.message}`);
+    return errorResponse(res, 500, 'Failed to fetch memberships');
+  }
+});
+
+// Team members and pending invitations of a vendor, visible to its members
+app.get('/api/vendor/vendors/:vendorId/members', authenticateJWT, requireVendorAccess('view_bookings', req => req.params.vendorId), async (req, res) => {
+  try {
+    const members = await VendorMember.findAll({
+      where: { vendorId: req.params.vendorId },
+      order: [['createdAt', 'ASC']]
+    });
+    res.json({
+      owner: { userId: Number(req.params.vendorId), role: 'owner' },
+      members: members.map(serializeMember)
+    });
+  } catch (err) {
+    logger.error(`Error fetching members of vendor ${req.params.vendorId}: ${err.message}`);
+    return errorResponse(res, 500, 'Failed to fetch team members');
+  }
+});
+
+// Invite someone to the team by email. Inviting a pending address again sends a new link.
+app.post('/api/vendor/vendors/:vendorId/members', authenticateJWT, requireVendorAccess('manage_team', req => req.params.vendorId), async (req, res) => {
+  try {
+    const vendorId = parseInt(req.params.vendorId, 10);
+    const { email, role } = validateInvitation(req.body);
+    const vendor = await Vendor.findByPk(vendorId);
+    if (!vendor) {
+      return errorResponse(res, 404, 'Vendor not found');
+    }
+    
+    const existing = await VendorMember.findOne({ where: { vendorId, email } });
+    if (existing && existing.status === 'active') {
+      return errorResponse(res, 409, 'This person is already a team member', { memberId: existing.id });
+    }
+    
+    const { token, tokenHash } = generateInvitationToken();
+    const invitation = {
+      vendorId,
+      email,
+      role,
+      status: 'invited',
+      invitationTokenHash: tokenHash,
+      invitationExpiresAt: new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000),
+      invitedBy: req.user.id
+    };
+    const member = existing ? await existing.update(invitation) : await VendorMember.create(invitation);
+    
+    const link = `${APP_BASE_URL}/vendor-invitations/accept?token=${encodeURIComponent(token)}`;
+    const invitationSent = await sendEmail(
+      email,
+      `Join ${vendor.name} on Banquet App`,
+      `You have been invited to join ${vendor.name} as ${role}. Accept the invitation within ${INVITATION_TTL_DAYS} days: ${link}`
+    );
+    
+    logger.info(`User ${req.user.id} invited a ${role} to vendor ${vendorId}`);
+    res.status(existing ? 200 : 201).json({ ...serializeMember(member), invitationSent });
+  } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
+    logger.error(`Error inviting team member: ${err.message}`);
+    return errorResponse(res, 500, 'Failed to invite team member');
+  }
+});
+
+// Accept an invitation as the signed-in user
+app.post('/api/vendor/invitations/accept', authenticateJWT, async (req, res) => {
+  try {
+    if (!req.body.token) {
+      return errorResponse(res, 400, 'token is required');
+    }
+    
+    const member = await VendorMember.findOne({
+      where: { invitationTokenHash: hashInvitationToken(req.body.token), status: 'invited' }
+    });
+    if (!member || member.invitationExpiresAt < new Date()) {
+      return errorResponse(res, 400, 'Invalid or expired invitation');
+    }
+    if (String(member.vendorId) === String(req.user.id)) {
+      return errorResponse(res, 400, 'You already own this vendor');
+    }
+    // Only the invited address can accept, whoever else the link reaches
+    const account = await findAccount(req.user.id);
+    if (!account || account.email.toLowerCase() !== member.email) {
+      return errorResponse(res, 403, 'This invitation was sent to a different email address');
+    }
+    
+    const alreadyMember = await VendorMember.findOne({
+      where: { vendorId: member.vendorId, userId: req.user.id, status: 'active' }
+    });
+    if (alreadyMember) {
+      return errorResponse(res, 409, 'You are already a member of this team', { memberId: alreadyMember.id });
+    }
+    
+    await member.update({
+      userId: req.user.id,
+      status: 'active',
+      invitationTokenHash: null,
+      invitationExpiresAt: null,
+      acceptedAt: new Date()
+    });
+    
+    logger.info(`User ${req.user.id} joined vendor ${member.vendorId} as ${member.role}`);
+    res.json(serializeMember(member));
+  } catch (err) {
+    logger.error(`Error accepting invitation: ${err.message}`);
+    return errorResponse(res, 500, 'Failed to accept invitation');
+  }
+});
+
+// Change a member's team role
+app.put('/api/vendor/vendors/:vendorId/members/:memberId', authenticateJWT, requireVendorAccess('manage_team', req => req.params.vendorId), async (req, res) => {
+  try {
+    const role = validateStaffRole(req.body.role);
+    const member = await VendorMember.findOne({ where: { id: req.params.memberId, vendorId: req.params.vendorId } });
+    if (!member) {
+      return errorResponse(res, 404, 'Team member not found');
+    }
+    
+    await member.update({ role });
+    logger.info(`User ${req.user.id} made member ${member.id} of vendor ${member.vendorId} a ${role}`);
+    res.json(serializeMember(member));
+  } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
+    logger.error(`Error updating team member: ${err.message}`);
+    return errorResponse(res, 500, 'Failed to update team member');
+  }
+});
+
+// Remove a member or cancel an invitation. Members may also leave a team themselves.
+app.delete('/api/vendor/vendors/:vendorId/members/:memberId', authenticateJWT, async (req, res) => {
+  try {
+    const member = await VendorMember.findOne({ where: { id: req.params.memberId, vendorId: req.params.vendorId } });
+    if (!member) {
+      return errorResponse(res, 404, 'Team member not found');
+    }
+    
+    const leaving = member.userId !== null && String(member.userId) === String(req.user.id);
+    if (!leaving && !hasPermission(req.user, 'vendors:manage')) {
+      const membership = await findMembership(member.vendorId, req.user);
+      if (!membership || !canPerform(membership.role, 'manage_team')) {
+        return errorResponse(res, 403, 'You do not have permission to access this resource', { action: 'manage_team' });
+      }
+    }
+    
+    await member.destroy();
+    logger.info(`Member ${member.id} removed from vendor ${member.vendorId} by user ${req.user.id}`);
+    res.json({ message: leaving ? 'You have left the team' : 'Team member removed' });
+  } catch (err) {
+    logger.error(`Error removing team member: ${err.message}`);
+    return errorResponse(res, 500, 'Failed to remove team member');
+  }
+});
+
 // Dashboard endpoint (summary for vendor)
 app.get('/vendors/:vendorId/dashboard', async (req, res) => {
   try {
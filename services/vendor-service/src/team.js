@@ -0,0 +1,78 @@
+// Vendor teams
+// A vendor organization is the vendor account's profile: the account is its owner and its
+// venues carry the owner's ID as vendorId. The owner invites staff by email and gives each a
+// team role; what a member may do for the vendor follows from that role.
+const crypto = require('crypto');
+
+const TEAM_ROLES = ['owner', 'manager', 'sales', 'viewer'];
+// Roles staff can be invited with; every organization has exactly one owner
+const STAFF_ROLES = ['manager', 'sales', 'viewer'];
+
+const ROLE_ACTIONS = {
+  owner: ['manage_team', 'edit_profile', 'edit_venues', 'edit_calendar', 'manage_bookings', 'view_bookings'],
+  manager: ['edit_venues', 'edit_calendar', 'manage_bookings', 'view_bookings'],
+  sales: ['edit_calendar', 'manage_bookings', 'view_bookings'],
+  viewer: ['view_bookings']
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function teamError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+function actionsFor(role) {
+  return ROLE_ACTIONS[role] || [];
+}
+
+function canPerform(role, action) {
+  return actionsFor(role).includes(action);
+}
+
+/**
+ * Validate a staff role.
+ *
+ * @param {string} role
+ * @returns {string}
+ */
+function validateStaffRole(role) {
+  if (!STAFF_ROLES.includes(role)) {
+    throw teamError(`role must be one of: ${STAFF_ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+/**
+ * Validate an invitation.
+ *
+ * @param {Object} body - { email, role }
+ * @returns {Object} { email, role }, with the email lowercased
+ */
+function validateInvitation(body) {
+  const email = typeof body.email === 'string' ? body.email.trim().toLowerCase() : '';
+  if (!EMAIL_PATTERN.test(email)) {
+    throw teamError('A valid email is required');
+  }
+  return { email, role: validateStaffRole(body.role) };
+}
+
+// Invitation tokens are emailed; only their SHA-256 hash is stored
+function generateInvitationToken() {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashInvitationToken(token) };
+}
+
+function hashInvitationToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+module.exports = {
+  TEAM_ROLES,
+  STAFF_ROLES,
+  actionsFor,
+  canPerform,
+  validateStaffRole,
+  validateInvitation,
+  generateInvitationToken,
+  hashInvitationToken
+};
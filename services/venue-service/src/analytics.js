@@ -1,6 +1,7 @@
  const express = require('express');
 const { Venue, Category } = require('./models');
 const winston = require('winston');
+const { hasPermission, requirePermission } = require('./permissions');
 const router = express.Router();
 
 // Logger reference - using the logger from the main app
@@ -20,25 +21,14 @@ function errorResponse(res, status, message, details = null) {
   return res.status(status).json(response);
 }
 
-// Middleware to check if user is admin
-function requireAdmin(req, res, next) {
-  if (!req.user) {
-    return errorResponse(res, 401, 'Authentication required');
-  }
-  
-  if (req.user.role !== 'admin') {
-    logger.warn(`User ${req.user.id} (${req.user.role}) attempted to access analytics`);
-    return errorResponse(res, 403, 'Admin permissions required to access analytics');
-  }
-  
-  next();
-}
+// Platform-wide analytics need reports:read
+const requireReports = requirePermission('reports:read');
 
-// Get total number of venues - requires admin permissions
-router.get('/total-venues', requireAdmin, async (req, res) => {
+// Get total number of venues - requires reports:read
+router.get('/total-venues', requireReports, async (req, res) => {
   try {
     const count = await Venue.count();
-    logger.info(`User ${req.user.id} (admin) retrieved total venues count: ${count}`);
+    logger.info(`User ${req.user.id} retrieved total venues count: ${count}`);
     res.json({ totalVenues: count });
   } catch (err) {
     logger.error('Error retrieving total venues count:', err);
@@ -46,8 +36,8 @@ router.get('/total-venues', requireAdmin, async (req, res) => {
   }
 });
 
-// Get top categories by number of venues - requires admin permissions
-router.get('/top-categories', requireAdmin, async (req, res) => {
+// Get top categories by number of venues - requires reports:read
+router.get('/top-categories', requireReports, async (req, res) => {
   try {
     const categories = await Category.findAll({
       include: [{ model: Venue }]
@@ -58,7 +48,7 @@ router.get('/top-categories', requireAdmin, async (req, res) => {
       venueCount: cat.Venues ? cat.Venues.length : 0
     })).sort((a, b) => b.venueCount - a.venueCount);
     
-    logger.info(`User ${req.user.id} (admin) retrieved top categories`);
+    logger.info(`User ${req.user.id} retrieved top categories`);
     res.json(result);
   } catch (err) {
     logger.error('Error retrieving top categories:', err);
@@ -66,14 +56,14 @@ router.get('/top-categories', requireAdmin, async (req, res) => {
   }
 });
 
-// Stub: Get total bookings - requires admin permissions
-router.get('/total-bookings', requireAdmin, async (req, res) => {
+// Stub: Get total bookings - requires reports:read
+router.get('/total-bookings', requireReports, async (req, res) => {
   try {
     // This should call booking-service or shared DB in real implementation
     // In a real implementation, we would use a message queue or direct API call
     // to fetch this data from the Booking service
     
-    logger.info(`User ${req.user.id} (admin) retrieved total bookings`);
+    logger.info(`User ${req.user.id} retrieved total bookings`);
     res.json({ totalBookings: 0, note: 'Stub endpoint - would fetch from Booking service in production' });
   } catch (err) {
     logger.error('Error retrieving total bookings:', err);
@@ -81,14 +71,14 @@ router.get('/total-bookings', requireAdmin, async (req, res) => {
   }
 });
 
-// Stub: Get total revenue - requires admin permissions
-router.get('/total-revenue', requireAdmin, async (req, res) => {
+// Stub: Get total revenue - requires reports:read
+router.get('/total-revenue', requireReports, async (req, res) => {
   try {
     // This should aggregate from booking-service in real implementation
     // In a real implementation, we would use a message queue or direct API call
     // to fetch this data from the Booking service
     
-    logger.info(`User ${req.user.id} (admin) retrieved total revenue`);
+    logger.info(`User ${req.user.id} retrieved total revenue`);
     res.json({ totalRevenue: 0, note: 'Stub endpoint - would fetch from Booking service in production' });
   } catch (err) {
     logger.error('Error retrieving total revenue:', err);
@@ -103,13 +93,14 @@ router.get('/vendor/venues', async (req, res) => {
     return errorResponse(res, 401, 'Authentication required');
   }
   
-  if (req.user.role !== 'vendor' && req.user.role !== 'admin') {
-    return errorResponse(res, 403, 'Vendor or admin permissions required');
+  const canReadReports = hasPermission(req.user, 'reports:read');
+  if (req.user.role !== 'vendor' && !canReadReports) {
+    return errorResponse(res, 403, 'Vendor or reports:read permission required');
   }
   
   try {
-    // For admin, allow query parameter to specify vendor
-    const vendorId = (req.user.role === 'admin' && req.query.vendorId) ? 
+    // Users with reports:read may name the vendor with a query parameter
+    const vendorId = (canReadReports && req.query.vendorId) ? 
                       req.query.vendorId : req.user.id;
     
     const venues = await Venue.findAll({ 
@@ -0,0 +1,92 @@
+// Tiered cancellation policies and refund quotes
+// A policy is a list of tiers: cancelling at least minDaysBefore days before the event
+// refunds refundPercent of the amount paid. The tier with the highest minDaysBefore that
+// still applies wins; cancellations that match no tier are not refunded.
+
+const MAX_TIERS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Used for venues without a policy: full refund up to 3 days before the event
+const DEFAULT_CANCELLATION_POLICY = {
+  tiers: [
+    { minDaysBefore: 3, refundPercent: 100 },
+    { minDaysBefore: 0, refundPercent: 0 }
+  ]
+};
+
+function policyError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+/**
+ * Validate a cancellation policy and return it with tiers ordered from the earliest cancellation.
+ *
+ * @param {Object} policy - { tiers: [{ minDaysBefore, refundPercent }] }
+ * @returns {Object} Normalised policy
+ */
+function normalizeCancellationPolicy(policy) {
+  if (!policy || !Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+    throw policyError('Cancellation policy must have at least one tier');
+  }
+  if (policy.tiers.length > MAX_TIERS) {
+    throw policyError(`Cancellation policy cannot have more than ${MAX_TIERS} tiers`);
+  }
+
+  const tiers = policy.tiers.map((tier, index) => {
+    const minDaysBefore = Number(tier && tier.minDaysBefore);
+    const refundPercent = Number(tier && tier.refundPercent);
+    if (!Number.isInteger(minDaysBefore) || minDaysBefore < 0) {
+      throw policyError('minDaysBefore must be a whole number of days, 0 or more', { tier: index });
+    }
+    if (!Number.isFinite(refundPercent) || refundPercent < 0 || refundPercent > 100) {
+      throw policyError('refundPercent must be between 0 and 100', { tier: index });
+    }
+    return { minDaysBefore, refundPercent };
+  });
+
+  const days = new Set(tiers.map(tier => tier.minDaysBefore));
+  if (days.size !== tiers.length) {
+    throw policyError('Each tier must have a different minDaysBefore');
+  }
+
+  return { tiers: tiers.sort((a, b) => b.minDaysBefore - a.minDaysBefore) };
+}
+
+// Whole days from asOf until the event date, both YYYY-MM-DD (negative once the event has passed)
+function daysBeforeEvent(eventDate, asOf = new Date().toISOString().slice(0, 10)) {
+  return Math.round((new Date(`${eventDate}T00:00:00Z`) - new Date(`${asOf}T00:00:00Z`)) / DAY_MS);
+}
+
+/**
+ * Refund due when a booking is cancelled on the given day.
+ *
+ * @param {Object|null} policy - Cancellation policy; the default policy is used when empty
+ * @param {Object} booking - Booking with date (YYYY-MM-DD) and amountPaid
+ * @param {string} asOf - Cancellation date (YYYY-MM-DD)
+ * @returns {Object} { daysBeforeEvent, tier, refundPercent, amountPaid, refundAmount, retainedAmount }
+ */
+function quoteRefund(policy, booking, asOf) {
+  const { tiers } = normalizeCancellationPolicy(policy || DEFAULT_CANCELLATION_POLICY);
+  const days = daysBeforeEvent(booking.date, asOf);
+  const tier = tiers.find(candidate => days >= candidate.minDaysBefore) || null;
+  const refundPercent = tier ? tier.refundPercent : 0;
+
+  const amountPaid = Math.round((Number(booking.amountPaid) || 0) * 100) / 100;
+  const refundAmount = Math.round(amountPaid * refundPercent) / 100;
+
+  return {
+    daysBeforeEvent: days,
+    tier,
+    refundPercent,
+    amountPaid,
+    refundAmount,
+    retainedAmount: Math.round((amountPaid - refundAmount) * 100) / 100
+  };
+}
+
+module.exports = {
+  DEFAULT_CANCELLATION_POLICY,
+  normalizeCancellationPolicy,
+  daysBeforeEvent,
+  quoteRefund
+};
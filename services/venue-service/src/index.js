@@ -1,8 +1,15 @@
 require('dotenv').config();
 const express = require('express');
 const bodyParser = require('body-parser');
-const { sequelize, Category, Venue, AdditionalService } = require('./models');
-const winston = require('winston');
+const { Op } = require('sequelize');
+const axios = require('axios');
+const { sequelize, Category, Venue, AdditionalService, VenueReview, geocodeMissingVenues } = require('./models');
+const { parseSearchParams, estimatePrice } = require('./search');
+const { distanceSql } = require('./geo');
+const { validateReviewInput, validateReply, summarizeRatings } = require('./ratings');
+const { canActForVendor, vendorKycApproved } = require('./vendors');
+const { hasPermission, requirePermission } = require('./permissions');
+const logger = require('./logger');
 
 const app = express();
 const PORT = process.env.PORT || 4002;
@@ -41,34 +48,55 @@ function authenticateJWT(req, res, next) {
   }
 }
 
-function requireVendorOrAdmin(req, res, next) {
-  if (req.user.role === 'admin') return next();
+function requireVendorOrVenueManager(req, res, next) {
+  if (hasPermission(req.user, 'venues:manage')) return next();
   if (req.user.role !== 'vendor') return res.status(403).json({ error: 'Forbidden: Vendors only' });
   if (req.user.kycStatus !== 'approved') return res.status(403).json({ error: 'KYC not approved' });
   next();
 }
 
-async function requireOwnVenueOrAdmin(req, res, next) {
-  if (req.user.role === 'admin') return next();
-  const venueId = req.params.id || req.body.id || req.body.venueId;
-  if (!venueId) return res.status(400).json({ error: 'Venue ID required' });
-  const venue = await Venue.findByPk(venueId);
-  if (!venue) return res.status(404).json({ error: 'Venue not found' });
-  if (venue.vendorId !== req.user.id) return res.status(403).json({ error: 'Forbidden: Not your venue' });
-  next();
+// Only users with venues:manage and the venue's vendor team, by team role (see vendor-service team.js)
+function requireVenueAccess(action) {
+  return async (req, res, next) => {
+    try {
+      if (hasPermission(req.user, 'venues:manage')) return next();
+      const venueId = req.params.id || req.body.id || req.body.venueId;
+      if (!venueId) return res.status(400).json({ error: 'Venue ID required' });
+      const venue = await Venue.findByPk(venueId);
+      if (!venue) return res.status(404).json({ error: 'Venue not found' });
+      if (!(await canActForVendor(req, venue.vendorId, action))) {
+        return res.status(403).json({ error: 'Forbidden: Not your venue' });
+      }
+      // The vendor's KYC must be approved, for its staff as much as for the vendor account
+      if (!(await vendorKycApproved(req, venue.vendorId))) {
+        return res.status(403).json({ error: 'KYC not approved' });
+      }
+      req.venue = venue;
+      next();
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.status ? err.message : 'Error verifying venue access' });
+    }
+  };
 }
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [new winston.transports.Console()]
+app.use(bodyParser.json());
+
+// Calendar service client, used for date availability in search
+const calendarService = axios.create({
+  baseURL: process.env.CALENDAR_SERVICE_URL || 'http://calendar-service:4009',
+  timeout: 5000
 });
 
-app.use(bodyParser.json());
+// Booking and media service clients, used to verify reviews
+const bookingService = axios.create({
+  baseURL: process.env.BOOKING_SERVICE_URL || 'http://booking-service:4005',
+  timeout: 5000
+});
+
+const mediaService = axios.create({
+  baseURL: process.env.MEDIA_SERVICE_URL || 'http://media-service:4006',
+  timeout: 5000
+});
 
 // Health check
 app.get('/health', (req, res) => res.json({ status: 'ok' }));
@@ -80,20 +108,11 @@ function errorResponse(res, status, message, details = null) {
   return res.status(status).json(response);
 }
 
-// Middleware to check admin role specifically
-function requireAdmin(req, res, next) {
-  if (req.user.role !== 'admin') {
-    logger.warn(`User ${req.user.id} (${req.user.role}) attempted to access admin-only endpoint`);
-    return errorResponse(res, 403, 'Admin permissions required');
-  }
-  next();
-}
-
-// Category CRUD - restricted to admin only
-app.post('/categories', authenticateJWT, requireAdmin, async (req, res) => {
+// Category CRUD - restricted to venue managers
+app.post('/categories', authenticateJWT, requirePermission('venues:manage'), async (req, res) => {
   try {
     const category = await Category.create(req.body);
-    logger.info(`Admin ${req.user.id} created new category: ${category.name}`);
+    logger.info(`User ${req.user.id} created new category: ${category.name}`);
     res.status(201).json(category);
   } catch (err) {
     logger.error('Error creating category:', err);
@@ -112,8 +131,8 @@ app.get('/categories', async (req, res) => {
   }
 });
 
-// Category edit and delete - admin only
-app.put('/categories/:id', authenticateJWT, requireAdmin, async (req, res) => {
+// Category edit and delete - venue managers only
+app.put('/categories/:id', authenticateJWT, requirePermission('venues:manage'), async (req, res) => {
   try {
     const [updated] = await Category.update(req.body, { where: { id: req.params.id } });
     if (!updated) {
@@ -121,7 +140,7 @@ app.put('/categories/:id', authenticateJWT, requireAdmin, async (req, res) => {
     }
     
     const category = await Category.findByPk(req.params.id);
-    logger.info(`Admin ${req.user.id} updated category ${req.params.id}`);
+    logger.info(`User ${req.user.id} updated category ${req.params.id}`);
     res.json(category);
   } catch (err) {
     logger.error('Error updating category:', err);
@@ -129,7 +148,7 @@ app.put('/categories/:id', authenticateJWT, requireAdmin, async (req, res) => {
   }
 });
 
-app.delete('/categories/:id', authenticateJWT, requireAdmin, async (req, res) => {
+app.delete('/categories/:id', authenticateJWT, requirePermission('venues:manage'), async (req, res) => {
   try {
     // First check if any venues are using this category
     const venuesUsingCategory = await Venue.count({ where: { categoryId: req.params.id } });
@@ -144,7 +163,7 @@ app.delete('/categories/:id', authenticateJWT, requireAdmin, async (req, res) =>
       return errorResponse(res, 404, 'Category not found');
     }
     
-    logger.info(`Admin ${req.user.id} deleted category ${req.params.id}`);
+    logger.info(`User ${req.user.id} deleted category ${req.params.id}`);
     res.json({ message: 'Category deleted successfully' });
   } catch (err) {
     logger.error('Error deleting category:', err);
@@ -153,7 +172,7 @@ app.delete('/categories/:id', authenticateJWT, requireAdmin, async (req, res) =>
 });
 
 // Venue CRUD
-app.post('/venues', authenticateJWT, requireVendorOrAdmin, async (req, res) => {
+app.post('/venues', authenticateJWT, requireVendorOrVenueManager, async (req, res) => {
   try {
     // Enforce vendorId to be the logged-in vendor
     const venue = await Venue.create({ ...req.body, vendorId: req.user.id });
@@ -164,11 +183,13 @@ app.post('/venues', authenticateJWT, requireVendorOrAdmin, async (req, res) => {
   }
 });
 
-// Only vendor who owns the venue or admin can update
-app.put('/venues/:id', authenticateJWT, requireVendorOrAdmin, requireOwnVenueOrAdmin, async (req, res) => {
+// Only the venue's vendor team or a venue manager can update
+app.put('/venues/:id', authenticateJWT, requireVenueAccess('edit_venues'), async (req, res) => {
   try {
-    const [updated] = await Venue.update(req.body, { where: { id: req.params.id, vendorId: req.user.id } });
-    if (!updated) return res.status(404).json({ error: 'Venue not found or not your venue' });
+    // A venue stays with its vendor
+    const { vendorId, ...changes } = req.body;
+    const [updated] = await Venue.update(changes, { where: { id: req.params.id }, individualHooks: true });
+    if (!updated) return res.status(404).json({ error: 'Venue not found' });
     const venue = await Venue.findByPk(req.params.id);
     res.json(venue);
   } catch (err) {
@@ -177,11 +198,11 @@ app.put('/venues/:id', authenticateJWT, requireVendorOrAdmin, requireOwnVenueOrA
   }
 });
 
-// Only vendor who owns the venue or admin can delete
-app.delete('/venues/:id', authenticateJWT, requireVendorOrAdmin, requireOwnVenueOrAdmin, async (req, res) => {
+// Only the venue's vendor team or a venue manager can delete
+app.delete('/venues/:id', authenticateJWT, requireVenueAccess('edit_venues'), async (req, res) => {
   try {
-    const deleted = await Venue.destroy({ where: { id: req.params.id, vendorId: req.user.id } });
-    if (!deleted) return res.status(404).json({ error: 'Venue not found or not your venue' });
+    const deleted = await Venue.destroy({ where: { id: req.params.id } });
+    if (!deleted) return res.status(404).json({ error: 'Venue not found' });
     res.json({ message: 'Venue deleted' });
   } catch (err) {
     logger.error(err);
@@ -190,51 +211,155 @@ app.delete('/venues/:id', authenticateJWT, requireVendorOrAdmin, requireOwnVenue
 });
 
 // Search venues
+// Free-text, capacity, price, guest-count, date and distance filters with sorting, pagination and category facets
+const SEARCH_ATTRIBUTES = ['id', 'name', 'description', 'address', 'capacity', 'imageUrl', 'vendorId', 'categoryId', 'pricingType', 'flatPrice', 'perHeadPrice', 'minGuests', 'latitude', 'longitude', 'createdAt'];
+const SEARCH_DOCUMENT = `to_tsvector('english', concat_ws(' ', "Venue"."name", "Venue"."description", "Venue"."address"))`;
+
+// SQL equivalent of estimatePrice() so price filters and sorting happen in the database
+function estimatedPriceSql(guests) {
+  const billedGuests = `GREATEST(COALESCE("Venue"."minGuests", 1), ${guests || 0})`;
+  return `(CASE WHEN "Venue"."pricingType" = 'flat' THEN "Venue"."flatPrice" ELSE "Venue"."perHeadPrice" * ${billedGuests} END)`;
+}
+
+function venueDistanceSql(point) {
+  return distanceSql('"Venue"."latitude"', '"Venue"."longitude"', point);
+}
+
+function buildSearchOrder(params) {
+  const priceSql = sequelize.literal(estimatedPriceSql(params.guests));
+  switch (params.sort) {
+    case 'distance':
+      return [[sequelize.literal(venueDistanceSql(params.near)), 'ASC'], ['id', 'ASC']];
+    case 'relevance':
+      return [[sequelize.literal(`ts_rank(${SEARCH_DOCUMENT}, plainto_tsquery('english', ${sequelize.escape(params.q)}))`), 'DESC'], ['id', 'ASC']];
+    case 'price_asc':
+      return [[priceSql, 'ASC NULLS LAST'], ['id', 'ASC']];
+    case 'price_desc':
+      return [[priceSql, 'DESC NULLS LAST'], ['id', 'ASC']];
+    case 'capacity_asc':
+      return [['capacity', 'ASC'], ['id', 'ASC']];
+    case 'capacity_desc':
+      return [['capacity', 'DESC'], ['id', 'ASC']];
+    case 'name':
+      return [['name', 'ASC'], ['id', 'ASC']];
+    default:
+      return [['createdAt', 'DESC'], ['id', 'DESC']];
+  }
+}
+
+// Venue IDs that calendar-service reports as blocked or booked on the given date
+async function fetchUnavailableVenueIds(date, authorization) {
+  try {
+    const response = await calendarService.get('/api/calendar/unavailable', {
+      params: { date },
+      headers: { Authorization: authorization }
+    });
+    return response.data.venueIds || [];
+  } catch (err) {
+    logger.error(`Calendar service error while checking availability on ${date}: ${err.message}`);
+    throw Object.assign(new Error('Availability check is temporarily unavailable'), { status: 503 });
+  }
+}
+
 app.get('/search', authenticateJWT, async (req, res) => {
   try {
-    const { category } = req.query;
-    
-    // Only filter by category if it's provided
-    if (category && category.trim()) {
-      try {
-        // First find the category by name
-        const categoryObj = await Category.findOne({
-          where: { name: category.trim() }
-        });
-        
-        if (categoryObj) {
-          // If found, use its ID for filtering venues
-          const venues = await Venue.findAll({
-            where: { categoryId: categoryObj.id },
-            attributes: ['id', 'name', 'description', 'address', 'capacity', 'imageUrl', 'vendorId', 'categoryId', 'pricingType', 'flatPrice', 'perHeadPrice', 'minGuests']
-          });
-          
-          // Return empty array if no venues
-          if (venues.length === 0) {
-            return res.json([]);
-          }
-          
-          // Return just the venues without joins
-          return res.json(venues);
-        } else {
-          // Category not found - return empty array
-          logger.info(`No category found with name: ${category}`);
-          return res.json([]);
-        }
-      } catch (categoryError) {
-        logger.error(`Error finding category: ${categoryError.message}`);
-        return res.json([]);
+    const params = parseSearchParams(req.query);
+    const conditions = [];
+
+    if (params.q) {
+      const tsQuery = `plainto_tsquery('english', ${sequelize.escape(params.q)})`;
+      const namePattern = sequelize.escape(`%${params.q}%`);
+      conditions.push(sequelize.literal(`(${SEARCH_DOCUMENT} @@ ${tsQuery} OR "Venue"."name" ILIKE ${namePattern})`));
+    }
+
+    if (params.minCapacity !== null) conditions.push({ capacity: { [Op.gte]: params.minCapacity } });
+    if (params.maxCapacity !== null) conditions.push({ capacity: { [Op.lte]: params.maxCapacity } });
+
+    if (params.guests !== null) {
+      conditions.push({ capacity: { [Op.gte]: params.guests } });
+      conditions.push({ [Op.or]: [{ minGuests: null }, { minGuests: { [Op.lte]: params.guests } }] });
+    }
+
+    if (params.minPrice !== null) {
+      conditions.push(sequelize.literal(`${estimatedPriceSql(params.guests)} >= ${params.minPrice}`));
+    }
+    if (params.maxPrice !== null) {
+      conditions.push(sequelize.literal(`${estimatedPriceSql(params.guests)} <= ${params.maxPrice}`));
+    }
+
+    if (params.near) {
+      conditions.push({ latitude: { [Op.ne]: null } }, { longitude: { [Op.ne]: null } });
+      conditions.push(sequelize.literal(`${venueDistanceSql(params.near)} <= ${params.near.radiusKm}`));
+    }
+
+    if (params.date) {
+      const unavailableIds = await fetchUnavailableVenueIds(params.date, req.headers.authorization);
+      if (unavailableIds.length > 0) {
+        conditions.push({ id: { [Op.notIn]: unavailableIds } });
       }
-    } else {
-      // No category filter - just return all venues
-      const venues = await Venue.findAll({
-        attributes: ['id', 'name', 'description', 'address', 'capacity', 'imageUrl', 'vendorId', 'categoryId', 'pricingType', 'flatPrice', 'perHeadPrice', 'minGuests']
-      });
-      return res.json(venues);
     }
+
+    // Facets are counted before the category filter so clients can show every option
+    const facetRows = await Venue.findAll({
+      where: { [Op.and]: conditions },
+      attributes: ['categoryId', [sequelize.fn('COUNT', sequelize.col('Venue.id')), 'count']],
+      group: ['categoryId'],
+      raw: true
+    });
+    const facetCategories = await Category.findAll({
+      where: { id: facetRows.map(row => row.categoryId) },
+      attributes: ['id', 'name']
+    });
+    const categoryNames = new Map(facetCategories.map(c => [c.id, c.name]));
+    const categoryFacets = facetRows
+      .map(row => ({ id: row.categoryId, name: categoryNames.get(row.categoryId) || null, count: parseInt(row.count, 10) }))
+      .sort((a, b) => b.count - a.count || a.id - b.id);
+
+    if (params.categoryId) {
+      conditions.push({ categoryId: params.categoryId });
+    }
+    if (params.category) {
+      const categoryObj = await Category.findOne({ where: { name: params.category } });
+      if (!categoryObj) {
+        logger.info(`No category found with name: ${params.category}`);
+      }
+      // An unknown category name matches nothing rather than being ignored
+      conditions.push({ categoryId: categoryObj ? categoryObj.id : null });
+    }
+
+    const { count, rows } = await Venue.findAndCountAll({
+      where: { [Op.and]: conditions },
+      attributes: params.near
+        ? [...SEARCH_ATTRIBUTES, [sequelize.literal(venueDistanceSql(params.near)), 'distanceKm']]
+        : SEARCH_ATTRIBUTES,
+      include: [{ model: Category, attributes: ['id', 'name'] }],
+      order: buildSearchOrder(params),
+      limit: params.limit,
+      offset: params.offset
+    });
+
+    res.json({
+      venues: rows.map(venue => {
+        const result = { ...venue.toJSON(), estimatedPrice: estimatePrice(venue, params.guests) };
+        if (params.near) result.distanceKm = Math.round(Number(result.distanceKm) * 100) / 100;
+        return result;
+      }),
+      pagination: {
+        page: params.page,
+        limit: params.limit,
+        total: count,
+        totalPages: Math.ceil(count / params.limit)
+      },
+      facets: {
+        categories: categoryFacets
+      }
+    });
   } catch (error) {
+    if (error.status) {
+      return errorResponse(res, error.status, error.message, error.details);
+    }
     logger.error(`Search endpoint error: ${error.message}`);
-    return res.status(500).json({ error: error.message });
+    return errorResponse(res, 500, 'Failed to search venues');
   }
 });
 
@@ -262,23 +387,283 @@ app.get('/venues/:id', async (req, res) => {
   try {
     const venue = await Venue.findByPk(req.params.id, { include: [Category, AdditionalService] });
     if (!venue) return res.status(404).json({ error: 'Venue not found' });
-    res.json(venue);
+    const rating = await getRatingSummary({ venueId: venue.id });
+    res.json({ ...venue.toJSON(), rating });
   } catch (err) {
     logger.error(err);
     res.status(500).json({ error: err.message });
   }
 });
 
-// Additional Services CRUD
-app.post('/venues/:venueId/additional-services', async (req, res) => {
+// --- Reviews ---
+
+// Average and per-star counts of published reviews
+async function getRatingSummary(where) {
+  const rows = await VenueReview.findAll({
+    where: { ...where, status: 'published' },
+    attributes: ['rating', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['rating'],
+    raw: true
+  });
+  return summarizeRatings(rows);
+}
+
+// Load the booking being reviewed, using the reviewer's own credentials
+async function fetchBooking(bookingId, authorization) {
   try {
-    const venue = await Venue.findByPk(req.params.venueId);
-    if (!venue) return res.status(404).json({ error: 'Venue not found' });
-    const service = await AdditionalService.create({ ...req.body, venueId: req.params.venueId });
-    res.status(201).json(service);
+    const response = await bookingService.get(`/api/booking/bookings/${bookingId}`, {
+      headers: { Authorization: authorization }
+    });
+    return response.data;
   } catch (err) {
-    logger.error(err);
-    res.status(400).json({ error: err.message });
+    if (err.response && err.response.status === 404) {
+      throw Object.assign(new Error('Booking not found'), { status: 404 });
+    }
+    if (err.response && err.response.status === 403) {
+      throw Object.assign(new Error('You can only review your own bookings'), { status: 403 });
+    }
+    logger.error(`Booking service error while verifying booking ${bookingId}: ${err.message}`);
+    throw Object.assign(new Error('Booking verification is temporarily unavailable'), { status: 503 });
+  }
+}
+
+// Check that each photo was uploaded to media-service by the reviewer as review media
+async function resolveReviewPhotos(photoIds, userId, authorization) {
+  const photos = [];
+  for (const mediaId of photoIds) {
+    let media;
+    try {
+      const response = await mediaService.get(`/api/media/${mediaId}`, {
+        headers: { Authorization: authorization }
+      });
+      media = response.data.media;
+    } catch (err) {
+      if (err.response && [403, 404].includes(err.response.status)) {
+        throw Object.assign(new Error('Invalid review photo'), { status: 400, details: { mediaId } });
+      }
+      logger.error(`Media service error while checking photo ${mediaId}: ${err.message}`);
+      throw Object.assign(new Error('Photo verification is temporarily unavailable'), { status: 503 });
+    }
+    
+    if (media.referenceType !== 'review' || String(media.created_by) !== String(userId)) {
+      throw Object.assign(new Error('Invalid review photo'), { status: 400, details: { mediaId } });
+    }
+    photos.push({ id: media.id, mediaType: media.mediaType, url: `/api/media/files/${media.filename}` });
+  }
+  return photos;
+}
+
+// Leave a review for a completed booking - one review per booking
+app.post('/venues/:id/reviews', authenticateJWT, async (req, res) => {
+  try {
+    if (req.user.role !== 'user') {
+      return errorResponse(res, 403, 'Only customers can review venues');
+    }
+    
+    const venue = await Venue.findByPk(req.params.id);
+    if (!venue) {
+      return errorResponse(res, 404, 'Venue not found');
+    }
+    
+    const { bookingId } = req.body;
+    if (!bookingId) {
+      return errorResponse(res, 400, 'bookingId is required');
+    }
+    const input = validateReviewInput(req.body);
+    
+    const existing = await VenueReview.findOne({ where: { bookingId } });
+    if (existing) {
+      return errorResponse(res, 409, 'This booking has already been reviewed', { reviewId: existing.id });
+    }
+    
+    const booking = await fetchBooking(bookingId, req.headers.authorization);
+    if (booking.userId.toString() !== req.user.id.toString()) {
+      return errorResponse(res, 403, 'You can only review your own bookings');
+    }
+    if (booking.venueId.toString() !== venue.id.toString()) {
+      return errorResponse(res, 400, 'Booking is not for this venue');
+    }
+    if (booking.status !== 'completed') {
+      return errorResponse(res, 400, 'Only completed bookings can be reviewed');
+    }
+    
+    const photos = await resolveReviewPhotos(input.photoIds, req.user.id, req.headers.authorization);
+    
+    const review = await VenueReview.create({
+      venueId: venue.id,
+      bookingId: booking.id,
+      userId: req.user.id,
+      rating: input.rating,
+      comment: input.comment,
+      photos
+    });
+    
+    logger.info(`User ${req.user.id} reviewed venue ${venue.id} for booking ${booking.id}`);
+    res.status(201).json(review);
+  } catch (err) {
+    if (err.name === 'SequelizeUniqueConstraintError') {
+      return errorResponse(res, 409, 'This booking has already been reviewed');
+    }
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
+    logger.error('Error creating venue review:', err);
+    return errorResponse(res, 500, 'Failed to create review');
+  }
+});
+
+// Published reviews of a venue with its rating summary
+app.get('/venues/:id/reviews', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 100);
+    const orders = {
+      newest: [['createdAt', 'DESC']],
+      highest: [['rating', 'DESC'], ['createdAt', 'DESC']],
+      lowest: [['rating', 'ASC'], ['createdAt', 'DESC']]
+    };
+    const order = orders[req.query.sort || 'newest'];
+    if (!order) {
+      return errorResponse(res, 400, 'Invalid sort option', { allowed: Object.keys(orders) });
+    }
+    
+    const venue = await Venue.findByPk(req.params.id, { attributes: ['id'] });
+    if (!venue) {
+      return errorResponse(res, 404, 'Venue not found');
+    }
+    
+    const { count, rows } = await VenueReview.findAndCountAll({
+      where: { venueId: venue.id, status: 'published' },
+      attributes: { exclude: ['moderationReason', 'moderatedBy', 'moderatedAt'] },
+      order,
+      limit,
+      offset: (page - 1) * limit
+    });
+    
+    res.json({
+      reviews: rows,
+      summary: await getRatingSummary({ venueId: venue.id }),
+      pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) }
+    });
+  } catch (err) {
+    logger.error('Error fetching venue reviews:', err);
+    return errorResponse(res, 500, 'Failed to fetch reviews');
+  }
+});
+
+// Vendor reply to a review of one of their venues
+app.put('/reviews/:id/reply', authenticateJWT, async (req, res) => {
+  try {
+    const review = await VenueReview.findByPk(req.params.id, { include: [{ model: Venue, attributes: ['id', 'vendorId'] }] });
+    if (!review) {
+      return errorResponse(res, 404, 'Review not found');
+    }
+    if (req.user.role !== 'vendor' || !review.Venue || review.Venue.vendorId.toString() !== req.user.id.toString()) {
+      return errorResponse(res, 403, 'Only the venue vendor can reply to this review');
+    }
+    
+    const reply = validateReply(req.body);
+    await review.update({ vendorReply: reply, vendorReplyAt: new Date() });
+    
+    logger.info(`Vendor ${req.user.id} replied to review ${review.id}`);
+    res.json(review);
+  } catch (err) {
+    if (err.status) {
+      return errorResponse(res, err.status, err.message, err.details);
+    }
+    logger.error('Error replying to review:', err);
+    return errorResponse(res, 500, 'Failed to reply to review');
+  }
+});
+
+// Combined rating across all of a vendor's venues - used by vendor-service
+app.get('/vendors/:vendorId/rating', async (req, res) => {
+  try {
+    const venues = await Venue.findAll({ where: { vendorId: req.params.vendorId }, attributes: ['id'] });
+    if (venues.length === 0) {
+      return res.json(summarizeRatings([]));
+    }
+    res.json(await getRatingSummary({ venueId: venues.map(venue => venue.id) }));
+  } catch (err) {
+    logger.error('Error fetching vendor rating:', err);
+    return errorResponse(res, 500, 'Failed to fetch vendor rating');
+  }
+});
+
+// Review moderation - needs reviews:moderate
+app.get('/admin/reviews', authenticateJWT, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const where = {};
+    if (req.query.status) {
+      if (!['published', 'hidden'].includes(req.query.status)) {
+        return errorResponse(res, 400, 'status must be published or hidden');
+      }
+      where.status = req.query.status;
+    }
+    if (req.query.venueId) where.venueId = req.query.venueId;
+    if (req.query.maxRating) where.rating = { [Op.lte]: parseInt(req.query.maxRating, 10) || 5 };
+    
+    const { count, rows } = await VenueReview.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+    
+    res.json({
+      reviews: rows,
+      pagination: { page, limit, total: count, totalPages: Math.ceil(count / limit) }
+    });
+  } catch (err) {
+    logger.error('Error listing reviews for moderation:', err);
+    return errorResponse(res, 500, 'Failed to fetch reviews');
+  }
+});
+
+app.put('/admin/reviews/:id/moderation', authenticateJWT, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+    if (!['published', 'hidden'].includes(status)) {
+      return errorResponse(res, 400, 'status must be published or hidden');
+    }
+    if (status === 'hidden' && !reason) {
+      return errorResponse(res, 400, 'A reason is required when hiding a review');
+    }
+    
+    const review = await VenueReview.findByPk(req.params.id);
+    if (!review) {
+      return errorResponse(res, 404, 'Review not found');
+    }
+    
+    await review.update({
+      status,
+      moderationReason: status === 'hidden' ? reason : null,
+      moderatedBy: req.user.id,
+      moderatedAt: new Date()
+    });
+    
+    logger.info(`User ${req.user.id} set review ${review.id} to ${status}`);
+    res.json(review);
+  } catch (err) {
+    logger.error('Error moderating review:', err);
+    return errorResponse(res, 500, 'Failed to moderate review');
+  }
+});
+
+app.delete('/admin/reviews/:id', authenticateJWT, requirePermission('reviews:moderate'), async (req, res) => {
+  try {
+    const deleted = await VenueReview.destroy({ where: { id: req.params.id } });
+    if (!deleted) {
+      return errorResponse(res, 404, 'Review not found');
+    }
+    
+    logger.info(`User ${req.user.id} deleted review ${req.params.id}`);
+    res.json({ message: 'Review deleted' });
+  } catch (err) {
+    logger.error('Error deleting review:', err);
+    return errorResponse(res, 500, 'Failed to delete review');
   }
 });
 
@@ -318,10 +703,15 @@ app.post('/venues/:venueId/additional-services', authenticateJWT, async (req, re
       return errorResponse(res, 404, 'Venue not found');
     }
     
-    // Check if user is admin or venue owner
-    if (req.user.role !== 'admin' && venue.vendorId.toString() !== req.user.id.toString()) {
-      logger.warn(`User ${req.user.id} (${req.user.role}) attempted to add service to venue ${venueId} they don't own`);
-      return errorResponse(res, 403, 'You do not have permission to add services to this venue');
+    // Check if user is a venue manager or on the venue's vendor team
+    if (!hasPermission(req.user, 'venues:manage')) {
+      if (!(await canActForVendor(req, venue.vendorId, 'edit_venues'))) {
+        logger.warn(`User ${req.user.id} (${req.user.role}) attempted to add service to venue ${venueId} they don't own`);
+        return errorResponse(res, 403, 'You do not have permission to add services to this venue');
+      }
+      if (!(await vendorKycApproved(req, venue.vendorId))) {
+        return errorResponse(res, 403, 'KYC not approved');
+      }
     }
     
     // Create the service
@@ -333,6 +723,9 @@ app.post('/venues/:venueId/additional-services', authenticateJWT, async (req, re
     logger.info(`User ${req.user.id} (${req.user.role}) added service to venue ${venueId}`);
     res.status(201).json(service);
   } catch (err) {
+    if (err.name === 'SequelizeValidationError') {
+      return errorResponse(res, 400, 'Invalid additional service', err.errors.map(e => e.message));
+    }
     logger.error('Error creating venue additional service:', err);
     return errorResponse(res, 500, 'Failed to create venue additional service');
   }
@@ -358,6 +751,7 @@ sequelize.sync({ alter: true }).then(() => {
   app.listen(PORT, () => {
     logger.info(`Venue Service running on port ${PORT}`);
   });
+  geocodeMissingVenues().catch(err => logger.error(`Venue geocoding backfill failed: ${err.message}`));
 }).catch(err => {
   logger.error('Failed to sync DB:', err);
   process.exit(1);
@@ -1,5 +1,8 @@
 const { Sequelize, DataTypes } = require('sequelize');
 const sequelize = require('./sequelize');
+const { geocodeAddress } = require('./geo');
+const logger = require('./logger');
+const { normalizeCancellationPolicy } = require('./cancellation');
 
 const Category = sequelize.define('Category', {
   name: { type: DataTypes.STRING, allowNull: false, unique: true },
@@ -17,18 +20,105 @@ const Venue = sequelize.define('Venue', {
   pricingType: { type: DataTypes.ENUM('flat', 'per_head'), allowNull: false },
   flatPrice: { type: DataTypes.FLOAT },
   perHeadPrice: { type: DataTypes.FLOAT },
-  minGuests: { type: DataTypes.INTEGER }
+  minGuests: { type: DataTypes.INTEGER },
+  latitude: { type: DataTypes.DOUBLE, validate: { min: -90, max: 90 } },
+  longitude: { type: DataTypes.DOUBLE, validate: { min: -180, max: 180 } },
+  // Deposit rule: a percentage of the total or a fixed amount, due depositDueDays after
+  // confirmation, with the balance due balanceDueDays before the event
+  depositType: { type: DataTypes.ENUM('percentage', 'fixed') },
+  depositValue: { type: DataTypes.FLOAT, validate: { min: 0 } },
+  depositDueDays: { type: DataTypes.INTEGER, defaultValue: 7, validate: { min: 0 } },
+  balanceDueDays: { type: DataTypes.INTEGER, defaultValue: 14, validate: { min: 0 } },
+  // Refund tiers: { tiers: [{ minDaysBefore, refundPercent }] }; null uses the default policy
+  cancellationPolicy: {
+    type: DataTypes.JSONB,
+    validate: {
+      isValidPolicy(value) {
+        if (value !== null) normalizeCancellationPolicy(value);
+      }
+    }
+  }
+}, {
+  validate: {
+    depositRule() {
+      if (this.depositType === 'percentage' && this.depositValue > 100) {
+        throw new Error('Deposit percentage cannot exceed 100');
+      }
+    }
+  }
 });
 
+// Geocode the address when it changes, unless coordinates were supplied explicitly
+async function geocodeVenue(venue) {
+  const addressChanged = venue.get('address') !== venue.previous('address');
+  const coordinatesGiven = venue.get('latitude') !== venue.previous('latitude') ||
+    venue.get('longitude') !== venue.previous('longitude');
+  if (!addressChanged || coordinatesGiven) return;
+
+  try {
+    const location = await geocodeAddress(venue.get('address'));
+    venue.set('latitude', location ? location.latitude : null);
+    venue.set('longitude', location ? location.longitude : null);
+  } catch (err) {
+    // A geocoding outage must not block saving the venue; it just won't show up in distance searches
+    logger.error(`Geocoding failed for venue address "${venue.get('address')}": ${err.message}`);
+    venue.set('latitude', null);
+    venue.set('longitude', null);
+  }
+}
+
+Venue.addHook('beforeCreate', geocodeVenue);
+Venue.addHook('beforeUpdate', geocodeVenue);
+
+// Geocode venues saved before coordinates were added, or while the geocoder was down. Venues
+// the geocoder cannot place are tried again at the next start.
+async function geocodeMissingVenues() {
+  const venues = await Venue.findAll({ where: { latitude: null }, attributes: ['id', 'address'] });
+  let located = 0;
+  for (const venue of venues) {
+    try {
+      const location = await geocodeAddress(venue.address);
+      if (!location) continue;
+      await venue.update(location, { hooks: false });
+      located++;
+    } catch (err) {
+      logger.error(`Geocoding failed for venue ${venue.id}: ${err.message}`);
+    }
+  }
+  if (venues.length > 0) {
+    logger.info(`Geocoded ${located} of ${venues.length} venues without coordinates`);
+  }
+}
+
 const AdditionalService = sequelize.define('AdditionalService', {
   name: { type: DataTypes.STRING, allowNull: false },
-  price: { type: DataTypes.FLOAT, allowNull: false },
+  price: { type: DataTypes.FLOAT, allowNull: false, validate: { min: 0.01 } },
   venueId: { type: DataTypes.INTEGER, allowNull: false }
 });
 
+// One review per completed booking
+const VenueReview = sequelize.define('VenueReview', {
+  venueId: { type: DataTypes.INTEGER, allowNull: false },
+  bookingId: { type: DataTypes.INTEGER, allowNull: false, unique: true },
+  userId: { type: DataTypes.INTEGER, allowNull: false },
+  rating: { type: DataTypes.INTEGER, allowNull: false, validate: { min: 1, max: 5 } },
+  comment: { type: DataTypes.TEXT },
+  photos: { type: DataTypes.JSONB, defaultValue: [] },
+  vendorReply: { type: DataTypes.TEXT },
+  vendorReplyAt: { type: DataTypes.DATE },
+  status: { type: DataTypes.ENUM('published', 'hidden'), defaultValue: 'published' },
+  moderationReason: { type: DataTypes.STRING },
+  moderatedBy: { type: DataTypes.INTEGER },
+  moderatedAt: { type: DataTypes.DATE }
+}, {
+  indexes: [{ fields: ['venueId', 'status'] }]
+});
+
 Category.hasMany(Venue, { foreignKey: 'categoryId' });
 Venue.belongsTo(Category, { foreignKey: 'categoryId' });
 Venue.hasMany(AdditionalService, { foreignKey: 'venueId' });
 AdditionalService.belongsTo(Venue, { foreignKey: 'venueId' });
+Venue.hasMany(VenueReview, { foreignKey: 'venueId' });
+VenueReview.belongsTo(Venue, { foreignKey: 'venueId' });
 
-module.exports = { sequelize, Category, Venue, AdditionalService };
+module.exports = { sequelize, Category, Venue, AdditionalService, VenueReview, geocodeMissingVenues };
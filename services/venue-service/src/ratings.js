@@ -0,0 +1,81 @@
+// Review input validation and rating aggregates
+
+const MAX_COMMENT_LENGTH = 5000;
+const MAX_REPLY_LENGTH = 2000;
+const MAX_PHOTOS = 10;
+
+function reviewError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+/**
+ * Validate the body of a new review.
+ *
+ * @param {Object} body - Request body with rating, comment and optional photoIds
+ * @returns {Object} { rating, comment, photoIds }
+ */
+function validateReviewInput(body = {}) {
+  const rating = Number(body.rating);
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    throw reviewError('rating must be a whole number from 1 to 5');
+  }
+
+  const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+  if (comment.length > MAX_COMMENT_LENGTH) {
+    throw reviewError(`comment cannot be longer than ${MAX_COMMENT_LENGTH} characters`);
+  }
+
+  const photoIds = body.photoIds === undefined || body.photoIds === null ? [] : body.photoIds;
+  if (!Array.isArray(photoIds) || photoIds.some(id => !Number.isInteger(Number(id)) || Number(id) <= 0)) {
+    throw reviewError('photoIds must be an array of media IDs');
+  }
+  if (photoIds.length > MAX_PHOTOS) {
+    throw reviewError(`A review can have at most ${MAX_PHOTOS} photos`);
+  }
+
+  return { rating, comment: comment || null, photoIds: [...new Set(photoIds.map(Number))] };
+}
+
+function validateReply(body = {}) {
+  const reply = typeof body.reply === 'string' ? body.reply.trim() : '';
+  if (!reply) {
+    throw reviewError('reply is required');
+  }
+  if (reply.length > MAX_REPLY_LENGTH) {
+    throw reviewError(`reply cannot be longer than ${MAX_REPLY_LENGTH} characters`);
+  }
+  return reply;
+}
+
+/**
+ * Build a rating summary from per-star counts.
+ *
+ * @param {Array} rows - [{ rating, count }] as returned by a GROUP BY rating query
+ * @returns {Object} { average, count, distribution: { 1..5: count } }
+ */
+function summarizeRatings(rows = []) {
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  let count = 0;
+  let total = 0;
+
+  rows.forEach(row => {
+    const rating = parseInt(row.rating, 10);
+    const rowCount = parseInt(row.count, 10);
+    if (!distribution.hasOwnProperty(rating) || !rowCount) return;
+    distribution[rating] += rowCount;
+    count += rowCount;
+    total += rating * rowCount;
+  });
+
+  return {
+    average: count > 0 ? Math.round((total / count) * 10) / 10 : null,
+    count,
+    distribution
+  };
+}
+
+module.exports = {
+  validateReviewInput,
+  validateReply,
+  summarizeRatings
+};
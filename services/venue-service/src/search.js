@@ -0,0 +1,124 @@
+// Venue search query parsing
+// Turns the raw query string of GET /search into validated filters, sorting and pagination.
+
+const { parseNearParams } = require('./geo');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const SORT_OPTIONS = ['relevance', 'price_asc', 'price_desc', 'capacity_asc', 'capacity_desc', 'newest', 'name', 'distance'];
+
+function searchError(message, details = null) {
+  return Object.assign(new Error(message), { status: 400, details });
+}
+
+function parseInteger(query, name, min = 0) {
+  if (query[name] === undefined || query[name] === '') return null;
+  const value = Number(query[name]);
+  if (!Number.isInteger(value) || value < min) {
+    throw searchError(`${name} must be an integer greater than or equal to ${min}`);
+  }
+  return value;
+}
+
+function parseAmount(query, name) {
+  if (query[name] === undefined || query[name] === '') return null;
+  const value = Number(query[name]);
+  if (!Number.isFinite(value) || value < 0) {
+    throw searchError(`${name} must be a non-negative number`);
+  }
+  return value;
+}
+
+function parseDate(value) {
+  if (value === undefined || value === '') return null;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(new Date(`${value}T00:00:00Z`).getTime())) {
+    throw searchError('date must be in YYYY-MM-DD format');
+  }
+  return value;
+}
+
+function checkRange(min, max, minName, maxName) {
+  if (min !== null && max !== null && min > max) {
+    throw searchError(`${minName} cannot be greater than ${maxName}`);
+  }
+}
+
+/**
+ * Parse and validate venue search query parameters.
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} Normalised filters, sort and pagination
+ */
+function parseSearchParams(query = {}) {
+  const q = typeof query.q === 'string' && query.q.trim() ? query.q.trim() : null;
+  const category = typeof query.category === 'string' && query.category.trim() ? query.category.trim() : null;
+  const categoryId = parseInteger(query, 'categoryId', 1);
+
+  const minCapacity = parseInteger(query, 'minCapacity');
+  const maxCapacity = parseInteger(query, 'maxCapacity');
+  checkRange(minCapacity, maxCapacity, 'minCapacity', 'maxCapacity');
+
+  const minPrice = parseAmount(query, 'minPrice');
+  const maxPrice = parseAmount(query, 'maxPrice');
+  checkRange(minPrice, maxPrice, 'minPrice', 'maxPrice');
+
+  const guests = parseInteger(query, 'guests', 1);
+  const date = parseDate(query.date);
+  const near = parseNearParams(query);
+
+  const sort = query.sort || (near ? 'distance' : q ? 'relevance' : 'newest');
+  if (!SORT_OPTIONS.includes(sort)) {
+    throw searchError('Invalid sort option', { allowed: SORT_OPTIONS });
+  }
+  if (sort === 'relevance' && !q) {
+    throw searchError('Sorting by relevance requires a search query (q)');
+  }
+  if (sort === 'distance' && !near) {
+    throw searchError('Sorting by distance requires near=lat,lng');
+  }
+
+  const page = parseInteger(query, 'page', 1) || 1;
+  const limit = Math.min(parseInteger(query, 'limit', 1) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  return {
+    q,
+    category,
+    categoryId,
+    minCapacity,
+    maxCapacity,
+    minPrice,
+    maxPrice,
+    guests,
+    date,
+    near,
+    sort,
+    page,
+    limit,
+    offset: (page - 1) * limit
+  };
+}
+
+/**
+ * Estimate what a venue costs for the given guest count, matching booking-service pricing:
+ * flat venues cost their flat price, per-head venues are charged for at least minGuests.
+ *
+ * @param {Object} venue - Venue with pricingType, flatPrice, perHeadPrice and minGuests
+ * @param {number|null} guests - Expected guest count, if known
+ * @returns {number|null} Estimated price, or null when the venue has no price set
+ */
+function estimatePrice(venue, guests = null) {
+  if (venue.pricingType === 'flat') {
+    return venue.flatPrice === null || venue.flatPrice === undefined ? null : Number(venue.flatPrice);
+  }
+  if (venue.perHeadPrice === null || venue.perHeadPrice === undefined) return null;
+  const billedGuests = Math.max(venue.minGuests || 1, guests || 0);
+  return Math.round(Number(venue.perHeadPrice) * billedGuests * 100) / 100;
+}
+
+module.exports = {
+  parseSearchParams,
+  estimatePrice,
+  SORT_OPTIONS,
+  MAX_PAGE_SIZE
+};
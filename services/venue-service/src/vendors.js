@@ -0,0 +1,79 @@
+// Vendor service client: vendor team membership, for vendor-side actions on venues and bookings.
+// A vendor account acts for its own venues; its staff act according to their team role.
+const axios = require('axios');
+const logger = require('./logger');
+
+const vendorService = axios.create({
+  baseURL: process.env.VENDOR_SERVICE_URL || 'http://vendor-service:4003',
+  timeout: 5000
+});
+
+/**
+ * Vendors the user works for, with the actions their team role allows.
+ *
+ * @param {string} authorization - The user's Authorization header
+ * @returns {Promise<Object[]>} [{ vendorId, role, actions }]
+ */
+async function fetchVendorMemberships(authorization) {
+  try {
+    const response = await vendorService.get('/api/vendor/memberships', {
+      headers: { Authorization: authorization }
+    });
+    return response.data;
+  } catch (err) {
+    logger.error(`Vendor service error while fetching memberships: ${err.message}`);
+    throw Object.assign(new Error('Vendor service unavailable'), { status: 503 });
+  }
+}
+
+// Memberships of the request's user, fetched at most once per request
+async function membershipsOf(req) {
+  if (!req.vendorMemberships) {
+    req.vendorMemberships = await fetchVendorMemberships(req.headers.authorization);
+  }
+  return req.vendorMemberships;
+}
+
+/**
+ * Whether the user may take a vendor-side action (e.g. 'manage_bookings') for a vendor.
+ *
+ * @param {Object} req - Request with the authenticated user
+ * @param {number|string} vendorId - Vendor (owner user) ID
+ * @param {string} action - Action from vendor-service's team roles
+ * @returns {Promise<boolean>}
+ */
+async function canActForVendor(req, vendorId, action) {
+  if (!vendorId) return false;
+  if (req.user.role === 'vendor' && String(req.user.id) === String(vendorId)) return true;
+  if (!req.headers.authorization) return false;
+
+  const memberships = await membershipsOf(req);
+  return memberships.some(membership =>
+    String(membership.vendorId) === String(vendorId) && membership.actions.includes(action));
+}
+
+/**
+ * Whether the vendor's KYC is approved. Staff act under their vendor's KYC, which vendor-service
+ * reports with each membership. The vendor account's own status is in its token; requests
+ * forwarded by the gateway do not carry it, so it is read from the memberships too.
+ *
+ * @param {Object} req - Request with the authenticated user, after canActForVendor allowed it
+ * @param {number|string} vendorId - Vendor (owner user) ID
+ * @returns {Promise<boolean>}
+ */
+async function vendorKycApproved(req, vendorId) {
+  if (String(req.user.id) === String(vendorId) && req.user.kycStatus) {
+    return req.user.kycStatus === 'approved';
+  }
+  if (!req.headers.authorization) return false;
+
+  const memberships = await membershipsOf(req);
+  const membership = memberships.find(m => String(m.vendorId) === String(vendorId));
+  return Boolean(membership && membership.kycStatus === 'approved');
+}
+
+module.exports = {
+  fetchVendorMemberships,
+  canActForVendor,
+  vendorKycApproved
+};
@@ -0,0 +1,393 @@
+/**
+ * Unit tests for the Authentication Service modules under services/auth-service/src.
+ * They require the modules directly, without the service's runtime dependencies.
+ */
+
+describe('Auth Service - Sessions and Refresh Tokens', () => {
+  const { hashToken, isSessionActive, rotateRefreshToken } = require('../../services/auth-service/src/sessions');
+
+  // One stored refresh token; update() matches like the conditional UPDATE in Postgres
+  function fakeStore() {
+    const row = { id: 7, sessionId: 3, usedAt: null };
+    const RefreshToken = {
+      update: jest.fn(async (values, { where }) => {
+        if (where.id !== row.id || row.usedAt !== where.usedAt) return [0];
+        Object.assign(row, values);
+        return [1];
+      })
+    };
+    const sequelize = { transaction: jest.fn(async (work) => work('t')) };
+    return { row, deps: { sequelize, RefreshToken } };
+  }
+
+  test('refresh tokens are stored as SHA-256 hashes', () => {
+    expect(hashToken('token')).toMatch(/^[0-9a-f]{64}$/);
+    expect(hashToken('token')).toBe(hashToken('token'));
+    expect(hashToken('token')).not.toBe(hashToken('other'));
+  });
+
+  test('sessions end when revoked or expired', () => {
+    const now = new Date('2026-06-01T12:00:00Z');
+    expect(isSessionActive({ revokedAt: null, expiresAt: '2026-06-02T00:00:00Z' }, now)).toBe(true);
+    expect(isSessionActive({ revokedAt: now, expiresAt: '2026-06-02T00:00:00Z' }, now)).toBe(false);
+    expect(isSessionActive({ revokedAt: null, expiresAt: '2026-06-01T11:59:59Z' }, now)).toBe(false);
+    expect(isSessionActive(null, now)).toBe(false);
+  });
+
+  test('rotation uses up the token and issues the next one in the same transaction', async () => {
+    const { row, deps } = fakeStore();
+    const issue = jest.fn(async () => 'next-token');
+
+    await expect(rotateRefreshToken(deps, row, issue)).resolves.toBe('next-token');
+    expect(row.usedAt).toBeInstanceOf(Date);
+    expect(deps.RefreshToken.update.mock.calls[0][1]).toEqual({ where: { id: 7, usedAt: null }, transaction: 't' });
+    expect(issue).toHaveBeenCalledWith('t');
+  });
+
+  test('only one of two exchanges of the same token gets a new token', async () => {
+    const { row, deps } = fakeStore();
+    const issue = jest.fn(async () => 'next-token');
+
+    const results = await Promise.allSettled([
+      rotateRefreshToken(deps, { ...row }, issue),
+      rotateRefreshToken(deps, { ...row }, issue)
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    const rejected = results.find(result => result.status === 'rejected');
+    expect(rejected.reason).toMatchObject({ status: 401, reused: true });
+    expect(issue).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Auth Service - Two-Factor Authentication', () => {
+  const {
+    base32Encode,
+    generateSecret,
+    generateCode,
+    verifyCode,
+    otpauthUrl,
+    generateRecoveryCodes,
+    consumeRecoveryCode,
+    encryptSecret,
+    decryptSecret
+  } = require('../../services/auth-service/src/totp');
+
+  // RFC 6238 test secret, "12345678901234567890"
+  const secret = base32Encode(Buffer.from('12345678901234567890'));
+
+  test('generates the RFC 6238 codes', () => {
+    expect(secret).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    expect(generateCode(secret, Math.floor(59 / 30))).toBe('287082');
+    expect(generateCode(secret, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateCode(secret, Math.floor(2000000000 / 30))).toBe('279037');
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+
+  test('accepts codes from adjacent time steps but not replays', () => {
+    const now = 1111111109 * 1000;
+    const step = Math.floor(1111111109 / 30);
+
+    expect(verifyCode(secret, '081804', { now })).toBe(step);
+    expect(verifyCode(secret, '081 804', { now: now + 30000 })).toBe(step);
+    expect(verifyCode(secret, '081804', { now: now + 90000 })).toBeNull();
+    expect(verifyCode(secret, '081804', { now, lastUsedStep: step })).toBeNull();
+    expect(verifyCode(secret, '123456', { now })).toBeNull();
+    expect(verifyCode(secret, 'abc', { now })).toBeNull();
+  });
+
+  test('builds the provisioning URI for authenticator apps', () => {
+    expect(otpauthUrl(secret, 'admin@example.com', 'Banquet App'))
+      .toBe(`otpauth://totp/Banquet%20App%3Aadmin%40example.com?secret=${secret}&issuer=Banquet+App&algorithm=SHA1&digits=6&period=30`);
+  });
+
+  test('recovery codes work once each', () => {
+    const { codes, hashes } = generateRecoveryCodes();
+    expect(codes).toHaveLength(10);
+    expect(codes[0]).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/);
+    expect(hashes).not.toContain(codes[0]);
+
+    const remaining = consumeRecoveryCode(hashes, codes[3].toUpperCase());
+    expect(remaining).toHaveLength(9);
+    expect(consumeRecoveryCode(remaining, codes[3])).toBeNull();
+    expect(consumeRecoveryCode(hashes, '')).toBeNull();
+  });
+
+  test('secrets are encrypted at rest', () => {
+    const stored = encryptSecret(secret, 'encryption-key');
+    expect(stored).not.toContain(secret);
+    expect(decryptSecret(stored, 'encryption-key')).toBe(secret);
+    expect(() => decryptSecret(stored, 'other-key')).toThrow();
+  });
+});
+
+describe('Auth Service - Login Throttling', () => {
+  const { lockoutPolicy, normalizeEmail, backoffMs, attemptBlockedUntil, registerFailure } = require('../../services/auth-service/src/lockout');
+
+  const policy = lockoutPolicy({});
+  const now = new Date('2026-06-01T12:00:00Z');
+  const seconds = n => new Date(now.getTime() + n * 1000);
+
+  // Apply a number of failures one second apart
+  function failTimes(count, scope = 'account') {
+    let record = { scope, failures: 0 };
+    for (let i = 0; i < count; i++) {
+      record = { ...record, ...registerFailure(record, seconds(i), policy).changes };
+    }
+    return record;
+  }
+
+  test('reads the policy from the environment', () => {
+    expect(policy.account).toEqual({ maxFailures: 5, freeFailures: 2 });
+    expect(policy.ip).toEqual({ maxFailures: 20, freeFailures: 5 });
+    expect(policy.lockoutMs).toBe(15 * 60 * 1000);
+    expect(lockoutPolicy({ LOGIN_MAX_FAILURES: '10', LOGIN_LOCKOUT_MINUTES: 'x' }).account.maxFailures).toBe(10);
+    expect(lockoutPolicy({ LOGIN_LOCKOUT_MINUTES: 'x' }).lockoutMs).toBe(15 * 60 * 1000);
+    expect(normalizeEmail(' Jane@Example.COM ')).toBe('jane@example.com');
+  });
+
+  test('backs off exponentially after the free failures', () => {
+    expect([1, 2, 3, 4, 5].map(n => backoffMs(n, 2))).toEqual([0, 0, 1000, 2000, 4000]);
+    expect(backoffMs(40, 5)).toBe(30000);
+
+    const record = failTimes(3);
+    expect(attemptBlockedUntil(record, seconds(2.5), policy)).toEqual({ until: seconds(3), locked: false });
+    expect(attemptBlockedUntil(record, seconds(3), policy)).toBeNull();
+    expect(attemptBlockedUntil(failTimes(2), seconds(1), policy)).toBeNull();
+  });
+
+  test('locks the account at the limit and starts over afterwards', () => {
+    const record = failTimes(5);
+    expect(record.lockedUntil).toEqual(new Date(seconds(4).getTime() + policy.lockoutMs));
+    expect(attemptBlockedUntil(record, seconds(60), policy)).toEqual({ until: record.lockedUntil, locked: true });
+    expect(registerFailure(failTimes(4), seconds(4), policy).locked).toBe(true);
+
+    const afterLock = new Date(record.lockedUntil.getTime() + 1000);
+    expect(attemptBlockedUntil(record, afterLock, policy)).toBeNull();
+    expect(registerFailure(record, afterLock, policy).changes.failures).toBe(1);
+  });
+
+  test('failures outside the window are forgotten', () => {
+    const record = failTimes(4);
+    const later = new Date(now.getTime() + policy.windowMs + 5000);
+    expect(attemptBlockedUntil(record, later, policy)).toBeNull();
+    expect(registerFailure(record, later, policy)).toMatchObject({ changes: { failures: 1, windowStartedAt: later }, locked: false });
+  });
+
+  test('IPs get more attempts before locking', () => {
+    expect(failTimes(5, 'ip').lockedUntil).toBeNull();
+    expect(failTimes(20, 'ip').lockedUntil).not.toBeNull();
+  });
+});
+
+describe('Auth Service - Roles and Permissions', () => {
+  const {
+    PERMISSIONS,
+    BUILT_IN_ROLES,
+    validateRole,
+    missingPermissions,
+    hasPermission,
+    requirePermission
+  } = require('../../services/auth-service/src/permissions');
+
+  test('admins have every permission and other built-in roles none', () => {
+    expect(BUILT_IN_ROLES.admin.permissions).toEqual(Object.keys(PERMISSIONS));
+    expect(BUILT_IN_ROLES.user.permissions).toEqual([]);
+    expect(Object.keys(BUILT_IN_ROLES)).toEqual(['user', 'vendor', 'service_provider', 'admin']);
+  });
+
+  test('validates custom roles', () => {
+    expect(validateRole({
+      name: 'support_agent',
+      description: ' Customer support ',
+      permissions: ['booking:read', 'booking:cancel', 'booking:read']
+    }, { creating: true })).toEqual({
+      name: 'support_agent',
+      description: 'Customer support',
+      permissions: ['booking:cancel', 'booking:read']
+    });
+    expect(validateRole({ permissions: [] })).toEqual({ permissions: [] });
+    expect(validateRole({})).toEqual({});
+
+    expect(() => validateRole({ name: 'Support Agent', permissions: [] }, { creating: true })).toThrow('lowercase');
+    expect(() => validateRole({ name: 'admin', permissions: [] }, { creating: true })).toThrow('reserved role name');
+    expect(() => validateRole({ name: 'finance' }, { creating: true })).toThrow('permissions must be a list');
+    expect(() => validateRole({ permissions: ['booking:read', 'booking:fly'] })).toThrow('Unknown permissions: booking:fly');
+  });
+
+  test('requirePermission allows only users with the permission', () => {
+    const middleware = requirePermission('booking:confirm');
+    const run = (user) => {
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+      const next = jest.fn();
+      middleware({ user }, res, next);
+      return { res, next };
+    };
+
+    expect(run({ id: 1, permissions: ['booking:confirm'] }).next).toHaveBeenCalled();
+
+    const denied = run({ id: 2, role: 'admin' });
+    expect(denied.next).not.toHaveBeenCalled();
+    expect(denied.res.status).toHaveBeenCalledWith(403);
+    expect(denied.res.json).toHaveBeenCalledWith({ error: 'Insufficient permissions', details: { required: 'booking:confirm' } });
+
+    expect(run(undefined).res.status).toHaveBeenCalledWith(401);
+    expect(hasPermission(null, 'booking:confirm')).toBe(false);
+  });
+
+  test('users can only hand out permissions they hold', () => {
+    const supportAgent = ['booking:read', 'users:manage'];
+    expect(missingPermissions(supportAgent, ['booking:read'])).toEqual([]);
+    expect(missingPermissions(supportAgent, BUILT_IN_ROLES.admin.permissions)).not.toContain('users:manage');
+    expect(missingPermissions(supportAgent, BUILT_IN_ROLES.admin.permissions)).toContain('roles:manage');
+    expect(missingPermissions(BUILT_IN_ROLES.admin.permissions, BUILT_IN_ROLES.admin.permissions)).toEqual([]);
+    expect(missingPermissions(undefined, ['booking:read'])).toEqual(['booking:read']);
+  });
+});
+
+describe('Auth Service - Profile and Credentials', () => {
+  const {
+    validateProfileUpdate,
+    validateNewPassword,
+    validateNewEmail,
+    serializeProfile
+  } = require('../../services/auth-service/src/profile');
+
+  test('profile updates only change the name', () => {
+    expect(validateProfileUpdate({ name: '  Jane Doe ' })).toEqual({ name: 'Jane Doe' });
+    expect(() => validateProfileUpdate({ name: '   ' })).toThrow('name cannot be empty');
+    expect(() => validateProfileUpdate({ email: 'jane@example.com' })).toThrow('POST /api/auth/me/email');
+    expect(() => validateProfileUpdate({ role: 'admin' })).toThrow('No valid fields to update');
+  });
+
+  test('new passwords must be long enough and differ from the current one', () => {
+    expect(validateNewPassword('newPassword123', 'oldPassword123')).toBe('newPassword123');
+    expect(() => validateNewPassword('short', 'oldPassword123')).toThrow('at least 8 characters');
+    expect(() => validateNewPassword('samePassword1', 'samePassword1')).toThrow('must be different');
+  });
+
+  test('new emails must be valid and different', () => {
+    expect(validateNewEmail(' new@example.com ', 'old@example.com')).toBe('new@example.com');
+    expect(() => validateNewEmail('not-an-email', 'old@example.com')).toThrow('Invalid email format');
+    expect(() => validateNewEmail('Old@Example.com', 'old@example.com')).toThrow('already your email');
+  });
+
+  test('profiles leave out secrets', () => {
+    const profile = serializeProfile({
+      id: 1, name: 'Jane', email: 'jane@example.com', role: 'user', password: 'hash', twoFactorSecret: 'secret', twoFactorEnabled: false
+    }, 'new@example.com');
+    expect(profile.pendingEmail).toBe('new@example.com');
+    expect(profile).not.toHaveProperty('password');
+    expect(profile).not.toHaveProperty('twoFactorSecret');
+  });
+});
+
+describe('Auth Service - Email Verification and Password Reset', () => {
+  const {
+    verifyAccountToken,
+    useAccountToken,
+    requestPasswordReset,
+    resetPassword,
+    verifyEmail,
+    needsEmailVerifiedBackfill
+  } = require('../../services/auth-service/src/accounts');
+
+  // Signed tokens stand in as their claims; update() matches like the conditional UPDATE in Postgres
+  function fakeAccounts({ purpose = 'password_reset', email = 'jane@example.com', emailVerified = false } = {}) {
+    const record = { id: 'jti-1', userId: 5, purpose, email, usedAt: null };
+    const user = {
+      id: 5,
+      name: 'Jane',
+      email: 'jane@example.com',
+      emailVerified,
+      update: jest.fn(async function (values) { Object.assign(this, values); })
+    };
+    const AccountToken = {
+      update: jest.fn(async (values, { where }) => {
+        if (where.id !== record.id || where.purpose !== record.purpose || record.usedAt !== where.usedAt) return [0];
+        Object.assign(record, values);
+        return [1];
+      }),
+      findByPk: jest.fn(async () => record)
+    };
+    const User = {
+      findByPk: jest.fn(async id => (id === user.id ? user : null)),
+      findOne: jest.fn(async ({ where }) => (where.email === user.email ? user : null))
+    };
+    const verify = jest.fn(token => {
+      if (token === 'expired') throw Object.assign(new Error('jwt expired'), { name: 'TokenExpiredError' });
+      if (token === 'forged') throw Object.assign(new Error('invalid signature'), { name: 'JsonWebTokenError' });
+      return { id: 5, purpose, jti: 'jti-1' };
+    });
+    return { record, user, deps: { AccountToken, User, verify } };
+  }
+
+  test('account tokens must be signed for the purpose', () => {
+    const { deps } = fakeAccounts();
+
+    expect(verifyAccountToken(deps.verify, 'token', 'password_reset')).toMatchObject({ jti: 'jti-1' });
+    expect(() => verifyAccountToken(deps.verify, 'token', 'email_verification')).toThrow('Invalid token');
+    expect(() => verifyAccountToken(deps.verify, 'expired', 'password_reset')).toThrow('Token expired');
+    expect(() => verifyAccountToken(deps.verify, 'forged', 'password_reset')).toThrow('Invalid token');
+  });
+
+  test('account tokens work once', async () => {
+    const { record, deps } = fakeAccounts();
+
+    const results = await Promise.allSettled([
+      useAccountToken(deps, 'token', 'password_reset'),
+      useAccountToken(deps, 'token', 'password_reset')
+    ]);
+
+    expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect(results.find(result => result.status === 'rejected').reason)
+      .toMatchObject({ status: 400, message: 'Token already used or invalid' });
+    expect(record.usedAt).toBeInstanceOf(Date);
+  });
+
+  test('password reset links go only to existing accounts', async () => {
+    const { user, deps } = fakeAccounts();
+    const issueAccountToken = jest.fn(async () => 'reset token');
+    const sendEmail = jest.fn(async () => true);
+    const options = { appBaseUrl: 'https://app.example.com', expiresIn: '1h' };
+
+    await expect(requestPasswordReset({ ...deps, issueAccountToken, sendEmail }, 'jane@example.com', options)).resolves.toBe(user);
+    expect(issueAccountToken).toHaveBeenCalledWith(user, 'password_reset', '1h');
+    expect(sendEmail.mock.calls[0][2]).toContain('https://app.example.com/reset-password?token=reset%20token');
+
+    await expect(requestPasswordReset({ ...deps, issueAccountToken, sendEmail }, 'nobody@example.com', options)).resolves.toBeNull();
+    expect(sendEmail).toHaveBeenCalledTimes(1);
+  });
+
+  test('password resets check the new password before using the link', async () => {
+    const { record, user, deps } = fakeAccounts();
+
+    await expect(resetPassword(deps, 'token', 'short')).rejects.toMatchObject({ status: 400 });
+    await expect(resetPassword(deps, 'token', 'x'.repeat(101))).rejects.toThrow('cannot be longer than 100 characters');
+    expect(record.usedAt).toBeNull();
+
+    await expect(resetPassword(deps, 'token', 'newPassword123')).resolves.toBe(user);
+    // The link went to the user's address, which it verifies
+    expect(user).toMatchObject({ password: 'newPassword123', emailVerified: true });
+    await expect(resetPassword(deps, 'token', 'otherPassword123')).rejects.toThrow('Token already used or invalid');
+  });
+
+  test('email verification links only verify the address they were sent to', async () => {
+    const verified = fakeAccounts({ purpose: 'email_verification' });
+    await expect(verifyEmail(verified.deps, 'token')).resolves.toBe(verified.user);
+    expect(verified.user.emailVerified).toBe(true);
+
+    const changed = fakeAccounts({ purpose: 'email_verification', email: 'old@example.com' });
+    await expect(verifyEmail(changed.deps, 'token')).rejects.toThrow('Invalid token');
+    expect(changed.user.emailVerified).toBe(false);
+  });
+
+  test('existing users are backfilled as verified only when the column is new', async () => {
+    const User = { getTableName: () => 'Users' };
+    const sequelizeWith = describeTable => ({ getQueryInterface: () => ({ describeTable }) });
+
+    await expect(needsEmailVerifiedBackfill(sequelizeWith(async () => ({ id: {}, email: {} })), User)).resolves.toBe(true);
+    await expect(needsEmailVerifiedBackfill(sequelizeWith(async () => ({ id: {}, emailVerified: {} })), User)).resolves.toBe(false);
+    await expect(needsEmailVerifiedBackfill(sequelizeWith(async () => { throw new Error('No description found'); }), User)).resolves.toBe(false);
+  });
+});
@@ -167,3 +167,294 @@ describe('Booking Service - CRUD Operations', () => {
     expect(booking.id).toBe(1);
   });
 });
+
+describe('Booking Service - Server-side Pricing', () => {
+  const { calculateBookingPrice } = require('../../services/booking-service/src/pricing');
+
+  const perHeadVenue = {
+    id: 3,
+    name: 'Grand Hall',
+    capacity: 200,
+    pricingType: 'per_head',
+    perHeadPrice: 50,
+    minGuests: 50,
+    AdditionalServices: [
+      { id: 7, name: 'Decoration', price: 500 },
+      { id: 8, name: 'DJ', price: 300 }
+    ]
+  };
+
+  test('per_head price uses the venue catalogue, not client prices', () => {
+    const price = calculateBookingPrice(perHeadVenue, 80, [7, { id: 8, price: 1 }]);
+
+    // (80 guests * $50 per head) + $500 decoration + $300 DJ = $4800
+    expect(price.totalPrice).toBe(4800);
+    expect(price.pricingType).toBe('per_head');
+    expect(price.additionalServices).toEqual([
+      { id: 7, name: 'Decoration', price: 500, quantity: 1, amount: 500 },
+      { id: 8, name: 'DJ', price: 300, quantity: 1, amount: 300 }
+    ]);
+    expect(price.priceBreakdown.items).toHaveLength(3);
+    expect(price.priceBreakdown.total).toBe(4800);
+  });
+
+  test('flat price ignores guest count', () => {
+    const venue = { name: 'Garden', capacity: 300, pricingType: 'flat', flatPrice: 6000, AdditionalServices: [] };
+    const price = calculateBookingPrice(venue, 150, []);
+
+    expect(price.totalPrice).toBe(6000);
+    expect(price.priceBreakdown.items[0]).toMatchObject({ type: 'venue', quantity: 1, amount: 6000 });
+  });
+
+  test('rejects unknown additional service IDs', () => {
+    expect(() => calculateBookingPrice(perHeadVenue, 80, [7, 99]))
+      .toThrow('Unknown additional service IDs for this venue');
+  });
+
+  test('rejects guest counts below minimum or above capacity', () => {
+    expect(() => calculateBookingPrice(perHeadVenue, 10, [])).toThrow('below minimum required');
+    expect(() => calculateBookingPrice(perHeadVenue, 500, [])).toThrow('exceeds venue capacity');
+  });
+
+  test('prices service quantities from decimal catalogue prices', () => {
+    const venue = {
+      name: 'Loft',
+      capacity: 60,
+      pricingType: 'flat',
+      flatPrice: '1200.00',
+      AdditionalServices: [{ id: '4', name: 'Chairs', price: '2.35' }]
+    };
+    const price = calculateBookingPrice(venue, 40, [{ id: 4, quantity: '40' }]);
+
+    // $1200 + 40 chairs * $2.35 = $1294
+    expect(price.additionalServices).toEqual([{ id: 4, name: 'Chairs', price: 2.35, quantity: 40, amount: 94 }]);
+    expect(price.totalPrice).toBe(1294);
+    expect(calculateBookingPrice(venue, 40, undefined).totalPrice).toBe(1200);
+  });
+
+  test('rejects malformed service requests and venues without prices', () => {
+    expect(() => calculateBookingPrice(perHeadVenue, 80, 7)).toThrow('must be an array');
+    expect(() => calculateBookingPrice(perHeadVenue, 80, [{ quantity: 2 }])).toThrow('must reference a service ID');
+    expect(() => calculateBookingPrice(perHeadVenue, 80, [{ id: 7, quantity: 0 }])).toThrow('Invalid quantity');
+
+    expect(() => calculateBookingPrice({ ...perHeadVenue, perHeadPrice: null }, 80, [])).toThrow('no valid per-head price');
+    expect(() => calculateBookingPrice({ ...perHeadVenue, pricingType: 'hourly' }, 80, [])).toThrow('unsupported pricing type');
+  });
+});
+
+describe('Booking Service - Deposits and Payment Schedule', () => {
+  const {
+    buildPaymentTerms,
+    depositDueDateFor,
+    statusForPayments,
+    summarizeBalance
+  } = require('../../services/booking-service/src/schedule');
+
+  const venue = { depositType: 'percentage', depositValue: 30, depositDueDays: 7, balanceDueDays: 14 };
+
+  test('percentage deposit and balance due date come from the venue rule', () => {
+    const terms = buildPaymentTerms(venue, 4800, '2026-12-20');
+
+    expect(terms.depositAmount).toBe(1440);
+    expect(terms.balanceDueDate).toBe('2026-12-06');
+    expect(terms.paymentTerms).toEqual({ depositType: 'percentage', depositValue: 30, depositDueDays: 7, balanceDueDays: 14 });
+  });
+
+  test('fixed deposits are capped at the total and venues without a rule take none', () => {
+    expect(buildPaymentTerms({ depositType: 'fixed', depositValue: 5000 }, 3000, '2026-12-20').depositAmount).toBe(3000);
+    expect(buildPaymentTerms({}, 3000, '2026-12-20').depositAmount).toBe(0);
+    expect(() => buildPaymentTerms({ depositType: 'percentage', depositValue: 120 }, 3000, '2026-12-20'))
+      .toThrow('cannot exceed 100');
+  });
+
+  test('deposit is due after confirmation but never after the balance', () => {
+    const booking = { depositAmount: 1440, paymentTerms: { depositDueDays: 7 }, balanceDueDate: '2026-12-06' };
+
+    expect(depositDueDateFor(booking, '2026-11-01')).toBe('2026-11-08');
+    expect(depositDueDateFor(booking, '2026-12-03')).toBe('2026-12-06');
+    expect(depositDueDateFor(booking, '2026-12-10')).toBe('2026-12-10');
+    expect(depositDueDateFor({ ...booking, depositAmount: 0 }, '2026-11-01')).toBeNull();
+  });
+
+  test('payments move the booking through deposit_paid to paid_in_full', () => {
+    const booking = { totalPrice: 4800, depositAmount: 1440 };
+
+    expect(statusForPayments(booking, 1000)).toBe('confirmed');
+    expect(statusForPayments(booking, 1440)).toBe('deposit_paid');
+    expect(statusForPayments(booking, 4800)).toBe('paid_in_full');
+  });
+
+  test('balance summary applies payments to the deposit first and flags overdue installments', () => {
+    const summary = summarizeBalance({
+      totalPrice: 4800,
+      amountPaid: 1000,
+      depositAmount: 1440,
+      depositDueDate: '2026-11-08',
+      balanceDueDate: '2026-12-06'
+    }, '2026-11-10');
+
+    expect(summary.outstanding).toBe(3800);
+    expect(summary.depositOutstanding).toBe(440);
+    expect(summary.installments).toEqual([
+      { type: 'deposit', amount: 1440, paid: 1000, dueDate: '2026-11-08', status: 'overdue' },
+      { type: 'balance', amount: 3360, paid: 0, dueDate: '2026-12-06', status: 'due' }
+    ]);
+  });
+});
+
+describe('Booking Service - Cancellation Policies', () => {
+  const { normalizeCancellationPolicy, quoteRefund } = require('../../services/booking-service/src/cancellation');
+
+  const policy = {
+    tiers: [
+      { minDaysBefore: 7, refundPercent: 50 },
+      { minDaysBefore: 30, refundPercent: 100 },
+      { minDaysBefore: 0, refundPercent: 0 }
+    ]
+  };
+  const booking = { date: '2026-12-20', amountPaid: 1440 };
+
+  test('tiers are ordered from the earliest cancellation', () => {
+    expect(normalizeCancellationPolicy(policy).tiers.map(tier => tier.minDaysBefore)).toEqual([30, 7, 0]);
+  });
+
+  test('refund follows the tier for the days left before the event', () => {
+    expect(quoteRefund(policy, booking, '2026-11-01')).toMatchObject({ daysBeforeEvent: 49, refundPercent: 100, refundAmount: 1440 });
+    expect(quoteRefund(policy, booking, '2026-12-13')).toMatchObject({ daysBeforeEvent: 7, refundPercent: 50, refundAmount: 720, retainedAmount: 720 });
+    expect(quoteRefund(policy, booking, '2026-12-19')).toMatchObject({ daysBeforeEvent: 1, refundPercent: 0, refundAmount: 0 });
+  });
+
+  test('bookings without a policy use the default 3-day rule', () => {
+    expect(quoteRefund(null, booking, '2026-12-17').refundAmount).toBe(1440);
+    expect(quoteRefund(null, booking, '2026-12-18').refundAmount).toBe(0);
+  });
+
+  test('rejects invalid policies', () => {
+    expect(() => normalizeCancellationPolicy({ tiers: [] })).toThrow('at least one tier');
+    expect(() => normalizeCancellationPolicy({ tiers: [{ minDaysBefore: 5, refundPercent: 150 }] }))
+      .toThrow('refundPercent must be between 0 and 100');
+    expect(() => normalizeCancellationPolicy({ tiers: [{ minDaysBefore: 5, refundPercent: 50 }, { minDaysBefore: 5, refundPercent: 10 }] }))
+      .toThrow('different minDaysBefore');
+  });
+});
+
+describe('Booking Service - Permissions', () => {
+  const { permissionsFromHeader, hasPermission } = require('../../services/booking-service/src/permissions');
+
+  test('reads the permissions forwarded by the gateway', () => {
+    const user = { id: 7, role: 'support_agent', permissions: permissionsFromHeader('booking:read, booking:cancel') };
+    expect(user.permissions).toEqual(['booking:read', 'booking:cancel']);
+    expect(hasPermission(user, 'booking:cancel')).toBe(true);
+    expect(hasPermission(user, 'booking:payments')).toBe(false);
+    expect(permissionsFromHeader('')).toEqual([]);
+    expect(permissionsFromHeader(undefined)).toEqual([]);
+  });
+});
+
+describe('Booking Service - Venue Date Reservations', () => {
+  const { calendarReservations, ensureActiveBookingIndex, reserveVenueDate } = require('../../services/booking-service/src/reservations');
+
+  const logger = { error: jest.fn() };
+  const signServiceToken = () => 'service-token';
+
+  function fakeDeps({ conflict = null, calendarError = null } = {}) {
+    const created = { id: 42, venueId: 3, date: '2026-12-20', destroy: jest.fn().mockResolvedValue() };
+    const http = {
+      post: jest.fn(calendarError ? () => Promise.reject(calendarError) : () => Promise.resolve({ status: 201 })),
+      delete: jest.fn().mockResolvedValue({ status: 200 })
+    };
+    return {
+      created,
+      http,
+      deps: {
+        sequelize: {
+          query: jest.fn().mockResolvedValue([]),
+          transaction: jest.fn(work => work({}))
+        },
+        Booking: {
+          findOne: jest.fn().mockResolvedValue(conflict),
+          create: jest.fn().mockResolvedValue(created)
+        },
+        calendar: calendarReservations(http, signServiceToken, logger)
+      }
+    };
+  }
+
+  test('reserves the calendar date after the booking is created', async () => {
+    const { deps, http, created } = fakeDeps();
+    const booking = await reserveVenueDate(deps, { venueId: 3, date: '2026-12-20', status: 'pending' });
+
+    expect(booking).toBe(created);
+    expect(deps.sequelize.query).toHaveBeenCalledWith('SELECT pg_advisory_xact_lock(:venueId, :dayNumber)', expect.any(Object));
+    expect(http.post).toHaveBeenCalledWith('/api/calendar/reservations',
+      { venueId: 3, date: '2026-12-20', bookingId: 42 },
+      { headers: { Authorization: 'Bearer service-token' } });
+    // The calendar is only called once the booking's transaction has finished
+    expect(deps.sequelize.transaction.mock.invocationCallOrder[0]).toBeLessThan(http.post.mock.invocationCallOrder[0]);
+  });
+
+  test('rejects a date another booking holds with 409', async () => {
+    const { deps, http } = fakeDeps({ conflict: { id: 7 } });
+
+    await expect(reserveVenueDate(deps, { venueId: 3, date: '2026-12-20' }))
+      .rejects.toMatchObject({ status: 409, message: 'Venue is already booked for this date' });
+    expect(deps.Booking.create).not.toHaveBeenCalled();
+    expect(http.post).not.toHaveBeenCalled();
+  });
+
+  test('removes the booking when the calendar has the date blocked', async () => {
+    const { deps, http, created } = fakeDeps({ calendarError: { response: { status: 409 }, message: 'Conflict' } });
+
+    await expect(reserveVenueDate(deps, { venueId: 3, date: '2026-12-20' }))
+      .rejects.toMatchObject({ status: 409, message: 'Venue is not available on this date' });
+    expect(created.destroy).toHaveBeenCalled();
+    expect(http.delete).not.toHaveBeenCalled();
+  });
+
+  test('removes the booking and releases the date when the calendar cannot be reached', async () => {
+    const { deps, http, created } = fakeDeps({ calendarError: new Error('timeout of 5000ms exceeded') });
+
+    await expect(reserveVenueDate(deps, { venueId: 3, date: '2026-12-20' })).rejects.toMatchObject({ status: 503 });
+    expect(created.destroy).toHaveBeenCalled();
+    expect(http.delete).toHaveBeenCalledWith('/api/calendar/reservations/42', expect.any(Object));
+  });
+
+  test('releasing a cancelled booking frees its calendar date', async () => {
+    const { http } = fakeDeps();
+    const calendar = calendarReservations(http, signServiceToken, logger);
+
+    await expect(calendar.release({ id: 42 })).resolves.toBe(true);
+    expect(http.delete).toHaveBeenCalledWith('/api/calendar/reservations/42',
+      { headers: { Authorization: 'Bearer service-token' } });
+
+    http.delete.mockRejectedValueOnce(new Error('ECONNREFUSED'));
+    await expect(calendar.release({ id: 43 })).resolves.toBe(false);
+  });
+
+  function indexDeps(duplicates) {
+    return {
+      sequelize: {
+        QueryTypes: { SELECT: 'SELECT' },
+        query: jest.fn().mockResolvedValueOnce(duplicates).mockResolvedValue([])
+      },
+      Booking: { getTableName: () => 'Bookings' }
+    };
+  }
+
+  test('creates the index when no venue date is double-booked', async () => {
+    const deps = indexDeps([]);
+
+    expect(await ensureActiveBookingIndex(deps, logger)).toBe(true);
+    expect(deps.sequelize.query).toHaveBeenLastCalledWith(expect.stringContaining(
+      'CREATE UNIQUE INDEX IF NOT EXISTS "bookings_venue_date_active_unique" ON "Bookings" ("venueId", "date")'));
+  });
+
+  test('logs double-booked venue dates instead of failing to start', async () => {
+    const deps = indexDeps([{ venueId: 3, date: '2026-12-20', bookingIds: [42, 57] }]);
+    logger.error.mockClear();
+
+    expect(await ensureActiveBookingIndex(deps, logger)).toBe(false);
+    expect(deps.sequelize.query).toHaveBeenCalledTimes(1);
+    expect(logger.error).toHaveBeenCalledWith('Venue 3 has more than one live booking on 2026-12-20: bookings 42, 57');
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Unit tests for Calendar Service
+ */
+
+describe('Calendar Service - Provider Availability', () => {
+  const {
+    toCalendarDate,
+    normalizeWorkingHours,
+    normalizeDailyCapacity,
+    validateBlackout,
+    datesInRange,
+    dayAvailability
+  } = require('../../services/calendar-service/src/providers');
+
+  // 2026-06-19 is a Friday, 2026-06-21 a Sunday
+  const schedule = {
+    workingHours: normalizeWorkingHours({
+      friday: { start: '12:00', end: '23:00' },
+      saturday: { start: '10:00', end: '23:59' }
+    }),
+    dailyCapacity: 2
+  };
+
+  test('takes the calendar day of dates and timestamps', () => {
+    expect(toCalendarDate('2026-06-19')).toBe('2026-06-19');
+    expect(toCalendarDate('2026-06-19T18:00:00Z')).toBe('2026-06-19');
+    expect(toCalendarDate(new Date('2026-06-19T23:30:00Z'))).toBe('2026-06-19');
+    expect(() => toCalendarDate('2026-02-30')).toThrow('date must be a valid date');
+    expect(() => toCalendarDate(undefined, 'from')).toThrow('from must be a valid date');
+  });
+
+  test('validates working hours and capacity', () => {
+    expect(schedule.workingHours).toEqual({
+      friday: { start: '12:00', end: '23:00' },
+      saturday: { start: '10:00', end: '23:59' }
+    });
+    expect(normalizeWorkingHours(null)).toBeNull();
+    expect(() => normalizeWorkingHours({ funday: { start: '09:00', end: '17:00' } })).toThrow('Unknown weekdays');
+    expect(() => normalizeWorkingHours({ monday: { start: '9am', end: '17:00' } })).toThrow('HH:MM');
+    expect(() => normalizeWorkingHours({ monday: { start: '17:00', end: '09:00' } })).toThrow('must start before it ends');
+    expect(() => normalizeWorkingHours(['monday'])).toThrow('workingHours must map weekdays');
+
+    expect(normalizeDailyCapacity('3')).toBe(3);
+    expect(normalizeDailyCapacity(null)).toBeNull();
+    expect(() => normalizeDailyCapacity(0)).toThrow('dailyCapacity must be a positive whole number');
+    expect(() => normalizeDailyCapacity(1.5)).toThrow('dailyCapacity must be a positive whole number');
+  });
+
+  test('validates blackout periods', () => {
+    expect(validateBlackout({ startDate: '2026-08-01', endDate: '2026-08-14', reason: ' Holiday ' }))
+      .toEqual({ startDate: '2026-08-01', endDate: '2026-08-14', reason: 'Holiday' });
+    expect(validateBlackout({ startDate: '2026-08-01' })).toEqual({ startDate: '2026-08-01', endDate: '2026-08-01', reason: null });
+    expect(() => validateBlackout({ startDate: '2026-08-14', endDate: '2026-08-01' })).toThrow('endDate must not be before startDate');
+    expect(() => validateBlackout({ startDate: '2026-01-01', endDate: '2027-06-01' })).toThrow('at most 366 days');
+  });
+
+  test('lists the days of a range', () => {
+    expect(datesInRange('2026-06-29', '2026-07-02')).toEqual(['2026-06-29', '2026-06-30', '2026-07-01', '2026-07-02']);
+    expect(() => datesInRange('2026-07-02', '2026-06-29')).toThrow('from must not be after to');
+    expect(() => datesInRange('2026-01-01', '2027-01-02')).toThrow('at most 366 days');
+  });
+
+  test('a day is available on working days with capacity left', () => {
+    expect(dayAvailability('2026-06-19', { schedule, confirmed: 1, held: 4 })).toEqual({
+      date: '2026-06-19',
+      available: true,
+      reason: null,
+      hours: { start: '12:00', end: '23:00' },
+      capacity: 2,
+      confirmed: 1,
+      held: 4
+    });
+    expect(dayAvailability('2026-06-21', { schedule }).reason).toBe('day_off');
+    expect(dayAvailability('2026-06-19', { schedule, confirmed: 2 }).reason).toBe('fully_booked');
+    expect(dayAvailability('2026-06-20', {
+      schedule,
+      blackouts: [{ startDate: '2026-06-20', endDate: '2026-06-27' }]
+    }).reason).toBe('blackout');
+  });
+
+  test('providers without a schedule work every day without a limit', () => {
+    const day = dayAvailability('2026-06-21', { schedule: null, confirmed: 12 });
+    expect(day.available).toBe(true);
+    expect(day.hours).toBeNull();
+    expect(day.capacity).toBeNull();
+  });
+});
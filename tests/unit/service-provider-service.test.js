@@ -0,0 +1,496 @@
+/**
+ * Unit tests for Service Provider Service
+ */
+
+describe('Service Provider Service - Payment Provider', () => {
+  const payments = require('../../services/service-provider-service/src/payments');
+
+  beforeAll(() => {
+    process.env.PAYMENT_WEBHOOK_SECRET = 'test-webhook-secret';
+  });
+
+  test('fake provider creates checkout sessions', async () => {
+    const provider = payments.getPaymentProvider();
+    const session = await provider.createCheckoutSession({ invoiceId: 5, amount: 12550, currency: 'CAD' });
+
+    expect(provider.name).toBe('fake');
+    expect(session.sessionId).toMatch(/^fake_cs_[0-9a-f]{24}$/);
+    expect(session.url).toContain(session.sessionId);
+    expect(session.expiresAt.getTime()).toBeGreaterThan(Date.now());
+  });
+
+  test('verifies signed webhook events', () => {
+    const { rawBody, headers } = payments.signFakeEvent({ sessionId: 'fake_cs_1', invoiceId: 5, amount: 12550, currency: 'CAD' });
+    const event = payments.getPaymentProvider().verifyWebhook(rawBody, headers);
+
+    expect(event.type).toBe('payment.succeeded');
+    expect(event.sessionId).toBe('fake_cs_1');
+    expect(event.amount).toBe(12550);
+    expect(event.paymentReference).toMatch(/^fake_pi_/);
+    expect(event.paidAt).toBeInstanceOf(Date);
+  });
+
+  test('rejects tampered, unsigned and stale webhook events', () => {
+    const provider = payments.getPaymentProvider();
+    const { rawBody, headers } = payments.signFakeEvent({ sessionId: 'fake_cs_1', invoiceId: 5, amount: 12550 });
+
+    expect(() => provider.verifyWebhook(rawBody.replace('12550', '1'), headers)).toThrow('Invalid webhook signature');
+    expect(() => provider.verifyWebhook(rawBody, {})).toThrow('Missing webhook signature');
+
+    const staleHeader = headers['x-fake-signature'].replace(/t=\d+/, `t=${Math.floor(Date.now() / 1000) - 3600}`);
+    expect(() => provider.verifyWebhook(rawBody, { 'x-fake-signature': staleHeader })).toThrow('Webhook signature has expired');
+  });
+
+  test('converts invoice totals to minor units', () => {
+    expect(payments.toMinorUnits('125.50')).toBe(12550);
+    expect(payments.toMinorUnits(19.99)).toBe(1999);
+  });
+
+  test('payments through any checkout session opened for the invoice are matched', async () => {
+    let invoice = { id: 5, totalAmount: '125.50', paymentSessionId: null, paymentSessionIds: [] };
+    invoice.update = jest.fn(async (values) => { invoice = { ...invoice, ...values }; });
+
+    const first = await payments.startCheckout(invoice);
+    const second = await payments.startCheckout(invoice);
+
+    expect(invoice.paymentSessionId).toBe(second.sessionId);
+    expect(payments.isInvoiceSession(invoice, first.sessionId)).toBe(true);
+    expect(payments.isInvoiceSession(invoice, second.sessionId)).toBe(true);
+    expect(payments.isInvoiceSession(invoice, 'fake_cs_other')).toBe(false);
+    expect(payments.isInvoiceSession(null, first.sessionId)).toBe(false);
+    // Invoices from before the session history was kept
+    expect(payments.isInvoiceSession({ paymentSessionId: 'fake_cs_old' }, 'fake_cs_old')).toBe(true);
+  });
+});
+
+describe('Service Provider Service - Chat Message Paging', () => {
+  const { parseCursorParams, cursorQuery, buildCursorPage } = require('../../services/service-provider-service/src/paging');
+  const messages = (ids) => ids.map(id => ({ id }));
+
+  test('parses cursors and caps the page size', () => {
+    expect(parseCursorParams({})).toEqual({ before: null, after: null, limit: 50 });
+    expect(parseCursorParams({ before: '120', limit: '500' })).toEqual({ before: 120, after: null, limit: 100 });
+    expect(() => parseCursorParams({ before: '5', after: '2' })).toThrow('cannot be combined');
+    expect(() => parseCursorParams({ after: 'abc' })).toThrow('after must be a message ID');
+  });
+
+  test('paging back returns older messages oldest first', () => {
+    const params = parseCursorParams({ before: '10', limit: '3' });
+    expect(cursorQuery(params).order).toEqual([['id', 'DESC']]);
+    expect(cursorQuery(params).limit).toBe(4);
+
+    const page = buildCursorPage(messages([9, 8, 7, 6]), params);
+    expect(page.messages.map(m => m.id)).toEqual([7, 8, 9]);
+    expect(page.hasMore).toBe(true);
+    expect(page.cursors).toEqual({ before: 7, after: 9 });
+  });
+
+  test('paging forward returns newer messages and keeps the cursor when there are none', () => {
+    const params = parseCursorParams({ after: '9', limit: '3' });
+    expect(cursorQuery(params).order).toEqual([['id', 'ASC']]);
+
+    const page = buildCursorPage(messages([10, 11]), params);
+    expect(page.messages.map(m => m.id)).toEqual([10, 11]);
+    expect(page.hasMore).toBe(false);
+    expect(buildCursorPage([], params).cursors).toEqual({ before: null, after: 9 });
+  });
+});
+
+describe('Service Provider Service - Real-time Chat Participants', () => {
+  const {
+    canAccessChatRoom,
+    senderTypeFor,
+    counterpartSenderType,
+    participantChannels,
+    typingRecipientChannel,
+    tokenLifetimeMs
+  } = require('../../services/service-provider-service/src/participants');
+
+  const room = { id: 1, userId: 10, serviceProviderId: 20 };
+  const customer = { id: 10, role: 'user' };
+  const provider = { id: 20, role: 'service_provider' };
+  const support = { id: 30, role: 'support_agent', permissions: ['chat:read'] };
+
+  test('only participants and users with chat:read open a room', () => {
+    expect(canAccessChatRoom(room, customer)).toBe(true);
+    expect(canAccessChatRoom(room, provider)).toBe(true);
+    expect(canAccessChatRoom(room, support)).toBe(true);
+    expect(canAccessChatRoom(room, { id: 20, role: 'user' })).toBe(false);
+    expect(canAccessChatRoom(room, { id: 10, role: 'vendor' })).toBe(false);
+  });
+
+  test('events go to both participants and typing only to the other one', () => {
+    expect(participantChannels(room)).toEqual(['user:10', 'user:20']);
+    expect(typingRecipientChannel(room, customer)).toBe('user:20');
+    expect(typingRecipientChannel(room, provider)).toBe('user:10');
+    expect(typingRecipientChannel(room, support)).toBeNull();
+  });
+
+  test('read receipts mark the other participant\'s messages', () => {
+    expect(senderTypeFor(provider)).toBe('service_provider');
+    expect(counterpartSenderType(provider)).toBe('user');
+    expect(senderTypeFor(customer)).toBe('user');
+    expect(counterpartSenderType(customer)).toBe('service_provider');
+  });
+
+  test('connections close when the token expires', () => {
+    const now = 1750000000000;
+    expect(tokenLifetimeMs({ exp: now / 1000 + 900 }, now)).toBe(900000);
+    expect(tokenLifetimeMs({ exp: now / 1000 - 5 }, now)).toBe(0);
+    expect(tokenLifetimeMs({ exp: now / 1000 + 365 * 24 * 3600 }, now)).toBe(2147483647);
+    expect(tokenLifetimeMs({}, now)).toBeNull();
+  });
+});
+
+describe('Service Provider Service - Chat Attachments', () => {
+  const { parseAttachmentIds, toChatAttachment } = require('../../services/service-provider-service/src/attachments');
+  const chatRoom = { id: 12, userId: 4, serviceProviderId: 9 };
+  const media = {
+    id: 31,
+    referenceType: 'chat',
+    referenceId: '12',
+    mediaType: 'image',
+    mimetype: 'image/jpeg',
+    filename: '1700000000000-menu.jpg',
+    thumbnailFilename: 'thumb-1700000000000-menu.webp',
+    created_by: 4
+  };
+
+  test('accepts media IDs and rejects raw URLs', () => {
+    expect(parseAttachmentIds({})).toEqual([]);
+    expect(parseAttachmentIds({ attachmentIds: [31, '32', 31] })).toEqual([31, 32]);
+    expect(() => parseAttachmentIds({ attachmentUrl: 'http://example.com/x.jpg' })).toThrow('attachmentUrl is not supported');
+    expect(() => parseAttachmentIds({ attachmentIds: [1, 2, 3, 4, 5, 6] })).toThrow('at most 5 attachments');
+    expect(() => parseAttachmentIds({ attachmentIds: 'abc' })).toThrow('array of media IDs');
+  });
+
+  test('maps chat media to attachment links with thumbnails', () => {
+    expect(toChatAttachment(media, chatRoom, 4)).toEqual({
+      id: 31,
+      mediaType: 'image',
+      mimetype: 'image/jpeg',
+      url: '/api/media/files/1700000000000-menu.jpg',
+      thumbnailUrl: '/api/media/files/thumb-1700000000000-menu.webp'
+    });
+  });
+
+  test('rejects media of another room, type or uploader', () => {
+    expect(() => toChatAttachment({ ...media, referenceId: '13' }, chatRoom, 4)).toThrow('Invalid attachment');
+    expect(() => toChatAttachment({ ...media, referenceType: 'review' }, chatRoom, 4)).toThrow('Invalid attachment');
+    expect(() => toChatAttachment(media, chatRoom, 9)).toThrow('Invalid attachment');
+  });
+
+  test('accepts quote and invoice PDFs between the room participants', () => {
+    const pdf = { ...media, referenceType: 'quote', referenceId: '77', mediaType: 'other', mimetype: 'application/pdf', thumbnailFilename: null };
+
+    expect(toChatAttachment(pdf, chatRoom, 9, { serviceProviderId: 9, userId: 4 }).mimetype).toBe('application/pdf');
+    expect(() => toChatAttachment(pdf, chatRoom, 9, { serviceProviderId: 9, userId: 5 })).toThrow('Invalid attachment');
+    expect(() => toChatAttachment({ ...pdf, referenceType: 'invoice' }, chatRoom, 9, null)).toThrow('Invalid attachment');
+  });
+});
+
+describe('Service Provider Service - Quote Requests', () => {
+  const { validateQuoteRequestInput, requestStatusForQuote } = require('../../services/service-provider-service/src/requests');
+  const user = { id: 4, role: 'user', name: 'Jane Doe' };
+  const body = {
+    serviceProviderIds: [12, '15', 12],
+    serviceDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+    description: ' Photography for a reception ',
+    customerEmail: 'jane@example.com'
+  };
+
+  test('accepts several providers and fills the customer name from the token', () => {
+    const input = validateQuoteRequestInput(body, user);
+
+    expect(input.serviceProviderIds).toEqual([12, 15]);
+    expect(input.description).toBe('Photography for a reception');
+    expect(input.customerName).toBe('Jane Doe');
+    expect(validateQuoteRequestInput({ ...body, serviceProviderIds: undefined, serviceProviderId: 12 }, user).serviceProviderIds)
+      .toEqual([12]);
+  });
+
+  test('rejects missing providers, past dates and invalid emails', () => {
+    expect(() => validateQuoteRequestInput({ ...body, serviceProviderIds: [] }, user)).toThrow('at least one service provider');
+    expect(() => validateQuoteRequestInput({ ...body, serviceDate: '2020-01-01' }, user)).toThrow('must be in the future');
+    expect(() => validateQuoteRequestInput({ ...body, customerEmail: 'jane' }, user)).toThrow('valid email');
+    expect(() => validateQuoteRequestInput({ ...body, serviceProviderIds: Array.from({ length: 11 }, (_, i) => i + 1) }, user))
+      .toThrow('at most 10');
+  });
+
+  test('request status follows the linked quote', () => {
+    expect(requestStatusForQuote('draft')).toBe('pending');
+    expect(requestStatusForQuote('viewed')).toBe('quoted');
+    expect(requestStatusForQuote('invoiced')).toBe('accepted');
+    expect(requestStatusForQuote('expired')).toBe('expired');
+  });
+});
+
+describe('Service Provider Service - Quote Revisions', () => {
+  const { snapshotQuote, diffQuoteVersions } = require('../../services/service-provider-service/src/revisions');
+  const quote = {
+    version: 1,
+    customerName: 'Jane Doe',
+    customerEmail: 'jane@example.com',
+    serviceDate: new Date('2026-06-20T18:00:00Z'),
+    totalAmount: '2200.00',
+    note: null,
+    validUntil: new Date('2026-05-01T00:00:00Z')
+  };
+  const items = [
+    { itemName: 'Photographer', quantity: 1, unitPrice: '1800.00' },
+    { itemName: 'Second photographer', quantity: 1, unitPrice: '400.00' }
+  ];
+
+  test('snapshots store dates as ISO strings and amounts as numbers', () => {
+    const snapshot = snapshotQuote(quote, items);
+
+    expect(snapshot.version).toBe(1);
+    expect(snapshot.totalAmount).toBe(2200);
+    expect(snapshot.serviceDate).toBe('2026-06-20T18:00:00.000Z');
+    expect(snapshot.items[0]).toEqual({
+      itemName: 'Photographer', description: null, quantity: 1, unitPrice: 1800, discountAmount: null, lineTotal: null
+    });
+  });
+
+  test('diffs report changed fields and added, removed and changed items', () => {
+    const from = snapshotQuote(quote, items);
+    const to = snapshotQuote(
+      { ...quote, version: 2, totalAmount: '2050.00', note: 'Album added' },
+      [
+        { itemName: 'photographer', quantity: 1, unitPrice: '1900.00' },
+        { itemName: 'Album', quantity: 1, unitPrice: '150.00' }
+      ]
+    );
+
+    const diff = diffQuoteVersions(from, to);
+    expect(diff.fromVersion).toBe(1);
+    expect(diff.toVersion).toBe(2);
+    expect(diff.fields).toEqual({
+      totalAmount: { from: 2200, to: 2050 },
+      note: { from: null, to: 'Album added' }
+    });
+    expect(diff.items.added.map(item => item.itemName)).toEqual(['Album']);
+    expect(diff.items.removed.map(item => item.itemName)).toEqual(['Second photographer']);
+    expect(diff.items.changed).toEqual([{ itemName: 'photographer', changes: { unitPrice: { from: 1800, to: 1900 } } }]);
+    expect(diff.totalChange).toBe(-150);
+  });
+});
+
+describe('Service Provider Service - Quote Pricing', () => {
+  const { priceQuote, normalizeTaxRates, taxRatesFor } = require('../../services/service-provider-service/src/pricing');
+  const taxRates = [
+    { jurisdiction: 'qc', name: 'GST', ratePercent: 5 },
+    { jurisdiction: 'QC', name: 'QST', ratePercent: 9.975 },
+    { jurisdiction: '*', name: 'Sales tax', ratePercent: 10 }
+  ];
+  const items = [
+    { itemName: 'Photographer', quantity: 2, unitPrice: '500.00', discountType: 'percent', discountValue: 10 },
+    { itemName: 'Album', unitPrice: 150, discountType: 'fixed', discountValue: 25 }
+  ];
+
+  test('computes line discounts, the quote discount, taxes and the total', () => {
+    const pricing = priceQuote({ items, discountType: 'fixed', discountValue: 25, taxJurisdiction: 'qc', taxRates });
+
+    expect(pricing.items.map(item => [item.quantity, item.discountAmount, item.lineTotal])).toEqual([[2, 100, 900], [1, 25, 125]]);
+    expect(pricing.subtotal).toBe(1025);
+    expect(pricing.discountAmount).toBe(25);
+    expect(pricing.taxJurisdiction).toBe('QC');
+    expect(pricing.taxes).toEqual([
+      { name: 'GST', ratePercent: 5, amount: 50 },
+      { name: 'QST', ratePercent: 9.975, amount: 99.75 }
+    ]);
+    expect(pricing.taxAmount).toBe(149.75);
+    expect(pricing.totalAmount).toBe(1149.75);
+  });
+
+  test('falls back to the provider\'s * rates and untaxed totals', () => {
+    expect(taxRatesFor(taxRates, 'ON').map(rate => rate.name)).toEqual(['Sales tax']);
+    expect(priceQuote({ items, taxJurisdiction: 'ON', taxRates }).totalAmount).toBe(1127.5);
+    expect(priceQuote({ items, taxRates: [] }).totalAmount).toBe(1025);
+  });
+
+  test('rejects invalid items, discounts and tax rates', () => {
+    expect(() => priceQuote({ items: [] })).toThrow('non-empty array');
+    expect(() => priceQuote({ items: [{ itemName: 'Album', quantity: 1.5, unitPrice: 10 }] })).toThrow('positive whole number');
+    expect(() => priceQuote({ items: [{ ...items[1], discountValue: 200 }] })).toThrow('cannot exceed the amount');
+    expect(() => priceQuote({ items, discountType: 'percent', discountValue: 120 })).toThrow('cannot exceed 100');
+    expect(() => normalizeTaxRates([{ jurisdiction: 'QC', name: 'GST', ratePercent: 5 }, { jurisdiction: 'qc', name: 'gst', ratePercent: 5 }]))
+      .toThrow('unique');
+  });
+});
+
+describe('Service Provider Service - Quote and Invoice Documents', () => {
+  const {
+    buildQuoteDocument, buildInvoiceDocument, documentFingerprint, documentFilename
+  } = require('../../services/service-provider-service/src/documents');
+  const profile = {
+    businessName: 'Lens & Light',
+    addressLine1: '12 King St',
+    city: 'Montreal',
+    state: 'QC',
+    zipCode: 'H2X 1Y4',
+    contactEmail: 'hello@lenslight.example',
+    phoneNumber: '514-555-0100'
+  };
+  const quote = {
+    id: 42,
+    version: 2,
+    serviceProviderId: 9,
+    customerName: 'Jane Doe',
+    customerEmail: 'jane@example.com',
+    serviceDate: '2026-06-20T18:00:00Z',
+    validUntil: '2026-05-01T00:00:00Z',
+    subtotal: '1050.00',
+    discountType: 'fixed',
+    discountValue: '50.00',
+    discountAmount: '50.00',
+    taxJurisdiction: 'QC',
+    taxes: [{ name: 'GST', ratePercent: 5, amount: 50 }],
+    taxAmount: '50.00',
+    totalAmount: '1050.00',
+    note: 'Travel included'
+  };
+  const items = [
+    { itemName: 'Photographer', quantity: 2, unitPrice: '500.00', discountType: 'percent', discountValue: '10.00', lineTotal: '900.00' },
+    { itemName: 'Album', description: 'Linen cover', quantity: 1, unitPrice: '150.00', lineTotal: '150.00' }
+  ];
+
+  test('quote documents carry the provider, customer, items and totals', () => {
+    const document = buildQuoteDocument(quote, items, profile, 'CAD');
+
+    expect(document.number).toBe('Q-000042');
+    expect(document.details).toContainEqual(['Valid until', '2026-05-01']);
+    expect(document.provider).toEqual({
+      name: 'Lens & Light',
+      lines: ['12 King St', 'Montreal, QC, H2X 1Y4', 'hello@lenslight.example', '514-555-0100']
+    });
+    expect(document.customer).toEqual({ name: 'Jane Doe', lines: ['jane@example.com'] });
+    expect(document.items[0]).toMatchObject({ quantity: 2, unitPrice: 'CAD 500.00', discount: '10%', lineTotal: 'CAD 900.00' });
+    expect(document.totals).toEqual([
+      ['Subtotal', 'CAD 1,050.00'],
+      ['Discount', '-CAD 50.00'],
+      ['GST (5%)', 'CAD 50.00'],
+      ['Total', 'CAD 1,050.00']
+    ]);
+    expect(documentFilename(document)).toBe('q-000042-v2.pdf');
+  });
+
+  test('invoice documents show payment status and fall back without a profile', () => {
+    const invoice = { ...quote, id: 7, quoteId: 42, dueDate: '2026-05-08T00:00:00Z', status: 'paid', paymentDate: '2026-05-03T10:00:00Z' };
+    const document = buildInvoiceDocument(invoice, items, null, 'CAD');
+
+    expect(document.details).toContainEqual(['Quote number', 'Q-000042']);
+    expect(document.details).toContainEqual(['Status', 'Paid 2026-05-03']);
+    expect(document.provider.name).toBe('Service provider #9');
+    expect(documentFilename(document)).toBe('inv-000007.pdf');
+  });
+
+  test('fingerprints change only with the document content', () => {
+    const document = buildQuoteDocument(quote, items, profile, 'CAD');
+
+    expect(documentFingerprint(buildQuoteDocument(quote, items, profile, 'CAD'))).toBe(documentFingerprint(document));
+    expect(documentFingerprint(buildQuoteDocument({ ...quote, note: 'Changed' }, items, profile, 'CAD')))
+      .not.toBe(documentFingerprint(document));
+  });
+});
+
+describe('Service Provider Service - Invoices', () => {
+  const { Op } = require('sequelize');
+  const { parseInvoiceFilters, isReminderDue, overdueReminderEmail } = require('../../services/service-provider-service/src/invoices');
+  const now = new Date('2026-05-20T12:00:00Z');
+
+  test('filters by one or several statuses and a date range', () => {
+    expect(parseInvoiceFilters({ status: 'overdue' })).toEqual({ status: 'overdue' });
+    expect(parseInvoiceFilters({ status: 'pending,overdue' }).status).toEqual({ [Op.in]: ['pending', 'overdue'] });
+
+    const where = parseInvoiceFilters({ dateField: 'due', from: '2026-05-01', to: '2026-05-31' });
+    expect(where.dueDate[Op.gte]).toEqual(new Date('2026-05-01T00:00:00Z'));
+    expect(where.dueDate[Op.lte]).toEqual(new Date('2026-05-31T23:59:59.999Z'));
+    expect(Object.keys(parseInvoiceFilters({ from: '2026-05-01' }))).toEqual(['createdAt']);
+  });
+
+  test('rejects unknown statuses, date fields and ranges', () => {
+    expect(() => parseInvoiceFilters({ status: 'pending,void' })).toThrow('status must be one of');
+    expect(() => parseInvoiceFilters({ dateField: 'updated', from: '2026-05-01' })).toThrow('dateField must be one of');
+    expect(() => parseInvoiceFilters({ from: 'soon' })).toThrow('valid date');
+    expect(() => parseInvoiceFilters({ from: '2026-06-01', to: '2026-05-01' })).toThrow('must not be after');
+  });
+
+  test('reminds overdue invoices at the interval up to the limit', () => {
+    const options = { intervalDays: 7, limit: 3 };
+    const invoice = { status: 'overdue', reminderCount: 0, lastReminderAt: null };
+
+    expect(isReminderDue(invoice, now, options)).toBe(true);
+    expect(isReminderDue({ ...invoice, status: 'pending' }, now, options)).toBe(false);
+    expect(isReminderDue({ ...invoice, reminderCount: 1, lastReminderAt: '2026-05-15T12:00:00Z' }, now, options)).toBe(false);
+    expect(isReminderDue({ ...invoice, reminderCount: 1, lastReminderAt: '2026-05-13T12:00:00Z' }, now, options)).toBe(true);
+    expect(isReminderDue({ ...invoice, reminderCount: 3, lastReminderAt: '2026-05-01T12:00:00Z' }, now, options)).toBe(false);
+  });
+
+  test('reminder emails state the amount, due date and payment link', () => {
+    const { subject, message } = overdueReminderEmail({
+      id: 7,
+      customerName: 'Jane Doe',
+      totalAmount: '1149.75',
+      dueDate: '2026-05-10T00:00:00Z',
+      paymentLink: 'https://pay.example/cs_1'
+    }, 'Lens & Light', 'CAD', now);
+
+    expect(subject).toBe('Invoice #7 is overdue');
+    expect(message).toContain('from Lens & Light for CAD 1,149.75 was due on 2026-05-10');
+    expect(message).toContain('10 days overdue');
+    expect(message).toContain('https://pay.example/cs_1');
+  });
+});
+
+describe('Service Provider Service - Service Orders', () => {
+  const { planOrderTransition, isConfirmationOverdue, countByStatus } = require('../../services/service-provider-service/src/orders');
+  const provider = { id: 9, role: 'service_provider' };
+  const customer = { id: 4, role: 'user' };
+  const admin = { id: 1, role: 'admin', permissions: ['orders:manage'] };
+  const now = new Date('2026-06-21T10:00:00Z');
+  const order = { id: 3, serviceProviderId: 9, userId: 4, status: 'confirmed' };
+
+  test('the provider starts and completes, the customer confirms', () => {
+    expect(planOrderTransition(order, 'start', provider, null, now).changes).toEqual({ status: 'in_progress', startedAt: now });
+    expect(planOrderTransition({ ...order, status: 'in_progress' }, 'complete', provider, null, now).toStatus)
+      .toBe('awaiting_confirmation');
+
+    const confirmed = planOrderTransition({ ...order, status: 'awaiting_confirmation' }, 'confirm', customer, null, now);
+    expect(confirmed.changes).toEqual({ status: 'completed', completedAt: now, payoutStatus: 'eligible' });
+    expect(confirmed.actor).toBe('customer');
+  });
+
+  test('issues send the order back to the provider and need a description', () => {
+    const delivered = { ...order, status: 'awaiting_confirmation' };
+    expect(() => planOrderTransition(delivered, 'report-issue', customer, ' ', now)).toThrow('describe the issue');
+
+    const disputed = planOrderTransition(delivered, 'report-issue', customer, 'Album missing', now);
+    expect(disputed.toStatus).toBe('disputed');
+    expect(disputed.note).toBe('Album missing');
+    expect(planOrderTransition({ ...order, status: 'disputed' }, 'resume', provider, null, now).toStatus).toBe('in_progress');
+    expect(planOrderTransition({ ...order, status: 'disputed' }, 'resolve', admin, null, now).changes.payoutStatus).toBe('eligible');
+  });
+
+  test('enforces allowed transitions and actors', () => {
+    expect(() => planOrderTransition(order, 'complete', provider, null, now)).toThrow('Cannot complete an order with status: confirmed');
+    expect(() => planOrderTransition(order, 'start', customer, null, now)).toThrow('not allowed');
+    expect(() => planOrderTransition(order, 'start', { id: 10, role: 'service_provider' }, null, now)).toThrow('not allowed');
+    expect(() => planOrderTransition({ ...order, status: 'awaiting_confirmation' }, 'confirm', provider, null, now)).toThrow('not allowed');
+    expect(() => planOrderTransition({ ...order, status: 'completed' }, 'cancel', admin, 'Duplicate', now)).toThrow('Cannot cancel');
+    expect(() => planOrderTransition({ ...order, status: 'awaiting_confirmation' }, 'auto-confirm', admin, null, now)).toThrow('not allowed');
+    expect(planOrderTransition({ ...order, status: 'awaiting_confirmation' }, 'auto-confirm', null, null, now).actor).toBe('system');
+  });
+
+  test('auto-confirmation waits for the confirmation period', () => {
+    const delivered = { ...order, status: 'awaiting_confirmation', deliveredAt: '2026-06-15T10:00:00Z' };
+    expect(isConfirmationOverdue(delivered, now, 7)).toBe(false);
+    expect(isConfirmationOverdue({ ...delivered, deliveredAt: '2026-06-14T10:00:00Z' }, now, 7)).toBe(true);
+    expect(isConfirmationOverdue({ ...delivered, status: 'disputed' }, now, 0)).toBe(false);
+  });
+
+  test('dashboard counts include every status', () => {
+    const counts = countByStatus([{ status: 'in_progress', count: '2' }, { status: 'completed', count: '5' }]);
+    expect(counts).toEqual({ confirmed: 0, in_progress: 2, awaiting_confirmation: 0, disputed: 0, completed: 5, cancelled: 0 });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit tests for Vendor Service
+ */
+
+describe('Vendor Service - Teams', () => {
+  const {
+    actionsFor,
+    canPerform,
+    validateStaffRole,
+    validateInvitation,
+    generateInvitationToken,
+    hashInvitationToken
+  } = require('../../services/vendor-service/src/team');
+
+  test('team roles grant narrowing sets of actions', () => {
+    expect(canPerform('owner', 'manage_team')).toBe(true);
+    expect(canPerform('manager', 'manage_team')).toBe(false);
+    expect(canPerform('manager', 'edit_venues')).toBe(true);
+    expect(canPerform('sales', 'edit_venues')).toBe(false);
+    expect(canPerform('sales', 'manage_bookings')).toBe(true);
+    expect(canPerform('sales', 'edit_calendar')).toBe(true);
+    expect(actionsFor('viewer')).toEqual(['view_bookings']);
+    expect(actionsFor('stranger')).toEqual([]);
+  });
+
+  test('validates invitations', () => {
+    expect(validateInvitation({ email: ' Sam@Hall.example ', role: 'sales' })).toEqual({ email: 'sam@hall.example', role: 'sales' });
+    expect(() => validateInvitation({ email: 'not-an-email', role: 'sales' })).toThrow('A valid email is required');
+    expect(() => validateInvitation({ email: 'sam@hall.example', role: 'owner' })).toThrow('role must be one of: manager, sales, viewer');
+    expect(validateStaffRole('viewer')).toBe('viewer');
+  });
+
+  test('stores only the hash of invitation tokens', () => {
+    const { token, tokenHash } = generateInvitationToken();
+    expect(token).toMatch(/^[0-9a-f]{64}$/);
+    expect(tokenHash).not.toBe(token);
+    expect(hashInvitationToken(token)).toBe(tokenHash);
+  });
+});
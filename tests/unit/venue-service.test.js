@@ -2,6 +2,9 @@
  * Unit tests for Venue Service
  */
 
+// The service logs through winston, which the unit tests do not load
+jest.mock('../../services/venue-service/src/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
 // Mock data for venue service
 const mockVenue = {
   id: 1,
@@ -142,3 +145,188 @@ describe('Venue Service - Category Operations', () => {
     expect(category.name).toBe('Wedding Hall');
   });
 });
+
+describe('Venue Service - Search Parameters', () => {
+  const { parseSearchParams, estimatePrice } = require('../../services/venue-service/src/search');
+
+  test('applies defaults when no parameters are given', () => {
+    const params = parseSearchParams({});
+
+    expect(params.q).toBeNull();
+    expect(params.sort).toBe('newest');
+    expect(params.page).toBe(1);
+    expect(params.limit).toBe(20);
+    expect(params.offset).toBe(0);
+  });
+
+  test('defaults to relevance sorting with a text query and caps the page size', () => {
+    const params = parseSearchParams({ q: ' garden ', page: '3', limit: '500' });
+
+    expect(params.q).toBe('garden');
+    expect(params.sort).toBe('relevance');
+    expect(params.limit).toBe(100);
+    expect(params.offset).toBe(200);
+  });
+
+  test('rejects invalid ranges, dates and sort options', () => {
+    expect(() => parseSearchParams({ minCapacity: '200', maxCapacity: '100' })).toThrow('minCapacity cannot be greater than maxCapacity');
+    expect(() => parseSearchParams({ minPrice: '-5' })).toThrow('minPrice must be a non-negative number');
+    expect(() => parseSearchParams({ date: '20-12-2025' })).toThrow('date must be in YYYY-MM-DD format');
+    expect(() => parseSearchParams({ sort: 'cheapest' })).toThrow('Invalid sort option');
+    expect(() => parseSearchParams({ sort: 'relevance' })).toThrow('Sorting by relevance requires a search query (q)');
+  });
+
+  test('estimates flat and per-head prices for a guest count', () => {
+    expect(estimatePrice(mockVenue, 80)).toBe(5000);
+    expect(estimatePrice({ pricingType: 'per_head', perHeadPrice: 40, minGuests: 50 }, 30)).toBe(2000);
+    expect(estimatePrice({ pricingType: 'per_head', perHeadPrice: 40, minGuests: 50 }, 120)).toBe(4800);
+    expect(estimatePrice({ pricingType: 'per_head', perHeadPrice: null, minGuests: 50 }, 120)).toBeNull();
+  });
+});
+
+describe('Venue Service - Geolocation', () => {
+  const { parseNearParams, haversineKm, geocodeAddress } = require('../../services/venue-service/src/geo');
+  const { parseSearchParams } = require('../../services/venue-service/src/search');
+
+  test('parses near and radius, defaulting to distance sorting', () => {
+    expect(parseNearParams({ near: '43.6532, -79.3832', radiusKm: '10' }))
+      .toEqual({ latitude: 43.6532, longitude: -79.3832, radiusKm: 10 });
+    expect(parseNearParams({ near: '43.6532,-79.3832' }).radiusKm).toBe(25);
+    expect(parseNearParams({})).toBeNull();
+    expect(parseSearchParams({ near: '43.6532,-79.3832' }).sort).toBe('distance');
+  });
+
+  test('rejects malformed coordinates and radius', () => {
+    expect(() => parseNearParams({ near: '43.6' })).toThrow('near must be in lat,lng format with valid coordinates');
+    expect(() => parseNearParams({ near: '95,10' })).toThrow('near must be in lat,lng format with valid coordinates');
+    expect(() => parseNearParams({ near: '43.6,-79.3', radiusKm: '0' })).toThrow('radiusKm must be a number between 0 and 500');
+    expect(() => parseNearParams({ radiusKm: '5' })).toThrow('radiusKm requires near=lat,lng');
+    expect(() => parseSearchParams({ sort: 'distance' })).toThrow('Sorting by distance requires near=lat,lng');
+  });
+
+  test('calculates great-circle distances', () => {
+    const toronto = { latitude: 43.6532, longitude: -79.3832 };
+    const montreal = { latitude: 45.5019, longitude: -73.5674 };
+
+    expect(haversineKm(toronto, toronto)).toBe(0);
+    expect(haversineKm(toronto, montreal)).toBeCloseTo(504, 0);
+  });
+
+  test('stub geocoder returns stable coordinates per address', async () => {
+    const first = await geocodeAddress('123 Test St, Toronto');
+    const second = await geocodeAddress('  123 test st,   toronto ');
+
+    expect(first).toEqual(second);
+    expect(Math.abs(first.latitude)).toBeLessThanOrEqual(90);
+    expect(Math.abs(first.longitude)).toBeLessThanOrEqual(180);
+    expect(await geocodeAddress('')).toBeNull();
+  });
+});
+
+describe('Venue Service - Reviews and Ratings', () => {
+  const { validateReviewInput, validateReply, summarizeRatings } = require('../../services/venue-service/src/ratings');
+
+  test('validates review input', () => {
+    expect(validateReviewInput({ rating: '4', comment: '  Lovely venue ', photoIds: [3, '3', 5] }))
+      .toEqual({ rating: 4, comment: 'Lovely venue', photoIds: [3, 5] });
+    expect(validateReviewInput({ rating: 5 })).toEqual({ rating: 5, comment: null, photoIds: [] });
+
+    expect(() => validateReviewInput({ rating: 0 })).toThrow('rating must be a whole number from 1 to 5');
+    expect(() => validateReviewInput({ rating: 4.5 })).toThrow('rating must be a whole number from 1 to 5');
+    expect(() => validateReviewInput({ rating: 4, photoIds: 'abc' })).toThrow('photoIds must be an array of media IDs');
+  });
+
+  test('requires a non-empty vendor reply', () => {
+    expect(validateReply({ reply: ' Thank you! ' })).toBe('Thank you!');
+    expect(() => validateReply({ reply: '   ' })).toThrow('reply is required');
+  });
+
+  test('summarizes ratings from per-star counts', () => {
+    const summary = summarizeRatings([
+      { rating: 5, count: '8' },
+      { rating: 4, count: '3' },
+      { rating: 3, count: '1' }
+    ]);
+
+    expect(summary.count).toBe(12);
+    expect(summary.average).toBe(4.6);
+    expect(summary.distribution).toEqual({ 1: 0, 2: 0, 3: 1, 4: 3, 5: 8 });
+    expect(summarizeRatings([])).toEqual({ average: null, count: 0, distribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 } });
+  });
+});
+
+describe('Venue Service - Additional Services', () => {
+  const { AdditionalService } = require('../../services/venue-service/src/models');
+  const { calculateBookingPrice } = require('../../services/booking-service/src/pricing');
+
+  test('requires a positive price', async () => {
+    await expect(AdditionalService.build({ name: 'DJ', price: 300, venueId: 1 }).validate()).resolves.toBeDefined();
+    await expect(AdditionalService.build({ name: 'DJ', price: 0, venueId: 1 }).validate()).rejects.toThrow('Validation');
+    await expect(AdditionalService.build({ name: 'DJ', price: -50, venueId: 1 }).validate()).rejects.toThrow('Validation');
+  });
+
+  test('bookings reject services without a positive price', () => {
+    const venue = {
+      name: 'Garden',
+      capacity: 300,
+      pricingType: 'flat',
+      flatPrice: 6000,
+      AdditionalServices: [{ id: 7, name: 'Decoration', price: 500 }, { id: 8, name: 'Free DJ', price: -300 }]
+    };
+
+    expect(calculateBookingPrice(venue, 100, [7]).totalPrice).toBe(6500);
+    expect(() => calculateBookingPrice(venue, 100, [8])).toThrow('Additional service has no valid price configured');
+    expect(() => calculateBookingPrice({ ...venue, AdditionalServices: [{ id: 8, name: 'DJ', price: 0 }] }, 100, [8]))
+      .toThrow('no valid price');
+  });
+});
+
+describe('Venue Service - Vendor Team Access', () => {
+  const { canActForVendor, vendorKycApproved } = require('../../services/venue-service/src/vendors');
+
+  // Memberships as vendor-service reports them; preset so no request is made
+  const staffRequest = (role, actions, kycStatus = 'approved') => ({
+    user: { id: 12, role: 'user' },
+    headers: { authorization: 'Bearer staff-token' },
+    vendorMemberships: [{ vendorId: 1, role, actions, kycStatus }]
+  });
+
+  test('staff act only as their team role allows', async () => {
+    const manager = staffRequest('manager', ['view_bookings', 'manage_bookings', 'edit_venues', 'edit_calendar']);
+    const viewer = staffRequest('viewer', ['view_bookings']);
+
+    expect(await canActForVendor(manager, 1, 'edit_venues')).toBe(true);
+    // Without edit_venues, staff are refused venue changes such as adding services (403)
+    expect(await canActForVendor(viewer, 1, 'edit_venues')).toBe(false);
+    expect(await canActForVendor(viewer, 2, 'view_bookings')).toBe(false);
+    expect(await canActForVendor({ ...viewer, headers: {} }, 1, 'view_bookings')).toBe(false);
+  });
+
+  test('vendor accounts act for their own venues only', async () => {
+    const vendor = { user: { id: 1, role: 'vendor', kycStatus: 'approved' }, headers: {} };
+
+    expect(await canActForVendor(vendor, 1, 'edit_venues')).toBe(true);
+    expect(await canActForVendor(vendor, 2, 'edit_venues')).toBe(false);
+  });
+
+  test('staff act under their vendor\'s KYC', async () => {
+    const manager = staffRequest('manager', ['edit_venues']);
+    const pending = staffRequest('manager', ['edit_venues'], 'pending');
+
+    expect(await vendorKycApproved(manager, 1)).toBe(true);
+    expect(await vendorKycApproved(pending, 1)).toBe(false);
+    expect(await vendorKycApproved(manager, 2)).toBe(false);
+    expect(await vendorKycApproved({ user: { id: 1, role: 'vendor', kycStatus: 'pending' }, headers: {} }, 1)).toBe(false);
+  });
+
+  test('vendor KYC comes from the memberships when the token does not carry it', async () => {
+    const forwarded = {
+      user: { id: 1, role: 'vendor' },
+      headers: { authorization: 'Bearer vendor-token' },
+      vendorMemberships: [{ vendorId: 1, role: 'owner', actions: ['edit_venues'], kycStatus: 'approved' }]
+    };
+
+    expect(await vendorKycApproved(forwarded, 1)).toBe(true);
+    expect(await vendorKycApproved({ ...forwarded, headers: {} }, 1)).toBe(false);
+  });
+});